@@ -6,7 +6,7 @@
  * - Fetched stock data (profile, financials, historical, technicals).
  * - Loading and error states for API calls.
  * - Active UI tab and other UI-related states (e.g., expanded sections).
- * It orchestrates API calls, data transformation (via apiAdapter and utils),
+ * It orchestrates API calls, metric calculations (via utils),
  * and renders various sub-components that form the dashboard interface.
  * It also handles UI interactions like tab switching and search submission.
  */
@@ -59,22 +59,27 @@ import {
   calculateGrowthTrendsMetrics,
   calculateHistoricalPerformanceMetrics,
   calculateLiquidityRatios,
-  calculateValuationMetrics
+  calculateValuationMetrics,
+  calculateQuarterlyResults,
+  calculateTTMFundamentals,
+  mergeKeyMetrics,
+  calculateShareholdingTrends
 } from './utils';
 // API related constants are used within hooks now
 // import {
 //   EXTERNAL_API_BASE_URL,
-//   HISTORICAL_API_BASE_URL,
-//   PRIMARY_API_KEY,
-//   BACKUP_API_KEY
+//   HISTORICAL_API_BASE_URL
 // } from './constants';
-// import { transformStockDataApiResponse } from './apiAdapter'; // Used within useStockDataApi hook
+// Stock data arrives already normalized by the backend (shared/stockAdapter.js via /api/v2/stock)
 
 import useStockDataApi from './hooks/useStockDataApi';
 import useHistoricalDataApi from './hooks/useHistoricalDataApi';
 import useTechnicalAnalysis from './hooks/useTechnicalAnalysis';
 import useCategorizedMetrics from './hooks/useCategorizedMetrics';
+import useQuarterlyResults from './hooks/useQuarterlyResults';
+import useShareholdingTrends from './hooks/useShareholdingTrends';
 import ErrorBoundary from './components/ErrorBoundary/ErrorBoundary';
+import LivePrice from './components/LivePrice/LivePrice';
 
 // Lazy load components
 const WelcomeMessage = lazy(() => import('./components/WelcomeMessage'));
@@ -82,6 +87,7 @@ const CompanyDetailsTab = lazy(() => import('./components/CompanyDetailsTab'));
 const HistoricalDataTab = lazy(() => import('./components/HistoricalDataTab'));
 const AnalysisTab = lazy(() => import('./components/AnalysisTab'));
 const KeyMetricsTab = lazy(() => import('./components/KeyMetricsTab'));
+const QuarterlyResultsTab = lazy(() => import('./components/QuarterlyResultsTab'));
 const StockSearchForm = lazy(() => import('./components/StockSearchForm/StockSearchForm'));
 
 ChartJS.register(...registerables);
@@ -103,7 +109,7 @@ function App() {
   // State to track which metric categories (e.g., Profitability, Valuation) are expanded by the user in the UI
   const [expandedMetricCategories, setExpandedMetricCategories] = useState({});
 
-  // State for the currently active tab (e.g., 'companyDetails', 'keyMetrics', 'historicalData', 'analysis')
+  // State for the currently active tab (e.g., 'companyDetails', 'keyMetrics', 'quarterlyResults', 'historicalData', 'analysis')
   const [activeTab, setActiveTab] = useState('companyDetails');
 
   // Use the custom hook for historical data API logic
@@ -132,6 +138,7 @@ function App() {
   const [tabContentReady, setTabContentReady] = useState({
     companyDetails: true, // Assuming this is light enough or default active to be ready
     keyMetrics: false,
+    quarterlyResults: false,
     historicalData: false,
     analysis: false,
   });
@@ -140,6 +147,7 @@ function App() {
   // Refs for tab panels to manage focus on tab change, enhancing accessibility.
   const companyDetailsPanelRef = useRef(null); 
   const keyMetricsPanelRef = useRef(null);     
+  const quarterlyResultsPanelRef = useRef(null);
   const historicalDataPanelRef = useRef(null); 
   const analysisPanelRef = useRef(null);       
 
@@ -154,6 +162,7 @@ function App() {
   const memoizedFormatCurrency = useCallback(formatCurrency, []);
   const memoizedCalculateYoYGrowth = useCallback(calculateYoYGrowth, []); 
   const memoizedCalculateCAGR = useCallback(calculateCAGR, []);          
+  const memoizedCalculateTTMFundamentals = useCallback(calculateTTMFundamentals, []);
   const memoizedCalculateTenure = useCallback(calculateTenure, []);
 
   // Metric calculation functions for categorizedMetrics useEffect dependency array
@@ -170,10 +179,13 @@ function App() {
   const memoizedCalculateGrowthTrendsMetrics = useCallback(calculateGrowthTrendsMetrics, []);
   const memoizedCalculateHistoricalPerformanceMetrics = useCallback(calculateHistoricalPerformanceMetrics, []);
   const memoizedCalculateLiquidityRatios = useCallback(calculateLiquidityRatios, []);
+  const memoizedCalculateQuarterlyResults = useCallback(calculateQuarterlyResults, []);
+  const memoizedCalculateShareholdingTrends = useCallback(calculateShareholdingTrends, []);
   const memoizedCalculateKeyTechnicalIndicators = useCallback(calculateKeyTechnicalIndicators, []);
   const memoizedCalculateOverallSentimentMetrics = useCallback(calculateOverallSentimentMetrics, []);
   const memoizedCalculatePeerAverage = useCallback(calculatePeerAverage, []);
   const memoizedGetPeerComparisonDetails = useCallback(getPeerComparisonDetails, []);
+  const memoizedMergeKeyMetrics = useCallback(mergeKeyMetrics, []);
 
   const handleContentLoaded = useCallback((tabId) => {
     setTabContentReady(prev => ({ ...prev, [tabId]: true }));
@@ -230,6 +242,7 @@ function App() {
         memoizedFormatCurrency,
     memoizedCalculateYoYGrowth,
     memoizedCalculateCAGR,
+    memoizedCalculateTTMFundamentals,
     memoizedCalculateProfitabilityMetrics,
     memoizedCalculateValuationMetrics,
     memoizedCalculateCashFlowHealthMetrics,
@@ -246,13 +259,33 @@ function App() {
     memoizedCalculateKeyTechnicalIndicators,
     memoizedCalculateOverallSentimentMetrics,
     memoizedCalculatePeerAverage,
-        memoizedGetPeerComparisonDetails
+        memoizedGetPeerComparisonDetails,
+    memoizedMergeKeyMetrics
       );
 
+  // Use the custom hook for the Quarterly Results tab (interim periods of the financial statements)
+  const quarterlyResults = useQuarterlyResults(
+    stockData,
+    memoizedCalculateQuarterlyResults,
+    memoizedFindFinancialByYear,
+    memoizedCalculateYoYGrowth,
+    memoizedFormatToCrores,
+    memoizedFormatCurrency,
+    memoizedFormatPercentage
+  );
+
+  // Use the custom hook for the Shareholding section of the Company Details tab
+  const shareholdingTrends = useShareholdingTrends(
+    stockData,
+    memoizedCalculateShareholdingTrends,
+    memoizedFormatPercentage
+  );
+
   // Configuration for tabs - Component references will be the lazy-loaded ones
   const tabsConfig = [
     { id: 'companyDetails', label: 'Company Details', icon: '🏢', component: CompanyDetailsTab, ref: companyDetailsPanelRef },
     { id: 'keyMetrics', label: 'Key Metrics', icon: '📈', component: KeyMetricsTab, ref: keyMetricsPanelRef },
+    { id: 'quarterlyResults', label: 'Quarterly Results', icon: '🗓️', component: QuarterlyResultsTab, ref: quarterlyResultsPanelRef },
     { id: 'historicalData', label: 'Historical Data', icon: '📜', component: HistoricalDataTab, ref: historicalDataPanelRef },
     { id: 'analysis', label: '🔬 Technical Analysis', icon: '🔬', component: AnalysisTab, ref: analysisPanelRef }
   ];
@@ -299,6 +332,7 @@ function App() {
     setTabContentReady(prev => ({ 
       companyDetails: true, // Or false if it also reloads significantly
       keyMetrics: false, 
+      quarterlyResults: false, 
       historicalData: false, 
       analysis: false 
     }));
@@ -312,6 +346,7 @@ function App() {
     setTabContentReady(prev => ({ 
       companyDetails: true, // Or false if it also reloads significantly
       keyMetrics: false, 
+      quarterlyResults: false, 
       historicalData: false, 
       analysis: false 
     }));
@@ -345,6 +380,8 @@ function App() {
       panelToFocus = companyDetailsPanelRef.current;
     } else if (activeTab === 'keyMetrics' && keyMetricsPanelRef.current) {
       panelToFocus = keyMetricsPanelRef.current;
+    } else if (activeTab === 'quarterlyResults' && quarterlyResultsPanelRef.current) {
+      panelToFocus = quarterlyResultsPanelRef.current;
     } else if (activeTab === 'historicalData' && historicalDataPanelRef.current) {
       panelToFocus = historicalDataPanelRef.current;
     } else if (activeTab === 'analysis' && analysisPanelRef.current) {
@@ -424,6 +461,10 @@ function App() {
           <h2>{stockData.companyProfile.name || DEFAULT_NA_STRING} 
             {stockData.currentPrice && stockData.currentPrice.symbol && ` (${stockData.currentPrice.symbol})`}
           </h2>
+          <LivePrice
+            symbol={stockData.companyProfile.symbolNse !== DEFAULT_NA_STRING ? stockData.companyProfile.symbolNse : symbol.toUpperCase()}
+            initialPrice={stockData.currentPrice}
+          />
             
           <nav className="tabs-navigation" aria-label="Stock data categories">
             {tabsConfig.map(tab => (
@@ -457,6 +498,8 @@ function App() {
                     <tab.component 
                   stockData={stockData}
                   categorizedMetrics={categorizedMetrics}
+                  quarterlyResults={quarterlyResults}
+                  shareholdingTrends={shareholdingTrends}
                       isLoading={loading} 
                   isProfileExpanded={isProfileExpanded}
                   toggleProfileExpanded={toggleProfileExpanded}
@@ -5,6 +5,7 @@ import {
   KEY_MANAGEMENT_DISPLAY_COUNT,
   RECENT_NEWS_DISPLAY_COUNT
 } from '../constants'; // Import display limits and other constants
+import ShareholdingSection from './Shareholding/ShareholdingSection';
 import './News/NewsCard.css';
 import './ExecutiveCard/ExecutiveCard.css';
 
@@ -15,6 +16,7 @@ import './ExecutiveCard/ExecutiveCard.css';
  * It displays key information about the selected company, including:
  *  - A detailed company profile description (with show more/less functionality).
  *  - An overview section with trading symbols (NSE/BSE), ISIN, industry, and sector.
+ *  - The shareholding pattern across quarters (promoters, FIIs, mutual funds, others), with QoQ changes.
  *  - A list of key management personnel with their titles and tenure.
  *  - A list of recent news articles related to the company.
  * It receives stock data and utility functions as props from the main App component.
@@ -29,6 +31,8 @@ import './ExecutiveCard/ExecutiveCard.css';
  * @param {function} props.toggleProfileExpanded - Function to toggle the profile description's expanded state.
  * @param {function} props.getSafe - Utility function to safely access nested object properties, returning a default if path is not found.
  * @param {function} props.calculateTenure - Utility function to calculate tenure from a date string.
+ * @param {object} props.shareholdingTrends - Output of `calculateShareholdingTrends` (utils.js), via the useShareholdingTrends hook.
+ * @param {React.ComponentType} props.Line - The Line chart component from react-chartjs-2, for the shareholding chart.
  * @param {string} props.tabId - The ID of the tab.
  * @param {function} props.onContentLoaded - Function to call when content is loaded.
  */
@@ -38,6 +42,8 @@ const CompanyDetailsTabInternal = ({
   toggleProfileExpanded,
   getSafe,
   calculateTenure,
+  shareholdingTrends,
+  Line,
   tabId,
   onContentLoaded,
 }) => {
@@ -137,6 +143,12 @@ const CompanyDetailsTabInternal = ({
         })()}
       </div>
 
+      {/* Shareholding Pattern Section */}
+      {/* Stacked holdings per quarter, with QoQ change badges and large promoter stake changes highlighted. */}
+      {shareholdingTrends && Line && (
+        <ShareholdingSection shareholdingTrends={shareholdingTrends} Line={Line} />
+      )}
+
       {/* Key Management Section */}
       {/* Lists top executives, their titles, and calculated tenure. Limited by KEY_MANAGEMENT_DISPLAY_COUNT. */}
       {stockData.companyProfile && stockData.companyProfile.executives && (
@@ -265,7 +277,7 @@ const CompanyDetailsTabInternal = ({
 
 // PropTypes for type checking and documentation
 CompanyDetailsTabInternal.propTypes = {
-  /** The main stock data object from App.js (transformed by apiAdapter) */
+  /** The main stock data object from App.js (normalized by shared/stockAdapter.js) */
   stockData: PropTypes.object, 
   /** Boolean state from App.js indicating if the company profile description is expanded */
   isProfileExpanded: PropTypes.bool.isRequired,
@@ -275,6 +287,10 @@ CompanyDetailsTabInternal.propTypes = {
   getSafe: PropTypes.func.isRequired,
   /** Utility function to calculate tenure from a date string */
   calculateTenure: PropTypes.func.isRequired,
+  /** Shareholding trends from App.js (useShareholdingTrends hook) */
+  shareholdingTrends: PropTypes.object,
+  /** The Line chart component from react-chartjs-2 */
+  Line: PropTypes.elementType,
   /** The ID of the tab */
   tabId: PropTypes.string.isRequired,
   /** Function to call when content is loaded */
@@ -285,6 +301,8 @@ CompanyDetailsTabInternal.propTypes = {
 CompanyDetailsTabInternal.defaultProps = {
   stockData: null, 
   isProfileExpanded: false,
+  shareholdingTrends: null,
+  Line: null,
 };
 
 // Display name for React DevTools
@@ -4,8 +4,18 @@ import {
   INITIAL_METRICS_DISPLAY_COUNT, // Max metrics to show before "View More" in a collapsible category
   PEER_COMPANIES_DISPLAY_COUNT  // Max peer companies to show in the table
 } from '../constants';
+import { BASIS_FY, BASIS_TTM, METRIC_SOURCE_REPORTED } from '../utils';
 import './KeyMetricsTab/MetricItem.css'; // Styles for MetricItem and related list elements
 
+// Tooltips of the basis badges
+const BASIS_TITLES = {
+  [BASIS_FY]: 'Latest fiscal year',
+  [BASIS_TTM]: 'Trailing twelve months (last four quarters)',
+  MRQ: 'Most recent quarter',
+  '5Y': 'Five-year average or growth rate',
+  '3Y': 'Three-year growth rate',
+};
+
 /**
  * @file KeyMetricsTab.js
  * 
@@ -90,7 +100,7 @@ const KeyMetricsTabInternal = ({
   /**
    * Renders a single metric item as a row within a metric category card.
    * Displays the metric's label, its calculated value with appropriate units and styling,
-   * an optional info icon with a tooltip for explanations, peer average comparison, and YoY growth.
+   * an optional basis badge (FY, TTM, ...), a "Reported" badge for figures from the data provider, an optional info icon with a tooltip for explanations, peer average comparison, and YoY growth.
    * Dynamic classes are applied for styling based on value (e.g., N/A) or peer comparison status.
    * @param {object} metric - The metric object containing label, value, unit, explanation, peerAverage, yoyGrowth, etc.
    * @param {number} index - The index of the metric, used for the React key.
@@ -102,6 +112,19 @@ const KeyMetricsTabInternal = ({
       {/* Metric Label and Info Tooltip */}
       <span className="metric-label">
         <strong>{metric.label}</strong>
+        {/* Period a figure covers: latest fiscal year (FY), trailing twelve months (TTM), or for reported figures also MRQ, 5Y, 3Y */}
+        {metric.basis && (
+          <span
+            className={`metric-basis-badge basis-${metric.basis.toLowerCase()}`}
+            title={BASIS_TITLES[metric.basis] || metric.basis}
+          >
+            {metric.basis}
+          </span>
+        )}
+        {/* Figures reported by the data provider (keyMetrics) rather than calculated from the statements */}
+        {metric.source === METRIC_SOURCE_REPORTED && (
+          <span className="metric-source-badge" title="Reported by the data provider">Reported</span>
+        )}
         {metric.explanation && (
           <span className="info-icon-container" aria-label={metric.explanation} tabIndex={0} /* Tooltip accessible via focus */>
             <span className="info-icon" /> {/* Visual icon */}
@@ -286,7 +309,7 @@ const KeyMetricsTabInternal = ({
 
 // PropTypes for type checking and documentation
 KeyMetricsTabInternal.propTypes = {
-  /** Main stock data object from App.js (transformed by apiAdapter) */
+  /** Main stock data object from App.js (normalized by shared/stockAdapter.js) */
   stockData: PropTypes.object,
   /** Object containing metrics grouped by category */
   categorizedMetrics: PropTypes.object.isRequired,
@@ -0,0 +1,71 @@
+import React, { useState, useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import useLivePrice from '../../hooks/useLivePrice';
+import { formatCurrency, formatPercentage } from '../../utils';
+import './LivePrice.css';
+
+// How long the price stays highlighted after it ticks
+const TICK_HIGHLIGHT_MS = 1200;
+
+/**
+ * Shows the live NSE price of a stock (BSE if NSE is missing), its change on the day and when it
+ * last updated. Starts from the price in the loaded stock payload and ticks as the backend
+ * streams new quotes, flashing green or red when the price moves.
+ */
+const LivePrice = ({ symbol, initialPrice }) => {
+  const { quote, lastUpdated, marketOpen } = useLivePrice(symbol);
+  const [tick, setTick] = useState(null); // 'up' | 'down' | null
+  const previousPriceRef = useRef(null);
+
+  const current = quote || initialPrice || {};
+  const nsePrice = formatCurrency(current.nse);
+  const price = nsePrice.unit ? nsePrice : formatCurrency(current.bse);
+  const change = formatPercentage(current.percentChange, undefined, { colorOnPositiveNegative: true });
+
+  useEffect(() => {
+    const previous = previousPriceRef.current;
+    previousPriceRef.current = price.raw;
+    if (previous === null || isNaN(previous) || isNaN(price.raw) || previous === price.raw) return undefined;
+    setTick(price.raw > previous ? 'up' : 'down');
+    const timer = setTimeout(() => setTick(null), TICK_HIGHLIGHT_MS);
+    return () => clearTimeout(timer);
+  }, [price.raw]);
+
+  useEffect(() => {
+    previousPriceRef.current = null; // A new symbol starts without a tick
+  }, [symbol]);
+
+  let statusText = null;
+  if (marketOpen === false) statusText = 'Market closed';
+  else if (lastUpdated) statusText = `Updated ${lastUpdated.toLocaleTimeString('en-IN')}`;
+
+  return (
+    <div className="live-price" aria-live="polite">
+      <span className={`live-price-value ${tick ? `live-price-tick-${tick}` : ''}`}>
+        {price.symbolPrefix && price.unit}{price.value}
+      </span>
+      {change.unit && (
+        <span className={`live-price-change ${change.colorClass}`}>
+          {change.raw > 0 ? '+' : ''}{change.value}{change.unit}
+        </span>
+      )}
+      {statusText && (
+        <span className="live-price-status">
+          {marketOpen && <span className="live-price-dot" aria-hidden="true" />}
+          {statusText}
+        </span>
+      )}
+    </div>
+  );
+};
+
+LivePrice.propTypes = {
+  symbol: PropTypes.string,
+  initialPrice: PropTypes.shape({
+    nse: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    bse: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    percentChange: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  }),
+};
+
+export default LivePrice;
@@ -0,0 +1,161 @@
+import React, { useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { DEFAULT_NA_STRING, QUARTERLY_RESULT_ITEMS } from '../utils';
+import './QuarterlyResultsTab/QuarterlyResultsTab.css';
+
+/**
+ * @file QuarterlyResultsTab.js
+ *
+ * @description This component renders the "Quarterly Results" tab in the stock dashboard.
+ * It shows revenue, operating income, net income and diluted EPS for the latest quarters
+ * (the interim periods of the payload), each with its growth over the previous quarter (QoQ)
+ * and over the same quarter a year earlier (YoY), along with operating and net margin trends.
+ * The figures are computed by `calculateQuarterlyResults` (utils.js) via the useQuarterlyResults hook.
+ */
+
+/**
+ * Internal functional component for the Quarterly Results Tab.
+ * Wrapped with React.memo for performance optimization.
+ * @param {object} props - The component's props.
+ * @param {object} props.stockData - Main stock data object (used for the company name in messages).
+ * @param {object} props.quarterlyResults - Output of `calculateQuarterlyResults`: `{ quarters }`, newest first.
+ * @param {function} props.getSafe - Utility to safely access nested object properties.
+ * @param {string} props.tabId - The ID of the tab.
+ * @param {function} props.onContentLoaded - Callback function to signal content loaded.
+ */
+const QuarterlyResultsTabInternal = ({
+  stockData,
+  quarterlyResults,
+  getSafe,
+  tabId,
+  onContentLoaded,
+}) => {
+
+  useEffect(() => {
+    // The table or the "no quarterly results" message is the content, so the tab is ready as soon as it renders.
+    if (onContentLoaded) {
+      onContentLoaded(tabId);
+    }
+  }, [quarterlyResults, tabId, onContentLoaded]);
+
+  /**
+   * Renders a formatted value (from formatToCrores/formatCurrency/formatPercentage) with its unit.
+   * @param {object} formatted - The formatted value object (`value`, `unit`, optional `symbolPrefix`).
+   * @returns {JSX.Element} The value.
+   */
+  const renderValue = (formatted) => {
+    if (!formatted || formatted.value === DEFAULT_NA_STRING) {
+      return <span className="metric-value-na">{DEFAULT_NA_STRING}</span>;
+    }
+    return formatted.symbolPrefix
+      ? <span>{formatted.unit}{formatted.value}</span>
+      : <span>{formatted.value}{formatted.unit === '%' ? '%' : ''}</span>;
+  };
+
+  /**
+   * Renders a growth or change figure (e.g., "QoQ +4.20%"), colored by sign. Missing figures are omitted.
+   * @param {string} label - Short label shown before the figure (e.g., 'QoQ').
+   * @param {object} growth - Growth object (`value`, `unit`, `raw`, `colorClass`).
+   * @returns {JSX.Element|null} The figure, or null when not available.
+   */
+  const renderGrowth = (label, growth) => {
+    if (!growth || growth.value === DEFAULT_NA_STRING) return null;
+    const sign = growth.raw > 0 ? '+' : '';
+    return (
+      <span className={`quarterly-growth ${growth.colorClass || ''}`}>
+        {label} {sign}{growth.value}{growth.unit}
+      </span>
+    );
+  };
+
+  const quarters = getSafe(() => quarterlyResults.quarters, []);
+
+  return (
+    <div
+      id="panel-quarterlyResults"
+      role="tabpanel"
+      aria-labelledby="tab-quarterlyResults"
+      className="tab-panel quarterly-results-tab-content card"
+      // The `ref` for focus management and `tabIndex` are handled in App.js.
+    >
+      <h3>🗓️ Quarterly Results</h3>
+
+      {quarters.length === 0 ? (
+        <p className="no-data-message">
+          No quarterly results are available for {getSafe(() => stockData.companyName, 'the selected stock')}.
+        </p>
+      ) : (
+        <>
+          <p className="quarterly-results-note">
+            Amounts in ₹ Crores, latest quarter first. QoQ compares with the previous quarter, YoY with the same
+            quarter a year earlier; margin changes are in percentage points (pp) over the previous quarter.
+          </p>
+          <div className="table-scroll-wrapper">
+            <table className="quarterly-results-table">
+              <thead>
+                <tr>
+                  <th>Quarter</th>
+                  {QUARTERLY_RESULT_ITEMS.map(item => (
+                    <th key={item.id} className="text-right">{item.label}</th>
+                  ))}
+                  <th className="text-right">Operating Margin</th>
+                  <th className="text-right">Net Margin</th>
+                </tr>
+              </thead>
+              <tbody>
+                {quarters.map(quarter => (
+                  <tr key={`${quarter.label}-${quarter.periodEndDate}`}>
+                    <td className="text-left">
+                      <strong>{quarter.label}</strong>
+                      <span className="quarterly-period-end">{quarter.periodEndDate}</span>
+                    </td>
+                    {QUARTERLY_RESULT_ITEMS.map(item => (
+                      <td key={item.id} className="text-right">
+                        {renderValue(quarter.items[item.id])}
+                        {renderGrowth('QoQ', quarter.items[item.id].qoq)}
+                        {renderGrowth('YoY', quarter.items[item.id].yoy)}
+                      </td>
+                    ))}
+                    <td className="text-right">
+                      {renderValue(quarter.operatingMargin)}
+                      {renderGrowth('QoQ', quarter.operatingMargin.change)}
+                    </td>
+                    <td className="text-right">
+                      {renderValue(quarter.netMargin)}
+                      {renderGrowth('QoQ', quarter.netMargin.change)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// PropTypes for type checking and documentation
+QuarterlyResultsTabInternal.propTypes = {
+  /** Main stock data object from App.js (normalized by shared/stockAdapter.js) */
+  stockData: PropTypes.object,
+  /** Quarterly results computed by the useQuarterlyResults hook */
+  quarterlyResults: PropTypes.shape({
+    quarters: PropTypes.array.isRequired,
+  }).isRequired,
+  /** Utility function to safely access nested object properties */
+  getSafe: PropTypes.func.isRequired,
+  tabId: PropTypes.string.isRequired,
+  onContentLoaded: PropTypes.func.isRequired,
+};
+
+QuarterlyResultsTabInternal.defaultProps = {
+  stockData: null,
+};
+
+// Display name for React DevTools for easier debugging.
+QuarterlyResultsTabInternal.displayName = 'QuarterlyResultsTab';
+
+const QuarterlyResultsTab = React.memo(QuarterlyResultsTabInternal);
+
+export default QuarterlyResultsTab;
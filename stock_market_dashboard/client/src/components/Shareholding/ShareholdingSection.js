@@ -0,0 +1,133 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { DEFAULT_NA_STRING, SHAREHOLDING_PROMOTER_KEY } from '../../utils';
+import { SHAREHOLDING_LARGE_PROMOTER_CHANGE_PP } from '../../constants';
+import './Shareholding.css';
+
+// Chart colors per holder category (the API's short display names); others fall back to grey
+const CATEGORY_COLORS = {
+  Promoter: { border: '#5865F2', background: 'rgba(88, 101, 242, 0.45)' },
+  FII: { border: '#28a745', background: 'rgba(40, 167, 69, 0.45)' },
+  MF: { border: '#f0ad4e', background: 'rgba(240, 173, 78, 0.45)' },
+};
+const FALLBACK_COLOR = { border: '#8e9297', background: 'rgba(142, 146, 151, 0.35)' };
+
+/**
+ * Shows how the shareholding pattern changed across quarters: a stacked area chart of the promoter,
+ * FII, MF and other holdings, change badges for the latest quarter (e.g., "FII +1.20pp QoQ"), and a
+ * warning listing the quarters in which the promoter stake moved by at least
+ * SHAREHOLDING_LARGE_PROMOTER_CHANGE_PP percentage points. Those quarters are also marked on the chart.
+ * @param {object} props
+ * @param {object} props.shareholdingTrends - Output of `calculateShareholdingTrends` (utils.js).
+ * @param {React.ComponentType} props.Line - The Line chart component from react-chartjs-2.
+ */
+const ShareholdingSection = ({ shareholdingTrends, Line }) => {
+  const { quarters, series, latest, promoterChanges } = shareholdingTrends;
+  const largeChangeLabels = promoterChanges.map(change => change.label);
+
+  return (
+    <div className="card shareholding-section">
+      <h3>🧾 Shareholding Pattern</h3>
+      {quarters.length === 0 ? (
+        <p className="no-data-message">No shareholding information available.</p>
+      ) : (
+        <>
+          {/* Latest holdings with their change since the previous quarter */}
+          <div className="shareholding-badges">
+            {latest.map(holding => (
+              <span
+                key={holding.key}
+                className={`shareholding-badge ${holding.isLargeChange ? 'shareholding-badge-large' : ''}`}
+                title={holding.badge ? `${holding.name}: ${holding.badge}` : holding.name}
+              >
+                <strong>{holding.key}</strong> {holding.value}{holding.value !== DEFAULT_NA_STRING ? holding.unit : ''}
+                {holding.badge && (
+                  <span className={`shareholding-badge-change ${holding.change.colorClass || ''}`}>
+                    {holding.change.raw > 0 ? '+' : ''}{holding.change.value}pp QoQ
+                  </span>
+                )}
+              </span>
+            ))}
+          </div>
+
+          {promoterChanges.length > 0 && (
+            <div className="shareholding-promoter-alert" role="note">
+              ⚠️ Large promoter stake changes (±{SHAREHOLDING_LARGE_PROMOTER_CHANGE_PP}pp or more):{' '}
+              {promoterChanges.map((change, index) => (
+                <span key={change.label}>
+                  {index > 0 && ', '}
+                  {change.label}{' '}
+                  <span className={change.change.colorClass}>{change.change.raw > 0 ? '+' : ''}{change.change.value}pp</span>
+                </span>
+              ))}
+            </div>
+          )}
+
+          <div className="shareholding-chart-container">
+            <Line
+              data={{
+                labels: quarters.map(quarter => quarter.label),
+                datasets: series.map((category, index) => {
+                  const color = CATEGORY_COLORS[category.key] || FALLBACK_COLOR;
+                  const isPromoter = category.key === SHAREHOLDING_PROMOTER_KEY;
+                  return {
+                    label: category.key,
+                    data: category.values,
+                    borderColor: color.border,
+                    backgroundColor: color.background,
+                    fill: index === 0 ? 'origin' : '-1', // Stacked areas: each fills down to the one below
+                    tension: 0.2,
+                    borderWidth: 1.5,
+                    // Quarters with a large promoter stake change get a larger, outlined point
+                    pointRadius: isPromoter ? quarters.map(quarter => (largeChangeLabels.includes(quarter.label) ? 6 : 2)) : 2,
+                    pointBorderColor: isPromoter ? quarters.map(quarter => (largeChangeLabels.includes(quarter.label) ? '#dc3545' : color.border)) : color.border,
+                    pointBorderWidth: isPromoter ? quarters.map(quarter => (largeChangeLabels.includes(quarter.label) ? 3 : 1)) : 1,
+                  };
+                }),
+              }}
+              options={{
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: { mode: 'index', intersect: false },
+                scales: {
+                  x: {
+                    grid: { color: '#4F545C' },
+                    ticks: { color: '#DCDDDE' },
+                  },
+                  y: {
+                    stacked: true,
+                    min: 0,
+                    max: 100,
+                    title: { display: true, text: 'Holding (%)', color: '#DCDDDE' },
+                    grid: { color: '#4F545C' },
+                    ticks: { color: '#DCDDDE' },
+                  },
+                },
+                plugins: {
+                  legend: { labels: { color: '#DCDDDE' } },
+                  tooltip: {
+                    callbacks: {
+                      label: (context) => `${context.dataset.label}: ${context.parsed.y === null ? DEFAULT_NA_STRING : `${context.parsed.y.toFixed(2)}%`}`,
+                    },
+                  },
+                },
+              }}
+            />
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+ShareholdingSection.propTypes = {
+  shareholdingTrends: PropTypes.shape({
+    quarters: PropTypes.arrayOf(PropTypes.shape({ holdingDate: PropTypes.string, label: PropTypes.string })).isRequired,
+    series: PropTypes.arrayOf(PropTypes.object).isRequired,
+    latest: PropTypes.arrayOf(PropTypes.object).isRequired,
+    promoterChanges: PropTypes.arrayOf(PropTypes.object).isRequired,
+  }).isRequired,
+  Line: PropTypes.elementType.isRequired,
+};
+
+export default ShareholdingSection;
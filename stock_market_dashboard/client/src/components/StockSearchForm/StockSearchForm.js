@@ -1,7 +1,8 @@
 import React, { useState, useEffect, useCallback, useRef, useLayoutEffect } from 'react';
 import ReactDOM from 'react-dom'; // Import ReactDOM for createPortal
 import PropTypes from 'prop-types';
-import { PLACEHOLDER_TEXTS, TYPING_SPEED, DELETING_SPEED, HOLD_DURATION } from '../../constants';
+import { PLACEHOLDER_TEXTS, TYPING_SPEED, DELETING_SPEED, HOLD_DURATION, SYMBOL_SEARCH_API_URL, SYMBOL_SUGGESTIONS_DISPLAY_COUNT } from '../../constants';
+import { fetchFromBackend } from '../../utils/apiUtils';
 import './StockSearchForm.css';
 
 // Helper function to highlight matching text
@@ -31,7 +32,6 @@ const StockSearchForm = ({ symbol, onSymbolChange, onSubmit, loading, showHint }
   const [placeholderIndex, setPlaceholderIndex] = useState(0);
   const [isDeleting, setIsDeleting] = useState(false);
 
-  const [stockListData, setStockListData] = useState([]);
   const [suggestions, setSuggestions] = useState([]);
   const [showSuggestions, setShowSuggestions] = useState(false);
   const [activeSuggestionIndex, setActiveSuggestionIndex] = useState(-1);
@@ -41,46 +41,7 @@ const StockSearchForm = ({ symbol, onSymbolChange, onSubmit, loading, showHint }
   const inputRef = useRef(null); // Ref for the input field to get its dimensions/position
   const suggestionsRef = useRef(null); // Ref for the suggestions list (if needed for click outside)
   const debounceTimeoutRef = useRef(null);
-
-  // Fetch and parse CSV data
-  useEffect(() => {
-    fetch('/EQUITY_L.csv')
-      .then(response => response.text())
-      .then(csvText => {
-        const lines = csvText.split('\n');
-        if (lines.length < 2) {
-          console.error('CSV is empty or has no header');
-          setStockListData([]);
-          return;
-        }
-        const headers = lines[0].split(',').map(header => header.trim());
-        const symbolIndex = headers.indexOf('SYMBOL');
-        const nameIndex = headers.indexOf('NAME OF COMPANY');
-
-        if (symbolIndex === -1 || nameIndex === -1) {
-          console.error('CSV headers SYMBOL or NAME OF COMPANY not found');
-          setStockListData([]);
-          return;
-        }
-
-        const data = lines.slice(1).map(line => {
-          const values = line.split(',');
-          const stockSymbol = values[symbolIndex]?.trim();
-          // Attempt to correctly parse company name even if it contains commas
-          const companyName = values.slice(nameIndex, values.length - (headers.length - 1 - nameIndex)).join(',').trim().replace(/^"|"$/g, '');
-
-          if (stockSymbol && companyName) {
-            return { symbol: stockSymbol, name: companyName };
-          }
-          return null;
-        }).filter(item => item !== null && item.symbol && item.name);
-        setStockListData(data);
-      })
-      .catch(error => {
-        console.error('Error fetching or parsing stock list CSV:', error);
-        setStockListData([]);
-      });
-  }, []);
+  const latestQueryRef = useRef(''); // Query of the most recent search, to ignore out-of-order responses
 
   // Placeholder animation logic
   useEffect(() => {
@@ -167,20 +128,29 @@ const StockSearchForm = ({ symbol, onSymbolChange, onSubmit, loading, showHint }
     return () => document.removeEventListener('mousedown', handleClickOutside);
   }, [showSuggestions, formRef, suggestionsRef]); // Added showSuggestions and suggestionsRef
 
-  const fetchSuggestions = useCallback((value) => {
-    if (value.length >= 3 && stockListData.length > 0) {
-      const lowercasedValue = value.toLowerCase();
-      const filteredSuggestions = stockListData.filter(stock =>
-        stock.symbol.toLowerCase().includes(lowercasedValue) ||
-        stock.name.toLowerCase().includes(lowercasedValue)
+  // Suggestions come from the backend's ranked search over the NSE equity master (symbol and company name)
+  const fetchSuggestions = useCallback(async (value) => {
+    latestQueryRef.current = value;
+    if (value.length < 3) {
+      setSuggestions([]);
+      setShowSuggestions(false);
+      return;
+    }
+    try {
+      const data = await fetchFromBackend(
+        `${SYMBOL_SEARCH_API_URL}?q=${encodeURIComponent(value)}&limit=${SYMBOL_SUGGESTIONS_DISPLAY_COUNT}`,
+        'Symbol Search'
       );
-      setSuggestions(filteredSuggestions.slice(0, 10));
+      if (latestQueryRef.current !== value) return; // A newer search has started
+      setSuggestions(data.results || []);
       setShowSuggestions(true);
-    } else {
+    } catch (error) {
+      console.error('Error fetching symbol suggestions:', error);
+      if (latestQueryRef.current !== value) return;
       setSuggestions([]);
       setShowSuggestions(false);
     }
-  }, [stockListData]);
+  }, []);
 
   const debouncedFetchSuggestions = useCallback((value) => {
     clearTimeout(debounceTimeoutRef.current);
@@ -195,10 +165,12 @@ const StockSearchForm = ({ symbol, onSymbolChange, onSubmit, loading, showHint }
     setActiveSuggestionIndex(-1);
     if (value.length === 0) {
       clearTimeout(debounceTimeoutRef.current);
+      latestQueryRef.current = '';
       setSuggestions([]);
       setShowSuggestions(false);
     } else if (value.length < 3) {
       clearTimeout(debounceTimeoutRef.current);
+      latestQueryRef.current = '';
       setSuggestions([]);
       setShowSuggestions(false);
     } else {
@@ -207,6 +179,7 @@ const StockSearchForm = ({ symbol, onSymbolChange, onSubmit, loading, showHint }
   };
 
   const handleSuggestionClick = useCallback((suggestion) => {
+    latestQueryRef.current = ''; // Ignore a search still in flight
     onSymbolChange(suggestion.symbol);
     setSuggestions([]);
     setShowSuggestions(false);
@@ -239,6 +212,7 @@ const StockSearchForm = ({ symbol, onSymbolChange, onSubmit, loading, showHint }
       if (activeSuggestionIndex >= 0 && activeSuggestionIndex < suggestions.length) {
         event.preventDefault();
         const selectedSymbol = suggestions[activeSuggestionIndex].symbol.trim();
+        latestQueryRef.current = ''; // Ignore a search still in flight
         onSymbolChange(selectedSymbol);
         onSubmit(selectedSymbol);
         setShowSuggestions(false);
@@ -253,6 +227,8 @@ const StockSearchForm = ({ symbol, onSymbolChange, onSubmit, loading, showHint }
   };
 
   const handleClearInput = () => {
+    clearTimeout(debounceTimeoutRef.current);
+    latestQueryRef.current = '';
     onSymbolChange('');
     setSuggestions([]);
     setShowSuggestions(false);
@@ -1,10 +1,15 @@
-// API Configuration: Base URLs and Keys for accessing stock market data.
-// IMPORTANT: For production, these API keys should be moved to environment variables
-// and not hardcoded in the source. Refer to the README for initial setup.
-export const EXTERNAL_API_BASE_URL = 'https://stock.indianapi.in/stock';
-export const HISTORICAL_API_BASE_URL = 'https://stock.indianapi.in/historical_data';
-export const PRIMARY_API_KEY = 'sk-live-J5qjZSiFJQ2sq09sPQfr6JRUufO8t3k7yPIqUVJa';
-export const BACKUP_API_KEY = 'sk-live-a5Dc4nJRfs2CYF2WQiaIjLVl0szju43jFkfXCzVr';
+// API Configuration: Backend endpoints for stock market data.
+// All requests go through our Express server (see `proxy` in package.json), which holds the
+// external API keys. No API key is ever part of the client bundle.
+// Stock data comes from the v2 route, which returns the payload already normalized by the shared adapter.
+export const EXTERNAL_API_BASE_URL = '/api/v2/stock';
+export const HISTORICAL_API_BASE_URL = '/api/historical';
+export const SYMBOL_SEARCH_API_URL = '/api/symbols/search'; // Ranked search over the NSE equity master
+export const LIVE_PRICE_STREAM_URL = '/api/stream/prices'; // Server-Sent Events stream of live quotes
+// API token issued by the backend (see "Access Control and Rate Limits" in the README). Needed when the
+// backend runs with REQUIRE_API_TOKEN. It is built into the public bundle, so it identifies the dashboard
+// and is neither a secret nor protection: the backend's per-token rate limits and daily cap bound its use.
+export const API_TOKEN = process.env.REACT_APP_API_TOKEN || '';
 
 // UI Display Limits: Constants controlling the number of items or length of text displayed in various UI sections.
 export const COMPANY_PROFILE_DESCRIPTION_MAX_LENGTH = 500;
@@ -12,10 +17,13 @@ export const PEER_COMPANIES_DISPLAY_COUNT = 10;
 export const KEY_MANAGEMENT_DISPLAY_COUNT = 5;
 export const RECENT_NEWS_DISPLAY_COUNT = 5;
 export const INITIAL_METRICS_DISPLAY_COUNT = 7;
+export const SYMBOL_SUGGESTIONS_DISPLAY_COUNT = 10;
+export const QUARTERLY_RESULTS_DISPLAY_COUNT = 12; // Latest quarters shown in the Quarterly Results tab
+export const SHAREHOLDING_LARGE_PROMOTER_CHANGE_PP = 1; // Promoter stake change between quarters (percentage points) highlighted as large
 
-// Historical Data Configuration: Defines available periods and filters for historical data charts.
-export const HISTORICAL_PERIODS = ['1m', '6m', '1yr', '3yr', '5yr', '10yr', 'max'];
-export const HISTORICAL_FILTERS = ['default', 'price', 'pe', 'sm', 'evebitda', 'ptb', 'mcs'];
+// Historical Data Configuration: available periods and filters for historical data charts.
+// They come from the shared package, which the server validates /api/historical requests against.
+export { HISTORICAL_PERIODS, HISTORICAL_FILTERS } from 'stock-dashboard-shared';
 
 // Search Bar Animation: Configuration for the animated placeholder text in the search input.
 export const PLACEHOLDER_TEXTS = [
@@ -1,6 +1,8 @@
 import { useMemo } from 'react';
 import {
     DEFAULT_NA_STRING, // This was unused but is actually used, re-adding
+    FIN_SERIES_YEARLY,
+    selectFinancialSeries,
     // Assuming these are correctly pathed if they are used by the metric calcs directly inside this hook.
     // However, the original App.js passes memoized versions of these from App.js scope.
     // For this hook, it's better to receive these calculation functions as parameters for better testability and decoupling.
@@ -21,6 +23,7 @@ function useCategorizedMetrics(
     memoizedFormatCurrency,
     memoizedCalculateYoYGrowth,
     memoizedCalculateCAGR,
+    memoizedCalculateTTMFundamentals,
     memoizedCalculateProfitabilityMetrics,
     memoizedCalculateValuationMetrics,
     memoizedCalculateCashFlowHealthMetrics,
@@ -37,13 +40,20 @@ function useCategorizedMetrics(
     memoizedCalculateKeyTechnicalIndicators, // This was in App.js's categorizedMetrics, ensure it's still desired here or separate
     memoizedCalculateOverallSentimentMetrics,
     memoizedCalculatePeerAverage,
-    memoizedGetPeerComparisonDetails
+    memoizedGetPeerComparisonDetails,
+    memoizedMergeKeyMetrics
 ) {
     const categorizedMetrics = useMemo(() => {
         if (stockData && stockData.financialStatements && stockData.financialStatements.yearly && stockData.companyProfile && stockData.currentPrice && stockData.technicalIndicators && stockData.primaryCompanyPeerData && stockData.actualPeers) {
             const metrics = {};
-            const yearlyFinancialData = stockData.financialStatements.yearly;
+            // Each calculation selects the series it needs from { yearly, quarterly }; the previous
+            // fiscal year gates the YoY calculations below.
+            const financialStatements = stockData.financialStatements;
+            const yearlyFinancialData = selectFinancialSeries(financialStatements, FIN_SERIES_YEARLY);
             const financialsPreviousYear = yearlyFinancialData.length > 1 ? memoizedGetSafe(() => yearlyFinancialData[1]) : null;
+            // Most recent fundamentals (TTM when the last four quarters are available, else the latest fiscal year)
+            // for P/E, EV/EBITDA, margins and RoE
+            const fundamentals = memoizedCalculateTTMFundamentals(financialStatements);
 
             const primaryCompanyDataForMetrics = stockData.primaryCompanyPeerData;
             const actualPeersForAverage = stockData.actualPeers;
@@ -55,7 +65,8 @@ function useCategorizedMetrics(
             const avgPeerRoE = memoizedCalculatePeerAverage(actualPeersForAverage, 'returnOnAverageEquityTrailing12Month', memoizedFormatPercentage);
 
             const { metrics: profitabilityMetricsData, netIncomeRaw } = memoizedCalculateProfitabilityMetrics(
-                yearlyFinancialData,
+                financialStatements,
+                fundamentals,
                 memoizedFindFinancialByYear,
                 memoizedFormatToCrores,
                 memoizedFormatPercentage
@@ -65,7 +76,8 @@ function useCategorizedMetrics(
             const { metrics: valuationMetricsData, goodwillNetRaw, intangiblesNetRaw, nsePriceRaw } = memoizedCalculateValuationMetrics(
                 stockData.currentPrice,
                 primaryCompanyDataForMetrics,
-                yearlyFinancialData,
+                financialStatements,
+                fundamentals,
                 memoizedFindFinancialByYear,
                 memoizedFormatRatio,
                 memoizedFormatToCrores,
@@ -79,7 +91,7 @@ function useCategorizedMetrics(
 
             if (netIncomeRaw !== undefined) {
                 const { metrics: cashFlowHealthMetricsData } = memoizedCalculateCashFlowHealthMetrics(
-                    yearlyFinancialData,
+                    financialStatements,
                     netIncomeRaw,
                     memoizedFindFinancialByYear,
                     memoizedFormatToCrores,
@@ -91,7 +103,7 @@ function useCategorizedMetrics(
             }
             
             const { metrics: advancedCashFlowMetricsData, interestPaidCASRaw } = memoizedCalculateAdvancedCashFlowInsights(
-                yearlyFinancialData,
+                financialStatements,
                 memoizedFindFinancialByYear,
                 memoizedFormatToCrores
             );
@@ -101,7 +113,7 @@ function useCategorizedMetrics(
 
             if (interestPaidCASRaw !== undefined) {
                 const { metrics: financialHealthDebtMetricsData, totalAssetsBALRaw, tangibleBookValuePerShareRaw, totalEquityRaw } = memoizedCalculateFinancialHealthAndDebtMetrics(
-                    yearlyFinancialData,
+                    financialStatements,
                     interestPaidCASRaw,
                     memoizedFindFinancialByYear,
                     memoizedFormatToCrores,
@@ -126,6 +138,7 @@ function useCategorizedMetrics(
                 if (netIncomeRaw !== undefined && totalAssetsBALRaw !== undefined) {
                      const { metrics: efficiencyRatiosData } = memoizedCalculateEfficiencyRatios(
                         primaryCompanyDataForMetrics,
+                        fundamentals,
                         netIncomeRaw,       
                         totalAssetsBALRaw,  
                         avgPeerRoE,         
@@ -139,7 +152,7 @@ function useCategorizedMetrics(
 
                 if (totalEquityRaw !== undefined) {
                     const { metrics: shareCapitalMetricsData } = memoizedCalculateShareCapitalInsights(
-                        yearlyFinancialData,
+                        financialStatements,
                         totalEquityRaw, 
                         memoizedFindFinancialByYear,
                         memoizedFormatCurrency
@@ -159,7 +172,7 @@ function useCategorizedMetrics(
             }
 
             const { metrics: shareholderReturnsMetricsData, epsDilutedCurrentYoY } = memoizedCalculateShareholderReturnsMetrics(
-                yearlyFinancialData,
+                financialStatements,
                 primaryCompanyDataForMetrics,
                 avgPeerDivYield,
                 memoizedFindFinancialByYear,
@@ -171,7 +184,7 @@ function useCategorizedMetrics(
 
             if (financialsPreviousYear) {
                 const { metrics: operationalEfficiencyData } = memoizedCalculateOperationalEfficiencyMetrics(
-                    yearlyFinancialData,
+                    financialStatements,
                     financialsPreviousYear,
                     memoizedFindFinancialByYear,
                     memoizedFormatToCrores,
@@ -186,7 +199,7 @@ function useCategorizedMetrics(
 
             if (financialsPreviousYear && netIncomeRaw !== undefined && epsDilutedCurrentYoY !== undefined && tangibleBookValuePerShareRawForGrowth !== undefined) {
                 const { metrics: growthTrendsData } = memoizedCalculateGrowthTrendsMetrics(
-                    yearlyFinancialData,
+                    financialStatements,
                     financialsPreviousYear,
                     netIncomeRaw,
                     epsDilutedCurrentYoY,
@@ -200,14 +213,14 @@ function useCategorizedMetrics(
             }
             
             const { metrics: historicalPerformanceData } = memoizedCalculateHistoricalPerformanceMetrics(
-                yearlyFinancialData,
+                financialStatements,
                 memoizedFindFinancialByYear,
                 memoizedCalculateCAGR
             );
             metrics.historicalPerformance = historicalPerformanceData;
             
             const { metrics: liquidityData } = memoizedCalculateLiquidityRatios(
-                yearlyFinancialData,
+                financialStatements,
                 memoizedFindFinancialByYear,
                 memoizedFormatToCrores,
                 memoizedFormatRatio
@@ -230,19 +243,27 @@ function useCategorizedMetrics(
                 stockData.analystSentiment
             );
 
-            return metrics;
+            // The API's own key metrics (keyMetrics), next to ours where the two differ
+            return memoizedMergeKeyMetrics(
+                metrics,
+                stockData.keyMetrics,
+                memoizedFormatToCrores,
+                memoizedFormatPercentage,
+                memoizedFormatRatio,
+                memoizedFormatCurrency
+            );
         }
         return {};
     }, [
         stockData, memoizedGetSafe, memoizedFindFinancialByYear, memoizedFormatToCrores, memoizedFormatPercentage, memoizedFormatRatio, memoizedFormatCurrency,
-        memoizedCalculateYoYGrowth, memoizedCalculateCAGR,
+        memoizedCalculateYoYGrowth, memoizedCalculateCAGR, memoizedCalculateTTMFundamentals,
         memoizedCalculateProfitabilityMetrics, memoizedCalculateValuationMetrics, memoizedCalculateCashFlowHealthMetrics,
         memoizedCalculateAdvancedCashFlowInsights, memoizedCalculateFinancialHealthAndDebtMetrics,
         memoizedCalculateAssetQualityInsights, memoizedCalculateShareholderReturnsMetrics, memoizedCalculateShareCapitalInsights,
         memoizedCalculateEfficiencyRatios, memoizedCalculateOperationalEfficiencyMetrics, memoizedCalculateGrowthTrendsMetrics,
         memoizedCalculateHistoricalPerformanceMetrics, memoizedCalculateLiquidityRatios,
         memoizedCalculateKeyTechnicalIndicators, memoizedCalculateOverallSentimentMetrics,
-        memoizedCalculatePeerAverage, memoizedGetPeerComparisonDetails
+        memoizedCalculatePeerAverage, memoizedGetPeerComparisonDetails, memoizedMergeKeyMetrics
     ]);
 
     return categorizedMetrics;
@@ -1,12 +1,12 @@
 import { useState, useCallback } from 'react';
-import { HISTORICAL_API_BASE_URL, PRIMARY_API_KEY, BACKUP_API_KEY } from '../constants';
-import { fetchDataWithFallback } from '../utils/apiUtils';
+import { HISTORICAL_API_BASE_URL } from '../constants';
+import { fetchFromBackend } from '../utils/apiUtils';
 
 /**
  * @file useHistoricalDataApi.js
  * @description Custom hook for fetching and managing historical stock data.
  * Encapsulates historical data state, loading/error states, period/filter selection,
- * and the API call logic with fallback for historical data.
+ * and the API call to the backend's historical data route.
  */
 function useHistoricalDataApi(symbol, stockData, initialPeriod = '1yr', initialFilter = 'price') {
   const [historicalData, setHistoricalData] = useState(null);
@@ -25,16 +25,10 @@ function useHistoricalDataApi(symbol, stockData, initialPeriod = '1yr', initialF
     setHistoricalError(null);
 
     const currentQueryKey = `${symbol.toUpperCase()}-${historicalPeriod}-${historicalFilter}`;
-    const url = `${HISTORICAL_API_BASE_URL}?stock_name=${symbol.toUpperCase()}&period=${historicalPeriod}&filter=${historicalFilter}`;
+    const url = `${HISTORICAL_API_BASE_URL}?symbol=${encodeURIComponent(symbol.toUpperCase())}&period=${historicalPeriod}&filter=${historicalFilter}`;
 
     try {
-      const data = await fetchDataWithFallback(
-        url,
-        PRIMARY_API_KEY,
-        BACKUP_API_KEY,
-        'Primary (Historical Data)',
-        'Backup (Historical Data)'
-      );
+      const data = await fetchFromBackend(url, 'Historical Data');
       setHistoricalData({ data, queryKey: currentQueryKey });
     } catch (err) {
       setHistoricalError(err.message);
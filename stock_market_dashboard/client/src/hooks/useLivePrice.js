@@ -0,0 +1,46 @@
+import { useState, useEffect } from 'react';
+import { LIVE_PRICE_STREAM_URL, API_TOKEN } from '../constants';
+
+/**
+ * @file useLivePrice.js
+ * @description Custom hook for streaming the live price of one symbol from the backend's
+ * Server-Sent Events route. Only the quote (NSE/BSE price and percent change) is streamed, so the
+ * price can tick without re-fetching the full stock payload. The browser's EventSource reconnects
+ * on its own after a dropped connection; the stream is closed when the symbol changes or on unmount.
+ * EventSource cannot send headers, so the API token (if any) goes in the `access_token` query parameter.
+ */
+function useLivePrice(symbol) {
+  const [quote, setQuote] = useState(null);
+  const [lastUpdated, setLastUpdated] = useState(null);
+  const [marketOpen, setMarketOpen] = useState(null);
+  const [connected, setConnected] = useState(false);
+
+  useEffect(() => {
+    setQuote(null);
+    setLastUpdated(null);
+    setMarketOpen(null);
+    setConnected(false);
+    if (!symbol || typeof window === 'undefined' || !window.EventSource) return undefined;
+
+    const tokenParam = API_TOKEN ? `&access_token=${encodeURIComponent(API_TOKEN)}` : '';
+    const source = new EventSource(`${LIVE_PRICE_STREAM_URL}?symbols=${encodeURIComponent(symbol.toUpperCase())}${tokenParam}`);
+
+    source.onopen = () => setConnected(true);
+    source.onerror = () => setConnected(false); // EventSource retries by itself unless the server rejected the stream
+    source.addEventListener('status', (event) => {
+      const status = JSON.parse(event.data);
+      setMarketOpen(status.marketOpen);
+    });
+    source.addEventListener('price', (event) => {
+      const update = JSON.parse(event.data);
+      setQuote({ nse: update.nse, bse: update.bse, percentChange: update.percentChange });
+      setLastUpdated(new Date(update.updatedAt));
+    });
+
+    return () => source.close();
+  }, [symbol]);
+
+  return { quote, lastUpdated, marketOpen, connected };
+}
+
+export default useLivePrice;
@@ -0,0 +1,40 @@
+import { useMemo } from 'react';
+import { QUARTERLY_RESULTS_DISPLAY_COUNT } from '../constants';
+
+/**
+ * @file useQuarterlyResults.js
+ * @description Custom hook computing the Quarterly Results tab's data from the quarterly financial
+ * series, using useMemo so it is only recalculated when the stock data changes.
+ */
+function useQuarterlyResults(
+    stockData,
+    // Memoized utilities passed from App.js, as for useCategorizedMetrics
+    memoizedCalculateQuarterlyResults,
+    memoizedFindFinancialByYear,
+    memoizedCalculateYoYGrowth,
+    memoizedFormatToCrores,
+    memoizedFormatCurrency,
+    memoizedFormatPercentage
+) {
+    const quarterlyResults = useMemo(() => {
+        if (!stockData || !stockData.financialStatements) {
+            return { quarters: [] };
+        }
+        return memoizedCalculateQuarterlyResults(
+            stockData.financialStatements,
+            memoizedFindFinancialByYear,
+            memoizedCalculateYoYGrowth,
+            memoizedFormatToCrores,
+            memoizedFormatCurrency,
+            memoizedFormatPercentage,
+            QUARTERLY_RESULTS_DISPLAY_COUNT
+        );
+    }, [
+        stockData, memoizedCalculateQuarterlyResults, memoizedFindFinancialByYear, memoizedCalculateYoYGrowth,
+        memoizedFormatToCrores, memoizedFormatCurrency, memoizedFormatPercentage
+    ]);
+
+    return quarterlyResults;
+}
+
+export default useQuarterlyResults;
@@ -0,0 +1,29 @@
+import { useMemo } from 'react';
+import { SHAREHOLDING_LARGE_PROMOTER_CHANGE_PP } from '../constants';
+
+/**
+ * @file useShareholdingTrends.js
+ * @description Custom hook computing the shareholding trends shown in the Company Details tab from the
+ * shareholding pattern, using useMemo so it is only recalculated when the stock data changes.
+ */
+function useShareholdingTrends(
+    stockData,
+    // Memoized utilities passed from App.js, as for useCategorizedMetrics
+    memoizedCalculateShareholdingTrends,
+    memoizedFormatPercentage
+) {
+    const shareholdingTrends = useMemo(() => {
+        if (!stockData || !stockData.shareHoldingPattern) {
+            return { quarters: [], series: [], latest: [], promoterChanges: [] };
+        }
+        return memoizedCalculateShareholdingTrends(
+            stockData.shareHoldingPattern,
+            memoizedFormatPercentage,
+            SHAREHOLDING_LARGE_PROMOTER_CHANGE_PP
+        );
+    }, [stockData, memoizedCalculateShareholdingTrends, memoizedFormatPercentage]);
+
+    return shareholdingTrends;
+}
+
+export default useShareholdingTrends;
@@ -1,13 +1,12 @@
 import { useState, useCallback } from 'react';
-import { transformStockDataApiResponse } from '../apiAdapter';
-import { EXTERNAL_API_BASE_URL, PRIMARY_API_KEY, BACKUP_API_KEY } from '../constants';
-import { fetchDataWithFallback } from '../utils/apiUtils';
+import { EXTERNAL_API_BASE_URL } from '../constants';
+import { fetchFromBackend } from '../utils/apiUtils';
 
 /**
  * @file useStockDataApi.js
  * @description Custom hook to manage fetching and state for primary stock data.
  * Encapsulates symbol input, stock data, loading status, error handling,
- * and the API call logic including API key fallback.
+ * and the API call to the backend (which handles API key fallback).
  */
 function useStockDataApi(initialSymbol = '') {
   const [symbol, setSymbol] = useState(initialSymbol);
@@ -29,17 +28,12 @@ function useStockDataApi(initialSymbol = '') {
     setError(null);
     setStockData(null); // Clear previous data
 
-    const url = `${EXTERNAL_API_BASE_URL}?name=${symbolToFetch.toUpperCase()}`;
+    const url = `${EXTERNAL_API_BASE_URL}?symbol=${encodeURIComponent(symbolToFetch.toUpperCase())}`;
 
     try {
-      const rawData = await fetchDataWithFallback(
-        url,
-        PRIMARY_API_KEY,
-        BACKUP_API_KEY,
-        'Primary (Stock Data)',
-        'Backup (Stock Data)'
-      );
-      setStockData(transformStockDataApiResponse(rawData));
+      // The backend returns the normalized shape (see shared/stockAdapter.js), ready for the UI
+      const normalizedData = await fetchFromBackend(url, 'Stock Data');
+      setStockData(normalizedData);
     } catch (err) {
       setError(err.message);
       setStockData(null);
@@ -9,13 +9,22 @@
 // - Helper functions for processing and extracting specific data pieces from API responses.
 // The functions are designed to be robust, handling potential errors and missing data gracefully.
 
-// Default string for N/A (Not Available) values
-export const DEFAULT_NA_STRING = 'N/A';
+import {
+  DEFAULT_NA_STRING,
+  getSafe as getSafeShared,
+  getPrimaryCompanyDataFromPeerList as getPrimaryCompanyDataFromPeerListShared,
+  calculateSMA as calculateSMAShared,
+  calculateRSI as calculateRSIShared,
+} from 'stock-dashboard-shared';
+
+// Default string for N/A (Not Available) values.
+// Defined in the shared package so the server-side adapter and the client agree on it.
+export { DEFAULT_NA_STRING };
 
 // ================================================================================================
 // FINANCIAL DATA KEYS (CONSTANTS)
 // These constants represent the keys used to access specific financial items
-// from the transformed API response (structured by apiAdapter.js).
+// from the transformed API response (structured by shared/stockAdapter.js).
 // Using constants helps avoid typos and improves maintainability.
 // ================================================================================================
 
@@ -24,6 +33,10 @@ export const STMT_INC = 'INC'; // Income Statement
 export const STMT_BAL = 'BAL'; // Balance Sheet
 export const STMT_CAS = 'CAS'; // Cash Flow Statement
 
+// Financial Period Series (see `financialStatements` in shared/stockAdapter.js)
+export const FIN_SERIES_YEARLY = 'yearly'; // Annual periods, newest first
+export const FIN_SERIES_QUARTERLY = 'quarterly'; // Interim (quarterly) periods, newest first
+
 // --- Income Statement Keys ---
 export const FIN_KEY_REVENUE = 'Revenue';
 export const FIN_KEY_NET_INCOME = 'NetIncome';
@@ -72,34 +85,25 @@ export const FIN_KEY_CASH_FROM_FINANCING_ACTIVITIES_CAS = 'CashfromFinancingActi
 // UTILITY FUNCTIONS
 // ================================================================================================
 
+// Safe accessor for nested data; see `getSafe` in the shared package (shared/dataUtils.js).
+export const getSafeInternal = getSafeShared;
+
 /**
- * Safely retrieves a value from a nested object structure using a function.
- * @param {function} fn - A function that, when called, returns the desired value.
- * @param {*} [defaultValue=DEFAULT_NA_STRING] - The value to return if retrieval fails or value is null/undefined.
- * @returns {*} The retrieved value or the default value.
+ * Selects one series of financial periods from the `financialStatements` section of adaptedStockData.
+ * Metric calculations choose their series explicitly, so a quarter is never compared against a year.
+ * @param {Object} financialStatements - The `{ yearly, quarterly }` financial statements (normalized by shared/stockAdapter.js).
+ * @param {string} series - FIN_SERIES_YEARLY or FIN_SERIES_QUARTERLY.
+ * @returns {Array<Object>} The periods of the series, newest first (empty if unavailable).
  */
-export const getSafeInternal = (fn, defaultValue = DEFAULT_NA_STRING) => {
-  try {
-    const value = fn();
-    // Check for undefined, null, or empty string
-    if (value === undefined || value === null || value === '') {
-      return defaultValue;
-    }
-    // Handle cases where API might return a single hyphen for N/A
-    if (typeof value === 'string' && value.trim() === '-') {
-      return defaultValue;
-    }
-    return value;
-  } catch (e) {
-    // Catch any errors during function execution (e.g., accessing property of undefined)
-    return defaultValue;
-  }
+export const selectFinancialSeriesInternal = (financialStatements, series) => {
+  const periods = getSafeInternal(() => financialStatements[series], []);
+  return Array.isArray(periods) ? periods : [];
 };
 
 /**
- * Finds a specific financial data point from the yearly financial data.
- * @param {Array<Object>} yearlyFinancialData - Array of yearly financial objects (transformed by apiAdapter).
- * @param {number} yearIndex - The index of the year in the array (0 for current, 1 for previous, etc.).
+ * Finds a specific financial data point in a series of financial periods (see `selectFinancialSeriesInternal`).
+ * @param {Array<Object>} yearlyFinancialData - Array of financial period objects of one series, newest first.
+ * @param {number} yearIndex - The index of the period in the array (0 for current, 1 for previous, etc.).
  * @param {string} statementTypeConstant - The type of financial statement (STMT_INC, STMT_BAL, STMT_CAS).
  * @param {string} key - The specific financial item key (e.g., FIN_KEY_REVENUE).
  * @param {*} [defaultValue=DEFAULT_NA_STRING] - Value to return if the item is not found.
@@ -228,24 +232,8 @@ export const calculateCAGRInternal = (endValue, startValue, years, defaultValue
   return { value: cagr.toFixed(2), unit: '%', raw: cagr, colorClass };
 };
 
-/**
- * Extracts primary company data from a list of peer companies.
- * Tries to match based on NSE exchange code first, then by company name.
- * @param {object} stockJSON - The raw stock data object (pre-apiAdapter if it contains the peer list structure directly).
- * @param {function} getSafeFnRef - Reference to the getSafeInternal function.
- * @returns {object} The primary company's data object from the peer list, or an empty object if not found.
- */
-export const getPrimaryCompanyDataFromPeerListInternal = (stockJSON, getSafeFnRef) => {
-  const peers = getSafeFnRef(() => stockJSON.companyProfile.peerCompanyList, []);
-  const nseCode = getSafeFnRef(() => stockJSON.companyProfile.exchangeCodeNse, '').toUpperCase();
-  let companyData = peers.find(p => getSafeFnRef(() => p.tickerId, '').toUpperCase() === nseCode);
-  if (companyData) return companyData;
-  const currentCompanyName = getSafeFnRef(() => stockJSON.companyName, '').toLowerCase();
-  if (currentCompanyName) {
-    companyData = peers.find(p => getSafeFnRef(() => p.companyName, '').toLowerCase().includes(currentCompanyName.split(' ')[0]));
-  }
-  return companyData || {};
-};
+// Finds the primary company's entry in its own peer list; see shared/dataUtils.js.
+export const getPrimaryCompanyDataFromPeerListInternal = getPrimaryCompanyDataFromPeerListShared;
 
 /**
  * Calculates the tenure (duration) based on a "since" date string.
@@ -365,23 +353,8 @@ export const getPeerComparisonDetailsInternal = (companyRaw, peerAvgObj, metricN
 // These typically operate on an array of numerical data (e.g., closing prices).
 // ================================================================================================
 
-/**
- * Calculates Simple Moving Average (SMA).
- * The SMA is the unweighted mean of the previous `period` data points.
- * @param {Array<number>} data - Array of numerical data (e.g., closing prices).
- * @param {number} period - The lookback period for the SMA calculation.
- * @returns {Array<number|null>} Array of SMA values. The length of this array will be `data.length - period + 1`.
- *                               Returns an empty array if `data` length is less than `period`.
- */
-export const calculateSMAInternal = (data, period) => {
-  if (!data || data.length < period) return [];
-  const sma = [];
-  for (let i = period - 1; i < data.length; i++) {
-    const sum = data.slice(i - period + 1, i + 1).reduce((acc, val) => acc + val, 0);
-    sma.push(sum / period);
-  }
-  return sma;
-};
+// Simple Moving Average (SMA); see `calculateSMA` in the shared package (shared/indicators.js), also used by the server's alert engine.
+export const calculateSMAInternal = calculateSMAShared;
 
 /**
  * Calculates Exponential Moving Average (EMA).
@@ -425,52 +398,8 @@ export const calculateStandardDeviationInternal = (data, period) => {
   return stdDevs;
 };
 
-/**
- * Calculates Relative Strength Index (RSI).
- * @param {Array<number>} data - Array of price data.
- * @param {number} [period=14] - The period for RSI calculation.
- * @returns {Array<number|null>} Array of RSI values.
- */
-export const calculateRSIInternal = (data, period = 14) => {
-  if (!data || data.length < period + 1) return []; // Need at least period + 1 data points for the first change
-
-  let gains = 0;
-  let losses = 0;
-
-  // Calculate initial average gains and losses
-  for (let i = 1; i <= period; i++) {
-    const change = data[i] - data[i - 1];
-    if (change > 0) {
-      gains += change;
-    } else {
-      losses += Math.abs(change);
-    }
-  }
-
-  let avgGain = gains / period;
-  let avgLoss = losses / period;
-  const rsiValues = [];
-  
-  for (let i = period + 1; i < data.length; i++) {
-    const change = data[i] - data[i - 1];
-    let currentGain = 0;
-    let currentLoss = 0;
-
-    if (change > 0) {
-      currentGain = change;
-    } else {
-      currentLoss = Math.abs(change);
-    }
-
-    avgGain = (avgGain * (period - 1) + currentGain) / period;
-    avgLoss = (avgLoss * (period - 1) + currentLoss) / period;
-    
-    const rs = avgLoss === 0 ? Infinity : avgGain / avgLoss; // Handle division by zero for avgLoss
-    const rsi = 100 - (100 / (1 + rs));
-    rsiValues.push(rsi);
-  }
-  return rsiValues; // Returns an array of RSI values, last one is the most current
-};
+// Relative Strength Index (RSI); see `calculateRSI` in the shared package (shared/indicators.js), also used by the server's alert engine.
+export const calculateRSIInternal = calculateRSIShared;
 
 /**
  * Calculates Bollinger Bands.
@@ -799,6 +728,98 @@ export const resampleToMonthlyInternal = (dailyPricesWithTimestamps, dailyVolume
   return { monthlyTimestamps, monthlyPrices, monthlyVolumes };
 };
 
+// ================================================================================================
+// TRAILING-TWELVE-MONTH (TTM) FUNDAMENTALS
+// The latest annual statements can be almost a year old. TTM figures cover the four most recent
+// quarters instead: flow items (income statement) are summed over the quarters, and balance-sheet
+// items are taken from the latest quarter that reports a balance sheet.
+// ================================================================================================
+
+// Bases of a figure, shown on the metric cards: the latest fiscal year, or the trailing twelve months
+export const BASIS_FY = 'FY';
+export const BASIS_TTM = 'TTM';
+
+// Income statement items that describe a quarter rather than add up over quarters;
+// the TTM value is the latest quarter's.
+const NON_ADDITIVE_INCOME_KEYS = [FIN_KEY_DILUTED_WEIGHTED_AVG_SHARES, 'periodLength', 'periodType'];
+
+/**
+ * Checks whether `earlier` is the quarter immediately before `later` (e.g., Q4 FY2024 before Q1 FY2025).
+ * @param {Object} later - A quarterly period (`fiscalYear`, `fiscalQuarter`).
+ * @param {Object} earlier - Another quarterly period.
+ * @returns {boolean} True if the two are consecutive.
+ */
+const isPreviousQuarter = (later, earlier) => {
+  if (!later || !earlier || later.fiscalQuarter === null || earlier.fiscalQuarter === null) return false;
+  return later.fiscalQuarter === 1
+    ? earlier.fiscalYear === later.fiscalYear - 1 && earlier.fiscalQuarter === 4
+    : earlier.fiscalYear === later.fiscalYear && earlier.fiscalQuarter === later.fiscalQuarter - 1;
+};
+
+/**
+ * Builds the most recent fundamentals: trailing-twelve-month figures when the last four quarters are
+ * available and more recent than the latest fiscal year, otherwise the latest fiscal year's.
+ * The result has the shape of a financial period, so statement items are read the same way.
+ * - Income statement (TTM): each item summed over the four quarters; an item missing from any of them is N/A.
+ * - Balance sheet: the most recent balance sheet, quarterly or annual.
+ * - Cash flow statement (TTM): empty, as quarterly cash flows are not reported for every quarter.
+ * @param {Object} financialStatements - The `financialStatements` section (`{ yearly, quarterly }`) from adaptedStockData; both series are used.
+ * @returns {Object|null} The fundamentals: `basis` (BASIS_TTM or BASIS_FY), `label` (e.g., "TTM Q3 FY2025" or "FY2024"),
+ *                        `periodEndDate`, `incomeStatement`, `balanceSheet`, `balanceSheetLabel` and `cashFlowStatement`;
+ *                        null if there are no financial statements.
+ */
+export const calculateTTMFundamentalsInternal = (financialStatements) => {
+  const yearlyFinancials = selectFinancialSeriesInternal(financialStatements, FIN_SERIES_YEARLY);
+  const quarterlyFinancials = selectFinancialSeriesInternal(financialStatements, FIN_SERIES_QUARTERLY);
+  const latestYear = yearlyFinancials[0];
+  const lastFourQuarters = quarterlyFinancials.slice(0, 4);
+
+  // Most recent balance sheet of either series (periods without one have an empty balanceSheet)
+  const latestBalanceSheetPeriod = [...quarterlyFinancials, ...yearlyFinancials]
+    .filter(period => Object.keys(period.balanceSheet || {}).length > 0)
+    .sort((a, b) => String(b.periodEndDate).localeCompare(String(a.periodEndDate)))[0];
+  const balanceSheet = latestBalanceSheetPeriod ? latestBalanceSheetPeriod.balanceSheet : {};
+  const balanceSheetLabel = latestBalanceSheetPeriod ? latestBalanceSheetPeriod.label : DEFAULT_NA_STRING;
+
+  const hasTTM = lastFourQuarters.length === 4 &&
+    lastFourQuarters.every((quarter, index) => index === 0 || isPreviousQuarter(lastFourQuarters[index - 1], quarter));
+  // A fiscal year ending with (or after) the latest quarter already covers the same twelve months
+  const fiscalYearIsCurrent = latestYear && (!hasTTM || String(latestYear.periodEndDate) >= String(lastFourQuarters[0].periodEndDate));
+
+  if (fiscalYearIsCurrent || !hasTTM) {
+    if (!latestYear) return null;
+    return {
+      basis: BASIS_FY,
+      label: latestYear.label,
+      periodEndDate: latestYear.periodEndDate,
+      incomeStatement: latestYear.incomeStatement,
+      balanceSheet: latestYear.balanceSheet,
+      balanceSheetLabel: latestYear.label,
+      cashFlowStatement: latestYear.cashFlowStatement,
+    };
+  }
+
+  const incomeStatement = {};
+  Object.keys(lastFourQuarters[0].incomeStatement).forEach(key => {
+    if (NON_ADDITIVE_INCOME_KEYS.includes(key)) {
+      incomeStatement[key] = lastFourQuarters[0].incomeStatement[key];
+      return;
+    }
+    const values = lastFourQuarters.map(quarter => parseFloat(findFinancialByYearInternal([quarter], 0, STMT_INC, key)));
+    incomeStatement[key] = values.some(isNaN) ? DEFAULT_NA_STRING : values.reduce((sum, value) => sum + value, 0);
+  });
+
+  return {
+    basis: BASIS_TTM,
+    label: `TTM ${lastFourQuarters[0].label}`,
+    periodEndDate: lastFourQuarters[0].periodEndDate,
+    incomeStatement,
+    balanceSheet,
+    balanceSheetLabel,
+    cashFlowStatement: {},
+  };
+};
+
 // ================================================================================================
 // METRIC CATEGORY CALCULATORS (INTERNAL HELPERS)
 // These functions consolidate the calculation and formatting of related financial metrics for different
@@ -807,13 +828,15 @@ export const resampleToMonthlyInternal = (dailyPricesWithTimestamps, dailyVolume
 // and various formatting/calculation utility functions as input.
 // They output an array of objects, where each object represents a displayable metric 
 // with its name (label), formatted value, unit, an optional colorClass for positive/negative indication,
-// an optional peerComparison object, and an explanation string for tooltips.
+// an optional peerComparison object, an optional basis (BASIS_FY or BASIS_TTM) for figures from the
+// financial statements, and an explanation string for tooltips. Metrics the API also reports carry a
+// stable `id`, which the reported key metrics are matched on (see KEY_METRIC_COUNTERPARTS).
 // ================================================================================================
 
 /**
  * Calculates and formats overall analyst sentiment metrics.
  * This typically includes the consensus analyst rating for the stock.
- * @param {object} analystSentimentData - The analyst sentiment section from the adaptedStockData object (output of `apiAdapter.js`). Expected to contain `overallRating`.
+ * @param {object} analystSentimentData - The analyst sentiment section from the adaptedStockData object (output of `shared/stockAdapter.js`). Expected to contain `overallRating`.
  * @returns {Array<Object>} An array containing a single metric object for "Analyst Rating", including its value, unit (none), a color class based on sentiment (positive/negative/neutral), and an explanation.
  */
 export const calculateOverallSentimentMetricsInternal = (analystSentimentData) => {
@@ -840,7 +863,7 @@ export const calculateOverallSentimentMetricsInternal = (analystSentimentData) =
  * Calculates and formats key technical indicator metrics for display.
  * This includes 52-week high/low, day's percentage change, and selected moving averages (e.g., 50-day, 100-day MA)
  * along with the current price's position relative to these MAs.
- * @param {object} adaptedStockData - The fully adapted stock data object from `apiAdapter.js`.
+ * @param {object} adaptedStockData - The fully adapted stock data object from `shared/stockAdapter.js`.
  * @param {number|string} currentStockPrice - The current stock price (numeric or DEFAULT_NA_STRING for N/A).
  * @param {function} formatCurrencyInternal - Reference to the `formatCurrencyInternal` utility function for formatting monetary values.
  * @param {function} formatPercentageInternal - Reference to the `formatPercentageInternal` utility function for formatting percentage values.
@@ -883,7 +906,7 @@ export const calculateKeyTechnicalIndicatorsInternal = (adaptedStockData, curren
       isNAOverride: fiftyTwoWeekIsNAOverride,
       explanation: "52-week high/low price. Shows recent trading range; potential support/resistance."
     },
-    { label: "Day's % Change", ...formatPercentageInternal(momentumRaw, DEFAULT_NA_STRING, { colorOnPositiveNegative: true }), explanation: "Day's price % change vs previous close. Shows short-term momentum." },
+    { id: 'dayChange', label: "Day's % Change", ...formatPercentageInternal(momentumRaw, DEFAULT_NA_STRING, { colorOnPositiveNegative: true }), explanation: "Day's price % change vs previous close. Shows short-term momentum." },
     { label: "50-Day Moving Avg. (NSE)", ...formatCurrencyInternal(fiftyDayMARaw), explanation: "NSE 50-day avg. closing price. Medium-term trend & support/resistance indicator." },
     { label: "100-Day Moving Avg. (NSE)", ...formatCurrencyInternal(oneHundredDayMARaw), explanation: "NSE 100-day avg. closing price. Long-term trend indicator." },
     { label: "Price vs 50-Day MA", ...formatPercentageInternal(priceVs50DMA, DEFAULT_NA_STRING, { colorOnPositiveNegative: true }), explanation: "Price % vs 50-Day MA. Positive = above; negative = below." },
@@ -893,33 +916,46 @@ export const calculateKeyTechnicalIndicatorsInternal = (adaptedStockData, curren
 
 /**
  * Calculates and formats key profitability metrics.
- * Metrics include Net Income, Net Profit Margin, Operating Income, Gross Profit, EBITDA, etc.
- * @param {Array<Object>} stockDataFinancials - The `financialStatements.yearly` array from the adaptedStockData object.
+ * Metrics include Net Income, Net Profit Margin, Operating Margin, Operating Income, Gross Profit, EBITDA, etc.
+ * Amounts are for the latest fiscal year; margins use the most recent fundamentals (TTM when available).
+ * @param {Object} financialStatements - The `financialStatements` section (`{ yearly, quarterly }`) from adaptedStockData; the yearly series is used.
+ * @param {Object|null} fundamentals - Most recent fundamentals (output of `calculateTTMFundamentalsInternal`).
  * @param {function} findFinancialByYearInternal - Reference to the `findFinancialByYearInternal` utility.
  * @param {function} formatToCroresInternal - Reference to the `formatToCroresInternal` utility.
  * @param {function} formatPercentageInternal - Reference to the `formatPercentageInternal` utility.
  * @returns {object} An object containing: 
- *                    `metrics`: An array of profitability metric objects for display, each with `label`, `value` (formatted), `unit`, `explanation`, and optional `colorClass`.
- *                    `netIncomeRaw`: The raw Net Income value for the latest period, for potential use in other calculations.
+ *                    `metrics`: An array of profitability metric objects for display, each with `label`, `value` (formatted), `unit`, `basis`, `explanation`, and optional `colorClass`.
+ *                    `netIncomeRaw`: The raw Net Income value for the latest fiscal year, for potential use in other calculations.
  */
-export const calculateProfitabilityMetricsInternal = (stockDataFinancials, findFinancialByYearInternal, formatToCroresInternal, formatPercentageInternal) => {
-  const netIncomeRaw = findFinancialByYearInternal(stockDataFinancials, 0, STMT_INC, FIN_KEY_NET_INCOME);
-  const revenueCurrentRaw = findFinancialByYearInternal(stockDataFinancials, 0, STMT_INC, FIN_KEY_REVENUE);
-  const netProfitMarginRaw = (parseFloat(netIncomeRaw) / parseFloat(revenueCurrentRaw) * 100);
-  const operatingIncomeRaw = findFinancialByYearInternal(stockDataFinancials, 0, STMT_INC, FIN_KEY_OPERATING_INCOME);
-  const grossProfitRaw = findFinancialByYearInternal(stockDataFinancials, 0, STMT_INC, FIN_KEY_GROSS_PROFIT);
-  const depreciationAndAmortizationINCRaw = findFinancialByYearInternal(stockDataFinancials, 0, STMT_INC, FIN_KEY_DEPRECIATION_AMORTIZATION_INC, DEFAULT_NA_STRING);
+export const calculateProfitabilityMetricsInternal = (financialStatements, fundamentals, findFinancialByYearInternal, formatToCroresInternal, formatPercentageInternal) => {
+  const yearlyFinancials = selectFinancialSeriesInternal(financialStatements, FIN_SERIES_YEARLY); // Amounts for the full fiscal year
+  const netIncomeRaw = findFinancialByYearInternal(yearlyFinancials, 0, STMT_INC, FIN_KEY_NET_INCOME);
+  const revenueCurrentRaw = findFinancialByYearInternal(yearlyFinancials, 0, STMT_INC, FIN_KEY_REVENUE);
+  const operatingIncomeRaw = findFinancialByYearInternal(yearlyFinancials, 0, STMT_INC, FIN_KEY_OPERATING_INCOME);
+  const grossProfitRaw = findFinancialByYearInternal(yearlyFinancials, 0, STMT_INC, FIN_KEY_GROSS_PROFIT);
+  const depreciationAndAmortizationINCRaw = findFinancialByYearInternal(yearlyFinancials, 0, STMT_INC, FIN_KEY_DEPRECIATION_AMORTIZATION_INC, DEFAULT_NA_STRING);
   const ebitdaRaw = parseFloat(operatingIncomeRaw) + parseFloat(depreciationAndAmortizationINCRaw === DEFAULT_NA_STRING ? 0 : depreciationAndAmortizationINCRaw);
-  const unusualExpenseIncomeRaw = findFinancialByYearInternal(stockDataFinancials, 0, STMT_INC, FIN_KEY_UNUSUAL_EXPENSE_INCOME);
-  const otherNetIncomeRaw = findFinancialByYearInternal(stockDataFinancials, 0, STMT_INC, FIN_KEY_OTHER_NET_INCOME);
-  const minorityInterestINCRaw = findFinancialByYearInternal(stockDataFinancials, 0, STMT_INC, FIN_KEY_MINORITY_INTEREST_INC);
+  const unusualExpenseIncomeRaw = findFinancialByYearInternal(yearlyFinancials, 0, STMT_INC, FIN_KEY_UNUSUAL_EXPENSE_INCOME);
+  const otherNetIncomeRaw = findFinancialByYearInternal(yearlyFinancials, 0, STMT_INC, FIN_KEY_OTHER_NET_INCOME);
+  const minorityInterestINCRaw = findFinancialByYearInternal(yearlyFinancials, 0, STMT_INC, FIN_KEY_MINORITY_INTEREST_INC);
+
+  // Margins on the most recent fundamentals, falling back to the fiscal year figures above
+  const marginBasis = fundamentals ? fundamentals.basis : BASIS_FY;
+  const marginOf = (key, fiscalYearValue) => {
+    const value = parseFloat(fundamentals ? getSafeInternal(() => fundamentals.incomeStatement[key]) : fiscalYearValue);
+    const revenue = parseFloat(fundamentals ? getSafeInternal(() => fundamentals.incomeStatement[FIN_KEY_REVENUE]) : revenueCurrentRaw);
+    return (!isNaN(value) && !isNaN(revenue) && revenue !== 0) ? (value / revenue) * 100 : DEFAULT_NA_STRING;
+  };
+  const netProfitMarginRaw = marginOf(FIN_KEY_NET_INCOME, netIncomeRaw);
+  const operatingMarginRaw = marginOf(FIN_KEY_OPERATING_INCOME, operatingIncomeRaw);
   
   const metrics = [
-    { label: "Net Income", ...formatToCroresInternal(netIncomeRaw), explanation: "Net Income: Profit after all expenses, interest, and taxes; a key profitability measure." },
-    { label: "Net Profit Margin", ...formatPercentageInternal(netProfitMarginRaw, DEFAULT_NA_STRING, { colorOnPositiveNegative: true }), explanation: "Net Profit Margin: Net Income / Revenue. Measures efficiency in converting revenue to profit. Higher is better." },
-    { label: "Operating Income", ...formatToCroresInternal(operatingIncomeRaw), explanation: "Operating Income (EBIT): Profit from core business operations, before interest and taxes." },
-    { label: "Gross Profit", ...formatToCroresInternal(grossProfitRaw), explanation: "Gross Profit: Revenue - Cost of Goods Sold (COGS). Shows production/service delivery efficiency." },
-    { label: "EBITDA", ...formatToCroresInternal(ebitdaRaw), explanation: "EBITDA: Earnings Before Interest, Taxes, Depreciation & Amortization. Proxy for operational cash flow." },
+    { id: 'netIncome', label: "Net Income", ...formatToCroresInternal(netIncomeRaw), basis: BASIS_FY, explanation: "Net Income: Profit after all expenses, interest, and taxes; a key profitability measure." },
+    { id: 'netProfitMargin', label: "Net Profit Margin", ...formatPercentageInternal(netProfitMarginRaw, DEFAULT_NA_STRING, { colorOnPositiveNegative: true }), basis: marginBasis, explanation: "Net Profit Margin: Net Income / Revenue. Measures efficiency in converting revenue to profit. Higher is better." },
+    { id: 'operatingMargin', label: "Operating Margin", ...formatPercentageInternal(operatingMarginRaw, DEFAULT_NA_STRING, { colorOnPositiveNegative: true }), basis: marginBasis, explanation: "Operating Margin: Operating Income / Revenue. Share of revenue left after operating costs, before interest and taxes." },
+    { label: "Operating Income", ...formatToCroresInternal(operatingIncomeRaw), basis: BASIS_FY, explanation: "Operating Income (EBIT): Profit from core business operations, before interest and taxes." },
+    { label: "Gross Profit", ...formatToCroresInternal(grossProfitRaw), basis: BASIS_FY, explanation: "Gross Profit: Revenue - Cost of Goods Sold (COGS). Shows production/service delivery efficiency." },
+    { id: 'ebitda', label: "EBITDA", ...formatToCroresInternal(ebitdaRaw), basis: BASIS_FY, explanation: "EBITDA: Earnings Before Interest, Taxes, Depreciation & Amortization. Proxy for operational cash flow." },
     { label: "Depreciation & Amortization (Income St.)", ...formatToCroresInternal(depreciationAndAmortizationINCRaw), explanation: "D&A (Income St.): Non-cash expense for asset value decrease (tangible/intangible) over time."}, 
     { label: "Unusual Expense/(Income)", ...formatToCroresInternal(unusualExpenseIncomeRaw), explanation: "Unusual Expense/(Income): One-time/non-recurring items (e.g., restructuring). Can skew reported profit."}, 
     { label: "Other Income (Net)", ...formatToCroresInternal(otherNetIncomeRaw), explanation: "Other Income (Net): Net income/expense from non-core activities (e.g., investments, FX)."}, 
@@ -930,11 +966,14 @@ export const calculateProfitabilityMetricsInternal = (stockDataFinancials, findF
 
 /**
  * Calculates and formats key valuation metrics.
- * Metrics include P/E Ratio, P/B Ratio, Market Cap, NSE/BSE Price, Goodwill, and Intangible Assets.
+ * Metrics include P/E Ratio, EV/EBITDA, P/B Ratio, Market Cap, NSE/BSE Price, Goodwill, and Intangible Assets.
  * Includes peer comparison details for P/E, P/B, and Market Cap.
+ * P/E and EV/EBITDA are calculated on the most recent fundamentals (TTM when available); when they are
+ * unavailable, P/E falls back to the API's trailing P/E.
  * @param {object} currentPriceData - The `currentPrice` section from adaptedStockData.
  * @param {object} primaryCompanyDataForMetrics - The `primaryCompanyPeerData` section from adaptedStockData (contains metrics like P/E, P/B for the main company).
- * @param {Array<Object>} stockDataFinancials - The `financialStatements.yearly` array from adaptedStockData.
+ * @param {Object} financialStatements - The `financialStatements` section (`{ yearly, quarterly }`) from adaptedStockData; the yearly series is used.
+ * @param {Object|null} fundamentals - Most recent fundamentals (output of `calculateTTMFundamentalsInternal`).
  * @param {function} findFinancialByYearInternal - Reference to the `findFinancialByYearInternal` utility.
  * @param {function} formatRatioInternal - Reference to the `formatRatioInternal` utility.
  * @param {function} formatToCroresInternal - Reference to the `formatToCroresInternal` utility.
@@ -944,13 +983,14 @@ export const calculateProfitabilityMetricsInternal = (stockDataFinancials, findF
  * @param {object} avgPeerPB - Formatted peer average P/B object (output from `calculatePeerAverageInternal` via `formatRatioInternal`).
  * @param {object} avgPeerMarketCap - Formatted peer average Market Cap object (output from `calculatePeerAverageInternal` via `formatToCroresInternal`).
  * @returns {object} An object containing:
- *                    `metrics`: An array of valuation metric objects for display, with `label`, `value`, `unit`, `explanation`, `peerAverage`, and `peerComparison`.
+ *                    `metrics`: An array of valuation metric objects for display, with `label`, `value`, `unit`, `explanation`, `peerAverage`, `peerComparison` and `basis`.
  *                    `goodwillNetRaw`: Raw Goodwill value.
  *                    `intangiblesNetRaw`: Raw Intangible Assets value.
  *                    `nsePriceRaw`: Raw NSE price.
  *                    `bsePriceRaw`: Raw BSE price.
  */
-export const calculateValuationMetricsInternal = (currentPriceData, primaryCompanyDataForMetrics, stockDataFinancials, findFinancialByYearInternal, formatRatioInternal, formatToCroresInternal, formatCurrencyInternal, getPeerComparisonDetailsInternal, avgPeerPE, avgPeerPB, avgPeerMarketCap) => {
+export const calculateValuationMetricsInternal = (currentPriceData, primaryCompanyDataForMetrics, financialStatements, fundamentals, findFinancialByYearInternal, formatRatioInternal, formatToCroresInternal, formatCurrencyInternal, getPeerComparisonDetailsInternal, avgPeerPE, avgPeerPB, avgPeerMarketCap) => {
+  const yearlyFinancials = selectFinancialSeriesInternal(financialStatements, FIN_SERIES_YEARLY); // Goodwill and intangibles from the annual balance sheet
   // Try direct path first, then fallback to price from primary company's peer data
   let nsePriceToUse = getSafeInternal(() => currentPriceData.nse);
   if (nsePriceToUse === DEFAULT_NA_STRING) {
@@ -961,11 +1001,30 @@ export const calculateValuationMetricsInternal = (currentPriceData, primaryCompa
   // BSE price usually doesn't have a common fallback in the single 'price' field of a peer item.
   const bsePriceRaw = getSafeInternal(() => currentPriceData.bse);
   
-  const peRatioRaw = getSafeInternal(() => primaryCompanyDataForMetrics.priceToEarningsValueRatio); 
   const pbRatioRaw = getSafeInternal(() => primaryCompanyDataForMetrics.priceToBookValueRatio); 
   const marketCapRaw = getSafeInternal(() => primaryCompanyDataForMetrics.marketCap); 
-  const goodwillNetRaw = findFinancialByYearInternal(stockDataFinancials, 0, STMT_BAL, FIN_KEY_GOODWILL_NET);
-  const intangiblesNetRaw = findFinancialByYearInternal(stockDataFinancials, 0, STMT_BAL, FIN_KEY_INTANGIBLES_NET);
+
+  // P/E on the most recent diluted EPS; not meaningful for a loss (EPS <= 0)
+  const fundamentalsValue = (section, key) => (fundamentals ? getSafeInternal(() => fundamentals[section][key]) : DEFAULT_NA_STRING);
+  const epsRaw = parseFloat(fundamentalsValue('incomeStatement', FIN_KEY_DILUTED_EPS_EXCL_EXTRA_ORD));
+  const priceRaw = parseFloat(nsePriceRaw);
+  let peRatioRaw = (!isNaN(epsRaw) && !isNaN(priceRaw)) ? (epsRaw > 0 ? priceRaw / epsRaw : DEFAULT_NA_STRING) : undefined;
+  let peBasis = fundamentals ? fundamentals.basis : BASIS_TTM;
+  if (peRatioRaw === undefined) {
+    peRatioRaw = getSafeInternal(() => primaryCompanyDataForMetrics.priceToEarningsValueRatio); // The API's trailing P/E
+    peBasis = BASIS_TTM;
+  }
+
+  // EV/EBITDA: (Market Cap + Total Debt - Cash & Short Term Investments) / (Operating Income + D&A)
+  const totalDebtRaw = parseFloat(fundamentalsValue('balanceSheet', FIN_KEY_TOTAL_DEBT));
+  const cashRaw = parseFloat(fundamentalsValue('balanceSheet', FIN_KEY_CASH_AND_SHORT_TERM_INVESTMENTS));
+  const enterpriseValueRaw = parseFloat(marketCapRaw) + (isNaN(totalDebtRaw) ? 0 : totalDebtRaw) - (isNaN(cashRaw) ? 0 : cashRaw);
+  const operatingIncomeRaw = parseFloat(fundamentalsValue('incomeStatement', FIN_KEY_OPERATING_INCOME));
+  const depreciationAmortizationRaw = parseFloat(fundamentalsValue('incomeStatement', FIN_KEY_DEPRECIATION_AMORTIZATION_INC));
+  const ebitdaRaw = operatingIncomeRaw + (isNaN(depreciationAmortizationRaw) ? 0 : depreciationAmortizationRaw);
+  const evToEbitdaRaw = (!isNaN(enterpriseValueRaw) && !isNaN(ebitdaRaw) && ebitdaRaw > 0) ? enterpriseValueRaw / ebitdaRaw : DEFAULT_NA_STRING;
+  const goodwillNetRaw = findFinancialByYearInternal(yearlyFinancials, 0, STMT_BAL, FIN_KEY_GOODWILL_NET);
+  const intangiblesNetRaw = findFinancialByYearInternal(yearlyFinancials, 0, STMT_BAL, FIN_KEY_INTANGIBLES_NET);
 
   const pePeerComparison = getPeerComparisonDetailsInternal(peRatioRaw, avgPeerPE, 'P/E', true);
   const pbPeerComparison = getPeerComparisonDetailsInternal(pbRatioRaw, avgPeerPB, 'P/B', true);
@@ -973,13 +1032,22 @@ export const calculateValuationMetricsInternal = (currentPriceData, primaryCompa
 
   const metrics = [
     { 
-      label: "P/E Ratio (TTM)", 
+      id: 'peRatio',
+      label: "P/E Ratio", 
       ...formatRatioInternal(peRatioRaw), 
+      basis: peBasis,
       peerAverage: avgPeerPE, 
       peerComparison: pePeerComparison,
-      explanation: "Price / Trailing 12-Month Earnings Per Share. Lower may mean undervaluation; higher can suggest overvaluation or high growth expectations. Compare with peers." 
+      explanation: "Price / Diluted Earnings Per Share (TTM: sum of the last four quarters; FY: latest fiscal year). Lower may mean undervaluation; higher can suggest overvaluation or high growth expectations. Compare with peers." 
+    },
+    {
+      label: "EV/EBITDA",
+      ...formatRatioInternal(evToEbitdaRaw),
+      basis: fundamentals ? fundamentals.basis : BASIS_FY,
+      explanation: "Enterprise Value (Market Cap + Debt - Cash) / EBITDA. Values the whole business, debt included, against operating earnings; useful across companies with different debt levels. Lower may mean cheaper."
     },
     { 
+      id: 'pbRatio',
       label: "P/B Ratio", 
       ...formatRatioInternal(pbRatioRaw), 
       peerAverage: avgPeerPB, 
@@ -987,6 +1055,7 @@ export const calculateValuationMetricsInternal = (currentPriceData, primaryCompa
       explanation: "Price / Book Value per Share. <1 may suggest undervaluation; >1 (esp. >3) may indicate overvaluation. Industry context is key." 
     },
     { 
+      id: 'marketCap',
       label: "Market Cap", 
       ...formatToCroresInternal(marketCapRaw), 
       peerAverage: avgPeerMarketCap,
@@ -1005,7 +1074,7 @@ export const calculateValuationMetricsInternal = (currentPriceData, primaryCompa
  * Calculates and formats key cash flow health metrics.
  * Metrics include Cash from Operating Activities (CFO), Capital Expenditure (CapEx), Free Cash Flow (FCF),
  * Net Change in Cash, CFO to Net Income Ratio, and Changes in Working Capital.
- * @param {Array<Object>} stockDataFinancials - The `financialStatements.yearly` array from adaptedStockData.
+ * @param {Object} financialStatements - The `financialStatements` section (`{ yearly, quarterly }`) from adaptedStockData; the yearly series is used.
  * @param {number|string} netIncomeRaw - Raw Net Income for the latest period (passed from `calculateProfitabilityMetricsInternal`).
  * @param {function} findFinancialByYearInternal - Reference to the `findFinancialByYearInternal` utility.
  * @param {function} formatToCroresInternal - Reference to the `formatToCroresInternal` utility.
@@ -1014,18 +1083,19 @@ export const calculateValuationMetricsInternal = (currentPriceData, primaryCompa
  *                    `metrics`: An array of cash flow health metric objects for display, with `label`, `value`, `unit`, and `explanation`.
  *                    `fcfRaw`: Raw Free Cash Flow value for the latest period.
  */
-export const calculateCashFlowHealthMetricsInternal = (stockDataFinancials, netIncomeRaw, findFinancialByYearInternal, formatToCroresInternal, formatRatioInternal) => {
-  const cashFromOpsRaw = findFinancialByYearInternal(stockDataFinancials, 0, STMT_CAS, FIN_KEY_CASH_FROM_OPERATING_ACTIVITIES);
-  const capExRaw = findFinancialByYearInternal(stockDataFinancials, 0, STMT_CAS, FIN_KEY_CAPITAL_EXPENDITURES);
+export const calculateCashFlowHealthMetricsInternal = (financialStatements, netIncomeRaw, findFinancialByYearInternal, formatToCroresInternal, formatRatioInternal) => {
+  const yearlyFinancials = selectFinancialSeriesInternal(financialStatements, FIN_SERIES_YEARLY); // Interim periods often have no cash flow statement
+  const cashFromOpsRaw = findFinancialByYearInternal(yearlyFinancials, 0, STMT_CAS, FIN_KEY_CASH_FROM_OPERATING_ACTIVITIES);
+  const capExRaw = findFinancialByYearInternal(yearlyFinancials, 0, STMT_CAS, FIN_KEY_CAPITAL_EXPENDITURES);
   const fcfRaw = parseFloat(cashFromOpsRaw) + parseFloat(capExRaw === DEFAULT_NA_STRING ? 0 : capExRaw); 
-  const netChangeInCashRaw = findFinancialByYearInternal(stockDataFinancials, 0, STMT_CAS, FIN_KEY_NET_CHANGE_IN_CASH);
+  const netChangeInCashRaw = findFinancialByYearInternal(yearlyFinancials, 0, STMT_CAS, FIN_KEY_NET_CHANGE_IN_CASH);
   const ocfToNetIncomeRatioRaw = (netIncomeRaw !== DEFAULT_NA_STRING && parseFloat(netIncomeRaw) !== 0 && cashFromOpsRaw !== DEFAULT_NA_STRING) ? (parseFloat(cashFromOpsRaw) / parseFloat(netIncomeRaw)) : DEFAULT_NA_STRING;
-  const changesInWorkingCapitalRaw = findFinancialByYearInternal(stockDataFinancials, 0, STMT_CAS, FIN_KEY_CHANGES_IN_WORKING_CAPITAL);
+  const changesInWorkingCapitalRaw = findFinancialByYearInternal(yearlyFinancials, 0, STMT_CAS, FIN_KEY_CHANGES_IN_WORKING_CAPITAL);
   
   const metrics = [
     { label: "Cash from Operating Activities (CFO)", ...formatToCroresInternal(cashFromOpsRaw), explanation: "Cash from daily business operations. Key to financial health; positive & growing is good." },
     { label: "Capital Expenditure (CapEx)", ...formatToCroresInternal(capExRaw), explanation: "Funds for acquiring/maintaining physical assets (PP&E). Usually a cash outflow (negative)." },
-    { label: "Free Cash Flow (FCF)", ...formatToCroresInternal(fcfRaw), explanation: "Cash for investors after OpEx & CapEx (CFO + CapEx). Shows ability to fund growth, dividends etc." },
+    { id: 'freeCashFlow', label: "Free Cash Flow (FCF)", ...formatToCroresInternal(fcfRaw), explanation: "Cash for investors after OpEx & CapEx (CFO + CapEx). Shows ability to fund growth, dividends etc." },
     { label: "Net Change in Cash", ...formatToCroresInternal(netChangeInCashRaw), explanation: "Net increase/decrease in cash & equivalents. Combined impact of operating, investing, financing." },
     { label: "Operating Cash Flow to Net Income Ratio", ...formatRatioInternal(ocfToNetIncomeRatioRaw), explanation: "Earnings quality (CFO / Net Income). >1 suggests high quality; <1 may flag issues."}, 
     { label: "Changes in Working Capital", ...formatToCroresInternal(changesInWorkingCapitalRaw), explanation: "Net change in current assets (receivables, inventory) & current liabilities (payables). Impacts CFO."}
@@ -1037,21 +1107,22 @@ export const calculateCashFlowHealthMetricsInternal = (stockDataFinancials, netI
  * Calculates and formats advanced cash flow insights.
  * Metrics include Non-Cash Items, D&A (from Cash Flow Statement), Cash Interest Paid,
  * Net Debt Issued/Retired, Cash Dividends Paid, Cash from Financing Activities, and FX Effects on Cash.
- * @param {Array<Object>} stockDataFinancials - The `financialStatements.yearly` array from adaptedStockData.
+ * @param {Object} financialStatements - The `financialStatements` section (`{ yearly, quarterly }`) from adaptedStockData; the yearly series is used.
  * @param {function} findFinancialByYearInternal - Reference to the `findFinancialByYearInternal` utility.
  * @param {function} formatToCroresInternal - Reference to the `formatToCroresInternal` utility.
  * @returns {object} An object containing:
  *                    `metrics`: An array of advanced cash flow metric objects, with `label`, `value`, `unit`, `explanation`, and optional `className`.
  *                    `interestPaidCASRaw`: Raw Cash Interest Paid (from Cash Flow Statement) for the latest period.
  */
-export const calculateAdvancedCashFlowInsightsInternal = (stockDataFinancials, findFinancialByYearInternal, formatToCroresInternal) => {
-  const nonCashItemsCAS = findFinancialByYearInternal(stockDataFinancials, 0, STMT_CAS, FIN_KEY_NON_CASH_ITEMS_CAS);
-  const netDebtIssuedRetiredCAS = findFinancialByYearInternal(stockDataFinancials, 0, STMT_CAS, FIN_KEY_ISSUANCE_RETIREMENT_DEBT_NET_CAS);
-  const dividendsPaidCAS = findFinancialByYearInternal(stockDataFinancials, 0, STMT_CAS, FIN_KEY_TOTAL_CASH_DIVIDENDS_PAID_CAS);
-  const fxEffectsCAS = findFinancialByYearInternal(stockDataFinancials, 0, STMT_CAS, FIN_KEY_FOREIGN_EXCHANGE_EFFECTS_CAS);
-  const interestPaidCASRaw = findFinancialByYearInternal(stockDataFinancials, 0, STMT_CAS, FIN_KEY_CASH_INTEREST_PAID_CAS);
-  const depreciationAmortizationCASRaw = findFinancialByYearInternal(stockDataFinancials, 0, STMT_CAS, FIN_KEY_DEPRECIATION_AMORTIZATION_CAS, DEFAULT_NA_STRING);
-  const cashFromFinancingCASRaw = findFinancialByYearInternal(stockDataFinancials, 0, STMT_CAS, FIN_KEY_CASH_FROM_FINANCING_ACTIVITIES_CAS);
+export const calculateAdvancedCashFlowInsightsInternal = (financialStatements, findFinancialByYearInternal, formatToCroresInternal) => {
+  const yearlyFinancials = selectFinancialSeriesInternal(financialStatements, FIN_SERIES_YEARLY); // Interim periods often have no cash flow statement
+  const nonCashItemsCAS = findFinancialByYearInternal(yearlyFinancials, 0, STMT_CAS, FIN_KEY_NON_CASH_ITEMS_CAS);
+  const netDebtIssuedRetiredCAS = findFinancialByYearInternal(yearlyFinancials, 0, STMT_CAS, FIN_KEY_ISSUANCE_RETIREMENT_DEBT_NET_CAS);
+  const dividendsPaidCAS = findFinancialByYearInternal(yearlyFinancials, 0, STMT_CAS, FIN_KEY_TOTAL_CASH_DIVIDENDS_PAID_CAS);
+  const fxEffectsCAS = findFinancialByYearInternal(yearlyFinancials, 0, STMT_CAS, FIN_KEY_FOREIGN_EXCHANGE_EFFECTS_CAS);
+  const interestPaidCASRaw = findFinancialByYearInternal(yearlyFinancials, 0, STMT_CAS, FIN_KEY_CASH_INTEREST_PAID_CAS);
+  const depreciationAmortizationCASRaw = findFinancialByYearInternal(yearlyFinancials, 0, STMT_CAS, FIN_KEY_DEPRECIATION_AMORTIZATION_CAS, DEFAULT_NA_STRING);
+  const cashFromFinancingCASRaw = findFinancialByYearInternal(yearlyFinancials, 0, STMT_CAS, FIN_KEY_CASH_FROM_FINANCING_ACTIVITIES_CAS);
 
   const metrics = [
     { label: "Non-Cash Items (CFO Adj.)", ...formatToCroresInternal(nonCashItemsCAS), explanation: "Adjusts profit to real cash flow (adds back non-cash expenses, deducts non-cash income). For earnings quality."},
@@ -1068,7 +1139,7 @@ export const calculateAdvancedCashFlowInsightsInternal = (stockDataFinancials, f
 
 /**
  * Calculates financial health and debt metrics.
- * @param {Array<Object>} stockDataFinancials - Yearly financial data.
+ * @param {Object} financialStatements - The `financialStatements` section (`{ yearly, quarterly }`) from adaptedStockData; the yearly series is used.
  * @param {number} interestPaidCASRaw - Raw cash interest paid from advanced cash flow insights.
  * @param {function} findFinancialByYearInternal - Utility.
  * @param {function} formatToCroresInternal - Utility.
@@ -1076,26 +1147,27 @@ export const calculateAdvancedCashFlowInsightsInternal = (stockDataFinancials, f
  * @param {function} formatCurrencyInternal - Utility.
  * @returns {object} Contains `metrics` array and raw values like `totalAssetsBALRaw`, `tangibleBookValuePerShareRaw`, `totalEquityRaw`.
  */
-export const calculateFinancialHealthAndDebtMetricsInternal = (stockDataFinancials, interestPaidCASRaw, findFinancialByYearInternal, formatToCroresInternal, formatRatioInternal, formatCurrencyInternal) => {
-  const totalDebtRaw = findFinancialByYearInternal(stockDataFinancials, 0, STMT_BAL, FIN_KEY_TOTAL_DEBT);
-  const totalEquityRaw = findFinancialByYearInternal(stockDataFinancials, 0, STMT_BAL, FIN_KEY_TOTAL_EQUITY);
+export const calculateFinancialHealthAndDebtMetricsInternal = (financialStatements, interestPaidCASRaw, findFinancialByYearInternal, formatToCroresInternal, formatRatioInternal, formatCurrencyInternal) => {
+  const yearlyFinancials = selectFinancialSeriesInternal(financialStatements, FIN_SERIES_YEARLY); // Interim periods often have no balance sheet
+  const totalDebtRaw = findFinancialByYearInternal(yearlyFinancials, 0, STMT_BAL, FIN_KEY_TOTAL_DEBT);
+  const totalEquityRaw = findFinancialByYearInternal(yearlyFinancials, 0, STMT_BAL, FIN_KEY_TOTAL_EQUITY);
   const debtToEquityRatioRaw = (totalEquityRaw !== DEFAULT_NA_STRING && parseFloat(totalEquityRaw) !== 0 && totalDebtRaw !== DEFAULT_NA_STRING) ? (parseFloat(totalDebtRaw) / parseFloat(totalEquityRaw)) : DEFAULT_NA_STRING;
-  const tangibleBookValuePerShareRaw = findFinancialByYearInternal(stockDataFinancials, 0, STMT_BAL, FIN_KEY_TANGIBLE_BOOK_VALUE_PER_SHARE);
-  const netInterestIncomeExpenseINCRaw = findFinancialByYearInternal(stockDataFinancials, 0, STMT_INC, FIN_KEY_INTEREST_INC_EXP_NET_NON_OP);
-  const longTermInvestmentsBALRaw = findFinancialByYearInternal(stockDataFinancials, 0, STMT_BAL, FIN_KEY_LONG_TERM_INVESTMENTS);
-  const accruedExpensesBALRaw = findFinancialByYearInternal(stockDataFinancials, 0, STMT_BAL, FIN_KEY_ACCRUED_EXPENSES);
-  const otherCurrentLiabilitiesBALRaw = findFinancialByYearInternal(stockDataFinancials, 0, STMT_BAL, FIN_KEY_OTHER_CURRENT_LIABILITIES);
-  const otherNonCurrentLiabilitiesBALRaw = findFinancialByYearInternal(stockDataFinancials, 0, STMT_BAL, FIN_KEY_OTHER_NON_CURRENT_LIABILITIES);
-  const totalAssetsBALRaw = findFinancialByYearInternal(stockDataFinancials, 0, STMT_BAL, FIN_KEY_TOTAL_ASSETS);
+  const tangibleBookValuePerShareRaw = findFinancialByYearInternal(yearlyFinancials, 0, STMT_BAL, FIN_KEY_TANGIBLE_BOOK_VALUE_PER_SHARE);
+  const netInterestIncomeExpenseINCRaw = findFinancialByYearInternal(yearlyFinancials, 0, STMT_INC, FIN_KEY_INTEREST_INC_EXP_NET_NON_OP);
+  const longTermInvestmentsBALRaw = findFinancialByYearInternal(yearlyFinancials, 0, STMT_BAL, FIN_KEY_LONG_TERM_INVESTMENTS);
+  const accruedExpensesBALRaw = findFinancialByYearInternal(yearlyFinancials, 0, STMT_BAL, FIN_KEY_ACCRUED_EXPENSES);
+  const otherCurrentLiabilitiesBALRaw = findFinancialByYearInternal(yearlyFinancials, 0, STMT_BAL, FIN_KEY_OTHER_CURRENT_LIABILITIES);
+  const otherNonCurrentLiabilitiesBALRaw = findFinancialByYearInternal(yearlyFinancials, 0, STMT_BAL, FIN_KEY_OTHER_NON_CURRENT_LIABILITIES);
+  const totalAssetsBALRaw = findFinancialByYearInternal(yearlyFinancials, 0, STMT_BAL, FIN_KEY_TOTAL_ASSETS);
 
   const metrics = [
     { label: "Total Assets", ...formatToCroresInternal(totalAssetsBALRaw), explanation: "Total company resources (current & non-current assets). Represents investments."}, 
     { label: "Total Debt", ...formatToCroresInternal(totalDebtRaw), explanation: "Total outstanding borrowings (short & long-term). Indicates financial obligations." },
     { label: "Total Equity", ...formatToCroresInternal(totalEquityRaw), explanation: "Company net worth (Assets - Liabilities). Shareholders' stake & retained earnings." },
-    { label: "Debt-to-Equity Ratio", ...formatRatioInternal(debtToEquityRatioRaw), explanation: "Financial leverage (Debt / Equity). Higher = more risk/debt reliance. Lower is safer. Industry varies." },
+    { id: 'debtToEquity', label: "Debt-to-Equity Ratio", ...formatRatioInternal(debtToEquityRatioRaw), explanation: "Financial leverage (Debt / Equity). Higher = more risk/debt reliance. Lower is safer. Industry varies." },
     { label: "Interest Paid (from Cash Flow St.)", ...formatToCroresInternal(interestPaidCASRaw), explanation: "Actual cash paid for interest (from CFS). Shows real debt burden." },
     { label: "Net Interest Income/(Expense) (from Income St.)", ...formatToCroresInternal(netInterestIncomeExpenseINCRaw), explanation: "Net interest income (from investments) - interest expense (on debt) (from IS). Can be +/-."}, 
-    { label: "Tangible Book Value per Share", ...formatCurrencyInternal(tangibleBookValuePerShareRaw), explanation: "Book value/share (excl. goodwill, intangibles). Conservative per-share value measure." },
+    { id: 'tangibleBookValuePerShare', label: "Tangible Book Value per Share", ...formatCurrencyInternal(tangibleBookValuePerShareRaw), explanation: "Book value/share (excl. goodwill, intangibles). Conservative per-share value measure." },
     { label: "Long Term Investments", ...formatToCroresInternal(longTermInvestmentsBALRaw), explanation: "Investments held >1 year (stocks, bonds, real estate, subsidiaries/associates)."}, 
     { label: "Accrued Expenses", ...formatToCroresInternal(accruedExpensesBALRaw), explanation: "Expenses incurred but not yet paid (e.g., salaries, period-end utilities). Current liability."}, 
     { label: "Other Current Liabilities", ...formatToCroresInternal(otherCurrentLiabilitiesBALRaw), explanation: "Short-term obligations (<1yr) not in standard categories (e.g., deferred revenue, taxes payable)."}, 
@@ -1125,7 +1197,7 @@ export const calculateAssetQualityInsightsInternal = (totalAssetsBALRaw, goodwil
 
 /**
  * Calculates shareholder returns metrics.
- * @param {Array<Object>} stockDataFinancials - Yearly financial data.
+ * @param {Object} financialStatements - The `financialStatements` section (`{ yearly, quarterly }`) from adaptedStockData; the yearly series is used.
  * @param {object} primaryCompanyPeerData - Primary company peer data.
  * @param {object} avgPeerDivYield - Formatted peer average dividend yield.
  * @param {function} findFinancialByYearInternal - Utility.
@@ -1134,93 +1206,109 @@ export const calculateAssetQualityInsightsInternal = (totalAssetsBALRaw, goodwil
  * @param {function} getPeerComparisonDetailsInternal - Utility.
  * @returns {object} Contains `metrics` array and `epsDilutedCurrentYoY` (YoY EPS growth raw value).
  */
-export const calculateShareholderReturnsMetricsInternal = (stockDataFinancials, primaryCompanyPeerData, avgPeerDivYield, findFinancialByYearInternal, formatCurrencyInternal, formatPercentageInternal, getPeerComparisonDetailsInternal) => {
-  const epsDilutedCurrentYoY = findFinancialByYearInternal(stockDataFinancials, 0, STMT_INC, FIN_KEY_DILUTED_EPS_EXCL_EXTRA_ORD);
-  const dpsRaw = findFinancialByYearInternal(stockDataFinancials, 0, STMT_INC, FIN_KEY_DPS_COMMON_STOCK);
+export const calculateShareholderReturnsMetricsInternal = (financialStatements, primaryCompanyPeerData, avgPeerDivYield, findFinancialByYearInternal, formatCurrencyInternal, formatPercentageInternal, getPeerComparisonDetailsInternal) => {
+  const yearlyFinancials = selectFinancialSeriesInternal(financialStatements, FIN_SERIES_YEARLY); // EPS and dividends per share for the full fiscal year
+  const epsDilutedCurrentYoY = findFinancialByYearInternal(yearlyFinancials, 0, STMT_INC, FIN_KEY_DILUTED_EPS_EXCL_EXTRA_ORD);
+  const dpsRaw = findFinancialByYearInternal(yearlyFinancials, 0, STMT_INC, FIN_KEY_DPS_COMMON_STOCK);
   const dividendYieldRaw = getSafeInternal(() => primaryCompanyPeerData.dividendYieldIndicatedAnnualDividend);
   const payoutRatioRaw = (epsDilutedCurrentYoY !== DEFAULT_NA_STRING && parseFloat(epsDilutedCurrentYoY) !== 0 && dpsRaw !== DEFAULT_NA_STRING) ? (parseFloat(dpsRaw) / parseFloat(epsDilutedCurrentYoY)) * 100 : DEFAULT_NA_STRING;
 
   const divYieldPeerComparison = getPeerComparisonDetailsInternal(dividendYieldRaw, avgPeerDivYield, 'Dividend Yield');
 
   const metrics = [
-    { label: "Dividend Per Share (DPS)", ...formatCurrencyInternal(dpsRaw), explanation: "DPS: Total dividends paid per share. Direct cash return to shareholders." },
+    { id: 'dividendPerShare', label: "Dividend Per Share (DPS)", ...formatCurrencyInternal(dpsRaw), explanation: "DPS: Total dividends paid per share. Direct cash return to shareholders." },
     { 
-      label: "Dividend Yield (%) ", 
+      id: 'dividendYield',
+      label: "Dividend Yield (%)", 
       ...formatPercentageInternal(dividendYieldRaw, DEFAULT_NA_STRING, { colorOnPositiveNegative: true }), 
       peerAverage: avgPeerDivYield, 
       peerComparison: divYieldPeerComparison,
       explanation: "Dividend Yield (%): Annual DPS / Current Share Price. Return from dividends relative to price." 
     },
-    { label: "Payout Ratio (%) ", ...formatPercentageInternal(payoutRatioRaw), explanation: "Payout Ratio (%): DPS / EPS. % of earnings paid as dividends. High ratio may be unsustainable; low can mean reinvestment for growth." }
+    { id: 'payoutRatio', label: "Payout Ratio (%)", ...formatPercentageInternal(payoutRatioRaw), explanation: "Payout Ratio (%): DPS / EPS. % of earnings paid as dividends. High ratio may be unsustainable; low can mean reinvestment for growth." }
   ];
   return { metrics, epsDilutedCurrentYoY };
 };
 
 /**
  * Calculates share capital insights.
- * @param {Array<Object>} stockDataFinancials - Yearly financial data.
+ * @param {Object} financialStatements - The `financialStatements` section (`{ yearly, quarterly }`) from adaptedStockData; the yearly series is used.
  * @param {number} totalEquityRaw - Raw total equity.
  * @param {function} findFinancialByYearInternal - Utility.
  * @param {function} formatCurrencyInternal - Utility.
  * @returns {object} Contains `metrics` array.
  */
-export const calculateShareCapitalInsightsInternal = (stockDataFinancials, totalEquityRaw, findFinancialByYearInternal, formatCurrencyInternal) => {
-  const totalCommonSharesBAL = findFinancialByYearInternal(stockDataFinancials, 0, STMT_BAL, FIN_KEY_TOTAL_COMMON_SHARES_OUTSTANDING);
-  const dilutedAvgSharesINC = findFinancialByYearInternal(stockDataFinancials, 0, STMT_INC, FIN_KEY_DILUTED_WEIGHTED_AVG_SHARES);
+export const calculateShareCapitalInsightsInternal = (financialStatements, totalEquityRaw, findFinancialByYearInternal, formatCurrencyInternal) => {
+  const yearlyFinancials = selectFinancialSeriesInternal(financialStatements, FIN_SERIES_YEARLY); // Interim periods often have no balance sheet
+  const totalCommonSharesBAL = findFinancialByYearInternal(yearlyFinancials, 0, STMT_BAL, FIN_KEY_TOTAL_COMMON_SHARES_OUTSTANDING);
+  const dilutedAvgSharesINC = findFinancialByYearInternal(yearlyFinancials, 0, STMT_INC, FIN_KEY_DILUTED_WEIGHTED_AVG_SHARES);
   const bookValuePerShareTotalEquity = (totalEquityRaw !== DEFAULT_NA_STRING && totalCommonSharesBAL !== DEFAULT_NA_STRING && parseFloat(totalCommonSharesBAL) !== 0) 
                                       ? (parseFloat(totalEquityRaw) / parseFloat(totalCommonSharesBAL))
                                       : DEFAULT_NA_STRING;
   const metrics = [
     { label: "Total Common Shares Outstanding", value: parseFloat(totalCommonSharesBAL).toLocaleString('en-IN'), unit: '', raw: parseFloat(totalCommonSharesBAL), explanation: "Total common shares issued & held by investors. Used for per-share metrics."}, 
     { label: "Diluted Weighted Avg Shares", value: parseFloat(dilutedAvgSharesINC).toLocaleString('en-IN'), unit: '', raw: parseFloat(dilutedAvgSharesINC), explanation: "Avg. shares if all dilutive securities (options, etc.) exercised. Used for diluted EPS."},
-    { label: "Book Value per Share (Total Equity)", ...formatCurrencyInternal(bookValuePerShareTotalEquity), explanation: "Total equity / total common shares. Net asset value per share."}
+    { id: 'bookValuePerShare', label: "Book Value per Share (Total Equity)", ...formatCurrencyInternal(bookValuePerShareTotalEquity), explanation: "Total equity / total common shares. Net asset value per share."}
   ];
   return { metrics }; 
 };
 
 /**
  * Calculates efficiency ratios.
+ * RoE is calculated on the most recent fundamentals (TTM net income over the latest equity when available),
+ * falling back to the API's trailing RoE; RoA uses the latest fiscal year.
  * @param {object} primaryCompanyPeerData - Primary company peer data.
- * @param {number} netIncomeRaw - Raw net income.
- * @param {number} totalAssetsBALRaw - Raw total assets.
+ * @param {Object|null} fundamentals - Most recent fundamentals (output of `calculateTTMFundamentalsInternal`).
+ * @param {number} netIncomeRaw - Raw net income for the latest fiscal year.
+ * @param {number} totalAssetsBALRaw - Raw total assets at the end of the latest fiscal year.
  * @param {object} avgPeerRoE - Formatted peer average Return on Equity.
  * @param {function} formatPercentageInternal - Utility.
  * @param {function} getPeerComparisonDetailsInternal - Utility.
  * @returns {object} Contains `metrics` array.
  */
-export const calculateEfficiencyRatiosInternal = (primaryCompanyPeerData, netIncomeRaw, totalAssetsBALRaw, avgPeerRoE, formatPercentageInternal, getPeerComparisonDetailsInternal) => {
-  const roeTTMRaw = getSafeInternal(() => primaryCompanyPeerData.returnOnAverageEquityTrailing12Month);
+export const calculateEfficiencyRatiosInternal = (primaryCompanyPeerData, fundamentals, netIncomeRaw, totalAssetsBALRaw, avgPeerRoE, formatPercentageInternal, getPeerComparisonDetailsInternal) => {
+  const fundamentalsNetIncome = parseFloat(fundamentals ? getSafeInternal(() => fundamentals.incomeStatement[FIN_KEY_NET_INCOME]) : DEFAULT_NA_STRING);
+  const fundamentalsEquity = parseFloat(fundamentals ? getSafeInternal(() => fundamentals.balanceSheet[FIN_KEY_TOTAL_EQUITY]) : DEFAULT_NA_STRING);
+  let roeRaw = getSafeInternal(() => primaryCompanyPeerData.returnOnAverageEquityTrailing12Month); // The API's trailing RoE
+  let roeBasis = BASIS_TTM;
+  if (!isNaN(fundamentalsNetIncome) && !isNaN(fundamentalsEquity) && fundamentalsEquity > 0) {
+    roeRaw = (fundamentalsNetIncome / fundamentalsEquity) * 100;
+    roeBasis = fundamentals.basis;
+  }
   const roe5YAvgRaw = getSafeInternal(() => primaryCompanyPeerData.returnOnAverageEquity5YearAverage);
-  const roaTTMRaw = (netIncomeRaw !== DEFAULT_NA_STRING && totalAssetsBALRaw !== DEFAULT_NA_STRING && parseFloat(totalAssetsBALRaw) !== 0) ? (parseFloat(netIncomeRaw) / parseFloat(totalAssetsBALRaw) * 100) : DEFAULT_NA_STRING;
+  const roaRaw = (netIncomeRaw !== DEFAULT_NA_STRING && totalAssetsBALRaw !== DEFAULT_NA_STRING && parseFloat(totalAssetsBALRaw) !== 0) ? (parseFloat(netIncomeRaw) / parseFloat(totalAssetsBALRaw) * 100) : DEFAULT_NA_STRING;
 
-  const roePeerComparison = getPeerComparisonDetailsInternal(roeTTMRaw, avgPeerRoE, 'RoE');
+  const roePeerComparison = getPeerComparisonDetailsInternal(roeRaw, avgPeerRoE, 'RoE');
 
   const metrics = [
     { 
-      label: "Return on Equity (RoE % - TTM)", 
-      ...formatPercentageInternal(roeTTMRaw, DEFAULT_NA_STRING, { colorOnPositiveNegative: true }), 
+      id: 'roe',
+      label: "Return on Equity (RoE %)", 
+      ...formatPercentageInternal(roeRaw, DEFAULT_NA_STRING, { colorOnPositiveNegative: true }), 
+      basis: roeBasis,
       peerAverage: avgPeerRoE, 
       peerComparison: roePeerComparison,
-      explanation: "Profitability vs shareholders' equity (NI / Avg. Equity) TTM. Higher = better use of shareholder funds." 
+      explanation: "Profitability vs shareholders' equity (Net Income / Equity at the latest balance sheet). Higher = better use of shareholder funds." 
     },
-    { label: "Return on Equity (RoE % - 5Y Avg)", ...formatPercentageInternal(roe5YAvgRaw, DEFAULT_NA_STRING, { colorOnPositiveNegative: true }), explanation: "5-year avg. RoE. Smooths fluctuations, shows long-term profit efficiency from equity." },
-    { label: "Return on Assets (RoA % - TTM)", ...formatPercentageInternal(roaTTMRaw, DEFAULT_NA_STRING, { colorOnPositiveNegative: true }), explanation: "Efficiency of asset use for earnings (NI / Avg. Total Assets) TTM. Higher = better asset use." }
+    { id: 'roe5YAvg', label: "Return on Equity (RoE % - 5Y Avg)", ...formatPercentageInternal(roe5YAvgRaw, DEFAULT_NA_STRING, { colorOnPositiveNegative: true }), explanation: "5-year avg. RoE. Smooths fluctuations, shows long-term profit efficiency from equity." },
+    { id: 'roa', label: "Return on Assets (RoA %)", ...formatPercentageInternal(roaRaw, DEFAULT_NA_STRING, { colorOnPositiveNegative: true }), basis: BASIS_FY, explanation: "Efficiency of asset use for earnings (Net Income / Total Assets) for the latest fiscal year. Higher = better asset use." }
   ];
   return { metrics }; 
 };
 
 /**
  * Calculates operational efficiency metrics.
- * @param {Array<Object>} stockDataFinancials - Yearly financial data.
+ * @param {Object} financialStatements - The `financialStatements` section (`{ yearly, quarterly }`) from adaptedStockData; the yearly series is used.
  * @param {object} financialsPreviousYear - Financial data for the previous year.
  * @param {function} findFinancialByYearInternal - Utility.
  * @param {function} formatToCroresInternal - Utility.
  * @param {function} calculateYoYGrowthInternal - Utility.
  * @returns {object} Contains `metrics` array.
  */
-export const calculateOperationalEfficiencyMetricsInternal = (stockDataFinancials, financialsPreviousYear, findFinancialByYearInternal, formatToCroresInternal, calculateYoYGrowthInternal) => {
-  const totalInventoryBAL = findFinancialByYearInternal(stockDataFinancials, 0, STMT_BAL, FIN_KEY_TOTAL_INVENTORY);
-  const totalInventoryPreviousBAL = financialsPreviousYear !== DEFAULT_NA_STRING ? findFinancialByYearInternal(stockDataFinancials, 1, STMT_BAL, FIN_KEY_TOTAL_INVENTORY) : DEFAULT_NA_STRING;
+export const calculateOperationalEfficiencyMetricsInternal = (financialStatements, financialsPreviousYear, findFinancialByYearInternal, formatToCroresInternal, calculateYoYGrowthInternal) => {
+  const yearlyFinancials = selectFinancialSeriesInternal(financialStatements, FIN_SERIES_YEARLY); // Year-end inventory against the previous year end
+  const totalInventoryBAL = findFinancialByYearInternal(yearlyFinancials, 0, STMT_BAL, FIN_KEY_TOTAL_INVENTORY);
+  const totalInventoryPreviousBAL = financialsPreviousYear !== DEFAULT_NA_STRING ? findFinancialByYearInternal(yearlyFinancials, 1, STMT_BAL, FIN_KEY_TOTAL_INVENTORY) : DEFAULT_NA_STRING;
   
   const metrics = [
     { label: "Total Inventory", ...formatToCroresInternal(totalInventoryBAL), explanation: "Value of raw materials, WIP, and finished goods held."},
@@ -1231,7 +1319,7 @@ export const calculateOperationalEfficiencyMetricsInternal = (stockDataFinancial
 
 /**
  * Calculates growth trends (YoY %).
- * @param {Array<Object>} stockDataFinancials - Yearly financial data.
+ * @param {Object} financialStatements - The `financialStatements` section (`{ yearly, quarterly }`) from adaptedStockData; the yearly series is used.
  * @param {object} financialsPreviousYear - Financial data for the previous year.
  * @param {number} netIncomeRaw - Raw net income.
  * @param {number} epsDilutedCurrentYoY - Raw YoY EPS growth.
@@ -1240,13 +1328,14 @@ export const calculateOperationalEfficiencyMetricsInternal = (stockDataFinancial
  * @param {function} calculateYoYGrowthInternal - Utility.
  * @returns {object} Contains `metrics` array.
  */
-export const calculateGrowthTrendsMetricsInternal = (stockDataFinancials, financialsPreviousYear, netIncomeRaw, epsDilutedCurrentYoY, tangibleBookValuePerShareRaw, findFinancialByYearInternal, calculateYoYGrowthInternal) => {
-  const revenueCurrentYoY = findFinancialByYearInternal(stockDataFinancials, 0, STMT_INC, FIN_KEY_REVENUE);
-  const revenuePreviousYoY = financialsPreviousYear !== DEFAULT_NA_STRING ? findFinancialByYearInternal(stockDataFinancials, 1, STMT_INC, FIN_KEY_REVENUE) : DEFAULT_NA_STRING;
-  const netIncomePreviousYoY = financialsPreviousYear !== DEFAULT_NA_STRING ? findFinancialByYearInternal(stockDataFinancials, 1, STMT_INC, FIN_KEY_NET_INCOME) : DEFAULT_NA_STRING;
-  const epsDilutedPreviousYoY = financialsPreviousYear !== DEFAULT_NA_STRING ? findFinancialByYearInternal(stockDataFinancials, 1, STMT_INC, FIN_KEY_DILUTED_EPS_EXCL_EXTRA_ORD) : DEFAULT_NA_STRING;
+export const calculateGrowthTrendsMetricsInternal = (financialStatements, financialsPreviousYear, netIncomeRaw, epsDilutedCurrentYoY, tangibleBookValuePerShareRaw, findFinancialByYearInternal, calculateYoYGrowthInternal) => {
+  const yearlyFinancials = selectFinancialSeriesInternal(financialStatements, FIN_SERIES_YEARLY); // YoY growth compares consecutive fiscal years
+  const revenueCurrentYoY = findFinancialByYearInternal(yearlyFinancials, 0, STMT_INC, FIN_KEY_REVENUE);
+  const revenuePreviousYoY = financialsPreviousYear !== DEFAULT_NA_STRING ? findFinancialByYearInternal(yearlyFinancials, 1, STMT_INC, FIN_KEY_REVENUE) : DEFAULT_NA_STRING;
+  const netIncomePreviousYoY = financialsPreviousYear !== DEFAULT_NA_STRING ? findFinancialByYearInternal(yearlyFinancials, 1, STMT_INC, FIN_KEY_NET_INCOME) : DEFAULT_NA_STRING;
+  const epsDilutedPreviousYoY = financialsPreviousYear !== DEFAULT_NA_STRING ? findFinancialByYearInternal(yearlyFinancials, 1, STMT_INC, FIN_KEY_DILUTED_EPS_EXCL_EXTRA_ORD) : DEFAULT_NA_STRING;
   const bookValueCurrentYoY = tangibleBookValuePerShareRaw; 
-  const bookValuePreviousYoY = financialsPreviousYear !== DEFAULT_NA_STRING ? findFinancialByYearInternal(stockDataFinancials, 1, STMT_BAL, FIN_KEY_TANGIBLE_BOOK_VALUE_PER_SHARE) : DEFAULT_NA_STRING;
+  const bookValuePreviousYoY = financialsPreviousYear !== DEFAULT_NA_STRING ? findFinancialByYearInternal(yearlyFinancials, 1, STMT_BAL, FIN_KEY_TANGIBLE_BOOK_VALUE_PER_SHARE) : DEFAULT_NA_STRING;
 
   const metrics = [
     { label: "Revenue Growth (YoY)", ...calculateYoYGrowthInternal(revenueCurrentYoY, revenuePreviousYoY), explanation: "YoY % change in total revenue. Shows sales growth rate; consistent positive growth is good." },
@@ -1259,24 +1348,25 @@ export const calculateGrowthTrendsMetricsInternal = (stockDataFinancials, financ
 
 /**
  * Calculates historical performance metrics (CAGR).
- * @param {Array<Object>} stockDataFinancials - Yearly financial data.
+ * @param {Object} financialStatements - The `financialStatements` section (`{ yearly, quarterly }`) from adaptedStockData; the yearly series is used.
  * @param {function} findFinancialByYearInternal - Utility.
  * @param {function} calculateCAGRInternal - Utility.
  * @returns {object} Contains `metrics` array.
  */
-export const calculateHistoricalPerformanceMetricsInternal = (stockDataFinancials, findFinancialByYearInternal, calculateCAGRInternal) => {
+export const calculateHistoricalPerformanceMetricsInternal = (financialStatements, findFinancialByYearInternal, calculateCAGRInternal) => {
+  const yearlyFinancials = selectFinancialSeriesInternal(financialStatements, FIN_SERIES_YEARLY); // CAGR periods are counted in fiscal years
   const metrics = [];
   const cagrMetricDefinitions = [
     { key: 'Revenue', label: 'Revenue', statement: 'INC' },
     { key: 'NetIncome', label: 'Net Income', statement: 'INC' },
     { key: 'DilutedEPSExcludingExtraOrdItems', label: 'Diluted EPS', statement: 'INC' }
   ];
-  const numFinancialYears = stockDataFinancials.length;
+  const numFinancialYears = yearlyFinancials.length;
 
   cagrMetricDefinitions.forEach(metricDef => {
-    const currentValue = findFinancialByYearInternal(stockDataFinancials, 0, metricDef.statement, metricDef.key);
+    const currentValue = findFinancialByYearInternal(yearlyFinancials, 0, metricDef.statement, metricDef.key);
     if (numFinancialYears >= 3) {
-      const startValue3Y = findFinancialByYearInternal(stockDataFinancials, 2, metricDef.statement, metricDef.key);
+      const startValue3Y = findFinancialByYearInternal(yearlyFinancials, 2, metricDef.statement, metricDef.key);
       metrics.push({
         label: `${metricDef.label} CAGR (3Y)`,
         ...calculateCAGRInternal(currentValue, startValue3Y, 2),
@@ -1284,7 +1374,7 @@ export const calculateHistoricalPerformanceMetricsInternal = (stockDataFinancial
       });
     }
     if (numFinancialYears >= 5) {
-      const startValue5Y = findFinancialByYearInternal(stockDataFinancials, 4, metricDef.statement, metricDef.key);
+      const startValue5Y = findFinancialByYearInternal(yearlyFinancials, 4, metricDef.statement, metricDef.key);
       metrics.push({
         label: `${metricDef.label} CAGR (5Y)`,
         ...calculateCAGRInternal(currentValue, startValue5Y, 4),
@@ -1297,27 +1387,331 @@ export const calculateHistoricalPerformanceMetricsInternal = (stockDataFinancial
 
 /**
  * Calculates liquidity ratios.
- * @param {Array<Object>} stockDataFinancials - Yearly financial data.
+ * @param {Object} financialStatements - The `financialStatements` section (`{ yearly, quarterly }`) from adaptedStockData; the yearly series is used.
  * @param {function} findFinancialByYearInternal - Utility.
  * @param {function} formatToCroresInternal - Utility.
  * @param {function} formatRatioInternal - Utility.
  * @returns {object} Contains `metrics` array.
  */
-export const calculateLiquidityRatiosInternal = (stockDataFinancials, findFinancialByYearInternal, formatToCroresInternal, formatRatioInternal) => {
-  const cashAndShortTermInvRaw = findFinancialByYearInternal(stockDataFinancials, 0, 'BAL', 'CashandShortTermInvestments');
-  const totalCurrentAssetsRaw = findFinancialByYearInternal(stockDataFinancials, 0, 'BAL', 'TotalCurrentAssets');
-  const totalCurrentLiabilitiesRaw = findFinancialByYearInternal(stockDataFinancials, 0, 'BAL', 'TotalCurrentLiabilities');
+export const calculateLiquidityRatiosInternal = (financialStatements, findFinancialByYearInternal, formatToCroresInternal, formatRatioInternal) => {
+  const yearlyFinancials = selectFinancialSeriesInternal(financialStatements, FIN_SERIES_YEARLY); // Interim periods often have no balance sheet
+  const cashAndShortTermInvRaw = findFinancialByYearInternal(yearlyFinancials, 0, 'BAL', 'CashandShortTermInvestments');
+  const totalCurrentAssetsRaw = findFinancialByYearInternal(yearlyFinancials, 0, 'BAL', 'TotalCurrentAssets');
+  const totalCurrentLiabilitiesRaw = findFinancialByYearInternal(yearlyFinancials, 0, 'BAL', 'TotalCurrentLiabilities');
   const currentRatioRaw = (totalCurrentLiabilitiesRaw !== DEFAULT_NA_STRING && parseFloat(totalCurrentLiabilitiesRaw) !== 0 && totalCurrentAssetsRaw !== DEFAULT_NA_STRING) ? (parseFloat(totalCurrentAssetsRaw) / parseFloat(totalCurrentLiabilitiesRaw)) : DEFAULT_NA_STRING;
 
   const metrics = [
     { label: "Cash & Short Term Investments", ...formatToCroresInternal(cashAndShortTermInvRaw), explanation: "Most liquid assets (cash, deposits, money market, etc.). Buffer for short-term needs." },
     { label: "Total Current Assets", ...formatToCroresInternal(totalCurrentAssetsRaw), explanation: "Assets convertible to cash <1 year (cash, receivables, inventory). Shows short-term resources."}, 
     { label: "Total Current Liabilities", ...formatToCroresInternal(totalCurrentLiabilitiesRaw), explanation: "Obligations due <1 year (payables, short-term debt, accrued expenses). Short-term commitments."}, 
-    { label: "Current Ratio", ...formatRatioInternal(currentRatioRaw), explanation: "Ability to cover short-term liabilities with short-term assets (Current Assets / Current Liabilities). >1 preferred. Industry varies." }
+    { id: 'currentRatio', label: "Current Ratio", ...formatRatioInternal(currentRatioRaw), explanation: "Ability to cover short-term liabilities with short-term assets (Current Assets / Current Liabilities). >1 preferred. Industry varies." }
   ];
   return { metrics };
 };
 
+// Income statement items shown for each quarter in the Quarterly Results panel.
+// `format` selects the formatter: 'crores' for amounts, 'currency' for per-share values.
+export const QUARTERLY_RESULT_ITEMS = [
+  { id: 'revenue', label: 'Revenue', key: FIN_KEY_REVENUE, format: 'crores' },
+  { id: 'operatingIncome', label: 'Operating Income', key: FIN_KEY_OPERATING_INCOME, format: 'crores' },
+  { id: 'netIncome', label: 'Net Income', key: FIN_KEY_NET_INCOME, format: 'crores' },
+  { id: 'eps', label: 'Diluted EPS', key: FIN_KEY_DILUTED_EPS_EXCL_EXTRA_ORD, format: 'currency' },
+];
+
+/**
+ * Calculates the quarterly results: revenue, operating income, net income and EPS for the latest quarters,
+ * each with its growth over the previous quarter (QoQ) and over the same quarter a year earlier (YoY),
+ * plus operating and net margins with their change over the previous quarter.
+ * Growth figures sent by the API on the statement items (`yqoQComp`/`qoQComp`) are used when present;
+ * otherwise growth is calculated from the quarters themselves. Comparison quarters are looked up by
+ * fiscal year and quarter rather than by position, so a missing quarter never shifts the comparison.
+ * @param {Object} financialStatements - The `financialStatements` section (`{ yearly, quarterly }`) from adaptedStockData; the quarterly series is used.
+ * @param {function} findFinancialByYearInternal - Utility.
+ * @param {function} calculateYoYGrowthInternal - Utility (used for both QoQ and YoY growth).
+ * @param {function} formatToCroresInternal - Utility.
+ * @param {function} formatCurrencyInternal - Utility.
+ * @param {function} formatPercentageInternal - Utility.
+ * @param {number} quarterCount - Maximum number of quarters to return.
+ * @returns {object} Contains `quarters`, newest first. Each quarter has `label`, `periodEndDate`, `items`
+ *                   (keyed by the ids of QUARTERLY_RESULT_ITEMS, each a formatted value with `qoq` and `yoy` growth),
+ *                   and `operatingMargin`/`netMargin` (formatted percentages with a `change` in percentage points).
+ */
+export const calculateQuarterlyResultsInternal = (financialStatements, findFinancialByYearInternal, calculateYoYGrowthInternal, formatToCroresInternal, formatCurrencyInternal, formatPercentageInternal, quarterCount) => {
+  const quarterlyFinancials = selectFinancialSeriesInternal(financialStatements, FIN_SERIES_QUARTERLY);
+  const findQuarterIndex = (fiscalYear, fiscalQuarter) => quarterlyFinancials.findIndex(period => period.fiscalYear === fiscalYear && period.fiscalQuarter === fiscalQuarter);
+  const valueAt = (index, key) => (index < 0 ? DEFAULT_NA_STRING : findFinancialByYearInternal(quarterlyFinancials, index, STMT_INC, key));
+  const marginAt = (index, key) => {
+    const value = parseFloat(valueAt(index, key));
+    const revenue = parseFloat(valueAt(index, FIN_KEY_REVENUE));
+    return (!isNaN(value) && !isNaN(revenue) && revenue !== 0) ? (value / revenue) * 100 : DEFAULT_NA_STRING;
+  };
+
+  // Growth of an item against another quarter, preferring the API's own figure when it sent one
+  const growthOf = (index, compareIndex, key, upstreamField) => {
+    const upstreamGrowth = getSafeInternal(() => quarterlyFinancials[index].comparisons.incomeStatement[key][upstreamField]);
+    if (upstreamGrowth !== DEFAULT_NA_STRING) {
+      return formatPercentageInternal(upstreamGrowth, DEFAULT_NA_STRING, { colorOnPositiveNegative: true });
+    }
+    return calculateYoYGrowthInternal(valueAt(index, key), valueAt(compareIndex, key));
+  };
+
+  const quarters = quarterlyFinancials.slice(0, quarterCount).map((period, index) => {
+    const { fiscalYear, fiscalQuarter } = period;
+    const hasQuarter = fiscalYear !== null && fiscalQuarter !== null;
+    const previousQuarterIndex = !hasQuarter ? -1
+      : fiscalQuarter === 1 ? findQuarterIndex(fiscalYear - 1, 4) : findQuarterIndex(fiscalYear, fiscalQuarter - 1);
+    const sameQuarterLastYearIndex = hasQuarter ? findQuarterIndex(fiscalYear - 1, fiscalQuarter) : -1;
+
+    const items = {};
+    QUARTERLY_RESULT_ITEMS.forEach(item => {
+      const value = valueAt(index, item.key);
+      items[item.id] = {
+        ...(item.format === 'currency' ? formatCurrencyInternal(value) : formatToCroresInternal(value)),
+        qoq: growthOf(index, previousQuarterIndex, item.key, 'qoq'),
+        yoy: growthOf(index, sameQuarterLastYearIndex, item.key, 'yoy'),
+      };
+    });
+
+    // Margins, with their change in percentage points since the previous quarter
+    const marginWithChange = (key) => {
+      const margin = marginAt(index, key);
+      const previousMargin = marginAt(previousQuarterIndex, key);
+      const change = (margin !== DEFAULT_NA_STRING && previousMargin !== DEFAULT_NA_STRING) ? margin - previousMargin : DEFAULT_NA_STRING;
+      return {
+        ...formatPercentageInternal(margin),
+        change: { ...formatPercentageInternal(change, DEFAULT_NA_STRING, { colorOnPositiveNegative: true }), unit: change === DEFAULT_NA_STRING ? '' : 'pp' },
+      };
+    };
+
+    return {
+      label: period.label,
+      periodEndDate: period.periodEndDate,
+      items,
+      operatingMargin: marginWithChange(FIN_KEY_OPERATING_INCOME),
+      netMargin: marginWithChange(FIN_KEY_NET_INCOME),
+    };
+  });
+
+  return { quarters };
+};
+
+// ================================================================================================
+// REPORTED KEY METRICS
+// The API reports its own ratios, margins and growth rates (`keyMetrics`, adapted by shared/stockAdapter.js).
+// They are merged into the metric categories after the figures we calculate from the statements.
+// Where a reported figure describes one of our metrics, it is shown next to it only if the two differ
+// (e.g., a TTM RoE on average equity next to our RoE on year-end equity).
+// ================================================================================================
+
+// Value of `source` on metrics taken from keyMetrics rather than calculated
+export const METRIC_SOURCE_REPORTED = 'reported';
+
+// Category each keyMetrics group is merged into
+export const KEY_METRIC_GROUP_CATEGORIES = {
+  mgmtEffectiveness: 'efficiencyRatios',
+  margins: 'profitability',
+  financialstrength: 'financialHealthDebt',
+  valuation: 'valuation',
+  incomeStatement: 'profitability',
+  growth: 'growthTrends',
+  persharedata: 'shareholderReturns',
+  priceandVolume: 'technicalData',
+};
+
+// keyMetrics figures describing one of our metrics: key (as cleaned by the adapter) -> category and id of that metric's card
+const KEY_METRIC_COUNTERPARTS = {
+  returnOnAverageEquityTrailing12Month: { category: 'efficiencyRatios', id: 'roe' },
+  returnOnAverageEquityMostRecentFiscalYear: { category: 'efficiencyRatios', id: 'roe' },
+  returnOnAverageEquity5YearAverage: { category: 'efficiencyRatios', id: 'roe5YAvg' },
+  returnOnAverageAssetsTrailing12Month: { category: 'efficiencyRatios', id: 'roa' },
+  returnOnAverageAssetsMostRecenFiscalYear: { category: 'efficiencyRatios', id: 'roa' },
+  operatingMarginTrailing12Month: { category: 'profitability', id: 'operatingMargin' },
+  operatingMargin1stHistoricalFiscalYear: { category: 'profitability', id: 'operatingMargin' },
+  netProfitMarginPercentTrailing12Month: { category: 'profitability', id: 'netProfitMargin' },
+  netProfitMarginPercent1stHistoricalFiscalYear: { category: 'profitability', id: 'netProfitMargin' },
+  netIncomeAvailableToCommonMostRecentFiscalYear: { category: 'profitability', id: 'netIncome' },
+  eBITDMostRecentFiscalYear: { category: 'profitability', id: 'ebitda' },
+  pPerEIncludingExtraordinaryItemsTTM: { category: 'valuation', id: 'peRatio' },
+  pPerEExcludingExtraordinaryItemsMostRecentFiscalYear: { category: 'valuation', id: 'peRatio' },
+  priceToBookMostRecentQuarter: { category: 'valuation', id: 'pbRatio' },
+  priceToBookMostRecentFiscalYear: { category: 'valuation', id: 'pbRatio' },
+  marketCap: { category: 'valuation', id: 'marketCap' },
+  freeCashFlowtrailing12Month: { category: 'cashFlowHealth', id: 'freeCashFlow' },
+  freeCashFlowMostRecentFiscalYear: { category: 'cashFlowHealth', id: 'freeCashFlow' },
+  totalDebtPerTotalEquityMostRecentQuarter: { category: 'financialHealthDebt', id: 'debtToEquity' },
+  totalDebtPerTotalEquityMostRecentFiscalYear: { category: 'financialHealthDebt', id: 'debtToEquity' },
+  bookValueTangibleperSharemostRecentQuarter: { category: 'financialHealthDebt', id: 'tangibleBookValuePerShare' },
+  bookValueTangiblePerShareMostRecentFiscalYear: { category: 'financialHealthDebt', id: 'tangibleBookValuePerShare' },
+  currentRatioMostRecentFiscalYear: { category: 'liquidity', id: 'currentRatio' },
+  currentRatioMostRecentQuarter: { category: 'liquidity', id: 'currentRatio' },
+  currentDividendYieldCommonStockPrimaryIssueLTM: { category: 'shareholderReturns', id: 'dividendYield' },
+  payoutRatioTrailing12Month: { category: 'shareholderReturns', id: 'payoutRatio' },
+  payoutRatioMostRecentFiscalYear: { category: 'shareholderReturns', id: 'payoutRatio' },
+  dividendsPerShareTrailing12Month: { category: 'shareholderReturns', id: 'dividendPerShare' },
+  dividendPerShareMostRecentFiscalYear: { category: 'shareholderReturns', id: 'dividendPerShare' },
+  bookValuePerShareMostRecentFiscalYear: { category: 'shareCapital', id: 'bookValuePerShare' },
+  bookValuePerShareMostRecentQuarter: { category: 'shareCapital', id: 'bookValuePerShare' },
+  price1DayPercentChange: { category: 'technicalData', id: 'dayChange' },
+};
+
+// keyMetrics figures not shown: the quote price and its date duplicate the live price, and the
+// 52-week range is already on the "52-Week High/Low" card
+const KEY_METRIC_HIDDEN_KEYS = ['PDATE', 'NPRICE', '52WeekHigh', '52WeekLow'];
+
+// keyMetrics groups whose percentages are changes, colored as positive or negative
+const KEY_METRIC_SIGNED_GROUPS = ['growth', 'priceandVolume'];
+
+/**
+ * Merges the API's reported key metrics into the calculated metric categories.
+ * Reported figures are appended to the category of their group (KEY_METRIC_GROUP_CATEGORIES), labelled with
+ * the API's display name and badged with the period they cover. A figure describing one of our metrics
+ * (KEY_METRIC_COUNTERPARTS) is dropped when it formats to the same value, and otherwise placed right after
+ * that metric. Where the API repeats a figure for another period (e.g., "Quick ratio" for the latest fiscal
+ * year and the latest quarter), only the first is shown.
+ * @param {Object} metricsByCategory - The calculated metrics, keyed by category (arrays, or `{}` when not calculated).
+ * @param {Object} keyMetrics - The `keyMetrics` section from adaptedStockData (`{ group: [{ key, displayName, value, unit, period }] }`).
+ * @param {function} formatToCroresInternal - Utility.
+ * @param {function} formatPercentageInternal - Utility.
+ * @param {function} formatRatioInternal - Utility.
+ * @param {function} formatCurrencyInternal - Utility.
+ * @returns {Object} A copy of `metricsByCategory` with the reported metrics added. They carry
+ *                   `source: METRIC_SOURCE_REPORTED`, their period as `basis`, and `comparedWith` (the label
+ *                   of our metric) when shown next to a differing calculated figure.
+ */
+export const mergeKeyMetricsInternal = (metricsByCategory, keyMetrics, formatToCroresInternal, formatPercentageInternal, formatRatioInternal, formatCurrencyInternal) => {
+  const merged = {};
+  Object.entries(metricsByCategory || {}).forEach(([category, metrics]) => {
+    merged[category] = Array.isArray(metrics) ? [...metrics] : metrics;
+  });
+
+  Object.entries(keyMetrics || {}).forEach(([group, items]) => {
+    const groupCategory = KEY_METRIC_GROUP_CATEGORIES[group];
+    if (!groupCategory || !Array.isArray(items)) return;
+    const signed = KEY_METRIC_SIGNED_GROUPS.includes(group);
+    const shownFigures = new Set(); // "display name without its period|value", to skip repeats for another period
+
+    items.forEach(item => {
+      if (KEY_METRIC_HIDDEN_KEYS.includes(item.key)) return;
+      let formatted;
+      switch (item.unit) {
+        case 'percent': formatted = formatPercentageInternal(item.value, DEFAULT_NA_STRING, { colorOnPositiveNegative: signed }); break;
+        case 'ratio': formatted = formatRatioInternal(item.value); break;
+        case 'currency': formatted = formatCurrencyInternal(item.value); break;
+        case 'amount': formatted = formatToCroresInternal(item.value); break;
+        case 'date': formatted = { value: item.value, unit: '' }; break;
+        default: formatted = { value: Number(item.value).toLocaleString('en-IN'), unit: '', raw: Number(item.value) };
+      }
+      if (formatted.value === DEFAULT_NA_STRING) return;
+
+      const figure = `${item.displayName.split(/ - |, /)[0].trim().toLowerCase()}|${formatted.value}`;
+      if (shownFigures.has(figure)) return;
+      shownFigures.add(figure);
+
+      const counterpart = KEY_METRIC_COUNTERPARTS[item.key];
+      const category = counterpart ? counterpart.category : groupCategory;
+      if (!Array.isArray(merged[category])) merged[category] = [];
+      const metrics = merged[category];
+      const ownIndex = counterpart ? metrics.findIndex(metric => metric.id === counterpart.id && metric.source !== METRIC_SOURCE_REPORTED) : -1;
+      const own = ownIndex >= 0 ? metrics[ownIndex] : null;
+      if (own && own.value === formatted.value && own.unit === formatted.unit) return; // Same figure as ours
+
+      const reported = {
+        label: item.displayName,
+        ...formatted,
+        basis: item.period || undefined,
+        source: METRIC_SOURCE_REPORTED,
+        explanation: own
+          ? `As reported by the data provider. Differs from "${own.label}" above, which is calculated from the financial statements; the period or definition may differ.`
+          : 'As reported by the data provider.',
+      };
+      if (own) {
+        // After our metric and any reported figures already placed next to it
+        let insertAt = ownIndex + 1;
+        while (insertAt < metrics.length && metrics[insertAt].comparedWith === own.label) insertAt += 1;
+        metrics.splice(insertAt, 0, { ...reported, comparedWith: own.label });
+      } else {
+        metrics.push(reported);
+      }
+    });
+  });
+
+  return merged;
+};
+
+// ================================================================================================
+// SHAREHOLDING PATTERN
+// Quarterly holdings of promoters, foreign institutions (FII), mutual funds/insurers (MF) and others,
+// from the `shareHoldingPattern` section of adaptedStockData (see shared/stockAdapter.js).
+// ================================================================================================
+
+// Key of the promoter category, whose stake changes are highlighted
+export const SHAREHOLDING_PROMOTER_KEY = 'Promoter';
+
+const MONTH_ABBREVIATIONS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Calculates the shareholding trends: each category's percentage per quarter for the charts, the latest
+ * holdings with their change since the previous quarter, and the quarters in which the promoter stake
+ * moved by at least `largeChangeThresholdPp` percentage points.
+ * @param {Object} shareHoldingPattern - The `shareHoldingPattern` section from adaptedStockData (`{ categories, quarters }`, quarters oldest first).
+ * @param {function} formatPercentageInternal - Utility.
+ * @param {number} largeChangeThresholdPp - Change of the promoter stake between two quarters, in percentage points, considered large.
+ * @returns {object} Contains `quarters` (`{ holdingDate, label }`, oldest first, e.g., label "Mar 2025"),
+ *                   `series` (`{ key, name, values }` per category, values aligned with `quarters`),
+ *                   `latest` (per category: the latest formatted percentage, its QoQ `change` in 'pp',
+ *                   a `badge` text such as "FII +1.20pp QoQ", and `isLargeChange` for the promoter stake),
+ *                   and `promoterChanges` (`{ label, change }` for each quarter with a large promoter stake change, newest first).
+ */
+export const calculateShareholdingTrendsInternal = (shareHoldingPattern, formatPercentageInternal, largeChangeThresholdPp) => {
+  const categories = getSafeInternal(() => shareHoldingPattern.categories, []);
+  const rawQuarters = getSafeInternal(() => shareHoldingPattern.quarters, []);
+
+  const quarters = rawQuarters.map(quarter => {
+    const [year, month] = quarter.holdingDate.split('-').map(Number);
+    return { holdingDate: quarter.holdingDate, label: `${MONTH_ABBREVIATIONS[month - 1] || month} ${year}` };
+  });
+  const series = categories.map(category => ({
+    key: category.key,
+    name: category.name,
+    values: rawQuarters.map(quarter => getSafeInternal(() => quarter.holdings[category.key], null)),
+  }));
+
+  // Change between two quarters in percentage points, or DEFAULT_NA_STRING if either is missing
+  const changeBetween = (values, index, previousIndex) => (
+    previousIndex >= 0 && values[index] !== null && values[previousIndex] !== null ? values[index] - values[previousIndex] : DEFAULT_NA_STRING
+  );
+
+  const lastIndex = rawQuarters.length - 1;
+  const latest = series.map(({ key, name, values }) => {
+    const change = changeBetween(values, lastIndex, lastIndex - 1);
+    const formattedChange = { ...formatPercentageInternal(change, DEFAULT_NA_STRING, { colorOnPositiveNegative: true }), unit: change === DEFAULT_NA_STRING ? '' : 'pp' };
+    return {
+      key,
+      name,
+      ...formatPercentageInternal(lastIndex >= 0 ? values[lastIndex] : DEFAULT_NA_STRING),
+      change: formattedChange,
+      badge: change === DEFAULT_NA_STRING ? null : `${key} ${change > 0 ? '+' : ''}${formattedChange.value}pp QoQ`,
+      isLargeChange: key === SHAREHOLDING_PROMOTER_KEY && change !== DEFAULT_NA_STRING && Math.abs(change) >= largeChangeThresholdPp,
+    };
+  });
+
+  const promoterSeries = series.find(({ key }) => key === SHAREHOLDING_PROMOTER_KEY);
+  const promoterChanges = [];
+  if (promoterSeries) {
+    promoterSeries.values.forEach((value, index) => {
+      const change = changeBetween(promoterSeries.values, index, index - 1);
+      if (change !== DEFAULT_NA_STRING && Math.abs(change) >= largeChangeThresholdPp) {
+        promoterChanges.unshift({
+          label: quarters[index].label,
+          change: { ...formatPercentageInternal(change, DEFAULT_NA_STRING, { colorOnPositiveNegative: true }), unit: 'pp' },
+        });
+      }
+    });
+  }
+
+  return { quarters, series, latest, promoterChanges };
+};
+
 // ================================================================================================
 // EXPORT MAP (Exposing internal functions with simplified names for use in App.js)
 // ================================================================================================
@@ -1325,6 +1719,7 @@ export const calculateLiquidityRatiosInternal = (stockDataFinancials, findFinanc
 // while keeping the more descriptive names within this utils.js file.
 // ================================================================================================
 export const getSafe = getSafeInternal;
+export const selectFinancialSeries = selectFinancialSeriesInternal;
 export const findFinancialByYear = findFinancialByYearInternal;
 export const formatToCrores = formatToCroresInternal;
 export const formatPercentage = formatPercentageInternal;
@@ -1354,4 +1749,8 @@ export const calculateEfficiencyRatios = calculateEfficiencyRatiosInternal;
 export const calculateOperationalEfficiencyMetrics = calculateOperationalEfficiencyMetricsInternal;
 export const calculateGrowthTrendsMetrics = calculateGrowthTrendsMetricsInternal;
 export const calculateHistoricalPerformanceMetrics = calculateHistoricalPerformanceMetricsInternal;
-export const calculateLiquidityRatios = calculateLiquidityRatiosInternal; 
\ No newline at end of file
+export const calculateLiquidityRatios = calculateLiquidityRatiosInternal;
+export const calculateQuarterlyResults = calculateQuarterlyResultsInternal;
+export const calculateTTMFundamentals = calculateTTMFundamentalsInternal;
+export const mergeKeyMetrics = mergeKeyMetricsInternal;
+export const calculateShareholdingTrends = calculateShareholdingTrendsInternal;
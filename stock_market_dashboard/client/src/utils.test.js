@@ -0,0 +1,181 @@
+import {
+  BASIS_FY,
+  BASIS_TTM,
+  DEFAULT_NA_STRING,
+  FIN_KEY_DILUTED_WEIGHTED_AVG_SHARES,
+  FIN_KEY_NET_INCOME,
+  FIN_KEY_REVENUE,
+  FIN_KEY_TOTAL_EQUITY,
+  METRIC_SOURCE_REPORTED,
+  calculateTTMFundamentals,
+  formatCurrency,
+  formatPercentage,
+  formatRatio,
+  formatToCrores,
+  mergeKeyMetrics,
+} from './utils';
+
+// Builds a quarterly period shaped like the adapter's `financialStatements.quarterly` entries
+const quarter = (fiscalYear, fiscalQuarter, periodEndDate, incomeStatement, balanceSheet = {}) => ({
+  label: `Q${fiscalQuarter} FY${fiscalYear}`,
+  fiscalYear,
+  fiscalQuarter,
+  periodEndDate,
+  incomeStatement,
+  balanceSheet,
+  cashFlowStatement: {},
+});
+
+const fiscalYear = (year, periodEndDate, incomeStatement, balanceSheet = {}) => ({
+  label: `FY${year}`,
+  fiscalYear: year,
+  fiscalQuarter: null,
+  periodEndDate,
+  incomeStatement,
+  balanceSheet,
+  cashFlowStatement: { CashfromOperatingActivities: 900 },
+});
+
+const FY2024 = fiscalYear(2024, '2024-03-31', { [FIN_KEY_REVENUE]: 1000, [FIN_KEY_NET_INCOME]: 100 }, { [FIN_KEY_TOTAL_EQUITY]: 500 });
+
+// Q3 FY2025 back to Q4 FY2024, newest first
+const consecutiveQuarters = [
+  quarter(2025, 3, '2024-12-31', { [FIN_KEY_REVENUE]: 300, [FIN_KEY_NET_INCOME]: 30, [FIN_KEY_DILUTED_WEIGHTED_AVG_SHARES]: 12 }, { [FIN_KEY_TOTAL_EQUITY]: 560 }),
+  quarter(2025, 2, '2024-09-30', { [FIN_KEY_REVENUE]: 280, [FIN_KEY_NET_INCOME]: 28, [FIN_KEY_DILUTED_WEIGHTED_AVG_SHARES]: 11 }),
+  quarter(2025, 1, '2024-06-30', { [FIN_KEY_REVENUE]: 260, [FIN_KEY_NET_INCOME]: 26, [FIN_KEY_DILUTED_WEIGHTED_AVG_SHARES]: 10 }),
+  quarter(2024, 4, '2024-03-31', { [FIN_KEY_REVENUE]: 250, [FIN_KEY_NET_INCOME]: 25, [FIN_KEY_DILUTED_WEIGHTED_AVG_SHARES]: 10 }),
+];
+
+describe('calculateTTMFundamentals', () => {
+  test('sums the income statement over the last four consecutive quarters', () => {
+    const fundamentals = calculateTTMFundamentals({ yearly: [FY2024], quarterly: consecutiveQuarters });
+
+    expect(fundamentals.basis).toBe(BASIS_TTM);
+    expect(fundamentals.label).toBe('TTM Q3 FY2025');
+    expect(fundamentals.periodEndDate).toBe('2024-12-31');
+    expect(fundamentals.incomeStatement[FIN_KEY_REVENUE]).toBe(1090);
+    expect(fundamentals.incomeStatement[FIN_KEY_NET_INCOME]).toBe(109);
+    expect(fundamentals.cashFlowStatement).toEqual({});
+  });
+
+  test('takes non-additive items from the latest quarter', () => {
+    const fundamentals = calculateTTMFundamentals({ yearly: [FY2024], quarterly: consecutiveQuarters });
+
+    expect(fundamentals.incomeStatement[FIN_KEY_DILUTED_WEIGHTED_AVG_SHARES]).toBe(12);
+  });
+
+  test('reports an item missing from any of the four quarters as N/A', () => {
+    const quarterly = consecutiveQuarters.map((period, index) => (index === 2
+      ? { ...period, incomeStatement: { [FIN_KEY_REVENUE]: 260 } }
+      : period));
+
+    const fundamentals = calculateTTMFundamentals({ yearly: [FY2024], quarterly });
+
+    expect(fundamentals.incomeStatement[FIN_KEY_REVENUE]).toBe(1090);
+    expect(fundamentals.incomeStatement[FIN_KEY_NET_INCOME]).toBe(DEFAULT_NA_STRING);
+  });
+
+  test('uses the most recent balance sheet, quarterly or annual', () => {
+    const fundamentals = calculateTTMFundamentals({ yearly: [FY2024], quarterly: consecutiveQuarters });
+
+    expect(fundamentals.balanceSheet[FIN_KEY_TOTAL_EQUITY]).toBe(560);
+    expect(fundamentals.balanceSheetLabel).toBe('Q3 FY2025');
+  });
+
+  test('falls back to the latest fiscal year with fewer than four quarters', () => {
+    const fundamentals = calculateTTMFundamentals({ yearly: [FY2024], quarterly: consecutiveQuarters.slice(0, 3) });
+
+    expect(fundamentals.basis).toBe(BASIS_FY);
+    expect(fundamentals.label).toBe('FY2024');
+    expect(fundamentals.incomeStatement).toBe(FY2024.incomeStatement);
+    expect(fundamentals.cashFlowStatement).toBe(FY2024.cashFlowStatement);
+  });
+
+  test('falls back to the latest fiscal year when the quarters are not consecutive', () => {
+    // Q1 FY2025 is missing: Q2 FY2025 follows Q4 FY2024
+    const quarterly = [
+      ...consecutiveQuarters.slice(0, 2),
+      consecutiveQuarters[3],
+      quarter(2024, 3, '2023-12-31', { [FIN_KEY_REVENUE]: 240, [FIN_KEY_NET_INCOME]: 24 }),
+    ];
+
+    const fundamentals = calculateTTMFundamentals({ yearly: [FY2024], quarterly });
+
+    expect(fundamentals.basis).toBe(BASIS_FY);
+    expect(fundamentals.label).toBe('FY2024');
+  });
+
+  test('prefers a fiscal year that ends with the latest quarter', () => {
+    const FY2025 = fiscalYear(2025, '2025-03-31', { [FIN_KEY_REVENUE]: 1200, [FIN_KEY_NET_INCOME]: 120 });
+    const quarterly = [
+      quarter(2025, 4, '2025-03-31', { [FIN_KEY_REVENUE]: 360, [FIN_KEY_NET_INCOME]: 36 }),
+      ...consecutiveQuarters.slice(0, 3),
+    ];
+
+    const fundamentals = calculateTTMFundamentals({ yearly: [FY2025, FY2024], quarterly });
+
+    expect(fundamentals.basis).toBe(BASIS_FY);
+    expect(fundamentals.label).toBe('FY2025');
+  });
+
+  test('builds TTM figures without any annual statements', () => {
+    const fundamentals = calculateTTMFundamentals({ yearly: [], quarterly: consecutiveQuarters });
+
+    expect(fundamentals.basis).toBe(BASIS_TTM);
+  });
+
+  test('returns null without financial statements', () => {
+    expect(calculateTTMFundamentals({ yearly: [], quarterly: consecutiveQuarters.slice(0, 2) })).toBeNull();
+    expect(calculateTTMFundamentals(undefined)).toBeNull();
+  });
+});
+
+describe('mergeKeyMetrics', () => {
+  const merge = (metricsByCategory, keyMetrics) => mergeKeyMetrics(metricsByCategory, keyMetrics, formatToCrores, formatPercentage, formatRatio, formatCurrency);
+  const ownMetric = (id, label, value) => ({ id, label, ...formatPercentage(value), explanation: '' });
+  const reportedItem = (key, displayName, value, period = 'TTM') => ({ key, displayName, value, unit: 'percent', period });
+
+  test('places a differing reported figure right after the metric with the same id', () => {
+    const merged = merge(
+      { efficiencyRatios: [ownMetric('roe', 'Return on Equity (RoE %)', 4.1), ownMetric('roa', 'Return on Assets (RoA %)', 1.2)] },
+      { mgmtEffectiveness: [reportedItem('returnOnAverageEquityTrailing12Month', 'Return on average equity - trailing 12 month', 3.73)] },
+    );
+
+    expect(merged.efficiencyRatios.map(metric => metric.label)).toEqual([
+      'Return on Equity (RoE %)',
+      'Return on average equity - trailing 12 month',
+      'Return on Assets (RoA %)',
+    ]);
+    expect(merged.efficiencyRatios[1]).toMatchObject({ source: METRIC_SOURCE_REPORTED, basis: 'TTM', comparedWith: 'Return on Equity (RoE %)' });
+  });
+
+  test('matches on the id whatever the label of our metric', () => {
+    const merged = merge(
+      { shareholderReturns: [ownMetric('payoutRatio', 'Payout Ratio (%) ', 120)] },
+      { financialstrength: [reportedItem('payoutRatioTrailing12Month', 'Payout ratio - trailing 12 month', 131.26)] },
+    );
+
+    expect(merged.shareholderReturns).toHaveLength(2);
+    expect(merged.shareholderReturns[1].comparedWith).toBe('Payout Ratio (%) ');
+    expect(merged.financialHealthDebt).toBeUndefined();
+  });
+
+  test('drops a reported figure equal to ours', () => {
+    const merged = merge(
+      { profitability: [ownMetric('operatingMargin', 'Operating Margin', 6.38)] },
+      { margins: [reportedItem('operatingMarginTrailing12Month', 'Operating margin - trailing 12 month', 6.38)] },
+    );
+
+    expect(merged.profitability).toHaveLength(1);
+  });
+
+  test('appends figures without a counterpart to the category of their group', () => {
+    const merged = merge(
+      { profitability: [ownMetric('operatingMargin', 'Operating Margin', 6.38)] },
+      { margins: [reportedItem('grossMarginTrailing12Month', 'Gross Margin - trailing 12 month', 56.53)] },
+    );
+
+    expect(merged.profitability[1]).toMatchObject({ label: 'Gross Margin - trailing 12 month', source: METRIC_SOURCE_REPORTED });
+    expect(merged.profitability[1].comparedWith).toBeUndefined();
+  });
+});
@@ -1,66 +1,62 @@
 /**
  * @file apiUtils.js
- * @description Utilities for making API calls, including fallback mechanisms.
+ * @description Utilities for making API calls to the dashboard backend.
+ * The backend proxies the external stock API and handles API keys and key failover,
+ * so the client only ever talks to our own server.
+ *
+ * Responses carrying an ETag are remembered, and the next request for the same URL sends it back
+ * (If-None-Match). When the data has not changed, the backend answers with an empty 304 and the
+ * remembered data is reused, instead of downloading and parsing the same payload again.
  */
 
+import { API_TOKEN } from '../constants';
+
+// Responses remembered for revalidation. /api/v2/stock payloads are a few hundred KB, so only the
+// most recently used URLs are kept.
+const MAX_REVALIDATION_ENTRIES = 20;
+const revalidationCache = new Map(); // url -> { etag, data }. Map order doubles as LRU order.
+
 /**
- * Fetches data from a given URL, trying a primary API key first, then a backup if the primary fails.
- * @param {string} url The URL to fetch data from.
- * @param {string} primaryApiKey The primary API key.
- * @param {string} backupApiKey The backup API key (can be null or undefined).
- * @param {string} primaryKeyName A descriptive name for the primary key (e.g., 'Primary') for error messages.
- * @param {string} backupKeyName A descriptive name for the backup key (e.g., 'Backup') for error messages.
- * @param {string} primaryKeyPlaceholder The placeholder value for the primary API key.
- * @param {string} backupKeyPlaceholder The placeholder value for the backup API key.
+ * Remembers a response for revalidation, evicting the least recently used entry when full.
+ * @param {string} url The request URL.
+ * @param {string} etag The response's ETag.
+ * @param {any} data The parsed response body.
+ */
+function remember(url, etag, data) {
+  revalidationCache.delete(url);
+  revalidationCache.set(url, { etag, data });
+  if (revalidationCache.size > MAX_REVALIDATION_ENTRIES) {
+    revalidationCache.delete(revalidationCache.keys().next().value);
+  }
+}
+
+/**
+ * Fetches JSON data from a backend endpoint, revalidating a previously fetched response when possible.
+ * @param {string} url The backend URL to fetch data from (e.g., '/api/stock?symbol=RELIANCE').
+ * @param {string} [requestName='Request'] A descriptive name for the request (e.g., 'Stock Data') for error messages.
  * @returns {Promise<any>} A promise that resolves with the JSON data if successful.
- * @throws {Error} Throws an error if fetching fails with all available keys or if keys are not configured.
+ * @throws {Error} Throws an error with the backend's message and a `status` property if the request fails.
  */
-export async function fetchDataWithFallback(
-  url,
-  primaryApiKey,
-  backupApiKey,
-  primaryKeyName = 'Primary',
-  backupKeyName = 'Backup',
-  primaryKeyPlaceholder = 'YOUR_PRIMARY_API_KEY_HERE', // Default placeholder
-  backupKeyPlaceholder = 'YOUR_BACKUP_API_KEY_HERE' // Default placeholder
-) {
-  const attemptFetchWithKey = async (apiKey, keyName) => {
-    const response = await fetch(url, {
-      headers: { 'X-API-Key': apiKey },
-    });
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({})); // Try to parse error, default to empty obj
-      const errorMessage = errorData.message || errorData.detail || errorData.details || `Error: ${response.status} with ${keyName} key`;
-      const error = new Error(errorMessage);
-      error.status = response.status;
-      throw error;
-    }
-    return response.json();
-  };
+export async function fetchFromBackend(url, requestName = 'Request') {
+  const headers = {};
+  if (API_TOKEN) headers.Authorization = `Bearer ${API_TOKEN}`;
+  const remembered = revalidationCache.get(url);
+  if (remembered) headers['If-None-Match'] = remembered.etag;
 
-  // Try with Primary API Key
-  if (!primaryApiKey || primaryApiKey === primaryKeyPlaceholder) {
-    throw new Error(`${primaryKeyName} API Key is not configured or is set to the placeholder value.`);
+  const response = await fetch(url, { headers });
+  if (response.status === 304 && remembered) {
+    remember(url, remembered.etag, remembered.data); // Mark as recently used
+    return remembered.data;
   }
-
-  try {
-    // console.log(`Attempting fetch with ${primaryKeyName} key for URL: ${url}`);
-    return await attemptFetchWithKey(primaryApiKey, primaryKeyName);
-  } catch (primaryError) {
-    // console.error(`${primaryKeyName} API Key failed for URL ${url}:`, primaryError.message, "Status:", primaryError.status);
-    // Check if a backup key is available and the error is a candidate for retry (e.g., auth, quota)
-    if (backupApiKey && backupApiKey !== backupKeyPlaceholder && (primaryError.status === 401 || primaryError.status === 403 || primaryError.status === 429)) {
-      // console.log(`Trying ${backupKeyName} API Key for URL: ${url}...`);
-      try {
-        return await attemptFetchWithKey(backupApiKey, backupKeyName);
-      } catch (backupError) {
-        // console.error(`${backupKeyName} API Key also failed for URL ${url}:`, backupError.message, "Status:", backupError.status);
-        // Combine error messages or throw a more specific one
-        throw new Error(`${primaryKeyName} Key Error: ${primaryError.message}. ${backupKeyName} Key Error: ${backupError.message}`);
-      }
-    } else {
-      // If no backup key or error is not retryable, re-throw the primary error
-      throw primaryError;
-    }
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({})); // Try to parse error, default to empty obj
+    const errorMessage = errorData.message || errorData.detail || `Error: ${response.status} while fetching ${requestName}`;
+    const error = new Error(errorMessage);
+    error.status = response.status;
+    throw error;
   }
-} 
\ No newline at end of file
+  const data = await response.json();
+  const etag = response.headers.get('ETag');
+  if (etag) remember(url, etag, data);
+  return data;
+}
@@ -0,0 +1,199 @@
+/**
+ * @file config.js
+ * @description Central configuration for the backend server.
+ * Reads environment variables (loaded from `.env` by dotenv) once and exposes them
+ * as a plain object, applying defaults so the rest of the server never touches `process.env` directly.
+ */
+
+require('dotenv').config(); // Load environment variables from .env file into process.env
+const path = require('path');
+
+/**
+ * Reads a numeric environment variable.
+ * @param {string} name - The environment variable name.
+ * @param {number} defaultValue - The value to use if the variable is unset or empty.
+ * @returns {number} The parsed number, or NaN if the variable is set but not numeric.
+ */
+const readNumber = (name, defaultValue) => {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '') return defaultValue;
+  return Number(raw);
+};
+
+/**
+ * Reads a string environment variable.
+ * @param {string} name - The environment variable name.
+ * @param {string} defaultValue - The value to use if the variable is unset or empty.
+ * @returns {string} The trimmed value or the default.
+ */
+const readString = (name, defaultValue) => {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '') return defaultValue;
+  return raw.trim();
+};
+
+/**
+ * Reads a boolean environment variable ("true"/"1"/"yes" are true, case-insensitive).
+ * @param {string} name - The environment variable name.
+ * @param {boolean} defaultValue - The value to use if the variable is unset or empty.
+ * @returns {boolean} The parsed value.
+ */
+const readBoolean = (name, defaultValue) => {
+  const raw = readString(name, '');
+  if (raw === '') return defaultValue;
+  return ['true', '1', 'yes'].includes(raw.toLowerCase());
+};
+
+/**
+ * Reads a comma-separated list from an environment variable.
+ * @param {string} name - The environment variable name.
+ * @returns {Array<string>} The non-empty, trimmed items (empty array if unset).
+ */
+const readList = (name) => (process.env[name] || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(item => !!item);
+
+/**
+ * Resolves a path from an environment variable relative to the server directory.
+ * @param {string} name - The environment variable name.
+ * @param {string} defaultValue - Default path, relative to the server directory.
+ * @returns {string} An absolute path.
+ */
+const readPath = (name, defaultValue) => path.resolve(__dirname, readString(name, defaultValue));
+
+const config = {
+  port: readNumber('PORT', 5001), // Port for the server, fallback to 5001
+  logLevel: readString('LOG_LEVEL', 'info'), // 'debug', 'info', 'warn' or 'error'
+
+  // External API keys: API_KEYS=a,b,c, plus the legacy PRIMARY_API_KEY and BACKUP_API_KEY.
+  // Duplicates are removed so a key listed in both places is only counted once.
+  apiKeys: [...new Set([
+    ...readList('API_KEYS'),
+    ...readList('PRIMARY_API_KEY'),
+    ...readList('BACKUP_API_KEY'),
+  ])],
+  keyPool: {
+    strategy: readString('API_KEY_STRATEGY', 'round-robin'), // 'round-robin' or 'least-used'
+    cooldownSeconds: readNumber('API_KEY_COOLDOWN_SECONDS', 60), // After a 429 response
+    authCooldownSeconds: readNumber('API_KEY_AUTH_COOLDOWN_SECONDS', 3600), // After a 401/403 response
+    dailyLimit: readNumber('API_KEY_DAILY_LIMIT', 0), // Calls per key per day, 0 for unlimited
+  },
+
+  upstream: {
+    mode: readString('UPSTREAM_MODE', 'live'), // 'live', 'fixtures' or 'record' (see lib/upstream.js)
+    baseUrl: readString('UPSTREAM_BASE_URL', 'https://stock.indianapi.in'), // Base URL for the external stock API
+    fixturesDir: readPath('FIXTURES_DIR', 'fixtures'), // Recorded responses, one folder per symbol
+    timeoutMs: readNumber('UPSTREAM_TIMEOUT_MS', 10000), // Timeout for each external HTTP request
+    retry: {
+      retries: readNumber('UPSTREAM_RETRIES', 2), // Retries for transient failures (timeouts, resets, 502/503/504)
+      baseDelayMs: readNumber('UPSTREAM_RETRY_BASE_MS', 300), // Backoff before the first retry
+      maxDelayMs: readNumber('UPSTREAM_RETRY_MAX_MS', 3000), // Upper bound for the backoff
+    },
+    circuit: {
+      failureThreshold: readNumber('CIRCUIT_FAILURE_THRESHOLD', 5), // Consecutive failures that open the circuit
+      openSeconds: readNumber('CIRCUIT_OPEN_SECONDS', 30), // Time before a trial call is let through
+    },
+  },
+
+  // MongoDB connection string. When set, every fetched /stock payload is saved as a daily snapshot.
+  mongoUri: readString('MONGO_URI', ''),
+
+  // NSE equity master used for symbol search and to check/resolve requested symbols
+  symbolMasterFile: readPath('SYMBOL_MASTER_FILE', 'data/EQUITY_L.csv'),
+
+  batch: {
+    maxSymbols: readNumber('BATCH_MAX_SYMBOLS', 50), // Symbols allowed in one /api/stocks request
+    concurrency: readNumber('BATCH_CONCURRENCY', 4), // Concurrent external calls per batch
+  },
+
+  // NSE trading session, in India time. Live prices are only polled while the market is open.
+  market: {
+    session: readString('MARKET_HOURS', '09:15-15:30'),
+    alwaysOpen: readBoolean('MARKET_ALWAYS_OPEN', false), // Ignore market hours, e.g., when developing with fixtures
+  },
+
+  livePrices: {
+    intervalSeconds: readNumber('LIVE_PRICE_INTERVAL_SECONDS', 15), // How often subscribed symbols are polled
+    heartbeatSeconds: readNumber('LIVE_PRICE_HEARTBEAT_SECONDS', 20), // Keep-alive comments on idle streams
+    maxSymbols: readNumber('LIVE_PRICE_MAX_SYMBOLS', 20), // Symbols allowed in one stream
+    maxTotalSymbols: readNumber('LIVE_PRICE_MAX_TOTAL_SYMBOLS', 100), // Distinct symbols streamed across all clients
+    maxStreamsPerClient: readNumber('LIVE_PRICE_MAX_STREAMS_PER_CLIENT', 5), // Open streams per IP address
+    reserveCalls: readNumber('LIVE_PRICE_RESERVE_CALLS', 100), // Remaining daily API key calls polls leave for the dashboard
+  },
+
+  // Price and indicator alerts (see lib/alertEngine.js)
+  alerts: {
+    file: readPath('ALERTS_FILE', 'data/alerts.json'), // Rules and recent firings
+    intervalSeconds: readNumber('ALERTS_INTERVAL_SECONDS', 60), // How often rules are evaluated while the market is open
+    maxRules: readNumber('ALERTS_MAX_RULES', 100),
+    webhook: {
+      url: readString('ALERT_WEBHOOK_URL', ''), // Firings are POSTed here; without it they are only logged and listed
+      timeoutMs: readNumber('ALERT_WEBHOOK_TIMEOUT_MS', 5000),
+      retry: {
+        retries: readNumber('ALERT_WEBHOOK_RETRIES', 2), // Retries for transient failures (timeouts, resets, 502/503/504)
+        baseDelayMs: 500,
+        maxDelayMs: 5000,
+      },
+    },
+  },
+
+  // End-of-day job fetching a universe of symbols after the close (see lib/eodJob.js)
+  eod: {
+    enabled: readBoolean('EOD_ENABLED', false),
+    symbols: readList('EOD_SYMBOLS'), // e.g., a watchlist: EOD_SYMBOLS=RELIANCE,TCS,INFY
+    symbolsFile: readString('EOD_SYMBOLS_FILE', '') ? readPath('EOD_SYMBOLS_FILE', '') : null, // e.g., data/universes/nifty50.txt
+    delayMinutes: readNumber('EOD_DELAY_MINUTES', 30), // How long after the close the job runs
+    historical: readBoolean('EOD_HISTORICAL', true), // Also fetch the one-year price history of each symbol
+    concurrency: readNumber('EOD_CONCURRENCY', 2),
+    reserveCalls: readNumber('EOD_RESERVE_CALLS', 100), // Daily API key calls left untouched for the dashboard
+    maxCalls: readNumber('EOD_MAX_CALLS', 0), // External calls allowed per run, 0 for no limit besides the quota
+    dir: readPath('EOD_DIR', 'data/eod'), // Fetched payloads and run reports
+  },
+
+  // Routes of the upstreamRoutes.js table exposed at /api/upstream/:name; empty exposes the whole table
+  upstreamRoutes: readList('UPSTREAM_ROUTES'),
+
+  // Access control for /api/*. See lib/apiAuth.js and lib/rateLimit.js.
+  auth: {
+    requireToken: readBoolean('REQUIRE_API_TOKEN', false), // Reject /api/* requests without a valid API token
+    tokensFile: readPath('API_TOKENS_FILE', 'data/tokens.json'), // Hashes of the issued tokens
+  },
+  rateLimit: {
+    windowSeconds: readNumber('RATE_LIMIT_WINDOW_SECONDS', 60),
+    perIp: readNumber('RATE_LIMIT_PER_IP', 300), // Requests per window from one IP address, 0 for unlimited
+    perToken: readNumber('RATE_LIMIT_PER_TOKEN', 600), // Requests per window with one API token (tokens can override it), 0 for unlimited
+    // Requests per day with one API token, from all IP addresses together, 0 for unlimited. Caps how much
+    // upstream quota a token can spend, e.g., one read from a browser bundle.
+    perTokenDaily: readNumber('RATE_LIMIT_PER_TOKEN_DAILY', 10000),
+  },
+  // gzip/brotli compression of responses; turn off when a reverse proxy in front of the server compresses them
+  compression: readBoolean('COMPRESSION', true),
+  // Browser origins allowed to call the API (CORS). '*' allows any origin.
+  corsOrigins: readList('CORS_ORIGINS').length > 0 ? readList('CORS_ORIGINS') : ['http://localhost:3000'],
+  // Express 'trust proxy' setting, so client IPs are read from X-Forwarded-For behind a reverse proxy
+  // (e.g., 1 for one proxy hop). Unset, the connecting address is the client IP.
+  trustProxy: readString('TRUST_PROXY', ''),
+
+  // Time allowed on SIGTERM/SIGINT for in-flight requests to finish and pending writes to be flushed (see lib/shutdown.js)
+  shutdownTimeoutSeconds: readNumber('SHUTDOWN_TIMEOUT_SECONDS', 10),
+
+  // Token expected in the X-Admin-Token header for /api/admin/* routes.
+  // Admin routes are disabled when this is not set.
+  adminToken: readString('ADMIN_TOKEN', ''),
+
+  cache: {
+    store: readString('CACHE_STORE', 'memory'), // 'memory' or 'disk'
+    dir: readPath('CACHE_DIR', 'cache'), // Directory for the disk store
+    maxEntries: readNumber('CACHE_MAX_ENTRIES', 500), // LRU capacity of the in-memory cache
+    ttlSeconds: {
+      quote: readNumber('CACHE_TTL_QUOTE_SECONDS', 60), // Price-sensitive data (the /stock payload)
+      historical: readNumber('CACHE_TTL_HISTORICAL_SECONDS', 900), // Historical chart data
+      profile: readNumber('CACHE_TTL_PROFILE_SECONDS', 6 * 60 * 60), // Slow-changing profile/financial data
+    },
+    // How long responses are retained to be served stale while the external API is down
+    staleIfErrorSeconds: readNumber('CACHE_STALE_IF_ERROR_SECONDS', 24 * 60 * 60),
+  },
+};
+
+module.exports = config;
@@ -0,0 +1,38 @@
+/**
+ * @file adminAuth.js
+ * @description Middleware protecting the /api/admin/* routes with a shared admin token.
+ * The token is sent in the `X-Admin-Token` header. If no ADMIN_TOKEN is configured,
+ * admin routes are disabled entirely rather than left open.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Compares two strings in constant time.
+ * @param {string} a - First string.
+ * @param {string} b - Second string.
+ * @returns {boolean} True if both strings are equal.
+ */
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Creates the admin authentication middleware.
+ * @param {string} adminToken - The configured admin token (empty string if not configured).
+ * @returns {Function} Express middleware.
+ */
+const createRequireAdmin = (adminToken) => (req, res, next) => {
+  if (!adminToken) {
+    return res.status(403).json({ message: 'Admin routes are disabled. Set ADMIN_TOKEN in .env to enable them.' });
+  }
+  const providedToken = req.get('X-Admin-Token') || '';
+  if (!safeEqual(providedToken, adminToken)) {
+    return res.status(401).json({ message: 'Invalid or missing X-Admin-Token header.' });
+  }
+  next();
+};
+
+module.exports = { createRequireAdmin };
@@ -0,0 +1,155 @@
+/**
+ * @file alertEngine.js
+ * @description Evaluates the enabled alert rules on a schedule and delivers firings to the webhook.
+ * Rules are evaluated every `intervalSeconds` while the market is open. Each symbol costs one quote
+ * (and, for RSI and moving average rules, one one-year price history), however many rules watch it;
+ * both go through the response cache, so alerts share external calls with the dashboard.
+ *
+ * Webhook payload (POST, JSON):
+ * `{ event: 'alert.fired', id, ruleId, symbol, type, threshold, period, value, movingAverage, note, message, firedAt }`
+ */
+
+const { randomUUID } = require('crypto');
+const { ALERT_TYPES, evaluateRule, describeFiring } = require('./alerts');
+const { mapWithConcurrency } = require('./concurrency');
+const { logger } = require('./logger');
+
+/**
+ * Creates the alert engine.
+ * @param {object} options
+ * @param {object} options.store - The alert store (see lib/alertStore.js).
+ * @param {number} options.intervalSeconds - How often rules are evaluated.
+ * @param {number} options.concurrency - Maximum symbols fetched at once.
+ * @param {object} options.marketClock - The market clock (see lib/marketHours.js).
+ * @param {Function} options.fetchInputs - Async `(symbol, withHistory) => { price, percentChange, closes }`.
+ * @param {object} options.webhook - The webhook sender (see lib/webhook.js).
+ * @returns {object} The engine API: `start`, `stop`, `runOnce`, `stats`.
+ */
+const createAlertEngine = ({ store, intervalSeconds, concurrency, marketClock, fetchInputs, webhook }) => {
+  let timer = null;
+  let running = false; // Prevents overlapping runs when the upstream is slow
+  let currentRun = Promise.resolve(); // Settles when the evaluation in progress finishes
+  let runs = 0;
+  let lastRunAt = null;
+  const deliveries = { delivered: 0, failed: 0, skipped: 0 };
+
+  /**
+   * Delivers a firing to the webhook and records it with its delivery outcome.
+   * @async
+   * @param {object} rule - The rule that fired.
+   * @param {object} state - The state that fired it.
+   * @returns {Promise<object>} The recorded firing.
+   */
+  const fire = async (rule, state) => {
+    const firing = {
+      id: randomUUID(),
+      ruleId: rule.id,
+      symbol: rule.symbol,
+      type: rule.type,
+      threshold: rule.threshold,
+      period: rule.period,
+      value: state.value,
+      movingAverage: state.movingAverage ?? null,
+      note: rule.note,
+      message: describeFiring(rule, state),
+      firedAt: state.evaluatedAt,
+    };
+    logger.info('Alert fired', { ruleId: rule.id, symbol: rule.symbol, type: rule.type, value: state.value });
+    const delivery = await webhook.send({ event: 'alert.fired', ...firing });
+    deliveries[delivery.status]++;
+    const recorded = { ...firing, delivery };
+    await store.addFiring(recorded);
+    return recorded;
+  };
+
+  /**
+   * Evaluates every enabled rule once.
+   * @async
+   * @param {object} [options]
+   * @param {boolean} [options.force=false] - Evaluate even while the market is closed.
+   * @returns {Promise<object>} `{ evaluated, errors, firings }`, or `{ skipped }` with the reason
+   *                            ('running' or 'marketClosed') if nothing was evaluated.
+   */
+  const runOnce = async ({ force = false } = {}) => {
+    if (running) return { skipped: 'running' };
+    if (!force && !marketClock.isOpen()) return { skipped: 'marketClosed' };
+    running = true;
+    let finishRun;
+    currentRun = new Promise(resolve => { finishRun = resolve; });
+    try {
+      const rules = (await store.list()).filter(rule => rule.enabled);
+      const rulesBySymbol = new Map();
+      rules.forEach(rule => {
+        if (!rulesBySymbol.has(rule.symbol)) rulesBySymbol.set(rule.symbol, []);
+        rulesBySymbol.get(rule.symbol).push(rule);
+      });
+
+      const perSymbol = await mapWithConcurrency([...rulesBySymbol.entries()], concurrency, async ([symbol, symbolRules]) => {
+        const withHistory = symbolRules.some(rule => ALERT_TYPES[rule.type].usesHistory);
+        let inputs;
+        try {
+          inputs = await fetchInputs(symbol, withHistory);
+        } catch (error) {
+          logger.warn('Alert evaluation failed to fetch market data', { symbol, error: error.message, status: error.status });
+          const evaluatedAt = new Date().toISOString();
+          return symbolRules.map(rule => ({
+            rule, state: { ...rule.state, evaluatedAt, error: `Market data unavailable: ${error.message}` }, fired: false,
+          }));
+        }
+        return symbolRules.map(rule => ({ rule, ...evaluateRule(rule, inputs) }));
+      });
+      const results = perSymbol.flat();
+
+      await store.saveState(results.map(({ rule, state, fired }) => ({ id: rule.id, evaluatedFrom: rule.updatedAt, state, fired })));
+      const firings = [];
+      for (const { rule, state } of results.filter(result => result.fired)) {
+        firings.push(await fire(rule, state));
+      }
+
+      runs++;
+      lastRunAt = new Date().toISOString();
+      return { evaluated: results.length, errors: results.filter(result => result.state.error).length, firings };
+    } finally {
+      running = false;
+      finishRun();
+    }
+  };
+
+  /**
+   * Starts the schedule.
+   */
+  const start = () => {
+    if (timer) return;
+    timer = setInterval(() => {
+      runOnce().catch(error => logger.error('Alert evaluation failed', { error: error.message }));
+    }, intervalSeconds * 1000);
+  };
+
+  /**
+   * Stops the schedule (e.g., on shutdown).
+   * @async
+   * @returns {Promise<void>} Resolves once an evaluation in progress (and its webhook deliveries) has finished.
+   */
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+    return currentRun;
+  };
+
+  /**
+   * Returns engine statistics.
+   * @returns {object} Runs made, the last run time, whether a run is in progress and webhook delivery outcomes.
+   */
+  const stats = () => ({
+    intervalSeconds,
+    runs,
+    lastRunAt,
+    running,
+    webhookConfigured: webhook.configured,
+    deliveries: { ...deliveries },
+  });
+
+  return { start, stop, runOnce, stats };
+};
+
+module.exports = { createAlertEngine };
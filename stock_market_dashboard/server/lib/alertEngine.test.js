@@ -0,0 +1,94 @@
+const { createAlertEngine } = require('./alertEngine');
+const { logger } = require('./logger');
+
+// In-memory stand-in for lib/alertStore.js, applying saved states like the real store
+const createStore = (rules) => {
+  const firings = [];
+  return {
+    rules,
+    firings,
+    list: async () => rules,
+    saveState: jest.fn(async (updates) => {
+      updates.forEach(({ id, state }) => { rules.find(rule => rule.id === id).state = state; });
+    }),
+    addFiring: async (firing) => { firings.push(firing); },
+  };
+};
+
+const rule = (id, symbol, type, fields = {}) => ({ id, symbol, type, threshold: null, period: null, enabled: true, note: '', state: null, ...fields });
+
+describe('createAlertEngine', () => {
+  let store;
+  let fetchInputs;
+  let webhook;
+  let marketOpen;
+  let engine;
+
+  beforeEach(() => {
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    store = createStore([
+      rule('r1', 'TCS', 'priceAbove', { threshold: 150 }),
+      rule('r2', 'TCS', 'rsiBelow', { threshold: 30, period: 14 }),
+      rule('r3', 'INFY', 'priceBelow', { threshold: 1000 }),
+      rule('r4', 'INFY', 'priceAbove', { threshold: 1, enabled: false }),
+    ]);
+    fetchInputs = jest.fn(async symbol => (symbol === 'TCS' ? { price: 151, percentChange: 1, closes: [] } : { price: 1200, percentChange: 0, closes: [] }));
+    webhook = { configured: true, send: jest.fn(async () => ({ status: 'delivered', statusCode: 200, attempts: 1 })) };
+    marketOpen = true;
+    engine = createAlertEngine({ store, intervalSeconds: 60, concurrency: 2, marketClock: { isOpen: () => marketOpen }, fetchInputs, webhook });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('fetches each symbol once, with history only when a rule needs it', async () => {
+    await engine.runOnce();
+    expect(fetchInputs.mock.calls).toEqual([['TCS', true], ['INFY', false]]);
+  });
+
+  test('evaluates the enabled rules and delivers their firings', async () => {
+    const result = await engine.runOnce();
+
+    expect(result).toMatchObject({ evaluated: 3, errors: 1 }); // r2 has no price history
+    expect(result.firings).toHaveLength(1);
+    expect(webhook.send).toHaveBeenCalledWith(expect.objectContaining({
+      event: 'alert.fired', ruleId: 'r1', symbol: 'TCS', value: 151, message: 'TCS: price 151.00 is at or above 150',
+    }));
+    expect(store.firings[0]).toMatchObject({ ruleId: 'r1', delivery: { status: 'delivered' } });
+    expect(store.rules.map(({ id, state }) => [id, state && state.active])).toEqual([['r1', true], ['r2', undefined], ['r3', false], ['r4', null]]);
+    expect(engine.stats()).toMatchObject({ runs: 1, deliveries: { delivered: 1, failed: 0, skipped: 0 } });
+  });
+
+  test('does not fire again while the condition stays true', async () => {
+    await engine.runOnce();
+    expect((await engine.runOnce()).firings).toEqual([]);
+    expect(webhook.send).toHaveBeenCalledTimes(1);
+  });
+
+  test('keeps `active` and records an error when the market data cannot be fetched', async () => {
+    await engine.runOnce();
+    fetchInputs.mockRejectedValueOnce(Object.assign(new Error('Upstream timeout'), { status: 504 }));
+
+    const result = await engine.runOnce();
+    expect(result).toMatchObject({ evaluated: 3, errors: 2, firings: [] });
+    expect(store.rules[0].state).toMatchObject({ active: true, value: 151, error: 'Market data unavailable: Upstream timeout' });
+  });
+
+  test('skips the run while the market is closed unless forced', async () => {
+    marketOpen = false;
+    expect(await engine.runOnce()).toEqual({ skipped: 'marketClosed' });
+    expect(fetchInputs).not.toHaveBeenCalled();
+    expect((await engine.runOnce({ force: true })).evaluated).toBe(3);
+  });
+
+  test('skips a run while another is in progress', async () => {
+    let release;
+    fetchInputs.mockImplementationOnce(() => new Promise(resolve => { release = resolve; }));
+    const first = engine.runOnce();
+    expect(await engine.runOnce()).toEqual({ skipped: 'running' });
+    release({ price: 151, percentChange: 1, closes: [] });
+    expect((await first).evaluated).toBe(3);
+  });
+});
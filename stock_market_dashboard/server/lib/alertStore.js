@@ -0,0 +1,199 @@
+/**
+ * @file alertStore.js
+ * @description File-backed store of alert rules and their recent firings.
+ * Everything is kept in memory and written to one JSON file after each change, so rules and
+ * their state (whether the condition currently holds) survive restarts without a database.
+ * Writes go to a temporary file that is then renamed, so a crash never leaves a half-written file.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const { logger } = require('./logger');
+
+// Firings kept in the file, most recent first
+const MAX_FIRINGS = 200;
+
+/**
+ * Creates the alert store.
+ * @param {string} filePath - The JSON file holding the rules and firings.
+ * @returns {object} The store API: `load`, `list`, `get`, `create`, `update`, `remove`,
+ *                   `saveState`, `addFiring`, `firings`, `flush`.
+ */
+const createAlertStore = (filePath) => {
+  let rules = [];
+  let firingLog = [];
+  let loading = null;
+  let writing = Promise.resolve(); // Serializes writes so they land in order
+
+  /**
+   * Reads the file once. A missing file means no rules yet.
+   * @async
+   * @throws {Error} If the file exists but cannot be read or parsed.
+   */
+  const load = () => {
+    if (!loading) {
+      loading = fs.readFile(filePath, 'utf8')
+        .then(text => {
+          const data = JSON.parse(text);
+          rules = Array.isArray(data.rules) ? data.rules : [];
+          firingLog = Array.isArray(data.firings) ? data.firings : [];
+          logger.info('Loaded alert rules', { filePath, rules: rules.length });
+        })
+        .catch(error => {
+          if (error.code === 'ENOENT') return;
+          loading = null; // Let a later call try again
+          throw error;
+        });
+    }
+    return loading;
+  };
+
+  /**
+   * Writes the current rules and firings to the file.
+   * @async
+   */
+  const persist = () => {
+    const content = JSON.stringify({ rules, firings: firingLog }, null, 2);
+    writing = writing.then(async () => {
+      const tempPath = `${filePath}.tmp`;
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(tempPath, content);
+      await fs.rename(tempPath, filePath);
+    }).catch(error => {
+      logger.error('Failed to save alert rules', { filePath, error: error.message });
+    });
+    return writing;
+  };
+
+  /**
+   * Lists the rules, oldest first.
+   * @async
+   * @returns {Promise<Array<object>>} The rules.
+   */
+  const list = async () => {
+    await load();
+    return rules.map(rule => ({ ...rule }));
+  };
+
+  /**
+   * Returns one rule.
+   * @async
+   * @param {string} id - The rule id.
+   * @returns {Promise<object|null>} The rule, or null if there is no such rule.
+   */
+  const get = async (id) => {
+    await load();
+    const rule = rules.find(candidate => candidate.id === id);
+    return rule ? { ...rule } : null;
+  };
+
+  /**
+   * Adds a rule.
+   * @async
+   * @param {object} fields - Validated rule fields (see `validateRuleInput` in lib/alerts.js).
+   * @returns {Promise<object>} The new rule.
+   */
+  const create = async (fields) => {
+    await load();
+    const now = new Date().toISOString();
+    const rule = { id: randomUUID(), ...fields, state: null, triggerCount: 0, lastTriggeredAt: null, createdAt: now, updatedAt: now };
+    rules.push(rule);
+    await persist();
+    return { ...rule };
+  };
+
+  /**
+   * Changes a rule. Changing what the rule watches resets its state.
+   * @async
+   * @param {string} id - The rule id.
+   * @param {object} fields - Validated rule fields.
+   * @returns {Promise<object|null>} The updated rule, or null if there is no such rule.
+   */
+  const update = async (id, fields) => {
+    await load();
+    const index = rules.findIndex(candidate => candidate.id === id);
+    if (index === -1) return null;
+    const previous = rules[index];
+    const conditionChanged = ['symbol', 'type', 'threshold', 'period'].some(field => fields[field] !== previous[field]);
+    rules[index] = {
+      ...previous,
+      ...fields,
+      state: conditionChanged ? null : previous.state,
+      updatedAt: new Date().toISOString(),
+    };
+    await persist();
+    return { ...rules[index] };
+  };
+
+  /**
+   * Deletes a rule. Its past firings are kept.
+   * @async
+   * @param {string} id - The rule id.
+   * @returns {Promise<boolean>} True if a rule was deleted.
+   */
+  const remove = async (id) => {
+    await load();
+    const before = rules.length;
+    rules = rules.filter(candidate => candidate.id !== id);
+    if (rules.length === before) return false;
+    await persist();
+    return true;
+  };
+
+  /**
+   * Saves the result of evaluating rules. Rules deleted or changed meanwhile are left alone.
+   * @async
+   * @param {Array<object>} results - `{ id, evaluatedFrom, state, fired }` per rule, where `evaluatedFrom`
+   *                                  is the rule's `updatedAt` when its evaluation started.
+   */
+  const saveState = async (results) => {
+    await load();
+    let changed = false;
+    results.forEach(({ id, evaluatedFrom, state, fired }) => {
+      const rule = rules.find(candidate => candidate.id === id);
+      if (!rule || rule.updatedAt !== evaluatedFrom) return;
+      rule.state = state;
+      if (fired) {
+        rule.triggerCount += 1;
+        rule.lastTriggeredAt = state.evaluatedAt;
+      }
+      changed = true;
+    });
+    if (changed) await persist();
+  };
+
+  /**
+   * Records a firing.
+   * @async
+   * @param {object} firing - The firing (see lib/alertEngine.js).
+   */
+  const addFiring = async (firing) => {
+    await load();
+    firingLog = [firing, ...firingLog].slice(0, MAX_FIRINGS);
+    await persist();
+  };
+
+  /**
+   * Returns the most recent firings.
+   * @async
+   * @param {object} options
+   * @param {number} options.limit - The maximum number of firings.
+   * @param {string} [options.ruleId] - Only firings of this rule.
+   * @returns {Promise<Array<object>>} The firings, most recent first.
+   */
+  const firings = async ({ limit, ruleId }) => {
+    await load();
+    return firingLog.filter(firing => !ruleId || firing.ruleId === ruleId).slice(0, limit);
+  };
+
+  /**
+   * Waits for the queued writes to land (e.g., on shutdown).
+   * @async
+   */
+  const flush = () => writing;
+
+  return { load, list, get, create, update, remove, saveState, addFiring, firings, flush };
+};
+
+module.exports = { createAlertStore, MAX_FIRINGS };
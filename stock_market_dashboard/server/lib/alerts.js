@@ -0,0 +1,246 @@
+/**
+ * @file alerts.js
+ * @description Alert rule types, validation and evaluation.
+ * A rule watches one symbol for one condition (e.g., price above 150, RSI over 70, price crossing
+ * its 200-day moving average). Rules fire when their condition becomes true: once fired, a rule
+ * fires again only after the condition has been false in between.
+ *
+ * RSI and moving averages use the dashboard's own math (shared/indicators.js) on daily closes
+ * from the external API's one-year price history, so alerts agree with the Analysis tab.
+ */
+
+const { calculateSMA, calculateRSI } = require('../../shared');
+
+// Moving average periods supported by the crossing rules
+const MA_PERIODS = [50, 200];
+const DEFAULT_RSI_PERIOD = 14;
+const MAX_NOTE_LENGTH = 200;
+
+/**
+ * Parses a numeric field of the payload, which the external API often returns as a string.
+ * @param {*} value - The raw value.
+ * @returns {number|null} The number, or null if missing or not numeric.
+ */
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Returns the latest value of an indicator series.
+ * @param {Array<number>} series - The series (e.g., from calculateRSI).
+ * @returns {number|null} The last value, or null if the series is empty.
+ */
+const latest = (series) => (series.length > 0 ? series[series.length - 1] : null);
+
+/**
+ * Returns the price, the moving average of the daily closes and the last close.
+ * @param {object} inputs - `{ price, closes }`.
+ * @param {number} period - The moving average period.
+ * @returns {object|null} `{ price, movingAverage, lastClose }`, or null without enough price history.
+ */
+const movingAverageCross = ({ price, closes }, period) => {
+  if (price === null || closes.length < period) return null;
+  return { price, movingAverage: latest(calculateSMA(closes, period)), lastClose: closes[closes.length - 1] };
+};
+
+// Rule types.
+// - usesHistory: whether evaluation needs the daily closes (an extra, cached, external call per symbol).
+// - usesThreshold / periods / defaultPeriod: the parameters the rule takes (a fixed list of periods, or any period).
+// - evaluate(inputs, rule): `{ value, active }` for the current inputs, or null if they are insufficient.
+// - initialActive(inputs, rule): the condition before the first evaluation (false by default), so a
+//   crossing rule does not fire just because the price already is above its moving average.
+const ALERT_TYPES = {
+  priceAbove: {
+    description: 'Price (NSE, BSE if NSE is missing) at or above `threshold`',
+    usesThreshold: true,
+    evaluate: ({ price }, rule) => (price === null ? null : { value: price, active: price >= rule.threshold }),
+  },
+  priceBelow: {
+    description: 'Price (NSE, BSE if NSE is missing) at or below `threshold`',
+    usesThreshold: true,
+    evaluate: ({ price }, rule) => (price === null ? null : { value: price, active: price <= rule.threshold }),
+  },
+  percentChangeAbove: {
+    description: 'Change on the day (%) at or above `threshold` (e.g., 3 for +3%)',
+    usesThreshold: true,
+    evaluate: ({ percentChange }, rule) => (percentChange === null ? null : { value: percentChange, active: percentChange >= rule.threshold }),
+  },
+  percentChangeBelow: {
+    description: 'Change on the day (%) at or below `threshold` (e.g., -3 for -3%)',
+    usesThreshold: true,
+    evaluate: ({ percentChange }, rule) => (percentChange === null ? null : { value: percentChange, active: percentChange <= rule.threshold }),
+  },
+  rsiAbove: {
+    description: 'RSI of daily closes (`period`, default 14) at or above `threshold` (e.g., 70)',
+    usesThreshold: true,
+    defaultPeriod: DEFAULT_RSI_PERIOD,
+    usesHistory: true,
+    evaluate: ({ closes }, rule) => {
+      const rsi = latest(calculateRSI(closes, rule.period));
+      return rsi === null ? null : { value: rsi, active: rsi >= rule.threshold };
+    },
+  },
+  rsiBelow: {
+    description: 'RSI of daily closes (`period`, default 14) at or below `threshold` (e.g., 30)',
+    usesThreshold: true,
+    defaultPeriod: DEFAULT_RSI_PERIOD,
+    usesHistory: true,
+    evaluate: ({ closes }, rule) => {
+      const rsi = latest(calculateRSI(closes, rule.period));
+      return rsi === null ? null : { value: rsi, active: rsi <= rule.threshold };
+    },
+  },
+  crossAboveMa: {
+    description: `Price crosses above its \`period\`-day simple moving average (${MA_PERIODS.join(' or ')})`,
+    periods: MA_PERIODS,
+    usesHistory: true,
+    evaluate: (inputs, rule) => {
+      const cross = movingAverageCross(inputs, rule.period);
+      return cross && { value: cross.price, movingAverage: cross.movingAverage, active: cross.price > cross.movingAverage };
+    },
+    initialActive: (inputs, rule) => {
+      const cross = movingAverageCross(inputs, rule.period);
+      return !!cross && cross.lastClose > cross.movingAverage;
+    },
+  },
+  crossBelowMa: {
+    description: `Price crosses below its \`period\`-day simple moving average (${MA_PERIODS.join(' or ')})`,
+    periods: MA_PERIODS,
+    usesHistory: true,
+    evaluate: (inputs, rule) => {
+      const cross = movingAverageCross(inputs, rule.period);
+      return cross && { value: cross.price, movingAverage: cross.movingAverage, active: cross.price < cross.movingAverage };
+    },
+    initialActive: (inputs, rule) => {
+      const cross = movingAverageCross(inputs, rule.period);
+      return !!cross && cross.lastClose < cross.movingAverage;
+    },
+  },
+};
+
+const ALERT_TYPE_NAMES = Object.keys(ALERT_TYPES);
+
+/**
+ * Validates the fields of a new rule, or the changed fields of an existing one.
+ * Only `symbol`, `type`, `threshold`, `period`, `enabled` and `note` are accepted.
+ * @param {object} input - The request body.
+ * @param {object} [existing] - The rule being updated, if any.
+ * @returns {object} `{ fields }` with the validated fields (including defaults), or `{ error }`.
+ */
+const validateRuleInput = (input, existing = null) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'Request body must be a JSON object' };
+  const allowed = ['symbol', 'type', 'threshold', 'period', 'enabled', 'note'];
+  const unknown = Object.keys(input).filter(field => !allowed.includes(field));
+  if (unknown.length > 0) return { error: `Unknown field(s): ${unknown.join(', ')}. Allowed fields: ${allowed.join(', ')}` };
+
+  const merged = { ...(existing || {}), ...input };
+  if (!merged.symbol || typeof merged.symbol !== 'string' || !merged.symbol.trim()) return { error: 'symbol is required' };
+  const definition = ALERT_TYPES[merged.type];
+  if (!definition) return { error: `Invalid type '${merged.type}'. Allowed values: ${ALERT_TYPE_NAMES.join(', ')}` };
+
+  const fields = { symbol: merged.symbol.trim(), type: merged.type, threshold: null, period: null };
+  if (definition.usesThreshold) {
+    if (typeof merged.threshold !== 'number' || !Number.isFinite(merged.threshold)) {
+      return { error: `threshold must be a number for ${merged.type} rules` };
+    }
+    fields.threshold = merged.threshold;
+  }
+  if (definition.periods) {
+    if (!definition.periods.includes(merged.period)) {
+      return { error: `period must be one of ${definition.periods.join(', ')} for ${merged.type} rules` };
+    }
+    fields.period = merged.period;
+  } else if (definition.defaultPeriod) {
+    const period = merged.period === null || merged.period === undefined ? definition.defaultPeriod : merged.period;
+    if (!Number.isInteger(period) || period < 2 || period > 100) return { error: `period must be a whole number from 2 to 100 for ${merged.type} rules` };
+    fields.period = period;
+  }
+
+  const enabled = merged.enabled === undefined ? true : merged.enabled;
+  if (typeof enabled !== 'boolean') return { error: 'enabled must be true or false' };
+  fields.enabled = enabled;
+  const note = merged.note === undefined || merged.note === null ? '' : merged.note;
+  if (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH) return { error: `note must be a string of at most ${MAX_NOTE_LENGTH} characters` };
+  fields.note = note;
+  return { fields };
+};
+
+/**
+ * Extracts the daily closes from a `/historical_data` response (filter=price).
+ * @param {object} data - The historical data response.
+ * @returns {Array<number>} The closes, oldest first.
+ */
+const dailyCloses = (data) => {
+  const datasets = Array.isArray(data?.datasets) ? data.datasets : [];
+  const priceDataset = datasets.find(dataset => String(dataset.metric).toLowerCase() === 'price') || datasets[0];
+  return (priceDataset?.values || [])
+    .map(point => toNumber(Array.isArray(point) ? point[1] : null))
+    .filter(close => close !== null);
+};
+
+/**
+ * Builds the evaluation inputs of a symbol.
+ * @param {object} stockData - The raw /stock payload.
+ * @param {object|null} historicalData - The one-year `/historical_data` price response, if any rule needs it.
+ * @returns {object} `{ price, percentChange, closes }`.
+ */
+const marketInputs = (stockData, historicalData) => ({
+  price: toNumber(stockData?.currentPrice?.NSE) ?? toNumber(stockData?.currentPrice?.BSE),
+  percentChange: toNumber(stockData?.percentChange),
+  closes: historicalData ? dailyCloses(historicalData) : [],
+});
+
+/**
+ * Evaluates a rule.
+ * @param {object} rule - The stored rule, with its last `state`.
+ * @param {object} inputs - `{ price, percentChange, closes }` for the rule's symbol.
+ * @returns {object} `{ state, fired }`: the rule's new state (`active`, `value`, `evaluatedAt`, `error`)
+ *                   and whether the condition just became true.
+ */
+const evaluateRule = (rule, inputs) => {
+  const definition = ALERT_TYPES[rule.type];
+  const evaluatedAt = new Date().toISOString();
+  const result = definition.evaluate(inputs, rule);
+  if (!result) {
+    const reason = definition.usesHistory ? 'Not enough price history' : 'No quote available';
+    return { state: { ...rule.state, evaluatedAt, error: reason }, fired: false };
+  }
+  const wasActive = typeof rule.state?.active === 'boolean'
+    ? rule.state.active
+    : (definition.initialActive ? definition.initialActive(inputs, rule) : false);
+  const { active, ...values } = result;
+  return { state: { active, ...values, evaluatedAt, error: null }, fired: active && !wasActive };
+};
+
+/**
+ * Describes a firing in one line, for webhook receivers that just display text.
+ * @param {object} rule - The rule.
+ * @param {object} state - The state that fired it.
+ * @returns {string} The message (e.g., "TATASTEEL: RSI(14) 71.20 is at or above 70").
+ */
+const describeFiring = (rule, state) => {
+  const value = Number(state.value).toFixed(2);
+  switch (rule.type) {
+    case 'priceAbove': return `${rule.symbol}: price ${value} is at or above ${rule.threshold}`;
+    case 'priceBelow': return `${rule.symbol}: price ${value} is at or below ${rule.threshold}`;
+    case 'percentChangeAbove': return `${rule.symbol}: change on the day ${value}% is at or above ${rule.threshold}%`;
+    case 'percentChangeBelow': return `${rule.symbol}: change on the day ${value}% is at or below ${rule.threshold}%`;
+    case 'rsiAbove': return `${rule.symbol}: RSI(${rule.period}) ${value} is at or above ${rule.threshold}`;
+    case 'rsiBelow': return `${rule.symbol}: RSI(${rule.period}) ${value} is at or below ${rule.threshold}`;
+    case 'crossAboveMa': return `${rule.symbol}: price ${value} crossed above its ${rule.period}-day moving average (${Number(state.movingAverage).toFixed(2)})`;
+    case 'crossBelowMa': return `${rule.symbol}: price ${value} crossed below its ${rule.period}-day moving average (${Number(state.movingAverage).toFixed(2)})`;
+    default: return `${rule.symbol}: ${rule.type} alert fired`;
+  }
+};
+
+module.exports = {
+  ALERT_TYPES,
+  ALERT_TYPE_NAMES,
+  ALERT_TYPE_DESCRIPTIONS: Object.fromEntries(Object.entries(ALERT_TYPES).map(([name, type]) => [name, type.description])),
+  validateRuleInput,
+  marketInputs,
+  evaluateRule,
+  describeFiring,
+};
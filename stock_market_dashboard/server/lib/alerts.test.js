@@ -0,0 +1,121 @@
+const { validateRuleInput, marketInputs, evaluateRule, describeFiring } = require('./alerts');
+
+const rule = (type, fields = {}, state = null) => ({ id: 'rule-1', symbol: 'TCS', type, threshold: null, period: null, state, ...fields });
+
+// 49 closes at 100, then the latest close: the 50-day average is 100 + (lastClose - 100) / 50
+const closesEndingAt = lastClose => [...Array(49).fill(100), lastClose];
+
+describe('evaluateRule', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2025-01-15T05:00:00Z'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('fires when the condition becomes true', () => {
+    const { state, fired } = evaluateRule(rule('priceAbove', { threshold: 150 }, { active: false }), { price: 151 });
+    expect(fired).toBe(true);
+    expect(state).toEqual({ active: true, value: 151, evaluatedAt: '2025-01-15T05:00:00.000Z', error: null });
+  });
+
+  test('does not fire again while the condition stays true', () => {
+    const { state, fired } = evaluateRule(rule('priceAbove', { threshold: 150 }, { active: true }), { price: 155 });
+    expect(fired).toBe(false);
+    expect(state.active).toBe(true);
+  });
+
+  test('fires again only after the condition has been false in between', () => {
+    const priceAbove = rule('priceAbove', { threshold: 150 }, { active: true });
+    const { state } = evaluateRule(priceAbove, { price: 149 });
+    expect(state.active).toBe(false);
+    expect(evaluateRule({ ...priceAbove, state }, { price: 150 }).fired).toBe(true);
+  });
+
+  test('fires on the first evaluation of a threshold rule whose condition is already true', () => {
+    expect(evaluateRule(rule('percentChangeBelow', { threshold: -3 }), { percentChange: -4.2 }).fired).toBe(true);
+  });
+
+  test('does not fire a crossing rule on its first evaluation when the price already is on that side', () => {
+    // The last close (110) is above its 50-day average (100.2), so there is no crossing
+    const { state, fired } = evaluateRule(rule('crossAboveMa', { period: 50 }), { price: 111, closes: closesEndingAt(110) });
+    expect(fired).toBe(false);
+    expect(state).toMatchObject({ active: true, value: 111, movingAverage: 100.2 });
+  });
+
+  test('fires a crossing rule on its first evaluation when the price crosses', () => {
+    // The last close (90) is below its 50-day average (99.8), the price is above it
+    expect(evaluateRule(rule('crossAboveMa', { period: 50 }), { price: 101, closes: closesEndingAt(90) }).fired).toBe(true);
+    expect(evaluateRule(rule('crossBelowMa', { period: 50 }), { price: 99, closes: closesEndingAt(110) }).fired).toBe(true);
+  });
+
+  test('evaluates RSI rules on the daily closes', () => {
+    const rising = Array.from({ length: 20 }, (_, index) => 100 + index);
+    const { state, fired } = evaluateRule(rule('rsiAbove', { threshold: 70, period: 14 }), { closes: rising });
+    expect(fired).toBe(true);
+    expect(state.value).toBeGreaterThan(70);
+  });
+
+  test('records an error without firing or changing `active` when the quote is missing', () => {
+    const { state, fired } = evaluateRule(rule('priceBelow', { threshold: 100 }, { active: false, value: 120 }), { price: null });
+    expect(fired).toBe(false);
+    expect(state).toEqual({ active: false, value: 120, evaluatedAt: '2025-01-15T05:00:00.000Z', error: 'No quote available' });
+  });
+
+  test('records an error without firing when the price history is too short', () => {
+    const { state, fired } = evaluateRule(rule('crossAboveMa', { period: 200 }), { price: 101, closes: closesEndingAt(90) });
+    expect(fired).toBe(false);
+    expect(state.error).toBe('Not enough price history');
+    expect(state.active).toBeUndefined();
+  });
+});
+
+describe('validateRuleInput', () => {
+  test('accepts a rule and fills in the defaults', () => {
+    expect(validateRuleInput({ symbol: ' TCS ', type: 'rsiBelow', threshold: 30 })).toEqual({
+      fields: { symbol: 'TCS', type: 'rsiBelow', threshold: 30, period: 14, enabled: true, note: '' },
+    });
+    expect(validateRuleInput({ symbol: 'TCS', type: 'crossBelowMa', period: 200 }).fields)
+      .toMatchObject({ threshold: null, period: 200 });
+  });
+
+  test('validates the changed fields merged into the existing rule', () => {
+    const existing = { symbol: 'TCS', type: 'priceAbove', threshold: 150, period: null, enabled: true, note: '' };
+    expect(validateRuleInput({ threshold: 160, enabled: false }, existing).fields)
+      .toEqual({ symbol: 'TCS', type: 'priceAbove', threshold: 160, period: null, enabled: false, note: '' });
+    expect(validateRuleInput({ type: 'crossAboveMa' }, existing).error).toBe('period must be one of 50, 200 for crossAboveMa rules');
+  });
+
+  test.each([
+    [[], 'Request body must be a JSON object'],
+    [{ symbol: 'TCS', type: 'priceAbove', threshold: 1, state: {} }, /^Unknown field\(s\): state\./],
+    [{ symbol: ['TCS'], type: 'priceAbove', threshold: 1 }, 'symbol is required'],
+    [{ symbol: 'TCS', type: 'volumeAbove' }, /^Invalid type 'volumeAbove'/],
+    [{ symbol: 'TCS', type: 'priceAbove', threshold: '150' }, 'threshold must be a number for priceAbove rules'],
+    [{ symbol: 'TCS', type: 'crossAboveMa', period: 100 }, 'period must be one of 50, 200 for crossAboveMa rules'],
+    [{ symbol: 'TCS', type: 'rsiAbove', threshold: 70, period: 1 }, 'period must be a whole number from 2 to 100 for rsiAbove rules'],
+    [{ symbol: 'TCS', type: 'priceAbove', threshold: 1, enabled: 'yes' }, 'enabled must be true or false'],
+    [{ symbol: 'TCS', type: 'priceAbove', threshold: 1, note: 'x'.repeat(201) }, 'note must be a string of at most 200 characters'],
+  ])('rejects %j', (input, error) => {
+    expect(validateRuleInput(input).error).toEqual(typeof error === 'string' ? error : expect.stringMatching(error));
+  });
+});
+
+describe('marketInputs', () => {
+  test('reads the NSE price, falling back to BSE, and the daily closes', () => {
+    const historical = { datasets: [{ metric: 'Volume', values: [] }, { metric: 'Price', values: [['2025-01-14', '99.5'], ['2025-01-15', 'NaN'], ['2025-01-16', 101]] }] };
+    expect(marketInputs({ currentPrice: { NSE: '', BSE: '120.5' }, percentChange: '-1.2' }, historical))
+      .toEqual({ price: 120.5, percentChange: -1.2, closes: [99.5, 101] });
+    expect(marketInputs(null, null)).toEqual({ price: null, percentChange: null, closes: [] });
+  });
+});
+
+describe('describeFiring', () => {
+  test('describes the firing in one line', () => {
+    expect(describeFiring(rule('rsiAbove', { threshold: 70, period: 14 }), { value: 71.2 })).toBe('TCS: RSI(14) 71.20 is at or above 70');
+    expect(describeFiring(rule('crossBelowMa', { period: 50 }), { value: 99, movingAverage: 100.2 }))
+      .toBe('TCS: price 99.00 crossed below its 50-day moving average (100.20)');
+  });
+});
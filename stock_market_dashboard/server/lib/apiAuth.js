@@ -0,0 +1,58 @@
+/**
+ * @file apiAuth.js
+ * @description Middleware checking the API token of /api/* requests (see lib/tokenStore.js).
+ * The token is sent as `Authorization: Bearer <token>` or in the `X-API-Token` header. Browsers'
+ * EventSource cannot send headers, so the live price stream also accepts an `access_token` query parameter.
+ * A valid token is attached to the request as `req.apiToken` (its id, name and rate limit), and
+ * `access_token` is removed from `req.query` so routes that validate their parameters do not see it.
+ */
+
+/**
+ * Extracts the token a request presents.
+ * @param {object} req - The Express request.
+ * @returns {string|null} The token, or null if none was sent.
+ */
+const presentedToken = (req) => {
+  const authorization = req.get('Authorization') || '';
+  const bearer = /^Bearer\s+(\S+)$/i.exec(authorization);
+  if (bearer) return bearer[1];
+  if (req.get('X-API-Token')) return req.get('X-API-Token').trim();
+  if (typeof req.query.access_token === 'string' && req.query.access_token) return req.query.access_token;
+  return null;
+};
+
+/**
+ * Creates the API token middleware.
+ * @param {object} options
+ * @param {object} options.tokenStore - The token store.
+ * @param {boolean} options.required - Reject requests without a valid token. When false, a valid token
+ *                                     is still recognised (for its rate limit) but anonymous requests pass.
+ * @param {Function} [options.onFailure] - Called with (req, reason) when a request is rejected ('missing' or 'invalid').
+ * @returns {Function} Express middleware.
+ */
+const createRequireApiToken = ({ tokenStore, required, onFailure }) => async (req, res, next) => {
+  const token = presentedToken(req);
+  delete req.query.access_token; // An auth parameter, not one of the route's (e.g., /api/upstream/* rejects unknown ones)
+  if (!token) {
+    if (!required) return next();
+    if (onFailure) onFailure(req, 'missing');
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ message: 'An API token is required. Send it as "Authorization: Bearer <token>".' });
+  }
+
+  try {
+    await tokenStore.load();
+  } catch (error) {
+    return next(error);
+  }
+  const apiToken = tokenStore.verify(token);
+  if (!apiToken) {
+    if (onFailure) onFailure(req, 'invalid');
+    res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+    return res.status(401).json({ message: 'Invalid or revoked API token.' });
+  }
+  req.apiToken = apiToken;
+  next();
+};
+
+module.exports = { createRequireApiToken };
@@ -0,0 +1,227 @@
+/**
+ * @file cache.js
+ * @description Response cache for external API payloads.
+ * Entries live in an in-memory LRU (least recently used entries are evicted first once
+ * `maxEntries` is reached). With the 'disk' store, entries are also written to JSON files
+ * so they survive restarts and are read back on an in-memory miss.
+ *
+ * Every entry is retained for its `ttlSeconds`, but readers pass the maximum age they accept.
+ * This lets a single /stock payload serve price-sensitive readers for a short time and
+ * slow-changing profile/financial readers for much longer.
+ *
+ * Expired files are deleted when read, and by `sweepDisk`, which the server runs at startup for
+ * entries that are never read again (e.g. of symbols nobody asks for any more).
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+/**
+ * Builds the file name for a cache entry. The symbol prefix allows purging a symbol
+ * without reading every file.
+ * @param {string} key - The cache key.
+ * @param {string} symbol - The symbol the entry belongs to.
+ * @returns {string} The file name.
+ */
+const entryFileName = (key, symbol) => {
+  const hash = crypto.createHash('sha1').update(key).digest('hex');
+  const safeSymbol = (symbol || '_').replace(/[^A-Z0-9_-]/gi, '_');
+  return `${safeSymbol}__${hash}.json`;
+};
+
+/**
+ * Creates a response cache.
+ * @param {object} options
+ * @param {number} options.maxEntries - Maximum number of entries kept in memory.
+ * @param {string} [options.store='memory'] - 'memory' or 'disk'.
+ * @param {string} [options.dir] - Directory used by the disk store.
+ * @returns {object} The cache API: `get`, `set`, `purgeSymbol`, `sweepDisk`, `stats`, `checkStore`.
+ */
+const createResponseCache = ({ maxEntries, store = 'memory', dir }) => {
+  const entries = new Map(); // key -> { key, symbol, value, storedAt, expiresAt }. Map order doubles as LRU order.
+  const useDisk = store === 'disk';
+  let hits = 0;
+  let misses = 0;
+  let staleHits = 0;
+
+  /**
+   * Stores an entry in memory, evicting the least recently used entries if over capacity.
+   * @param {object} entry - The cache entry.
+   */
+  const remember = (entry) => {
+    entries.delete(entry.key);
+    entries.set(entry.key, entry);
+    while (entries.size > maxEntries) {
+      const oldestKey = entries.keys().next().value;
+      entries.delete(oldestKey);
+    }
+  };
+
+  /**
+   * Reads an entry from the disk store.
+   * @async
+   * @param {string} key - The cache key.
+   * @param {string} symbol - The symbol the entry belongs to.
+   * @returns {Promise<object|null>} The entry, or null if missing or unreadable.
+   */
+  const readFromDisk = async (key, symbol) => {
+    try {
+      const content = await fs.readFile(path.join(dir, entryFileName(key, symbol)), 'utf8');
+      const entry = JSON.parse(content);
+      return entry.key === key ? entry : null;
+    } catch (error) {
+      if (error.code !== 'ENOENT') logger.error('Failed to read cache entry from disk', { key, error: error.message });
+      return null;
+    }
+  };
+
+  /**
+   * Deletes an entry's file from the disk store, if there is one.
+   * @async
+   * @param {string} key - The cache key.
+   * @param {string} symbol - The symbol the entry belongs to.
+   */
+  const removeFromDisk = async (key, symbol) => {
+    try {
+      await fs.unlink(path.join(dir, entryFileName(key, symbol)));
+    } catch (error) {
+      if (error.code !== 'ENOENT') logger.error('Failed to delete cache entry from disk', { key, error: error.message });
+    }
+  };
+
+  /**
+   * Looks up an entry.
+   * @async
+   * @param {string} key - The cache key.
+   * @param {object} options
+   * @param {string} options.symbol - The symbol the entry belongs to (used by the disk store).
+   * @param {number} [options.maxAgeSeconds] - The oldest entry the caller accepts.
+   * @param {boolean} [options.stale=false] - Accept any retained entry regardless of age, as a fallback
+   *                                          when the external API is down. Counted separately in stats.
+   * @returns {Promise<object|null>} `{ value, storedAt, ageSeconds }`, or null on a miss.
+   */
+  const get = async (key, { symbol, maxAgeSeconds, stale = false }) => {
+    const now = Date.now();
+    let entry = entries.get(key);
+    if (!entry && useDisk) {
+      entry = await readFromDisk(key, symbol);
+    }
+    if (entry && entry.expiresAt <= now) {
+      entries.delete(key); // Past its retention period
+      if (useDisk) await removeFromDisk(key, symbol);
+      entry = null;
+    }
+    const ageSeconds = entry ? Math.floor((now - entry.storedAt) / 1000) : 0;
+    if (!entry || (!stale && ageSeconds > maxAgeSeconds)) {
+      if (!stale) misses++;
+      return null;
+    }
+    remember(entry); // Refresh LRU position
+    if (stale) staleHits++;
+    else hits++;
+    return { value: entry.value, storedAt: entry.storedAt, ageSeconds };
+  };
+
+  /**
+   * Stores a value.
+   * @async
+   * @param {string} key - The cache key.
+   * @param {*} value - The JSON-serialisable value.
+   * @param {object} options
+   * @param {string} options.symbol - The symbol the entry belongs to (used for purging).
+   * @param {number} options.ttlSeconds - How long the entry is retained.
+   * @param {number} [options.storedAt=Date.now()] - When the value was fetched (in ms), for values restored from elsewhere.
+   */
+  const set = async (key, value, { symbol, ttlSeconds, storedAt = Date.now() }) => {
+    const entry = { key, symbol, value, storedAt, expiresAt: storedAt + ttlSeconds * 1000 };
+    remember(entry);
+    if (useDisk) {
+      try {
+        await fs.mkdir(dir, { recursive: true });
+        await fs.writeFile(path.join(dir, entryFileName(key, symbol)), JSON.stringify(entry));
+      } catch (error) {
+        logger.error('Failed to write cache entry to disk', { key, error: error.message });
+      }
+    }
+  };
+
+  /**
+   * Removes every entry belonging to a symbol, from memory and disk.
+   * @async
+   * @param {string} symbol - The symbol to purge.
+   * @returns {Promise<object>} The number of entries removed from memory and from disk.
+   */
+  const purgeSymbol = async (symbol) => {
+    const removed = { memory: 0, disk: 0 };
+    for (const [key, entry] of entries) {
+      if (entry.symbol === symbol) {
+        entries.delete(key);
+        removed.memory++;
+      }
+    }
+    if (useDisk) {
+      const prefix = entryFileName('', symbol).split('__')[0] + '__';
+      const files = await fs.readdir(dir).catch(() => []);
+      for (const file of files.filter(name => name.startsWith(prefix))) {
+        await fs.unlink(path.join(dir, file)).catch(() => {});
+        removed.disk++;
+      }
+    }
+    return removed;
+  };
+
+  /**
+   * Deletes the files of expired entries from the disk store. Files that cannot be read or parsed are left alone.
+   * @async
+   * @returns {Promise<object>} `{ checked, removed }`: the number of entry files read and deleted.
+   */
+  const sweepDisk = async () => {
+    const result = { checked: 0, removed: 0 };
+    if (!useDisk) return result;
+    const files = await fs.readdir(dir).catch(() => []);
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      let entry;
+      try {
+        entry = JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'));
+      } catch (error) {
+        continue;
+      }
+      result.checked++;
+      const now = Date.now();
+      // An expired file may have just been replaced by a fresh entry, still held in memory
+      const current = entries.get(entry.key);
+      if (!(entry.expiresAt <= now) || (current && current.expiresAt > now)) continue;
+      await fs.unlink(path.join(dir, file)).catch(() => {});
+      result.removed++;
+    }
+    return result;
+  };
+
+  /**
+   * Returns cache statistics.
+   * @returns {object} Entry count, hit/miss/stale counters and the store in use.
+   */
+  const stats = () => ({ store: useDisk ? 'disk' : 'memory', entries: entries.size, maxEntries, hits, misses, staleHits });
+
+  /**
+   * Checks that the store is usable, for readiness reporting: the disk store's directory must be writable.
+   * @async
+   * @returns {Promise<object>} `{ ok }`, with the `error` when not usable.
+   */
+  const checkStore = async () => {
+    if (!useDisk) return { ok: true };
+    try {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.access(dir, fs.constants.W_OK);
+      return { ok: true };
+    } catch (error) {
+      return { ok: false, error: error.message };
+    }
+  };
+
+  return { get, set, purgeSymbol, sweepDisk, stats, checkStore };
+};
+
+module.exports = { createResponseCache };
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createResponseCache } = require('./cache');
+
+const NOW = Date.parse('2025-01-15T10:00:00Z');
+
+describe('createResponseCache', () => {
+  let now;
+
+  beforeEach(() => {
+    now = NOW;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('memory store', () => {
+    test('serves an entry up to the maximum age the reader accepts', async () => {
+      const cache = createResponseCache({ maxEntries: 10 });
+      await cache.set('stock:TCS', { price: 1 }, { symbol: 'TCS', ttlSeconds: 3600 });
+
+      now += 120 * 1000;
+      expect(await cache.get('stock:TCS', { symbol: 'TCS', maxAgeSeconds: 300 })).toEqual({ value: { price: 1 }, storedAt: NOW, ageSeconds: 120 });
+      expect(await cache.get('stock:TCS', { symbol: 'TCS', maxAgeSeconds: 60 })).toBeNull();
+      expect(await cache.get('stock:TCS', { symbol: 'TCS', stale: true })).toMatchObject({ ageSeconds: 120 });
+      expect(cache.stats()).toMatchObject({ entries: 1, hits: 1, misses: 1, staleHits: 1 });
+    });
+
+    test('drops an entry past its retention period', async () => {
+      const cache = createResponseCache({ maxEntries: 10 });
+      await cache.set('stock:TCS', { price: 1 }, { symbol: 'TCS', ttlSeconds: 60 });
+
+      now += 60 * 1000;
+      expect(await cache.get('stock:TCS', { symbol: 'TCS', stale: true })).toBeNull();
+      expect(cache.stats().entries).toBe(0);
+    });
+
+    test('evicts the least recently used entry', async () => {
+      const cache = createResponseCache({ maxEntries: 2 });
+      await cache.set('a', 1, { symbol: 'A', ttlSeconds: 60 });
+      await cache.set('b', 2, { symbol: 'B', ttlSeconds: 60 });
+      await cache.get('a', { symbol: 'A', maxAgeSeconds: 60 });
+      await cache.set('c', 3, { symbol: 'C', ttlSeconds: 60 });
+
+      expect(await cache.get('b', { symbol: 'B', maxAgeSeconds: 60 })).toBeNull();
+      expect(await cache.get('a', { symbol: 'A', maxAgeSeconds: 60 })).not.toBeNull();
+    });
+  });
+
+  describe('disk store', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'response-cache-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const createDiskCache = () => createResponseCache({ maxEntries: 10, store: 'disk', dir });
+
+    test('reads entries written before a restart', async () => {
+      await createDiskCache().set('stock:TCS', { price: 1 }, { symbol: 'TCS', ttlSeconds: 3600 });
+
+      const restarted = createDiskCache();
+      expect(await restarted.get('stock:TCS', { symbol: 'TCS', maxAgeSeconds: 300 })).toMatchObject({ value: { price: 1 } });
+    });
+
+    test('deletes the file of an expired entry when reading it', async () => {
+      await createDiskCache().set('stock:TCS', { price: 1 }, { symbol: 'TCS', ttlSeconds: 60 });
+      expect(fs.readdirSync(dir)).toHaveLength(1);
+
+      now += 60 * 1000;
+      expect(await createDiskCache().get('stock:TCS', { symbol: 'TCS', stale: true })).toBeNull();
+      expect(fs.readdirSync(dir)).toEqual([]);
+    });
+
+    test('sweeps the files of expired entries and keeps the others', async () => {
+      const cache = createDiskCache();
+      await cache.set('stock:TCS', { price: 1 }, { symbol: 'TCS', ttlSeconds: 60 });
+      await cache.set('stock:INFY', { price: 2 }, { symbol: 'INFY', ttlSeconds: 3600 });
+      fs.writeFileSync(path.join(dir, 'broken.json'), '{');
+
+      now += 60 * 1000;
+      expect(await createDiskCache().sweepDisk()).toEqual({ checked: 2, removed: 1 });
+      expect(fs.readdirSync(dir).filter(name => name.startsWith('TCS__'))).toEqual([]);
+      expect(fs.readdirSync(dir)).toHaveLength(2);
+    });
+
+    test('purges every entry of a symbol', async () => {
+      const cache = createDiskCache();
+      await cache.set('stock:TCS', { price: 1 }, { symbol: 'TCS', ttlSeconds: 60 });
+      await cache.set('historical:TCS:1yr:price', [], { symbol: 'TCS', ttlSeconds: 60 });
+      await cache.set('stock:INFY', { price: 2 }, { symbol: 'INFY', ttlSeconds: 60 });
+
+      expect(await cache.purgeSymbol('TCS')).toEqual({ memory: 2, disk: 2 });
+      expect(fs.readdirSync(dir)).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * @file circuitBreaker.js
+ * @description Circuit breaker for the external API.
+ * - closed: calls go through; consecutive failures are counted.
+ * - open: after `failureThreshold` consecutive failures, calls fail immediately for `openSeconds`
+ *   instead of waiting on an upstream that is down.
+ * - half-open: once `openSeconds` have passed, a single trial call is let through. Success closes
+ *   the circuit, failure opens it again.
+ * Only failures matching `isFailure` count (e.g., network errors and 5xx, not a 404 for an unknown symbol).
+ * Errors matching `isNeutral` never reached the upstream (e.g., no API key available), so they say
+ * nothing about its health: they leave the state and `lastSuccessAt` untouched.
+ */
+
+const { logger } = require('./logger');
+
+/**
+ * Creates a circuit breaker.
+ * @param {object} options
+ * @param {number} options.failureThreshold - Consecutive failures that open the circuit.
+ * @param {number} options.openSeconds - How long the circuit stays open before a trial call.
+ * @param {Function} options.isFailure - Returns true for errors that count as upstream failures.
+ * @param {Function} [options.isNeutral] - Returns true for local errors that count neither way.
+ * @returns {object} The breaker API: `execute`, `status`.
+ */
+const createCircuitBreaker = ({ failureThreshold, openSeconds, isFailure, isNeutral = () => false }) => {
+  let state = 'closed';
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let trialInProgress = false;
+  let lastFailure = null; // { at, message }
+  let lastSuccessAt = null;
+
+  /**
+   * Builds the error thrown while the circuit is open.
+   * @returns {Error} An error with status 503 and `circuitOpen` set.
+   */
+  const openCircuitError = () => {
+    const retryAfterSeconds = Math.max(0, Math.ceil((openedAt + openSeconds * 1000 - Date.now()) / 1000));
+    const error = new Error('External API is unavailable (circuit open). Please try again shortly.');
+    error.status = 503;
+    error.circuitOpen = true;
+    error.details = { message: 'Circuit breaker open', retryAfterSeconds, lastFailure };
+    return error;
+  };
+
+  const onSuccess = () => {
+    state = 'closed';
+    consecutiveFailures = 0;
+    openedAt = null;
+    lastSuccessAt = new Date().toISOString();
+  };
+
+  const onFailure = (error) => {
+    consecutiveFailures++;
+    lastFailure = { at: new Date().toISOString(), message: error.message };
+    if (state === 'half-open' || consecutiveFailures >= failureThreshold) {
+      if (state !== 'open') logger.error('Circuit breaker opened', { consecutiveFailures, openSeconds });
+      state = 'open';
+      openedAt = Date.now();
+    }
+  };
+
+  /**
+   * Runs an operation through the breaker.
+   * @async
+   * @param {Function} operation - The async operation calling the external API.
+   * @returns {Promise<*>} The result of the operation.
+   * @throws {Error} The operation's error, or a 503 error with `circuitOpen` if the circuit is open.
+   */
+  const execute = async (operation) => {
+    if (state === 'open') {
+      if (Date.now() - openedAt < openSeconds * 1000) throw openCircuitError();
+      state = 'half-open';
+    }
+    const isTrial = state === 'half-open';
+    if (isTrial) {
+      if (trialInProgress) throw openCircuitError(); // Only one trial call at a time
+      trialInProgress = true;
+    }
+    try {
+      const result = await operation();
+      onSuccess();
+      return result;
+    } catch (error) {
+      if (isNeutral(error)) {
+        // Failed before reaching the upstream; a trial call leaves the circuit half-open for the next one
+      } else if (isFailure(error)) {
+        onFailure(error);
+      } else {
+        onSuccess(); // The upstream answered; the error is about this request, not its health
+      }
+      throw error;
+    } finally {
+      if (isTrial) trialInProgress = false;
+    }
+  };
+
+  /**
+   * Returns the breaker state, for health reporting.
+   * @returns {object} State, failure counters and timestamps.
+   */
+  const status = () => ({
+    state: state === 'open' && Date.now() - openedAt >= openSeconds * 1000 ? 'half-open' : state,
+    consecutiveFailures,
+    failureThreshold,
+    openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+    lastFailure,
+    lastSuccessAt,
+  });
+
+  return { execute, status };
+};
+
+module.exports = { createCircuitBreaker };
@@ -0,0 +1,105 @@
+const { createCircuitBreaker } = require('./circuitBreaker');
+const { logger } = require('./logger');
+
+const upstreamDown = () => Object.assign(new Error('Service Unavailable'), { upstream: true });
+const notFound = () => Object.assign(new Error('Not Found'), { status: 404 });
+const noKeyAvailable = () => Object.assign(new Error('No API key available'), { status: 429, local: true });
+
+const createBreaker = () => createCircuitBreaker({
+  failureThreshold: 2,
+  openSeconds: 30,
+  isFailure: error => !!error.upstream,
+  isNeutral: error => !!error.local,
+});
+
+const fail = (breaker, error) => breaker.execute(async () => { throw error; }).catch(caught => caught);
+const succeed = (breaker, value = 'ok') => breaker.execute(async () => value);
+
+describe('createCircuitBreaker', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('opens after the failure threshold and then fails fast', async () => {
+    const breaker = createBreaker();
+    await fail(breaker, upstreamDown());
+    expect(breaker.status().state).toBe('closed');
+    await fail(breaker, upstreamDown());
+    expect(breaker.status().state).toBe('open');
+
+    const operation = jest.fn();
+    const error = await breaker.execute(operation).catch(caught => caught);
+    expect(operation).not.toHaveBeenCalled();
+    expect(error.status).toBe(503);
+    expect(error.circuitOpen).toBe(true);
+    expect(error.details.retryAfterSeconds).toBe(30);
+  });
+
+  test('does not count errors that are not upstream failures', async () => {
+    const breaker = createBreaker();
+    await fail(breaker, upstreamDown());
+    await fail(breaker, notFound()); // The upstream answered: resets the count
+    await fail(breaker, upstreamDown());
+    expect(breaker.status()).toMatchObject({ state: 'closed', consecutiveFailures: 1 });
+  });
+
+  test('lets a single trial call through once the circuit is half-open', async () => {
+    const breaker = createBreaker();
+    await fail(breaker, upstreamDown());
+    await fail(breaker, upstreamDown());
+    jest.advanceTimersByTime(30 * 1000);
+    expect(breaker.status().state).toBe('half-open');
+
+    let finishTrial;
+    const trial = breaker.execute(() => new Promise(resolve => { finishTrial = resolve; }));
+    const concurrent = await fail(breaker, upstreamDown());
+    expect(concurrent.circuitOpen).toBe(true);
+
+    finishTrial('fresh');
+    await expect(trial).resolves.toBe('fresh');
+    expect(breaker.status()).toMatchObject({ state: 'closed', consecutiveFailures: 0, openedAt: null });
+  });
+
+  test('opens again when the trial call fails', async () => {
+    const breaker = createBreaker();
+    await fail(breaker, upstreamDown());
+    await fail(breaker, upstreamDown());
+    jest.advanceTimersByTime(30 * 1000);
+
+    await fail(breaker, upstreamDown());
+    expect(breaker.status().state).toBe('open');
+    const error = await fail(breaker, upstreamDown());
+    expect(error.circuitOpen).toBe(true);
+  });
+
+  test('leaves the state and lastSuccessAt untouched on local errors', async () => {
+    const breaker = createBreaker();
+    await fail(breaker, upstreamDown());
+    await fail(breaker, noKeyAvailable());
+    expect(breaker.status()).toMatchObject({ state: 'closed', consecutiveFailures: 1, lastSuccessAt: null });
+
+    await fail(breaker, upstreamDown());
+    jest.advanceTimersByTime(30 * 1000);
+    const error = await fail(breaker, noKeyAvailable());
+    expect(error.local).toBe(true);
+    expect(breaker.status()).toMatchObject({ state: 'half-open', lastSuccessAt: null });
+
+    await succeed(breaker); // The next trial call is let through
+    expect(breaker.status().state).toBe('closed');
+    expect(breaker.status().lastSuccessAt).not.toBeNull();
+  });
+
+  test('records the last failure and success', async () => {
+    const breaker = createBreaker();
+    await fail(breaker, upstreamDown());
+    expect(breaker.status().lastFailure.message).toBe('Service Unavailable');
+    await succeed(breaker);
+    expect(breaker.status().lastSuccessAt).toBe(new Date().toISOString());
+  });
+});
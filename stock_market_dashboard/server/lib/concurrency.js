@@ -0,0 +1,32 @@
+/**
+ * @file concurrency.js
+ * @description Helpers for running async work with a bounded number of concurrent tasks.
+ */
+
+/**
+ * Maps items through an async function, running at most `limit` calls at a time.
+ * Results keep the order of the input items. The mapper is expected to handle its own errors;
+ * a rejection stops scheduling new items and rejects the returned promise.
+ * @async
+ * @param {Array<*>} items - The items to process.
+ * @param {number} limit - Maximum number of concurrent calls (at least 1).
+ * @param {Function} mapper - Async function called with (item, index).
+ * @returns {Promise<Array<*>>} The mapped results, in input order.
+ */
+const mapWithConcurrency = async (items, limit, mapper) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await mapper(items[index], index);
+    }
+  };
+
+  const workerCount = Math.min(Math.max(1, limit), items.length);
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+};
+
+module.exports = { mapWithConcurrency };
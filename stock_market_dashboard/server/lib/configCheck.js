@@ -0,0 +1,187 @@
+/**
+ * @file configCheck.js
+ * @description Startup checks of the configuration (see config.js). Bad environment values are
+ * reported by variable name before the server starts, instead of surfacing as odd behaviour or a
+ * "No API keys configured" error on the first request. Errors stop the server; warnings are logged
+ * and listed at /api/admin/config.
+ */
+
+const fs = require('fs');
+const { parseSession } = require('./marketHours');
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const UPSTREAM_MODES = ['live', 'fixtures', 'record'];
+const KEY_STRATEGIES = ['round-robin', 'least-used'];
+const CACHE_STORES = ['memory', 'disk'];
+
+/**
+ * Checks whether a string is an absolute http(s) URL.
+ * @param {string} value - The value.
+ * @returns {boolean} True if it is.
+ */
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Checks the configuration.
+ * @param {object} config - The configuration (see config.js).
+ * @param {object} options
+ * @param {Array<string>} options.upstreamRouteNames - Names of the routes in upstreamRoutes.js, for UPSTREAM_ROUTES.
+ * @returns {object} `{ errors, warnings }`, each a list of `{ setting, message }` naming the environment variable.
+ */
+const checkConfig = (config, { upstreamRouteNames }) => {
+  const errors = [];
+  const warnings = [];
+  const fail = (setting, message) => errors.push({ setting, message });
+  const warn = (setting, message) => warnings.push({ setting, message });
+
+  // Numbers: readNumber returns NaN for non-numeric values
+  const number = (setting, value, { min = 0, integer = false } = {}) => {
+    if (!Number.isFinite(value) || (integer && !Number.isInteger(value))) {
+      fail(setting, `must be a ${integer ? 'whole number' : 'number'}`);
+    } else if (value < min) {
+      fail(setting, `must be at least ${min}`);
+    }
+  };
+  const oneOf = (setting, value, allowed) => {
+    if (!allowed.includes(value)) fail(setting, `must be one of ${allowed.join(', ')} (got '${value}')`);
+  };
+
+  number('PORT', config.port, { min: 1, integer: true });
+  if (config.port > 65535) fail('PORT', 'must be at most 65535');
+  oneOf('LOG_LEVEL', config.logLevel, LOG_LEVELS);
+  number('SHUTDOWN_TIMEOUT_SECONDS', config.shutdownTimeoutSeconds, { min: 1 });
+
+  // External API and keys
+  oneOf('UPSTREAM_MODE', config.upstream.mode, UPSTREAM_MODES);
+  if (config.upstream.mode !== 'fixtures') {
+    if (config.apiKeys.length === 0) {
+      fail('API_KEYS', 'no API keys configured: set API_KEYS (or PRIMARY_API_KEY/BACKUP_API_KEY), or use UPSTREAM_MODE=fixtures');
+    }
+    if (!isHttpUrl(config.upstream.baseUrl)) fail('UPSTREAM_BASE_URL', `must be an http(s) URL (got '${config.upstream.baseUrl}')`);
+  } else if (!fs.existsSync(config.upstream.fixturesDir)) {
+    warn('FIXTURES_DIR', `${config.upstream.fixturesDir} does not exist; every request will fail with 404 until fixtures are recorded`);
+  }
+  oneOf('API_KEY_STRATEGY', config.keyPool.strategy, KEY_STRATEGIES);
+  number('API_KEY_COOLDOWN_SECONDS', config.keyPool.cooldownSeconds);
+  number('API_KEY_AUTH_COOLDOWN_SECONDS', config.keyPool.authCooldownSeconds);
+  number('API_KEY_DAILY_LIMIT', config.keyPool.dailyLimit, { integer: true });
+  number('UPSTREAM_TIMEOUT_MS', config.upstream.timeoutMs, { min: 1 });
+  number('UPSTREAM_RETRIES', config.upstream.retry.retries, { integer: true });
+  number('UPSTREAM_RETRY_BASE_MS', config.upstream.retry.baseDelayMs);
+  number('UPSTREAM_RETRY_MAX_MS', config.upstream.retry.maxDelayMs);
+  number('CIRCUIT_FAILURE_THRESHOLD', config.upstream.circuit.failureThreshold, { min: 1, integer: true });
+  number('CIRCUIT_OPEN_SECONDS', config.upstream.circuit.openSeconds, { min: 1 });
+  const unknownRoutes = config.upstreamRoutes.filter(name => !upstreamRouteNames.includes(name));
+  if (unknownRoutes.length > 0) {
+    fail('UPSTREAM_ROUTES', `unknown route(s) ${unknownRoutes.join(', ')}; known routes: ${upstreamRouteNames.join(', ')}`);
+  }
+
+  // Data sources
+  if (config.mongoUri && !/^mongodb(\+srv)?:\/\//.test(config.mongoUri)) {
+    fail('MONGO_URI', 'must start with mongodb:// or mongodb+srv://');
+  }
+  if (!fs.existsSync(config.symbolMasterFile)) {
+    warn('SYMBOL_MASTER_FILE', `${config.symbolMasterFile} does not exist; symbols will not be checked and symbol search is unavailable`);
+  }
+
+  // Cache
+  oneOf('CACHE_STORE', config.cache.store, CACHE_STORES);
+  number('CACHE_MAX_ENTRIES', config.cache.maxEntries, { min: 1, integer: true });
+  number('CACHE_TTL_QUOTE_SECONDS', config.cache.ttlSeconds.quote);
+  number('CACHE_TTL_HISTORICAL_SECONDS', config.cache.ttlSeconds.historical);
+  number('CACHE_TTL_PROFILE_SECONDS', config.cache.ttlSeconds.profile);
+  number('CACHE_STALE_IF_ERROR_SECONDS', config.cache.staleIfErrorSeconds);
+
+  // Batches, market hours and live prices
+  number('BATCH_MAX_SYMBOLS', config.batch.maxSymbols, { min: 1, integer: true });
+  number('BATCH_CONCURRENCY', config.batch.concurrency, { min: 1, integer: true });
+  try {
+    parseSession(config.market.session);
+  } catch (error) {
+    fail('MARKET_HOURS', error.message);
+  }
+  number('LIVE_PRICE_INTERVAL_SECONDS', config.livePrices.intervalSeconds, { min: 1 });
+  number('LIVE_PRICE_HEARTBEAT_SECONDS', config.livePrices.heartbeatSeconds, { min: 1 });
+  number('LIVE_PRICE_MAX_SYMBOLS', config.livePrices.maxSymbols, { min: 1, integer: true });
+  number('LIVE_PRICE_MAX_TOTAL_SYMBOLS', config.livePrices.maxTotalSymbols, { min: 1, integer: true });
+  number('LIVE_PRICE_MAX_STREAMS_PER_CLIENT', config.livePrices.maxStreamsPerClient, { min: 1, integer: true });
+  number('LIVE_PRICE_RESERVE_CALLS', config.livePrices.reserveCalls, { integer: true });
+  if (config.livePrices.maxSymbols > config.livePrices.maxTotalSymbols) {
+    warn('LIVE_PRICE_MAX_SYMBOLS', `is above LIVE_PRICE_MAX_TOTAL_SYMBOLS (${config.livePrices.maxTotalSymbols}), which caps every stream`);
+  }
+
+  // Alerts
+  number('ALERTS_INTERVAL_SECONDS', config.alerts.intervalSeconds, { min: 1 });
+  number('ALERTS_MAX_RULES', config.alerts.maxRules, { min: 1, integer: true });
+  if (config.alerts.webhook.url && !isHttpUrl(config.alerts.webhook.url)) {
+    fail('ALERT_WEBHOOK_URL', 'must be an http(s) URL');
+  }
+  number('ALERT_WEBHOOK_TIMEOUT_MS', config.alerts.webhook.timeoutMs, { min: 1 });
+  number('ALERT_WEBHOOK_RETRIES', config.alerts.webhook.retry.retries, { integer: true });
+
+  // End-of-day job
+  if (config.eod.enabled && config.eod.symbols.length === 0 && !config.eod.symbolsFile) {
+    fail('EOD_SYMBOLS', 'EOD_ENABLED is on but neither EOD_SYMBOLS nor EOD_SYMBOLS_FILE is set');
+  }
+  if (config.eod.symbolsFile && !fs.existsSync(config.eod.symbolsFile)) {
+    fail('EOD_SYMBOLS_FILE', `${config.eod.symbolsFile} does not exist`);
+  }
+  number('EOD_DELAY_MINUTES', config.eod.delayMinutes);
+  number('EOD_CONCURRENCY', config.eod.concurrency, { min: 1, integer: true });
+  number('EOD_RESERVE_CALLS', config.eod.reserveCalls, { integer: true });
+  number('EOD_MAX_CALLS', config.eod.maxCalls, { integer: true });
+
+  // Access control
+  number('RATE_LIMIT_WINDOW_SECONDS', config.rateLimit.windowSeconds, { min: 1 });
+  number('RATE_LIMIT_PER_IP', config.rateLimit.perIp, { integer: true });
+  number('RATE_LIMIT_PER_TOKEN', config.rateLimit.perToken, { integer: true });
+  number('RATE_LIMIT_PER_TOKEN_DAILY', config.rateLimit.perTokenDaily, { integer: true });
+  const badOrigins = config.corsOrigins.filter(origin => origin !== '*' && !(isHttpUrl(origin) && new URL(origin).origin === origin));
+  if (badOrigins.length > 0) {
+    fail('CORS_ORIGINS', `invalid origin(s) ${badOrigins.join(', ')}; use scheme://host[:port] without a path (e.g., https://dashboard.example.com)`);
+  }
+  if (config.auth.requireToken && !config.adminToken) {
+    warn('ADMIN_TOKEN', 'REQUIRE_API_TOKEN is on but ADMIN_TOKEN is not set, so no API tokens can be issued or revoked');
+  }
+
+  return { errors, warnings };
+};
+
+/**
+ * Returns the configuration without its secrets, for the admin diagnostics route.
+ * API keys and tokens are replaced by whether they are set, and credentials or query strings are
+ * stripped from URLs.
+ * @param {object} config - The configuration (see config.js).
+ * @returns {object} The redacted configuration.
+ */
+const redactConfig = (config) => {
+  const redactUrl = (value) => {
+    if (!value) return value;
+    try {
+      const url = new URL(value);
+      if (url.username || url.password) {
+        url.username = '***';
+        url.password = '';
+      }
+      url.search = url.search ? '?***' : '';
+      return url.toString();
+    } catch (error) {
+      return '***';
+    }
+  };
+  return {
+    ...config,
+    apiKeys: `${config.apiKeys.length} configured`,
+    adminToken: config.adminToken ? 'set' : 'not set',
+    mongoUri: redactUrl(config.mongoUri),
+    alerts: { ...config.alerts, webhook: { ...config.alerts.webhook, url: redactUrl(config.alerts.webhook.url) } },
+  };
+};
+
+module.exports = { checkConfig, redactConfig };
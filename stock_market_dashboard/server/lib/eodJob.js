@@ -0,0 +1,218 @@
+/**
+ * @file eodJob.js
+ * @description End-of-day batch job. Once per trading session, `delayMinutes` after the close, it
+ * fetches every symbol of a configured universe (e.g., NIFTY 50 constituents or a watchlist) and keeps
+ * the payloads in the end-of-day store (see lib/eodStore.js), so the next morning's dashboard loads
+ * are served without external calls.
+ *
+ * The job respects the API key quotas: it stops fetching when the keys' remaining daily calls would
+ * drop below `reserveCalls` (left for the dashboard), or after `maxCalls` calls. Every run produces a
+ * report with the outcome of each symbol and the quota used.
+ */
+
+const fs = require('fs/promises');
+const { randomUUID } = require('crypto');
+const { mapWithConcurrency } = require('./concurrency');
+const { logger } = require('./logger');
+
+// How often the schedule checks whether a session closed that has not been fetched yet
+const CHECK_INTERVAL_SECONDS = 60;
+
+/**
+ * Reads a universe file: symbols separated by new lines or commas. Lines starting with # are comments.
+ * @async
+ * @param {string} filePath - The file.
+ * @returns {Promise<Array<string>>} The symbols, upper-cased, without duplicates.
+ * @throws {Error} If the file cannot be read.
+ */
+const readSymbolsFile = async (filePath) => {
+  const text = await fs.readFile(filePath, 'utf8');
+  const symbols = text.split(/\r?\n/)
+    .filter(line => !line.trim().startsWith('#'))
+    .flatMap(line => line.split(','))
+    .map(symbol => symbol.trim().toUpperCase())
+    .filter(symbol => !!symbol);
+  return [...new Set(symbols)];
+};
+
+/**
+ * Creates the end-of-day job.
+ * @param {object} options
+ * @param {object} options.store - The end-of-day store (see lib/eodStore.js).
+ * @param {object} options.marketClock - The market clock (see lib/marketHours.js).
+ * @param {number} options.delayMinutes - How long after the close the job runs.
+ * @param {number} options.concurrency - Maximum symbols fetched at once.
+ * @param {number} options.callsPerSymbol - External calls one symbol may cost (used for the quota checks).
+ * @param {number} options.reserveCalls - Remaining daily calls left untouched for the dashboard.
+ * @param {number} options.maxCalls - Maximum external calls per run; 0 means no limit besides the quota.
+ * @param {Function} options.loadUniverse - Async `() => { symbols, rejected }`; rejected entries are `{ symbol, error }`.
+ * @param {Function} options.fetchSymbol - Async `(symbol) => { stock, historical, cached }`.
+ * @param {Function} options.quota - `() => { remaining, used }`: calls left today across the keys (null if
+ *                                   unlimited) and calls made today.
+ * @returns {object} The job API: `start`, `stop`, `runOnce`, `stats`.
+ */
+const createEodJob = ({
+  store, marketClock, delayMinutes, concurrency, callsPerSymbol, reserveCalls, maxCalls, loadUniverse, fetchSymbol, quota,
+}) => {
+  let timer = null;
+  let running = false; // Prevents overlapping runs
+  let runs = 0;
+  let lastRun = null; // Summary of the latest report
+  let currentRun = Promise.resolve(); // Settles when the run in progress finishes
+  let stopping = false; // Set by `stop`: the run in progress skips the symbols it has not started
+
+  /**
+   * Checks whether the quota allows fetching one more symbol.
+   * @param {number} callsStarted - Calls the current run has started so far.
+   * @param {number} callsInFlight - Calls started but not finished, not yet counted by the key pool.
+   * @returns {string|null} Why the symbol must be skipped, or null if it can be fetched.
+   */
+  const quotaRefusal = (callsStarted, callsInFlight) => {
+    if (maxCalls > 0 && callsStarted + callsPerSymbol > maxCalls) return `Run limit of ${maxCalls} external calls reached`;
+    const { remaining } = quota();
+    if (remaining !== null && remaining - callsInFlight - callsPerSymbol < reserveCalls) {
+      return `Daily API key quota left for the dashboard (${remaining} calls remaining, ${reserveCalls} reserved)`;
+    }
+    return null;
+  };
+
+  /**
+   * Fetches and stores every symbol of the universe.
+   * @async
+   * @param {object} [options]
+   * @param {boolean} [options.force=false] - Run now, even while the market is open or if the session was already fetched.
+   * @returns {Promise<object>} The run report, or `{ skipped }` with the reason ('running', 'alwaysOpen',
+   *                            'marketOpen', 'tooEarly' or 'alreadyRan') if the job did not run.
+   */
+  const runOnce = async ({ force = false } = {}) => {
+    if (running) return { skipped: 'running' };
+    const lastClose = marketClock.lastClose();
+    if (!force) {
+      if (!lastClose) return { skipped: 'alwaysOpen' };
+      if (marketClock.isOpen()) return { skipped: 'marketOpen' };
+      if (Date.now() < lastClose.getTime() + delayMinutes * 60 * 1000) return { skipped: 'tooEarly' };
+      const previous = await store.lastReport();
+      if (previous && previous.session === lastClose.toISOString()) return { skipped: 'alreadyRan' };
+    }
+
+    running = true;
+    let finishRun;
+    currentRun = new Promise(resolve => { finishRun = resolve; });
+    try {
+      const startedAt = new Date();
+      // The session whose closing data is fetched; none for a forced run during market hours
+      const session = lastClose && !marketClock.isOpen() ? lastClose.toISOString() : null;
+      const { symbols, rejected } = await loadUniverse();
+      const quotaBefore = quota();
+      logger.info('End-of-day job started', { symbols: symbols.length, session, remainingCalls: quotaBefore.remaining });
+
+      let callsStarted = 0;
+      let callsInFlight = 0;
+      const results = await mapWithConcurrency(symbols, concurrency, async (symbol) => {
+        if (stopping) return { symbol, status: 'skipped', error: 'Job stopped (server shutting down)' };
+        const refusal = quotaRefusal(callsStarted, callsInFlight);
+        if (refusal) return { symbol, status: 'skipped', error: refusal };
+        callsStarted += callsPerSymbol;
+        callsInFlight += callsPerSymbol;
+        try {
+          const { stock, historical, cached } = await fetchSymbol(symbol);
+          await store.save({ symbol, session, fetchedAt: new Date().toISOString(), stock, historical });
+          return { symbol, status: 'ok', cached };
+        } catch (error) {
+          const statusCode = error.status || error.response?.status || null;
+          logger.warn('End-of-day fetch failed', { symbol, error: error.message, status: statusCode });
+          return { symbol, status: 'failed', error: error.message, statusCode };
+        } finally {
+          callsInFlight -= callsPerSymbol;
+        }
+      });
+      const allResults = [...rejected.map(entry => ({ ...entry, status: 'failed' })), ...results];
+
+      const quotaAfter = quota();
+      const finishedAt = new Date();
+      const count = (status) => allResults.filter(result => result.status === status).length;
+      const summary = {
+        id: randomUUID(),
+        trigger: force ? 'manual' : 'schedule',
+        session,
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt - startedAt,
+        universe: allResults.length,
+        succeeded: count('ok'),
+        failed: count('failed'),
+        skipped: count('skipped'),
+        fromCache: allResults.filter(result => result.cached).length,
+        quota: {
+          used: quotaAfter.used - quotaBefore.used, // Includes calls the dashboard made during the run
+          remainingBefore: quotaBefore.remaining,
+          remainingAfter: quotaAfter.remaining,
+          reserved: reserveCalls,
+          maxCalls: maxCalls || null,
+        },
+      };
+      const report = { ...summary, results: allResults };
+
+      try {
+        await store.addReport(report);
+      } catch (error) {
+        logger.error('Failed to save the end-of-day report', { error: error.message });
+      }
+      runs++;
+      lastRun = summary;
+      logger.info('End-of-day job finished', {
+        session, succeeded: summary.succeeded, failed: summary.failed, skipped: summary.skipped, quotaUsed: summary.quota.used,
+      });
+      return report;
+    } finally {
+      running = false;
+      finishRun();
+    }
+  };
+
+  /**
+   * Starts the schedule. A session that closed while the server was down is fetched on the first check.
+   */
+  const start = () => {
+    if (timer) return;
+    stopping = false;
+    store.lastReport()
+      .then(report => {
+        if (report && !lastRun) lastRun = Object.fromEntries(Object.entries(report).filter(([key]) => key !== 'results'));
+      })
+      .catch(error => logger.error('Failed to load end-of-day reports', { error: error.message }));
+    timer = setInterval(() => {
+      runOnce().catch(error => logger.error('End-of-day job failed', { error: error.message }));
+    }, CHECK_INTERVAL_SECONDS * 1000);
+  };
+
+  /**
+   * Stops the schedule (e.g., on shutdown). A run in progress finishes the symbols it is fetching, skips
+   * the rest and saves its report.
+   * @async
+   * @returns {Promise<void>} Resolves once a run in progress has stopped.
+   */
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+    stopping = true;
+    return currentRun;
+  };
+
+  /**
+   * Returns job statistics.
+   * @returns {object} The schedule, runs made since startup, whether a run is in progress and the latest run's
+   *                   summary (its report without the per-symbol results).
+   */
+  const stats = () => ({
+    scheduled: !!timer,
+    delayMinutes,
+    runs,
+    running,
+    lastRun,
+  });
+
+  return { start, stop, runOnce, stats };
+};
+
+module.exports = { createEodJob, readSymbolsFile };
@@ -0,0 +1,154 @@
+/**
+ * @file eodStore.js
+ * @description Local store for the end-of-day job (see lib/eodJob.js): the payloads fetched for each
+ * symbol after the close, one JSON file per symbol, and the reports of recent runs (reports.json).
+ * The payloads are loaded back into the response cache at startup, so a restart overnight does
+ * not cost the next morning's quota.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Run reports kept in reports.json, most recent first
+const MAX_REPORTS = 30;
+const REPORTS_FILE = 'reports.json';
+
+/**
+ * Returns the file name holding a symbol's payloads (symbols like "M&M" are made file-system safe).
+ * @param {string} symbol - The symbol.
+ * @returns {string} The file name.
+ */
+const symbolFileName = (symbol) => `${symbol.replace(/[^A-Z0-9_-]/gi, '_')}.json`;
+
+/**
+ * Writes a file via a temporary file, so a crash never leaves a half-written file.
+ * @async
+ * @param {string} filePath - The file to write.
+ * @param {string} content - The content.
+ */
+const writeAtomically = async (filePath, content) => {
+  const tempPath = `${filePath}.tmp`;
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(tempPath, content);
+  await fs.rename(tempPath, filePath);
+};
+
+/**
+ * Creates the end-of-day store.
+ * @param {string} dir - The directory holding the files.
+ * @returns {object} The store API: `load`, `reports`, `lastReport`, `addReport`, `save`, `list`, `flush`.
+ */
+const createEodStore = (dir) => {
+  let reportList = [];
+  let loading = null;
+  let writing = Promise.resolve(); // Serializes writes so they land in order
+
+  /**
+   * Reads the run reports once. A missing file means the job never ran.
+   * @async
+   * @throws {Error} If the file exists but cannot be read or parsed.
+   */
+  const load = () => {
+    if (!loading) {
+      loading = fs.readFile(path.join(dir, REPORTS_FILE), 'utf8')
+        .then(text => {
+          const data = JSON.parse(text);
+          reportList = Array.isArray(data.reports) ? data.reports : [];
+        })
+        .catch(error => {
+          if (error.code === 'ENOENT') return;
+          loading = null; // Let a later call try again
+          throw error;
+        });
+    }
+    return loading;
+  };
+
+  /**
+   * Queues a write after the previous ones.
+   * @async
+   * @param {string} filePath - The file to write.
+   * @param {string} content - The content.
+   * @throws {Error} If the file cannot be written.
+   */
+  const enqueueWrite = (filePath, content) => {
+    const write = writing.then(() => writeAtomically(filePath, content));
+    writing = write.catch(() => {}); // A failed write must not block the next one
+    return write;
+  };
+
+  /**
+   * Lists the run reports.
+   * @async
+   * @param {number} [limit=MAX_REPORTS] - Maximum number of reports.
+   * @returns {Promise<Array<object>>} Reports, most recent first.
+   */
+  const reports = async (limit = MAX_REPORTS) => {
+    await load();
+    return reportList.slice(0, limit);
+  };
+
+  /**
+   * Returns the report of the latest run.
+   * @async
+   * @returns {Promise<object|null>} The report, or null if the job never ran.
+   */
+  const lastReport = async () => {
+    await load();
+    return reportList[0] || null;
+  };
+
+  /**
+   * Records the report of a run.
+   * @async
+   * @param {object} report - The report (see lib/eodJob.js).
+   * @throws {Error} If the reports file cannot be written.
+   */
+  const addReport = async (report) => {
+    await load();
+    reportList = [report, ...reportList].slice(0, MAX_REPORTS);
+    await enqueueWrite(path.join(dir, REPORTS_FILE), JSON.stringify({ reports: reportList }, null, 2));
+  };
+
+  /**
+   * Saves the payloads fetched for a symbol, replacing the previous ones.
+   * @async
+   * @param {object} entry - `{ symbol, session, fetchedAt, stock, historical }`.
+   * @throws {Error} If the file cannot be written.
+   */
+  const save = (entry) => enqueueWrite(path.join(dir, symbolFileName(entry.symbol)), JSON.stringify(entry));
+
+  /**
+   * Reads every stored symbol entry. Unreadable files are logged and skipped.
+   * @async
+   * @returns {Promise<Array<object>>} The entries.
+   */
+  const list = async () => {
+    const files = await fs.readdir(dir).catch(error => {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    });
+    const entries = await Promise.all(files
+      .filter(file => file.endsWith('.json') && file !== REPORTS_FILE)
+      .map(async file => {
+        try {
+          return JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'));
+        } catch (error) {
+          logger.warn('Skipping unreadable end-of-day file', { file, error: error.message });
+          return null;
+        }
+      }));
+    return entries.filter(entry => entry && entry.symbol);
+  };
+
+  /**
+   * Waits for the queued writes to land (e.g., on shutdown).
+   * @async
+   */
+  const flush = () => writing;
+
+  return { load, reports, lastReport, addReport, save, list, flush };
+};
+
+module.exports = { createEodStore };
@@ -0,0 +1,86 @@
+/**
+ * @file fixtureStore.js
+ * @description Reads and writes recorded external API responses ("fixtures") on disk.
+ * Fixtures are grouped per symbol so they are easy to find and refresh:
+ *   fixtures/TATASTEEL/stock.json
+ *   fixtures/TATASTEEL/historical_data-price-1yr.json
+ * Responses that are not tied to a symbol are stored under `fixtures/_global/`.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+// Query parameters that carry the stock symbol, depending on the external endpoint
+const SYMBOL_PARAM_NAMES = ['name', 'stock_name'];
+
+/**
+ * Replaces characters that are unsafe in file names. Dot-only values ("." and "..") become "_",
+ * so a symbol can never point outside the fixtures directory.
+ * @param {string} value - The raw value.
+ * @returns {string} The sanitised value.
+ */
+const sanitize = (value) => {
+  const safe = String(value).replace(/[^a-zA-Z0-9_.-]/g, '_');
+  return /^\.+$/.test(safe) ? '_' : safe;
+};
+
+/**
+ * Creates a fixture store rooted at a directory.
+ * @param {string} dir - The fixtures directory.
+ * @returns {object} The store API: `locate`, `read`, `write`.
+ */
+const createFixtureStore = (dir) => {
+  /**
+   * Returns the file path of the fixture for an external request.
+   * The file name is the endpoint name followed by the remaining query parameter values,
+   * sorted by parameter name so the same request always maps to the same file.
+   * @param {string} endpointPath - The external endpoint path (e.g., "/historical_data").
+   * @param {object} params - The query parameters of the request.
+   * @returns {string} The absolute fixture path.
+   */
+  const locate = (endpointPath, params = {}) => {
+    const symbolParam = SYMBOL_PARAM_NAMES.find(name => params[name]);
+    const folder = symbolParam ? sanitize(String(params[symbolParam]).toUpperCase()) : '_global';
+    const otherValues = Object.keys(params)
+      .filter(name => name !== symbolParam && params[name] !== undefined)
+      .sort()
+      .map(name => sanitize(params[name]));
+    const fileName = [sanitize(endpointPath.replace(/^\/+/, '')), ...otherValues].join('-');
+    return path.join(dir, folder, `${fileName}.json`);
+  };
+
+  /**
+   * Reads the fixture for an external request.
+   * @async
+   * @param {string} endpointPath - The external endpoint path.
+   * @param {object} params - The query parameters of the request.
+   * @returns {Promise<object|null>} The recorded response body, or null if none was recorded.
+   */
+  const read = async (endpointPath, params) => {
+    try {
+      return JSON.parse(await fs.readFile(locate(endpointPath, params), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error; // A corrupt fixture should be loud, not silently treated as missing
+    }
+  };
+
+  /**
+   * Records the response body of an external request.
+   * @async
+   * @param {string} endpointPath - The external endpoint path.
+   * @param {object} params - The query parameters of the request.
+   * @param {object} data - The response body.
+   * @returns {Promise<string>} The path of the written fixture.
+   */
+  const write = async (endpointPath, params, data) => {
+    const filePath = locate(endpointPath, params);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+    return filePath;
+  };
+
+  return { locate, read, write };
+};
+
+module.exports = { createFixtureStore };
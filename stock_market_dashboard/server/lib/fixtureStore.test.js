@@ -0,0 +1,64 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFixtureStore } = require('./fixtureStore');
+
+describe('createFixtureStore', () => {
+  const dir = path.join(os.tmpdir(), 'fixtures');
+  const store = createFixtureStore(dir);
+
+  describe('locate', () => {
+    test('groups fixtures by symbol, with the other parameters sorted by name', () => {
+      expect(store.locate('/historical_data', { stock_name: 'tatasteel', period: '1yr', filter: 'price' }))
+        .toBe(path.join(dir, 'TATASTEEL', 'historical_data-price-1yr.json'));
+      expect(store.locate('/stock', { name: 'TCS' })).toBe(path.join(dir, 'TCS', 'stock.json'));
+    });
+
+    test('stores responses without a symbol under _global', () => {
+      expect(store.locate('/news')).toBe(path.join(dir, '_global', 'news.json'));
+    });
+
+    test('replaces characters that are unsafe in file names', () => {
+      expect(store.locate('/stock', { name: 'M&M' })).toBe(path.join(dir, 'M_M', 'stock.json'));
+      expect(store.locate('/stock', { name: '../../etc' })).toBe(path.join(dir, '.._.._ETC', 'stock.json'));
+    });
+
+    test.each(['..', '.', '...'])('keeps the symbol %j inside the fixtures directory', (symbol) => {
+      const filePath = store.locate('/stock', { name: symbol });
+      expect(filePath).toBe(path.join(dir, '_', 'stock.json'));
+      expect(path.relative(dir, filePath).startsWith('..')).toBe(false);
+    });
+  });
+
+  describe('read and write', () => {
+    let root;
+    let diskStore;
+
+    beforeEach(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'fixture-store-'));
+      diskStore = createFixtureStore(path.join(root, 'fixtures'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    test('reads back a recorded response', async () => {
+      await diskStore.write('/stock', { name: 'TCS' }, { companyName: 'Tata Consultancy Services' });
+      expect(await diskStore.read('/stock', { name: 'TCS' })).toEqual({ companyName: 'Tata Consultancy Services' });
+      expect(await diskStore.read('/stock', { name: 'INFY' })).toBeNull();
+    });
+
+    test('does not write outside the fixtures directory for a dot-only symbol', async () => {
+      const filePath = await diskStore.write('/stock', { name: '..' }, {});
+      expect(filePath).toBe(path.join(root, 'fixtures', '_', 'stock.json'));
+      expect(fs.existsSync(path.join(root, 'stock.json'))).toBe(false);
+    });
+
+    test('fails loudly on a corrupt fixture', async () => {
+      fs.mkdirSync(path.join(root, 'fixtures', 'TCS'), { recursive: true });
+      fs.writeFileSync(path.join(root, 'fixtures', 'TCS', 'stock.json'), '{');
+      await expect(diskStore.read('/stock', { name: 'TCS' })).rejects.toThrow(SyntaxError);
+    });
+  });
+});
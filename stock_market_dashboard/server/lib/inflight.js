@@ -0,0 +1,52 @@
+/**
+ * @file inflight.js
+ * @description Coalesces concurrent identical async operations.
+ * While an operation for a key is in flight, further callers with the same key receive the same
+ * promise instead of starting a duplicate operation. Every caller gets the result, or the
+ * rejection, of that shared promise. The key is released as soon as the operation settles,
+ * so later calls start a fresh operation.
+ */
+
+/**
+ * Creates an in-flight registry.
+ * @returns {object} The registry API: `run`, `stats`.
+ */
+const createInflightRegistry = () => {
+  const pending = new Map(); // key -> promise of the in-flight operation
+  let started = 0;
+  let coalesced = 0;
+
+  /**
+   * Runs `operation` for `key`, or joins the in-flight operation for the same key.
+   * @async
+   * @param {string} key - Identifies identical operations.
+   * @param {Function} operation - Async function to run if nothing is in flight for `key`.
+   * @returns {Promise<*>} The result of the (shared) operation.
+   */
+  const run = (key, operation) => {
+    if (pending.has(key)) {
+      coalesced++;
+      return pending.get(key);
+    }
+    started++;
+    const promise = (async () => {
+      try {
+        return await operation();
+      } finally {
+        pending.delete(key);
+      }
+    })();
+    pending.set(key, promise);
+    return promise;
+  };
+
+  /**
+   * Returns registry statistics.
+   * @returns {object} Operations in flight, operations started and callers that joined one.
+   */
+  const stats = () => ({ inFlight: pending.size, started, coalesced });
+
+  return { run, stats };
+};
+
+module.exports = { createInflightRegistry };
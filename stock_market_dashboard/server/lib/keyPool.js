@@ -0,0 +1,160 @@
+/**
+ * @file keyPool.js
+ * @description Pool of external API keys with selection strategies, cooldowns and usage accounting.
+ * - Selection: 'round-robin' rotates the starting key on every request; 'least-used' prefers
+ *   the key with the fewest calls today.
+ * - Cooldown: a key that returned 429 (rate limited) or 401/403 (rejected) is skipped until its
+ *   cooldown window has passed, instead of being retried on the very next request.
+ * - Usage: every call made with a key is counted per day. With a daily limit configured,
+ *   a key that reached it is treated as exhausted until the next day (UTC).
+ */
+
+/**
+ * Masks an API key for display, keeping only its first and last four characters.
+ * @param {string} key - The API key.
+ * @returns {string} The masked key (e.g., "sk-l…VJa1").
+ */
+const maskKey = (key) => {
+  if (key.length <= 8) return '****';
+  return `${key.slice(0, 4)}…${key.slice(-4)}`;
+};
+
+/**
+ * Returns the current UTC date as YYYY-MM-DD, used to reset daily usage counters.
+ * @returns {string} The date string.
+ */
+const currentDay = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Creates an API key pool.
+ * @param {object} options
+ * @param {Array<string>} options.keys - The API keys, in configuration order.
+ * @param {string} [options.strategy='round-robin'] - 'round-robin' or 'least-used'.
+ * @param {number} options.cooldownSeconds - Cooldown after a 429 response.
+ * @param {number} options.authCooldownSeconds - Cooldown after a 401/403 response.
+ * @param {number} [options.dailyLimit=0] - Calls allowed per key per day (0 for unlimited).
+ * @returns {object} The pool API: `size`, `candidates`, `recordSuccess`, `recordFailure`, `status`.
+ */
+const createKeyPool = ({ keys, strategy = 'round-robin', cooldownSeconds, authCooldownSeconds, dailyLimit = 0 }) => {
+  const entries = keys.map((value, index) => ({
+    name: `key${index + 1}`, // Stable, non-secret name for logs
+    value,
+    day: currentDay(),
+    usedToday: 0,
+    failuresToday: 0,
+    cooldownUntil: 0,
+    lastStatus: null,
+    lastUsedAt: null,
+  }));
+  let nextIndex = 0; // Round-robin cursor
+
+  /**
+   * Resets an entry's daily counters if the day has changed.
+   * @param {object} entry - A pool entry.
+   */
+  const rollDay = (entry) => {
+    const today = currentDay();
+    if (entry.day !== today) {
+      entry.day = today;
+      entry.usedToday = 0;
+      entry.failuresToday = 0;
+    }
+  };
+
+  /**
+   * Checks whether a key can be used right now.
+   * @param {object} entry - A pool entry.
+   * @param {number} now - Current timestamp in ms.
+   * @returns {boolean} True if the key is neither cooling down nor exhausted.
+   */
+  const isAvailable = (entry, now) => {
+    rollDay(entry);
+    if (entry.cooldownUntil > now) return false;
+    return !(dailyLimit > 0 && entry.usedToday >= dailyLimit);
+  };
+
+  /**
+   * Returns the keys to try for one request, in the order they should be tried.
+   * Keys cooling down or exhausted for the day are left out.
+   * @returns {Array<object>} Pool entries (`{ name, value }`).
+   */
+  const candidates = () => {
+    const now = Date.now();
+    const available = entries.filter(entry => isAvailable(entry, now));
+    if (strategy === 'least-used') {
+      return [...available].sort((a, b) => a.usedToday - b.usedToday);
+    }
+    // Round-robin: rotate the list so each request starts with the next key
+    const start = entries.length > 0 ? nextIndex % entries.length : 0;
+    nextIndex = start + 1;
+    const rotated = [...entries.slice(start), ...entries.slice(0, start)];
+    return rotated.filter(entry => available.includes(entry));
+  };
+
+  /**
+   * Counts a call made with a key.
+   * @param {object} entry - The pool entry used.
+   * @param {number|null} status - The HTTP status of the response (null for network errors).
+   */
+  const countCall = (entry, status) => {
+    rollDay(entry);
+    entry.usedToday++;
+    entry.lastStatus = status;
+    entry.lastUsedAt = new Date().toISOString();
+  };
+
+  /**
+   * Records a successful call.
+   * @param {object} entry - The pool entry used.
+   * @param {number} status - The HTTP status of the response.
+   */
+  const recordSuccess = (entry, status) => {
+    countCall(entry, status);
+  };
+
+  /**
+   * Records a failed call and starts a cooldown for 429/401/403 responses.
+   * @param {object} entry - The pool entry used.
+   * @param {number|null} status - The HTTP status of the response (null for network errors).
+   */
+  const recordFailure = (entry, status) => {
+    countCall(entry, status);
+    entry.failuresToday++;
+    if (status === 429) {
+      entry.cooldownUntil = Date.now() + cooldownSeconds * 1000;
+    } else if (status === 401 || status === 403) {
+      entry.cooldownUntil = Date.now() + authCooldownSeconds * 1000;
+    }
+  };
+
+  /**
+   * Returns the status of every key with masked values, for the admin view.
+   * @returns {object} Strategy, limits and per-key state.
+   */
+  const status = () => {
+    const now = Date.now();
+    return {
+      strategy,
+      dailyLimit: dailyLimit || null,
+      keys: entries.map(entry => {
+        const available = isAvailable(entry, now);
+        return {
+          name: entry.name,
+          key: maskKey(entry.value),
+          available,
+          state: available ? 'ok' : (entry.cooldownUntil > now ? 'cooldown' : 'exhausted'),
+          cooldownUntil: entry.cooldownUntil > now ? new Date(entry.cooldownUntil).toISOString() : null,
+          usedToday: entry.usedToday,
+          failuresToday: entry.failuresToday,
+          remainingToday: dailyLimit > 0 ? Math.max(dailyLimit - entry.usedToday, 0) : null,
+          lastStatus: entry.lastStatus,
+          lastUsedAt: entry.lastUsedAt,
+        };
+      }),
+    };
+  };
+
+  return { size: () => entries.length, candidates, recordSuccess, recordFailure, status };
+};
+
+module.exports = { createKeyPool, maskKey };
@@ -0,0 +1,106 @@
+const { createKeyPool, maskKey } = require('./keyPool');
+
+const KEYS = ['sk-live-aaaa1111', 'sk-live-bbbb2222', 'sk-live-cccc3333'];
+
+const createPool = (options = {}) => createKeyPool({
+  keys: KEYS,
+  cooldownSeconds: 60,
+  authCooldownSeconds: 3600,
+  ...options,
+});
+
+const names = entries => entries.map(entry => entry.name);
+
+describe('createKeyPool', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2025-01-15T10:00:00Z'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('rotates the first key on every request with round-robin', () => {
+    const pool = createPool();
+    expect(names(pool.candidates())).toEqual(['key1', 'key2', 'key3']);
+    expect(names(pool.candidates())).toEqual(['key2', 'key3', 'key1']);
+    expect(names(pool.candidates())).toEqual(['key3', 'key1', 'key2']);
+    expect(names(pool.candidates())).toEqual(['key1', 'key2', 'key3']);
+  });
+
+  test('prefers the key with the fewest calls today with least-used', () => {
+    const pool = createPool({ strategy: 'least-used' });
+    const [key1, key2] = pool.candidates();
+    pool.recordSuccess(key1, 200);
+    pool.recordSuccess(key1, 200);
+    pool.recordSuccess(key2, 200);
+    expect(names(pool.candidates())).toEqual(['key3', 'key2', 'key1']);
+  });
+
+  test('skips a rate limited key until its cooldown has passed', () => {
+    const pool = createPool();
+    const [key1] = pool.candidates();
+    pool.recordFailure(key1, 429);
+    expect(names(pool.candidates())).not.toContain('key1');
+    expect(pool.status().keys[0]).toMatchObject({ state: 'cooldown', available: false, failuresToday: 1, lastStatus: 429 });
+
+    jest.advanceTimersByTime(60 * 1000);
+    expect(names(pool.candidates())).toContain('key1');
+    expect(pool.status().keys[0]).toMatchObject({ state: 'ok', cooldownUntil: null });
+  });
+
+  test('cools a rejected key down for the auth cooldown', () => {
+    const pool = createPool();
+    const [key1] = pool.candidates();
+    pool.recordFailure(key1, 403);
+    jest.advanceTimersByTime(60 * 1000);
+    expect(names(pool.candidates())).not.toContain('key1');
+    jest.advanceTimersByTime(3540 * 1000);
+    expect(names(pool.candidates())).toContain('key1');
+  });
+
+  test('does not cool a key down for other failures', () => {
+    const pool = createPool();
+    const [key1] = pool.candidates();
+    pool.recordFailure(key1, 500);
+    pool.recordFailure(key1, null);
+    expect(names(pool.candidates())).toContain('key1');
+    expect(pool.status().keys[0]).toMatchObject({ usedToday: 2, failuresToday: 2 });
+  });
+
+  test('treats a key that reached the daily limit as exhausted until the next UTC day', () => {
+    const pool = createPool({ dailyLimit: 2 });
+    const [key1] = pool.candidates();
+    pool.recordSuccess(key1, 200);
+    pool.recordFailure(key1, 500);
+    expect(names(pool.candidates())).toEqual(['key2', 'key3']);
+    expect(pool.status().keys[0]).toMatchObject({ state: 'exhausted', usedToday: 2, remainingToday: 0 });
+
+    jest.setSystemTime(new Date('2025-01-16T00:00:01Z'));
+    expect(names(pool.candidates())).toContain('key1');
+    expect(pool.status().keys[0]).toMatchObject({ state: 'ok', usedToday: 0, failuresToday: 0, remainingToday: 2 });
+  });
+
+  test('reports no remaining calls without a daily limit', () => {
+    const pool = createPool();
+    expect(pool.status().dailyLimit).toBeNull();
+    expect(pool.status().keys[0].remainingToday).toBeNull();
+  });
+
+  test('masks the keys in its status', () => {
+    const pool = createPool();
+    expect(pool.status().keys.map(key => key.key)).toEqual(['sk-l…1111', 'sk-l…2222', 'sk-l…3333']);
+    expect(JSON.stringify(pool.status())).not.toContain(KEYS[0]);
+  });
+});
+
+describe('maskKey', () => {
+  test('keeps the first and last four characters', () => {
+    expect(maskKey('abcdefghijkl')).toBe('abcd…ijkl');
+  });
+
+  test('hides short keys completely', () => {
+    expect(maskKey('abcdefgh')).toBe('****');
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * @file logger.js
+ * @description Structured JSON logger. Every entry is written as one JSON line
+ * (`{ time, level, msg, ...fields }`): info/debug to stdout, warn/error to stderr.
+ *
+ * Fields set with `runWithContext` (e.g., the request id assigned by the request middleware)
+ * are added to every entry logged while handling that request, including entries logged by
+ * library code that never sees the request object.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * Runs a function with fields added to every entry logged during its (async) execution.
+ * @param {object} fields - Context fields (e.g., `{ requestId }`).
+ * @param {Function} fn - The function to run.
+ * @returns {*} The function's return value.
+ */
+const runWithContext = (fields, fn) => contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+
+/**
+ * Returns the context fields of the current execution (see `runWithContext`).
+ * @returns {object} The context fields, or an empty object outside any context.
+ */
+const currentContext = () => contextStorage.getStore() || {};
+
+/**
+ * Converts Error instances into plain objects, since JSON.stringify drops their message and stack.
+ * @param {object} fields - Log fields.
+ * @returns {object} The fields, with errors serialised.
+ */
+const serializeFields = (fields) => Object.fromEntries(Object.entries(fields).map(([name, value]) => [
+  name,
+  value instanceof Error ? { message: value.message, code: value.code, status: value.status, stack: value.stack } : value,
+]));
+
+/**
+ * Creates a logger.
+ * @param {object} [options]
+ * @param {string} [options.level='info'] - Minimum level written: 'debug', 'info', 'warn' or 'error'.
+ * @param {object} [options.fields={}] - Fields added to every entry (e.g., `{ component: 'cache' }`).
+ * @returns {object} The logger API: `debug`, `info`, `warn`, `error`, `child`, `setLevel`.
+ */
+const createLogger = ({ level = 'info', fields = {} } = {}) => {
+  const state = { threshold: LEVELS[level] || LEVELS.info };
+
+  /**
+   * Builds a logger writing at the given state, with extra fields.
+   * Children share the parent's state, so `setLevel` on the root applies to all of them.
+   * @param {object} baseFields - Fields added to every entry.
+   * @returns {object} The logger API.
+   */
+  const build = (baseFields) => {
+    const write = (entryLevel, msg, entryFields = {}) => {
+      if (LEVELS[entryLevel] < state.threshold) return;
+      const entry = {
+        time: new Date().toISOString(),
+        level: entryLevel,
+        msg,
+        ...baseFields,
+        ...currentContext(),
+        ...serializeFields(entryFields),
+      };
+      const stream = LEVELS[entryLevel] >= LEVELS.warn ? process.stderr : process.stdout;
+      stream.write(`${JSON.stringify(entry)}\n`);
+    };
+
+    return {
+      debug: (msg, entryFields) => write('debug', msg, entryFields),
+      info: (msg, entryFields) => write('info', msg, entryFields),
+      warn: (msg, entryFields) => write('warn', msg, entryFields),
+      error: (msg, entryFields) => write('error', msg, entryFields),
+      child: (childFields) => build({ ...baseFields, ...childFields }),
+      setLevel: (newLevel) => {
+        if (!LEVELS[newLevel]) throw new Error(`Unknown log level '${newLevel}'. Allowed values: ${Object.keys(LEVELS).join(', ')}`);
+        state.threshold = LEVELS[newLevel];
+      },
+    };
+  };
+
+  return build(fields);
+};
+
+// Process-wide logger. The server sets its level from LOG_LEVEL on startup.
+const logger = createLogger();
+
+module.exports = { createLogger, logger, runWithContext, currentContext, LOG_LEVELS: Object.keys(LEVELS) };
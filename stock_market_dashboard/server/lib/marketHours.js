@@ -0,0 +1,91 @@
+/**
+ * @file marketHours.js
+ * @description NSE trading hours. The exchange trades Monday to Friday, by default 09:15-15:30
+ * India time. Exchange holidays are not known here, so on a holiday the market is reported open
+ * and callers simply see no price changes.
+ */
+
+const TIME_ZONE = 'Asia/Kolkata';
+const UTC_OFFSET_MINUTES = 330; // India time is UTC+05:30 all year (no daylight saving)
+
+/**
+ * Parses a "HH:MM-HH:MM" session into minutes since midnight.
+ * @param {string} session - The trading session (e.g., "09:15-15:30").
+ * @returns {object} `{ openMinute, closeMinute }`.
+ * @throws {Error} If the session is not in "HH:MM-HH:MM" format or closes before it opens.
+ */
+const parseSession = (session) => {
+  const match = /^(\d{2}):(\d{2})-(\d{2}):(\d{2})$/.exec(String(session).trim());
+  if (!match) throw new Error(`Invalid market hours '${session}'. Use HH:MM-HH:MM (e.g., 09:15-15:30).`);
+  const openMinute = Number(match[1]) * 60 + Number(match[2]);
+  const closeMinute = Number(match[3]) * 60 + Number(match[4]);
+  if (closeMinute <= openMinute) throw new Error(`Invalid market hours '${session}': the market must close after it opens.`);
+  return { openMinute, closeMinute };
+};
+
+/**
+ * Returns the weekday and minute of the day of a date in India.
+ * @param {Date} date - The date.
+ * @returns {object} `{ weekday, minute }` where weekday is "Mon", "Tue", ...
+ */
+const indiaTime = (date) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: TIME_ZONE, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+  }).formatToParts(date).map(part => [part.type, part.value]));
+  return { weekday: parts.weekday, minute: Number(parts.hour) * 60 + Number(parts.minute) };
+};
+
+/**
+ * Returns the trading day in India for a date (YYYY-MM-DD), which is how daily data is keyed.
+ * @param {Date} [date=new Date()] - The date.
+ * @returns {string} The day.
+ */
+const tradingDay = (date = new Date()) => date.toLocaleDateString('en-CA', { timeZone: TIME_ZONE });
+
+/**
+ * Creates a market clock.
+ * @param {object} options
+ * @param {string} options.session - The trading session in India time (e.g., "09:15-15:30").
+ * @param {boolean} [options.alwaysOpen=false] - Report the market as always open (for development with fixtures).
+ * @returns {object} The clock API: `isOpen(date)`, `lastClose(date)`, `status()`.
+ */
+const createMarketClock = ({ session, alwaysOpen = false }) => {
+  const { openMinute, closeMinute } = parseSession(session);
+
+  /**
+   * Checks whether the market is open.
+   * @param {Date} [date=new Date()] - The moment to check.
+   * @returns {boolean} True during the session on weekdays.
+   */
+  const isOpen = (date = new Date()) => {
+    if (alwaysOpen) return true;
+    const { weekday, minute } = indiaTime(date);
+    if (weekday === 'Sat' || weekday === 'Sun') return false;
+    return minute >= openMinute && minute < closeMinute;
+  };
+
+  /**
+   * Returns when the most recent session closed: prices cannot change between then and the next open.
+   * @param {Date} [date=new Date()] - The moment to look back from.
+   * @returns {Date|null} The close of the latest weekday session that ended at or before `date`,
+   *                      or null when the market is treated as always open.
+   */
+  const lastClose = (date = new Date()) => {
+    if (alwaysOpen) return null;
+    const local = new Date(date.getTime() + UTC_OFFSET_MINUTES * 60 * 1000); // Its UTC fields read India time
+    for (let daysBack = 0; daysBack < 7; daysBack++) {
+      const day = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() - daysBack);
+      const weekday = new Date(day).getUTCDay();
+      if (weekday === 0 || weekday === 6) continue;
+      const close = new Date(day + (closeMinute - UTC_OFFSET_MINUTES) * 60 * 1000);
+      if (close <= date) return close;
+    }
+    return null; // Not reached: a weekday close always lies within the past week
+  };
+
+  const status = () => ({ open: isOpen(), session, timeZone: TIME_ZONE, alwaysOpen });
+
+  return { isOpen, lastClose, status };
+};
+
+module.exports = { createMarketClock, parseSession, tradingDay };
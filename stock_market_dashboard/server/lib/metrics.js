@@ -0,0 +1,161 @@
+/**
+ * @file metrics.js
+ * @description Minimal metrics registry rendering the Prometheus text exposition format.
+ * Supports counters and histograms with labels, plus gauges and counters whose value is read at
+ * scrape time from existing state (e.g., cache statistics), so that state is not tracked twice.
+ */
+
+// Default histogram buckets in seconds, suited to HTTP and external API latencies
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escapes a label value for the exposition format.
+ * @param {*} value - The label value.
+ * @returns {string} The escaped value.
+ */
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+/**
+ * Formats a label set as `{name="value",...}`.
+ * @param {object} labels - Label names and values.
+ * @returns {string} The formatted labels, or an empty string if there are none.
+ */
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+/**
+ * Picks the declared labels from a label object, in declaration order, so that the same
+ * label set always maps to the same series key.
+ * @param {Array<string>} labelNames - The declared label names.
+ * @param {object} labels - The label values passed by the caller.
+ * @returns {object} The label values (missing labels become empty strings).
+ */
+const pickLabels = (labelNames, labels = {}) =>
+  Object.fromEntries(labelNames.map(name => [name, labels[name] === undefined || labels[name] === null ? '' : String(labels[name])]));
+
+/**
+ * Creates a metrics registry.
+ * @returns {object} The registry API: `counter`, `histogram`, `gauge`, `collectedCounter`, `render`, `contentType`.
+ *                   `gauge` and `collectedCounter` take `(name, help, collect)`.
+ */
+const createMetricsRegistry = () => {
+  const metrics = []; // Rendered in registration order
+
+  /**
+   * Registers a counter.
+   * @param {string} name - The metric name (e.g., "http_requests_total").
+   * @param {string} help - The description shown in the exposition.
+   * @param {Array<string>} [labelNames=[]] - The label names.
+   * @returns {object} `{ inc(labels, value = 1) }`.
+   */
+  const counter = (name, help, labelNames = []) => {
+    const series = new Map(); // series key -> { labels, value }
+    metrics.push({
+      render: () => [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} counter`,
+        ...[...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`),
+      ],
+    });
+    return {
+      inc: (labels, value = 1) => {
+        const picked = pickLabels(labelNames, labels);
+        const key = JSON.stringify(picked);
+        const entry = series.get(key) || { labels: picked, value: 0 };
+        entry.value += value;
+        series.set(key, entry);
+      },
+    };
+  };
+
+  /**
+   * Registers a histogram.
+   * @param {string} name - The metric name (e.g., "upstream_request_duration_seconds").
+   * @param {string} help - The description shown in the exposition.
+   * @param {Array<string>} [labelNames=[]] - The label names.
+   * @param {Array<number>} [buckets=DEFAULT_BUCKETS] - Upper bounds of the buckets, ascending.
+   * @returns {object} `{ observe(labels, value), startTimer(labels) }`; the function returned by
+   *                   `startTimer` observes the elapsed seconds, optionally with extra labels.
+   */
+  const histogram = (name, help, labelNames = [], buckets = DEFAULT_BUCKETS) => {
+    const series = new Map(); // series key -> { labels, counts, sum, count }
+    metrics.push({
+      render: () => {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+        for (const { labels, counts, sum, count } of series.values()) {
+          let cumulative = 0;
+          buckets.forEach((bound, index) => {
+            cumulative += counts[index];
+            lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${cumulative}`);
+          });
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+          lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+          lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+      },
+    });
+
+    const observe = (labels, value) => {
+      const picked = pickLabels(labelNames, labels);
+      const key = JSON.stringify(picked);
+      const entry = series.get(key) || { labels: picked, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      const bucketIndex = buckets.findIndex(bound => value <= bound);
+      if (bucketIndex !== -1) entry.counts[bucketIndex]++; // Values above the last bucket only count towards +Inf
+      entry.sum += value;
+      entry.count++;
+      series.set(key, entry);
+    };
+
+    const startTimer = (labels = {}) => {
+      const start = process.hrtime.bigint();
+      return (extraLabels = {}) => {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        observe({ ...labels, ...extraLabels }, seconds);
+        return seconds;
+      };
+    };
+
+    return { observe, startTimer };
+  };
+
+  /**
+   * Registers a metric whose samples are read at scrape time.
+   * @param {string} type - 'gauge' or 'counter'.
+   * @param {string} name - The metric name.
+   * @param {string} help - The description shown in the exposition.
+   * @param {Function} collect - Returns a number, or an array of `{ labels, value }` for labelled series.
+   */
+  const collected = (type, name, help, collect) => {
+    metrics.push({
+      render: () => {
+        const value = collect();
+        const samples = Array.isArray(value) ? value : [{ labels: {}, value }];
+        return [
+          `# HELP ${name} ${help}`,
+          `# TYPE ${name} ${type}`,
+          ...samples.map(sample => `${name}${formatLabels(sample.labels || {})} ${sample.value}`),
+        ];
+      },
+    });
+  };
+
+  /**
+   * Renders every metric in the Prometheus text exposition format.
+   * @returns {string} The exposition.
+   */
+  const render = () => `${metrics.flatMap(metric => metric.render()).join('\n')}\n`;
+
+  return {
+    counter,
+    histogram,
+    gauge: (name, help, collect) => collected('gauge', name, help, collect),
+    collectedCounter: (name, help, collect) => collected('counter', name, help, collect),
+    render,
+    contentType: 'text/plain; version=0.0.4; charset=utf-8',
+  };
+};
+
+module.exports = { createMetricsRegistry, DEFAULT_BUCKETS };
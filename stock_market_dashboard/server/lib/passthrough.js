@@ -0,0 +1,164 @@
+/**
+ * @file passthrough.js
+ * @description Compiles the table of allowlisted external API endpoints (see upstreamRoutes.js) and
+ * validates requests against it. Each route declares the query parameters it accepts; anything
+ * else is rejected before an external call (and API quota) is spent.
+ *
+ * Parameter types:
+ * - 'symbol': a stock symbol or company name, resolved against the symbol master like /api/stock.
+ * - 'string': free text up to `maxLength` characters (default 100), optionally matching `pattern`.
+ * - 'enum': one of `values`.
+ * - 'integer': a whole number between `min` and `max` (when given).
+ * Every parameter may be `required`, have a `default`, and be sent upstream under another name (`upstreamName`).
+ */
+
+const PARAM_TYPES = ['symbol', 'string', 'enum', 'integer'];
+const VALID_ROUTE_NAME = /^[a-z0-9-]{1,64}$/;
+const DEFAULT_MAX_LENGTH = 100;
+
+/**
+ * Checks one route of the table and fills in defaults.
+ * @param {object} route - The route as declared.
+ * @returns {object} The compiled route.
+ * @throws {Error} If the route is malformed, so a bad table stops the server at startup.
+ */
+const compileRoute = (route) => {
+  const fail = (message) => {
+    throw new Error(`Invalid upstream route '${route.name}': ${message}`);
+  };
+  if (!VALID_ROUTE_NAME.test(route.name || '')) fail('name must be 1-64 lowercase letters, digits or dashes');
+  if (typeof route.upstreamPath !== 'string' || !route.upstreamPath.startsWith('/')) fail('upstreamPath must start with /');
+  if (!Number.isFinite(route.cacheTtlSeconds) || route.cacheTtlSeconds < 0) fail('cacheTtlSeconds must be a number of seconds');
+
+  const params = Object.entries(route.params || {}).map(([name, param]) => {
+    if (!PARAM_TYPES.includes(param.type)) fail(`parameter '${name}' has unknown type '${param.type}'`);
+    if (param.type === 'enum' && (!Array.isArray(param.values) || param.values.length === 0)) fail(`parameter '${name}' needs values`);
+    return {
+      name,
+      type: param.type,
+      required: !!param.required,
+      default: param.default,
+      upstreamName: param.upstreamName || name,
+      values: param.values,
+      pattern: param.pattern,
+      maxLength: param.maxLength || DEFAULT_MAX_LENGTH,
+      min: param.min,
+      max: param.max,
+    };
+  });
+  if (params.filter(param => param.type === 'symbol').length > 1) fail('at most one parameter can be a symbol');
+
+  return {
+    name: route.name,
+    description: route.description || '',
+    upstreamPath: route.upstreamPath,
+    cacheTtlSeconds: route.cacheTtlSeconds,
+    changesAfterClose: route.changesAfterClose !== false,
+    params,
+  };
+};
+
+/**
+ * Compiles the route table.
+ * @param {Array<object>} table - The routes (see upstreamRoutes.js).
+ * @returns {Map<string, object>} Compiled routes by name.
+ * @throws {Error} If a route is malformed or two routes share a name.
+ */
+const compileRoutes = (table) => {
+  const routes = new Map();
+  table.forEach(entry => {
+    const route = compileRoute(entry);
+    if (routes.has(route.name)) throw new Error(`Duplicate upstream route '${route.name}'`);
+    routes.set(route.name, route);
+  });
+  return routes;
+};
+
+/**
+ * Validates one parameter value.
+ * @param {object} param - The compiled parameter.
+ * @param {string} raw - The value from the query string.
+ * @returns {object} `{ value }`, or `{ error }` with a message for the client.
+ */
+const parseValue = (param, raw) => {
+  const value = raw.trim();
+  switch (param.type) {
+    case 'enum':
+      return param.values.includes(value)
+        ? { value }
+        : { error: `Invalid ${param.name} '${value}'. Allowed values: ${param.values.join(', ')}` };
+    case 'integer': {
+      const number = Number(value);
+      if (!Number.isInteger(number)) return { error: `${param.name} must be a whole number` };
+      if (param.min !== undefined && number < param.min) return { error: `${param.name} must be at least ${param.min}` };
+      if (param.max !== undefined && number > param.max) return { error: `${param.name} must be at most ${param.max}` };
+      return { value: number };
+    }
+    default: // 'symbol' (resolved by the caller) and 'string'
+      if (!value) return { error: `${param.name} must not be empty` };
+      if (value.length > param.maxLength) return { error: `${param.name} must be at most ${param.maxLength} characters` };
+      if (param.pattern && !param.pattern.test(value)) return { error: `Invalid ${param.name} '${value}'` };
+      return { value };
+  }
+};
+
+/**
+ * Validates the query string of a request against a route.
+ * @param {object} route - The compiled route.
+ * @param {object} query - The Express `req.query`.
+ * @returns {object} `{ values }` (by parameter name, defaults applied), or `{ error }` with a message for the client.
+ */
+const parseQuery = (route, query) => {
+  const unknown = Object.keys(query).filter(name => !route.params.some(param => param.name === name));
+  if (unknown.length > 0) {
+    const allowed = route.params.map(param => param.name).join(', ') || 'none';
+    return { error: `Unknown parameter(s) for ${route.name}: ${unknown.join(', ')}. Allowed parameters: ${allowed}` };
+  }
+
+  const values = {};
+  for (const param of route.params) {
+    const raw = query[param.name];
+    if (raw === undefined || raw === '') {
+      if (param.default !== undefined) values[param.name] = param.default;
+      else if (param.required) return { error: `${param.name} is required` };
+      continue;
+    }
+    if (typeof raw !== 'string') return { error: `${param.name} must be given once` };
+    const parsed = parseValue(param, raw);
+    if (parsed.error) return { error: parsed.error };
+    values[param.name] = parsed.value;
+  }
+  return { values };
+};
+
+/**
+ * Maps validated values to the query parameters sent to the external API.
+ * @param {object} route - The compiled route.
+ * @param {object} values - Values by parameter name (see `parseQuery`).
+ * @returns {object} Query parameters by upstream name.
+ */
+const toUpstreamParams = (route, values) => Object.fromEntries(route.params
+  .filter(param => values[param.name] !== undefined)
+  .map(param => [param.upstreamName, values[param.name]]));
+
+/**
+ * Describes a route for clients (its parameters and caching), without internal details.
+ * @param {object} route - The compiled route.
+ * @returns {object} The description.
+ */
+const describeRoute = (route) => ({
+  name: route.name,
+  description: route.description,
+  cacheTtlSeconds: route.cacheTtlSeconds,
+  params: route.params.map(param => ({
+    name: param.name,
+    type: param.type,
+    required: param.required,
+    default: param.default,
+    values: param.values,
+    min: param.min,
+    max: param.max,
+  })),
+});
+
+module.exports = { compileRoutes, parseQuery, toUpstreamParams, describeRoute };
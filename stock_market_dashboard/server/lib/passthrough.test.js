@@ -0,0 +1,103 @@
+const { compileRoutes, parseQuery, toUpstreamParams, describeRoute } = require('./passthrough');
+
+const TABLE = [
+  {
+    name: 'news',
+    description: 'Latest news',
+    upstreamPath: '/news',
+    cacheTtlSeconds: 300,
+    changesAfterClose: false,
+    params: {},
+  },
+  {
+    name: 'historical',
+    upstreamPath: '/historical_data',
+    cacheTtlSeconds: 3600,
+    params: {
+      symbol: { type: 'symbol', required: true, upstreamName: 'stock_name', maxLength: 20 },
+      period: { type: 'enum', values: ['1m', '6m', '1yr'], default: '1yr' },
+      filter: { type: 'string', pattern: /^[a-z]+$/ },
+      limit: { type: 'integer', min: 1, max: 50 },
+    },
+  },
+];
+
+const routes = compileRoutes(TABLE);
+const historical = routes.get('historical');
+
+describe('compileRoutes', () => {
+  test('fills in defaults', () => {
+    expect(routes.get('news')).toMatchObject({ description: 'Latest news', changesAfterClose: false, params: [] });
+    expect(historical).toMatchObject({ description: '', changesAfterClose: true });
+    expect(historical.params.find(param => param.name === 'symbol')).toMatchObject({ required: true, upstreamName: 'stock_name', maxLength: 20 });
+    expect(historical.params.find(param => param.name === 'filter')).toMatchObject({ required: false, upstreamName: 'filter', maxLength: 100 });
+  });
+
+  test.each([
+    ['an invalid name', { name: 'Bad Name', upstreamPath: '/x', cacheTtlSeconds: 1 }, /name must be/],
+    ['a relative upstream path', { name: 'x', upstreamPath: 'x', cacheTtlSeconds: 1 }, /upstreamPath must start with/],
+    ['a missing cache TTL', { name: 'x', upstreamPath: '/x' }, /cacheTtlSeconds/],
+    ['an unknown parameter type', { name: 'x', upstreamPath: '/x', cacheTtlSeconds: 1, params: { a: { type: 'date' } } }, /unknown type 'date'/],
+    ['an enum without values', { name: 'x', upstreamPath: '/x', cacheTtlSeconds: 1, params: { a: { type: 'enum' } } }, /needs values/],
+    ['two symbol parameters', { name: 'x', upstreamPath: '/x', cacheTtlSeconds: 1, params: { a: { type: 'symbol' }, b: { type: 'symbol' } } }, /at most one parameter/],
+  ])('rejects a route with %s', (_, route, message) => {
+    expect(() => compileRoutes([route])).toThrow(message);
+  });
+
+  test('rejects duplicate route names', () => {
+    expect(() => compileRoutes([TABLE[0], TABLE[0]])).toThrow(/Duplicate upstream route 'news'/);
+  });
+});
+
+describe('parseQuery', () => {
+  test('applies defaults and converts integers', () => {
+    expect(parseQuery(historical, { symbol: 'TCS', limit: '10' })).toEqual({ values: { symbol: 'TCS', period: '1yr', limit: 10 } });
+  });
+
+  test('trims values', () => {
+    expect(parseQuery(historical, { symbol: ' TCS ', period: ' 6m ' }).values).toMatchObject({ symbol: 'TCS', period: '6m' });
+  });
+
+  test('rejects unknown parameters and lists the allowed ones', () => {
+    expect(parseQuery(historical, { symbol: 'TCS', stock_name: 'TCS' }).error)
+      .toBe('Unknown parameter(s) for historical: stock_name. Allowed parameters: symbol, period, filter, limit');
+    expect(parseQuery(routes.get('news'), { page: '2' }).error).toMatch(/Allowed parameters: none$/);
+  });
+
+  test('requires required parameters', () => {
+    expect(parseQuery(historical, {}).error).toBe('symbol is required');
+    expect(parseQuery(historical, { symbol: '' }).error).toBe('symbol is required');
+  });
+
+  test('rejects a parameter given more than once', () => {
+    expect(parseQuery(historical, { symbol: ['TCS', 'INFY'] }).error).toBe('symbol must be given once');
+  });
+
+  test.each([
+    [{ period: '5yr' }, "Invalid period '5yr'. Allowed values: 1m, 6m, 1yr"],
+    [{ limit: '2.5' }, 'limit must be a whole number'],
+    [{ limit: 'ten' }, 'limit must be a whole number'],
+    [{ limit: '0' }, 'limit must be at least 1'],
+    [{ limit: '51' }, 'limit must be at most 50'],
+    [{ filter: 'Price' }, "Invalid filter 'Price'"],
+    [{ symbol: 'X'.repeat(21) }, 'symbol must be at most 20 characters'],
+  ])('rejects invalid values: %o', (query, error) => {
+    expect(parseQuery(historical, { symbol: 'TCS', ...query })).toEqual({ error });
+  });
+});
+
+describe('toUpstreamParams', () => {
+  test('sends the values under their upstream names and leaves out missing ones', () => {
+    expect(toUpstreamParams(historical, { symbol: 'TCS', period: '1yr' })).toEqual({ stock_name: 'TCS', period: '1yr' });
+  });
+});
+
+describe('describeRoute', () => {
+  test('describes the parameters without internal details', () => {
+    const description = describeRoute(historical);
+    expect(description).not.toHaveProperty('upstreamPath');
+    expect(description.params[0]).toEqual({
+      name: 'symbol', type: 'symbol', required: true, default: undefined, values: undefined, min: undefined, max: undefined,
+    });
+  });
+});
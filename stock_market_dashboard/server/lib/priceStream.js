@@ -0,0 +1,250 @@
+/**
+ * @file priceStream.js
+ * @description Live prices over Server-Sent Events (SSE).
+ * Clients subscribe to symbols with a long-lived HTTP response. While anyone is subscribed and
+ * the market is open, one shared poller fetches a quote per subscribed symbol every `intervalSeconds`
+ * and pushes a `price` event to that symbol's subscribers only when the quote changed.
+ * Each poll can cost one external call per symbol, so the stream is capped: `maxTotalSymbols` distinct
+ * symbols across all clients, `maxStreamsPerClient` open streams per client (see `refusal`), and polls
+ * pause while the API keys' remaining daily calls would drop below `reserveCalls`.
+ *
+ * Events:
+ * - `status`: sent on connect and whenever the market opens or closes, or polls pause or resume for
+ *   the quota: `{ marketOpen, pausedForQuota, intervalSeconds }`.
+ * - `price`: `{ symbol, nse, bse, percentChange, updatedAt }`. New subscribers immediately receive
+ *   the last known quote of their symbols, if any.
+ * A comment line is sent every `heartbeatSeconds` so proxies do not close idle connections.
+ */
+
+const { logger } = require('./logger');
+const { mapWithConcurrency } = require('./concurrency');
+
+// Quote fields compared to decide whether a quote changed
+const QUOTE_FIELDS = ['nse', 'bse', 'percentChange'];
+
+/**
+ * Writes one SSE event to a client.
+ * @param {object} res - The Express response of the SSE connection.
+ * @param {string} event - The event name.
+ * @param {object} data - The JSON-serialisable payload.
+ */
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Creates the price stream.
+ * @param {object} options
+ * @param {number} options.intervalSeconds - How often subscribed symbols are polled.
+ * @param {number} options.heartbeatSeconds - How often idle connections receive a keep-alive comment.
+ * @param {number} options.concurrency - Maximum concurrent quote fetches per poll.
+ * @param {number} options.maxTotalSymbols - Distinct symbols streamed across all clients.
+ * @param {number} options.maxStreamsPerClient - Open streams allowed per client key (e.g., IP address).
+ * @param {number} options.reserveCalls - Remaining daily calls the polls leave untouched for the dashboard.
+ * @param {object} options.marketClock - The market clock (see lib/marketHours.js).
+ * @param {Function} options.fetchQuote - Async `(symbol) => { nse, bse, percentChange }`.
+ * @param {Function} options.quota - `() => { remaining }`: calls left today across the keys (null if unlimited).
+ * @returns {object} The stream API: `refusal`, `subscribe`, `stats`, `close`.
+ */
+const createPriceStream = ({
+  intervalSeconds, heartbeatSeconds, concurrency, maxTotalSymbols, maxStreamsPerClient, reserveCalls, marketClock, fetchQuote, quota,
+}) => {
+  const subscribers = new Map(); // symbol -> Set of SSE responses
+  const lastQuotes = new Map(); // symbol -> last pushed quote
+  const streamsByClient = new Map(); // client key -> open streams
+  let pollTimer = null;
+  let heartbeatTimer = null;
+  let polling = false; // Prevents overlapping polls when the upstream is slow
+  let marketWasOpen = marketClock.isOpen();
+  let pausedForQuota = false;
+  let polls = 0;
+  let pollsSkippedForQuota = 0;
+  let updatesPushed = 0;
+
+  const statusEvent = () => ({ marketOpen: marketClock.isOpen(), pausedForQuota, intervalSeconds });
+
+  /**
+   * Sends an event to every client subscribed to a symbol (or to every client, without a symbol).
+   * @param {string|null} symbol - The symbol, or null for all clients.
+   * @param {string} event - The event name.
+   * @param {object} data - The payload.
+   */
+  const broadcast = (symbol, event, data) => {
+    const targets = symbol
+      ? subscribers.get(symbol) || new Set()
+      : new Set([...subscribers.values()].flatMap(clients => [...clients]));
+    targets.forEach(res => writeEvent(res, event, data));
+  };
+
+  /**
+   * Checks whether the quota allows one poll of every subscribed symbol, and tells the clients
+   * when polls pause or resume.
+   * @returns {boolean} True if the poll may go ahead.
+   */
+  const quotaAllowsPoll = () => {
+    const { remaining } = quota();
+    const paused = remaining !== null && remaining - subscribers.size < reserveCalls;
+    if (paused !== pausedForQuota) {
+      pausedForQuota = paused;
+      if (paused) logger.warn('Live price polls paused for the daily API key quota', { remaining, reserved: reserveCalls });
+      else logger.info('Live price polls resumed');
+      broadcast(null, 'status', statusEvent());
+    }
+    return !paused;
+  };
+
+  /**
+   * Fetches a quote for every subscribed symbol and pushes the ones that changed.
+   * @async
+   */
+  const poll = async () => {
+    const marketOpen = marketClock.isOpen();
+    if (marketOpen !== marketWasOpen) {
+      marketWasOpen = marketOpen;
+      broadcast(null, 'status', statusEvent());
+    }
+    if (!marketOpen || polling || subscribers.size === 0) return;
+    if (!quotaAllowsPoll()) {
+      pollsSkippedForQuota++;
+      return;
+    }
+
+    polling = true;
+    polls++;
+    try {
+      await mapWithConcurrency([...subscribers.keys()], concurrency, async (symbol) => {
+        try {
+          const quote = await fetchQuote(symbol);
+          const previous = lastQuotes.get(symbol);
+          if (previous && QUOTE_FIELDS.every(field => previous[field] === quote[field])) return; // Unchanged
+          const update = { symbol, ...Object.fromEntries(QUOTE_FIELDS.map(field => [field, quote[field]])), updatedAt: new Date().toISOString() };
+          lastQuotes.set(symbol, update);
+          if (subscribers.has(symbol)) {
+            updatesPushed++;
+            broadcast(symbol, 'price', update);
+          }
+        } catch (error) {
+          logger.warn('Live price poll failed', { symbol, error: error.message, status: error.status });
+        }
+      });
+    } finally {
+      polling = false;
+    }
+  };
+
+  /**
+   * Starts the timers when the first client subscribes.
+   */
+  const start = () => {
+    if (pollTimer) return;
+    pollTimer = setInterval(poll, intervalSeconds * 1000);
+    heartbeatTimer = setInterval(() => {
+      subscribers.forEach(clients => clients.forEach(res => res.write(': ping\n\n')));
+    }, heartbeatSeconds * 1000);
+    poll(); // First quotes right away rather than after one interval
+  };
+
+  /**
+   * Stops the timers once no client is subscribed.
+   */
+  const stopIfIdle = () => {
+    if (subscribers.size > 0 || !pollTimer) return;
+    clearInterval(pollTimer);
+    clearInterval(heartbeatTimer);
+    pollTimer = null;
+    heartbeatTimer = null;
+  };
+
+  /**
+   * Checks whether a client may open a stream of these symbols. Call it right before `subscribe`.
+   * @param {string} clientKey - Identifies the client (e.g., its IP address).
+   * @param {Array<string>} symbols - Uppercase symbols to stream.
+   * @returns {object|null} `{ status, message }` to reject the request with, or null if it is allowed.
+   */
+  const refusal = (clientKey, symbols) => {
+    if ((streamsByClient.get(clientKey) || 0) >= maxStreamsPerClient) {
+      return { status: 429, message: `Too many live price streams open: the maximum per client is ${maxStreamsPerClient}.` };
+    }
+    const streamed = new Set([...subscribers.keys(), ...symbols]).size;
+    if (streamed > maxTotalSymbols) {
+      return { status: 503, message: `The live price stream is full (at most ${maxTotalSymbols} symbols are streamed). Try again later.` };
+    }
+    return null;
+  };
+
+  /**
+   * Subscribes an SSE connection to symbols. The connection is unsubscribed when the client disconnects.
+   * @param {object} req - The Express request.
+   * @param {object} res - The Express response, which becomes the event stream.
+   * @param {Array<string>} symbols - Uppercase symbols to stream.
+   * @param {string} clientKey - Identifies the client, for `maxStreamsPerClient`.
+   */
+  const subscribe = (req, res, symbols, clientKey) => {
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform', // no-transform keeps compressing proxies from buffering events
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no', // Disable response buffering in nginx
+    });
+    res.flushHeaders();
+    res.write(`retry: ${intervalSeconds * 1000}\n\n`); // Reconnect delay for EventSource after a dropped connection
+
+    symbols.forEach(symbol => {
+      if (!subscribers.has(symbol)) subscribers.set(symbol, new Set());
+      subscribers.get(symbol).add(res);
+    });
+    streamsByClient.set(clientKey, (streamsByClient.get(clientKey) || 0) + 1);
+    writeEvent(res, 'status', statusEvent());
+    symbols.forEach(symbol => {
+      if (lastQuotes.has(symbol)) writeEvent(res, 'price', lastQuotes.get(symbol));
+    });
+    logger.info('Live price client subscribed', { symbols });
+
+    req.on('close', () => {
+      const streams = streamsByClient.get(clientKey) - 1;
+      if (streams > 0) streamsByClient.set(clientKey, streams);
+      else streamsByClient.delete(clientKey);
+      symbols.forEach(symbol => {
+        const clients = subscribers.get(symbol);
+        if (!clients) return;
+        clients.delete(res);
+        if (clients.size === 0) {
+          subscribers.delete(symbol);
+          lastQuotes.delete(symbol); // Stop tracking, a later subscriber starts fresh
+        }
+      });
+      stopIfIdle();
+    });
+
+    start();
+  };
+
+  /**
+   * Returns stream statistics.
+   * @returns {object} Connected clients, streamed symbols, polls made (and skipped for the quota) and updates pushed.
+   */
+  const stats = () => ({
+    clients: new Set([...subscribers.values()].flatMap(clients => [...clients])).size,
+    symbols: subscribers.size,
+    polls,
+    pollsSkippedForQuota,
+    updatesPushed,
+    marketOpen: marketClock.isOpen(),
+    pausedForQuota,
+  });
+
+  /**
+   * Ends every connection and stops polling (e.g., on shutdown).
+   */
+  const close = () => {
+    subscribers.forEach(clients => clients.forEach(res => res.end()));
+    subscribers.clear();
+    lastQuotes.clear();
+    streamsByClient.clear();
+    stopIfIdle();
+  };
+
+  return { refusal, subscribe, stats, close };
+};
+
+module.exports = { createPriceStream };
@@ -0,0 +1,87 @@
+/**
+ * @file rateLimit.js
+ * @description Fixed-window rate limiting per client (IP address or API token).
+ * Each client may make `limit` requests per window of `windowSeconds`; further requests get a 429
+ * with a Retry-After header until the window ends. Every response reports the client's budget in
+ * RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset headers.
+ */
+
+/**
+ * Creates a rate limiter.
+ * @param {object} options
+ * @param {number} options.windowSeconds - Length of a window.
+ * @returns {object} The limiter API: `hit`, `size`, `stop`.
+ */
+const createRateLimiter = ({ windowSeconds }) => {
+  const windows = new Map(); // client key -> { count, resetAt }
+
+  // Drop finished windows now and then, so clients that went away do not accumulate
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    windows.forEach((window, key) => {
+      if (window.resetAt <= now) windows.delete(key);
+    });
+  }, windowSeconds * 1000);
+  sweeper.unref(); // Never keeps the process alive
+
+  /**
+   * Counts a request of a client.
+   * @param {string} key - The client key (e.g., "ip:203.0.113.7").
+   * @param {number} limit - Requests allowed per window for this client.
+   * @returns {object} `{ allowed, limit, remaining, resetSeconds }`.
+   */
+  const hit = (key, limit) => {
+    const now = Date.now();
+    let window = windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowSeconds * 1000 };
+      windows.set(key, window);
+    }
+    window.count++;
+    return {
+      allowed: window.count <= limit,
+      limit,
+      remaining: Math.max(limit - window.count, 0),
+      resetSeconds: Math.max(Math.ceil((window.resetAt - now) / 1000), 1),
+    };
+  };
+
+  const size = () => windows.size;
+
+  const stop = () => clearInterval(sweeper);
+
+  return { hit, size, stop };
+};
+
+/**
+ * Creates rate limiting middleware.
+ * @param {object} options
+ * @param {object} options.limiter - The rate limiter.
+ * @param {string} options.scope - What is limited ('ip', 'token' or 'token_daily'), used in keys, messages and metrics.
+ * @param {Function} options.keyFor - `(req) => string|null`: the client's key, or null to skip limiting.
+ * @param {Function} options.limitFor - `(req) => number`: requests allowed per window; 0 means unlimited.
+ * @param {Function} [options.onLimited] - Called with (req) when a request is rejected.
+ * @returns {Function} Express middleware.
+ */
+const createRateLimitMiddleware = ({ limiter, scope, keyFor, limitFor, onLimited }) => (req, res, next) => {
+  const key = keyFor(req);
+  const limit = key === null ? 0 : limitFor(req);
+  if (!limit) return next();
+
+  const { allowed, remaining, resetSeconds } = limiter.hit(`${scope}:${key}`, limit);
+  res.set({
+    'RateLimit-Limit': String(limit),
+    'RateLimit-Remaining': String(remaining),
+    'RateLimit-Reset': String(resetSeconds),
+  });
+  if (allowed) return next();
+
+  if (onLimited) onLimited(req);
+  res.set('Retry-After', String(resetSeconds));
+  res.status(429).json({
+    message: `Too many requests for this ${scope === 'ip' ? 'IP address' : 'API token'}${scope === 'token_daily' ? ' today' : ''}. Try again in ${resetSeconds} seconds.`,
+    details: { scope, limit, retryAfterSeconds: resetSeconds },
+  });
+};
+
+module.exports = { createRateLimiter, createRateLimitMiddleware };
@@ -0,0 +1,67 @@
+/**
+ * @file requestContext.js
+ * @description Express middleware giving every request an id and recording it when it completes.
+ * - The id is taken from a valid incoming X-Request-Id header (so ids can be traced across a
+ *   reverse proxy) or generated, and is echoed back in the X-Request-Id response header.
+ * - Everything logged while handling the request carries the id (see `runWithContext` in lib/logger.js).
+ * - On completion, an access log entry is written and the request count/duration metrics are updated.
+ */
+
+const crypto = require('crypto');
+const { logger, runWithContext } = require('./logger');
+
+// Incoming ids are accepted only if short and made of safe characters, so they can't inject into logs
+const VALID_REQUEST_ID = /^[A-Za-z0-9._-]{1,64}$/;
+
+// API tokens sent as a query parameter (by EventSource clients, see lib/apiAuth.js) are kept out of the logs
+const redactAccessToken = (url) => url.replace(/([?&]access_token=)[^&]*/g, '$1[redacted]');
+
+/**
+ * Returns the route pattern that handled a request (e.g., "/api/admin/cache/:symbol"), used as a
+ * metric label instead of the raw path so that symbols and ids don't create a series each.
+ * @param {object} req - The Express request object.
+ * @returns {string} The route pattern; the router mount path (e.g., "/api/admin") for requests a router
+ *                   middleware answered, or "unmatched" for requests no route handled.
+ */
+const routeLabel = (req) => {
+  if (req.route) return `${req.baseUrl}${req.route.path}`;
+  return req.baseUrl || 'unmatched';
+};
+
+/**
+ * Creates the request context middleware.
+ * @param {object} instruments
+ * @param {object} instruments.requestCounter - Counter labelled by method, route and status.
+ * @param {object} instruments.requestDuration - Histogram labelled by method, route and status.
+ * @param {Array<string>} [instruments.quietPaths=[]] - Paths polled by monitors (e.g., "/healthz"), whose
+ *                                                     successful requests are logged at debug level only.
+ * @returns {Function} The Express middleware.
+ */
+const createRequestContext = ({ requestCounter, requestDuration, quietPaths = [] }) => (req, res, next) => {
+  const incomingId = req.get('X-Request-Id');
+  const requestId = incomingId && VALID_REQUEST_ID.test(incomingId) ? incomingId : crypto.randomUUID();
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  const endTimer = requestDuration.startTimer({ method: req.method });
+  res.on('finish', () => {
+    const labels = { method: req.method, route: routeLabel(req), status: res.statusCode };
+    const seconds = endTimer(labels);
+    requestCounter.inc(labels);
+    let level = res.statusCode >= 500 ? 'error' : (res.statusCode >= 400 ? 'warn' : 'info');
+    if (level === 'info' && quietPaths.includes(req.path)) level = 'debug';
+    logger[level]('Request completed', {
+      requestId,
+      method: req.method,
+      path: redactAccessToken(req.originalUrl),
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000),
+      cache: res.get('X-Cache'),
+      token: req.apiToken ? req.apiToken.name : undefined, // Name of the API token used, if any
+    });
+  });
+
+  runWithContext({ requestId }, next);
+};
+
+module.exports = { createRequestContext };
@@ -0,0 +1,61 @@
+/**
+ * @file retry.js
+ * @description Retry helper with jittered exponential backoff for transient external API failures.
+ */
+
+// Network error codes worth retrying: the request may well succeed a moment later
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+// HTTP statuses returned by gateways and overloaded servers
+const TRANSIENT_HTTP_STATUSES = [502, 503, 504];
+
+/**
+ * Checks whether an error from the external API is transient (timeouts, connection resets, 502/503/504).
+ * @param {Error} error - An Axios error (or Axios-like error).
+ * @returns {boolean} True if the request is worth retrying.
+ */
+const isTransientError = (error) => {
+  if (error.response) {
+    return TRANSIENT_HTTP_STATUSES.includes(error.response.status);
+  }
+  return TRANSIENT_ERROR_CODES.includes(error.code);
+};
+
+/**
+ * Returns the delay before a retry: a random value between 0 and the exponential
+ * backoff for this attempt ("full jitter"), so clients retrying together spread out.
+ * @param {number} attempt - The retry number, starting at 1.
+ * @param {number} baseDelayMs - Backoff for the first retry.
+ * @param {number} maxDelayMs - Upper bound for the backoff.
+ * @returns {number} The delay in milliseconds.
+ */
+const backoffDelay = (attempt, baseDelayMs, maxDelayMs) => {
+  const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(Math.random() * exponential);
+};
+
+/**
+ * Runs an async operation, retrying it on transient errors.
+ * @async
+ * @param {Function} operation - The async operation to run.
+ * @param {object} options
+ * @param {number} options.retries - Maximum number of retries after the first attempt.
+ * @param {number} options.baseDelayMs - Backoff for the first retry.
+ * @param {number} options.maxDelayMs - Upper bound for the backoff.
+ * @param {Function} [options.onRetry] - Called with (error, attempt, delayMs) before each retry.
+ * @returns {Promise<*>} The result of the operation.
+ * @throws {Error} The last error, if the operation fails with a non-transient error or retries run out.
+ */
+const retryWithBackoff = async (operation, { retries, baseDelayMs, maxDelayMs, onRetry }) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (attempt >= retries || !isTransientError(error)) throw error;
+      const delayMs = backoffDelay(attempt + 1, baseDelayMs, maxDelayMs);
+      if (onRetry) onRetry(error, attempt + 1, delayMs);
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+};
+
+module.exports = { isTransientError, retryWithBackoff };
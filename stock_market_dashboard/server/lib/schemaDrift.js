@@ -0,0 +1,177 @@
+/**
+ * @file schemaDrift.js
+ * @description Checks external API payloads against the schemas the dashboard relies on (see
+ * lib/upstreamSchemas.js) and keeps a report of the differences ("drift"):
+ * - 'missing': a required field is absent or null.
+ * - 'type': a field has an unexpected type (e.g., an array that became an object).
+ * - 'unknown': a field the schema does not declare, often the new name of a renamed field.
+ * Each distinct drift (endpoint, kind and path) is logged once when first seen, then only counted.
+ */
+
+const { logger } = require('./logger');
+
+// Array items checked per array; items of one array share a shape, so a sample is enough
+const MAX_ITEMS_CHECKED = 20;
+// Requests remembered per drift (e.g., "RELIANCE"), as examples to reproduce it with
+const MAX_EXAMPLES = 5;
+
+// Schema helpers. Fields are optional unless `required: true`; null is accepted for optional fields.
+const field = (type, options = {}) => ({ type, ...options });
+const string = (options) => field('string', options);
+const number = (options) => field('number', options);
+const numeric = (options) => field(['string', 'number'], options); // The API sends many numbers as strings
+const boolean = (options) => field('boolean', options);
+const anything = (options) => field('any', options);
+// `open: true` accepts undeclared fields, for sections the dashboard does not read field by field
+const object = (fields, options) => field('object', { fields, ...options });
+const arrayOf = (items, options) => field('array', { items, ...options });
+
+/**
+ * Returns the JSON type of a value.
+ * @param {*} value - The value.
+ * @returns {string} 'null', 'array', 'object', 'string', 'number' or 'boolean'.
+ */
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+/**
+ * Validates a value against a schema node.
+ * Paths use dots for fields and `[]` for array items (e.g., "companyProfile.peerCompanyList[].tickerId").
+ * @param {object} schema - The schema node.
+ * @param {*} value - The value to check.
+ * @param {string} [path=''] - Path of the value within the payload.
+ * @param {Array<object>} [issues=[]] - Issues found so far; new ones are appended.
+ * @returns {Array<object>} `{ path, kind, expected, actual }` issues, one per path and kind.
+ */
+const validate = (schema, value, path = '', issues = []) => {
+  const add = (issue) => {
+    if (!issues.some(existing => existing.path === issue.path && existing.kind === issue.kind)) issues.push(issue);
+  };
+  if (schema.type === 'any') return issues;
+
+  const actual = typeOf(value);
+  const expected = [].concat(schema.type);
+  if (!expected.includes(actual)) {
+    add({ path: path || '(root)', kind: 'type', expected: expected.join('|'), actual });
+    return issues;
+  }
+
+  if (actual === 'object' && schema.fields) {
+    Object.entries(schema.fields).forEach(([name, child]) => {
+      const childPath = path ? `${path}.${name}` : name;
+      const childValue = value[name];
+      if (childValue === undefined || childValue === null) {
+        if (child.required) add({ path: childPath, kind: 'missing', expected: [].concat(child.type).join('|'), actual: childValue === undefined ? 'absent' : 'null' });
+        return;
+      }
+      validate(child, childValue, childPath, issues);
+    });
+    if (!schema.open) {
+      Object.keys(value)
+        .filter(name => !Object.prototype.hasOwnProperty.call(schema.fields, name))
+        .forEach(name => add({ path: path ? `${path}.${name}` : name, kind: 'unknown', expected: null, actual: typeOf(value[name]) }));
+    }
+  }
+
+  if (actual === 'array' && schema.items) {
+    value.slice(0, MAX_ITEMS_CHECKED).forEach(item => {
+      if (item !== null) validate(schema.items, item, `${path}[]`, issues);
+    });
+  }
+  return issues;
+};
+
+/**
+ * Creates the drift monitor.
+ * @param {object} options
+ * @param {object} options.schemas - Schemas by external endpoint path (e.g., { '/stock': ... }).
+ * @param {Function} [options.onDrift] - Called with (endpoint, issue) for every issue found, e.g., to count it.
+ * @returns {object} The monitor API: `check`, `report`, `reset`.
+ */
+const createDriftMonitor = ({ schemas, onDrift }) => {
+  let since = new Date().toISOString();
+  let endpoints = new Map(); // endpoint -> { checked, drifted, lastCheckedAt }
+  let drifts = new Map(); // "endpoint kind path" -> drift entry
+
+  /**
+   * Checks a payload received from an endpoint. Never throws.
+   * @param {string} endpoint - The external endpoint path (e.g., "/stock").
+   * @param {*} payload - The response data.
+   * @param {string} [example] - The request the payload answered (e.g., "RELIANCE"), kept as an example.
+   * @returns {Array<object>} The issues found (empty if the endpoint has no schema).
+   */
+  const check = (endpoint, payload, example) => {
+    const schema = schemas[endpoint];
+    if (!schema) return [];
+    let issues;
+    try {
+      issues = validate(schema, payload);
+    } catch (error) {
+      logger.error('Schema check failed', { endpoint, example, error: error.message });
+      return [];
+    }
+
+    const now = new Date().toISOString();
+    const stats = endpoints.get(endpoint) || { checked: 0, drifted: 0, lastCheckedAt: null };
+    stats.checked++;
+    stats.lastCheckedAt = now;
+    if (issues.length > 0) stats.drifted++;
+    endpoints.set(endpoint, stats);
+
+    issues.forEach(issue => {
+      const key = `${endpoint} ${issue.kind} ${issue.path}`;
+      let drift = drifts.get(key);
+      if (!drift) {
+        drift = { endpoint, ...issue, count: 0, firstSeen: now, lastSeen: now, examples: [] };
+        drifts.set(key, drift);
+        logger.warn('Upstream schema drift', { endpoint, example, ...issue });
+      }
+      drift.count++;
+      drift.lastSeen = now;
+      drift.actual = issue.actual;
+      if (example && !drift.examples.includes(example)) drift.examples = [example, ...drift.examples].slice(0, MAX_EXAMPLES);
+      if (onDrift) onDrift(endpoint, issue);
+    });
+    return issues;
+  };
+
+  /**
+   * Summarises the drift seen since startup (or the last reset).
+   * @returns {object} `{ since, endpoints, counts, drifts }`; drifts are ordered missing, type, unknown,
+   *                   then by how often they were seen.
+   */
+  const report = () => {
+    const order = { missing: 0, type: 1, unknown: 2 };
+    const list = [...drifts.values()]
+      .map(drift => ({ ...drift, examples: [...drift.examples] }))
+      .sort((a, b) => (order[a.kind] - order[b.kind]) || (b.count - a.count) || a.path.localeCompare(b.path));
+    const counts = { missing: 0, type: 0, unknown: 0 };
+    list.forEach(drift => { counts[drift.kind]++; });
+    return {
+      since,
+      endpoints: Object.fromEntries([...endpoints.entries()].map(([endpoint, stats]) => [endpoint, { ...stats }])),
+      counts,
+      drifts: list,
+    };
+  };
+
+  /**
+   * Forgets the drift seen so far, e.g., after the adapter was updated.
+   */
+  const reset = () => {
+    since = new Date().toISOString();
+    endpoints = new Map();
+    drifts = new Map();
+  };
+
+  return { check, report, reset };
+};
+
+module.exports = {
+  createDriftMonitor,
+  validate,
+  schema: { string, number, numeric, boolean, anything, object, arrayOf },
+};
@@ -0,0 +1,83 @@
+/**
+ * @file shutdown.js
+ * @description Graceful shutdown on SIGTERM/SIGINT, so a deploy does not cut off requests waiting
+ * on the external API or lose pending writes:
+ * 1. The server stops accepting connections, and idle keep-alive connections are closed.
+ * 2. Background work is stopped (`stopWork`: schedules, live price streams) while in-flight requests drain.
+ * 3. Once the requests are done, pending writes are flushed (`flush`: stores, database).
+ * Everything must finish within `timeoutSeconds`. Stopping and draining get the first part of it, and
+ * connections still open then are destroyed; the rest (`FLUSH_SHARE`) is kept for flushing, so slow
+ * requests cannot leave the writes no time. A second signal exits at once.
+ */
+
+const { logger } = require('./logger');
+
+const FLUSH_SHARE = 0.25; // Part of the timeout reserved for flushing pending writes
+
+/**
+ * Waits for a promise, at most `ms` milliseconds.
+ * @async
+ * @param {Promise} promise - The promise.
+ * @param {number} ms - The time limit.
+ * @returns {Promise<boolean>} True if the promise settled in time.
+ */
+const settlesWithin = (promise, ms) => new Promise(resolve => {
+  const timer = setTimeout(() => resolve(false), Math.max(ms, 0));
+  Promise.resolve(promise)
+    .catch(error => logger.error('Shutdown step failed', { error: error.message }))
+    .then(() => {
+      clearTimeout(timer);
+      resolve(true);
+    });
+});
+
+/**
+ * Installs the shutdown handlers.
+ * @param {object} options
+ * @param {object} options.server - The HTTP server returned by `app.listen`.
+ * @param {number} options.timeoutSeconds - Time allowed for draining and flushing before the process exits anyway.
+ * @param {Function} options.stopWork - Async; stops background work (called as soon as shutdown begins). It should
+ *                                      resolve once work in progress has stopped, not wait for it to complete.
+ * @param {Function} options.flush - Async; writes pending data (called once in-flight requests are done).
+ * @returns {object} The shutdown API: `isShuttingDown`, `shutdown`.
+ */
+const createShutdown = ({ server, timeoutSeconds, stopWork, flush }) => {
+  let shuttingDown = false;
+
+  /**
+   * Shuts the server down and exits the process: with code 0 if everything finished in time, 1 otherwise.
+   * @async
+   * @param {string} signal - The signal received (e.g., "SIGTERM").
+   */
+  const shutdown = async (signal) => {
+    if (shuttingDown) {
+      logger.warn('Second shutdown signal, exiting now', { signal });
+      process.exit(1);
+    }
+    shuttingDown = true;
+    const deadline = Date.now() + timeoutSeconds * 1000;
+    const drainDeadline = deadline - timeoutSeconds * 1000 * FLUSH_SHARE;
+    logger.info('Shutting down', { signal, timeoutSeconds });
+
+    const closed = new Promise(resolve => server.close(resolve));
+    server.closeIdleConnections(); // Keep-alive connections with no request in progress
+    const stopped = await settlesWithin(stopWork(), drainDeadline - Date.now());
+    const drained = await settlesWithin(closed, drainDeadline - Date.now());
+    if (!drained) {
+      logger.warn('Requests still in progress at the shutdown deadline; closing their connections');
+      server.closeAllConnections();
+    }
+    const flushed = await settlesWithin(flush(), deadline - Date.now());
+    if (!stopped || !flushed) logger.warn('Shutdown deadline reached before background work finished', { stopped, flushed });
+
+    const clean = stopped && drained && flushed;
+    logger.info('Shutdown complete', { clean });
+    process.exit(clean ? 0 : 1);
+  };
+
+  ['SIGTERM', 'SIGINT'].forEach(signal => process.on(signal, () => { shutdown(signal); }));
+
+  return { isShuttingDown: () => shuttingDown, shutdown };
+};
+
+module.exports = { createShutdown };
@@ -0,0 +1,256 @@
+/**
+ * @file snapshots.js
+ * @description Daily snapshot store. Each /stock payload fetched from the external API is saved
+ * per symbol per trading day (see models/StockSnapshot.js), and the stored days can be read back
+ * as raw snapshots or as a series of one metric (e.g., P/E or promoter holding over time).
+ *
+ * Snapshots need MongoDB. While the database is not connected, recording is skipped and
+ * queries report the store as unavailable; the rest of the server is unaffected.
+ */
+
+const { logger } = require('./logger');
+const { tradingDay } = require('./marketHours');
+
+// Sections of the /stock payload kept in each snapshot
+const SNAPSHOT_SECTIONS = ['companyName', 'currentPrice', 'percentChange', 'stockDetailsReusableData', 'shareholding', 'keyMetrics'];
+
+/**
+ * Parses a numeric field of the payload, which the external API often returns as a string.
+ * @param {*} value - The raw value.
+ * @returns {number|null} The number, or null if missing or not numeric.
+ */
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Returns the latest reported percentage of a shareholding category (e.g., "Promoter").
+ * @param {Array<object>} shareholding - The `shareholding` section of a snapshot.
+ * @param {string} displayName - The category's display name.
+ * @returns {number|null} The latest percentage, or null if not reported.
+ */
+const latestHolding = (shareholding, displayName) => {
+  const category = (shareholding || []).find(item => item.displayName === displayName);
+  const latest = [...(category?.categories || [])].sort((a, b) => String(a.holdingDate).localeCompare(String(b.holdingDate))).pop();
+  return toNumber(latest?.percentage);
+};
+
+/**
+ * Counts the analysts currently giving a stock one of the given ratings.
+ * @param {object} details - The `stockDetailsReusableData` section of a snapshot.
+ * @param {Array<number>} ratingValues - Rating values to count (1 = Strong Buy ... 5 = Strong Sell).
+ * @returns {number|null} The number of analysts, or null if no ratings are reported.
+ */
+const countAnalysts = (details, ratingValues) => {
+  const ratings = details?.stockAnalyst;
+  if (!Array.isArray(ratings) || ratings.length === 0) return null;
+  return ratings
+    .filter(rating => ratingValues.includes(rating.ratingValue))
+    .reduce((total, rating) => total + (toNumber(rating.numberOfAnalystsLatest) || 0), 0);
+};
+
+// Metrics available as series. `sections` lists the snapshot sections a metric reads.
+const SNAPSHOT_SERIES = {
+  price: {
+    description: 'NSE price (BSE if NSE is missing)',
+    sections: ['currentPrice'],
+    extract: (snapshot) => toNumber(snapshot.currentPrice?.NSE) ?? toNumber(snapshot.currentPrice?.BSE),
+  },
+  percentChange: {
+    description: 'Change on the day (%)',
+    sections: ['percentChange'],
+    extract: (snapshot) => toNumber(snapshot.percentChange),
+  },
+  marketCap: {
+    description: 'Market capitalisation (Cr)',
+    sections: ['stockDetailsReusableData'],
+    extract: (snapshot) => toNumber(snapshot.stockDetailsReusableData?.marketCap),
+  },
+  pe: {
+    description: 'P/E, basic excluding extraordinary items (TTM)',
+    sections: ['stockDetailsReusableData'],
+    extract: (snapshot) => toNumber(snapshot.stockDetailsReusableData?.pPerEBasicExcludingExtraordinaryItemsTTM),
+  },
+  dividendYield: {
+    description: 'Current dividend yield (%)',
+    sections: ['stockDetailsReusableData'],
+    extract: (snapshot) => toNumber(snapshot.stockDetailsReusableData?.currentDividendYieldCommonStockPrimaryIssueLTM),
+  },
+  analystCount: {
+    description: 'Number of analysts covering the stock',
+    sections: ['stockDetailsReusableData'],
+    extract: (snapshot) => countAnalysts(snapshot.stockDetailsReusableData, [1, 2, 3, 4, 5]), // Excludes the "Total" row
+  },
+  analystBuyCount: {
+    description: 'Analysts rating the stock Buy or Strong Buy',
+    sections: ['stockDetailsReusableData'],
+    extract: (snapshot) => countAnalysts(snapshot.stockDetailsReusableData, [1, 2]),
+  },
+  analystHoldCount: {
+    description: 'Analysts rating the stock Hold',
+    sections: ['stockDetailsReusableData'],
+    extract: (snapshot) => countAnalysts(snapshot.stockDetailsReusableData, [3]),
+  },
+  analystSellCount: {
+    description: 'Analysts rating the stock Sell or Strong Sell',
+    sections: ['stockDetailsReusableData'],
+    extract: (snapshot) => countAnalysts(snapshot.stockDetailsReusableData, [4, 5]),
+  },
+  promoterHolding: {
+    description: 'Promoter holding (%)',
+    sections: ['shareholding'],
+    extract: (snapshot) => latestHolding(snapshot.shareholding, 'Promoter'),
+  },
+  fiiHolding: {
+    description: 'FII holding (%)',
+    sections: ['shareholding'],
+    extract: (snapshot) => latestHolding(snapshot.shareholding, 'FII'),
+  },
+  mutualFundHolding: {
+    description: 'Mutual fund and insurance holding (%)',
+    sections: ['shareholding'],
+    extract: (snapshot) => latestHolding(snapshot.shareholding, 'MF'),
+  },
+};
+
+// Prefix selecting any key of the keyMetrics section as a series (e.g., "keyMetrics:priceToBookMostRecentFiscalYear")
+const KEY_METRIC_PREFIX = 'keyMetrics:';
+
+/**
+ * Returns the series definition for a metric name, including `keyMetrics:<key>` metrics.
+ * @param {string} metric - The metric name.
+ * @returns {object|null} `{ sections, extract }`, or null for an unknown metric.
+ */
+const seriesDefinition = (metric) => {
+  if (SNAPSHOT_SERIES[metric]) return SNAPSHOT_SERIES[metric];
+  if (!metric.startsWith(KEY_METRIC_PREFIX) || metric.length === KEY_METRIC_PREFIX.length) return null;
+  const key = metric.slice(KEY_METRIC_PREFIX.length);
+  return {
+    sections: ['keyMetrics'],
+    extract: (snapshot) => {
+      for (const items of Object.values(snapshot.keyMetrics || {})) {
+        const item = Array.isArray(items) ? items.find(entry => entry.key === key) : null;
+        if (item) return toNumber(item.value);
+      }
+      return null;
+    },
+  };
+};
+
+/**
+ * Creates the snapshot store.
+ * @param {object} options
+ * @param {object} options.model - The StockSnapshot mongoose model.
+ * @param {Function} options.isConnected - Returns true while the database is connected.
+ * @returns {object} The store API: `isAvailable`, `record`, `symbols`, `list`, `series`, `flush`.
+ */
+const createSnapshotStore = ({ model, isConnected }) => {
+  const pending = new Set(); // Writes in progress, awaited by `flush`
+
+  /**
+   * Builds the query filter for a symbol and an optional day range.
+   * @param {string} symbol - The symbol.
+   * @param {object} range - `{ from, to }` days (YYYY-MM-DD), both optional and inclusive.
+   * @returns {object} The filter.
+   */
+  const rangeFilter = (symbol, { from, to }) => {
+    const filter = { symbol };
+    if (from || to) {
+      filter.day = {};
+      if (from) filter.day.$gte = from;
+      if (to) filter.day.$lte = to;
+    }
+    return filter;
+  };
+
+  /**
+   * Saves today's snapshot of a /stock payload, replacing an earlier snapshot of the same day.
+   * Never throws: failures are logged, since snapshots must not break the request that fetched the data.
+   * @async
+   * @param {string} symbol - The symbol the payload belongs to.
+   * @param {object} payload - The raw /stock payload.
+   * @returns {Promise<string>} 'saved', 'failed', or 'skipped' while the database is not connected.
+   */
+  const record = async (symbol, payload) => {
+    if (!isConnected()) return 'skipped';
+    const capturedAt = new Date();
+    const day = tradingDay(capturedAt);
+    const sections = Object.fromEntries(SNAPSHOT_SECTIONS.map(section => [section, payload[section] ?? null]));
+    const write = model.updateOne({ symbol, day }, { $set: { symbol, day, capturedAt, ...sections } }, { upsert: true }).exec();
+    pending.add(write);
+    try {
+      await write;
+      return 'saved';
+    } catch (error) {
+      logger.error('Failed to save stock snapshot', { symbol, day, error: error.message });
+      return 'failed';
+    } finally {
+      pending.delete(write);
+    }
+  };
+
+  /**
+   * Waits for the snapshot writes in progress (e.g., on shutdown, before disconnecting the database).
+   * @async
+   */
+  const flush = () => Promise.allSettled([...pending]);
+
+  /**
+   * Lists the symbols that have snapshots.
+   * @async
+   * @returns {Promise<Array<object>>} `{ symbol, snapshots, firstDay, lastDay }`, sorted by symbol.
+   */
+  const symbols = async () => {
+    const rows = await model.aggregate([
+      { $group: { _id: '$symbol', snapshots: { $sum: 1 }, firstDay: { $min: '$day' }, lastDay: { $max: '$day' } } },
+      { $sort: { _id: 1 } },
+    ]);
+    return rows.map(({ _id, ...row }) => ({ symbol: _id, ...row }));
+  };
+
+  /**
+   * Returns the stored snapshots of a symbol, oldest first.
+   * @async
+   * @param {string} symbol - The symbol.
+   * @param {object} options
+   * @param {string} [options.from] - First day (YYYY-MM-DD), inclusive.
+   * @param {string} [options.to] - Last day (YYYY-MM-DD), inclusive.
+   * @param {number} options.limit - The maximum number of snapshots (the most recent ones are kept).
+   * @returns {Promise<Array<object>>} The snapshots.
+   */
+  const list = async (symbol, { from, to, limit }) => {
+    const snapshots = await model.find(rangeFilter(symbol, { from, to }), { _id: 0 })
+      .sort({ day: -1 })
+      .limit(limit)
+      .lean();
+    return snapshots.reverse();
+  };
+
+  /**
+   * Returns the daily values of one metric for a symbol, oldest first.
+   * Days where the metric was not reported have a null value.
+   * @async
+   * @param {string} symbol - The symbol.
+   * @param {string} metric - A SNAPSHOT_SERIES name or `keyMetrics:<key>`.
+   * @param {object} range - `{ from, to }` days (YYYY-MM-DD), both optional and inclusive.
+   * @returns {Promise<Array<object>|null>} `{ day, value }` points, or null for an unknown metric.
+   */
+  const series = async (symbol, metric, range) => {
+    const definition = seriesDefinition(metric);
+    if (!definition) return null;
+    const projection = Object.fromEntries([['_id', 0], ['day', 1], ...definition.sections.map(section => [section, 1])]);
+    const snapshots = await model.find(rangeFilter(symbol, range), projection).sort({ day: 1 }).lean();
+    return snapshots.map(snapshot => ({ day: snapshot.day, value: definition.extract(snapshot) }));
+  };
+
+  return { isAvailable: isConnected, record, symbols, list, series, flush };
+};
+
+module.exports = {
+  createSnapshotStore,
+  SNAPSHOT_SERIES_NAMES: Object.keys(SNAPSHOT_SERIES),
+  SNAPSHOT_SERIES_DESCRIPTIONS: Object.fromEntries(Object.entries(SNAPSHOT_SERIES).map(([name, series]) => [name, series.description])),
+  KEY_METRIC_PREFIX,
+};
@@ -0,0 +1,311 @@
+/**
+ * @file symbolMaster.js
+ * @description NSE equity master (EQUITY_L.csv): the listed symbols with their company names,
+ * series, listing dates, ISINs and face values. Used to search for companies and to check or
+ * resolve what users type (a symbol or a company name) before calling the external API.
+ *
+ * Search ranking, best first: exact symbol, exact company name, symbol prefix, company name prefix,
+ * prefix of a word in the company name, substring, then fuzzy matches (small typos in the symbol
+ * or in a word of the name). Ties go to the shorter symbol.
+ */
+
+const fs = require('fs/promises');
+const { logger } = require('./logger');
+
+// Score of each kind of match. Higher is better.
+const MATCH_SCORES = {
+  exactSymbol: 100,
+  exactName: 95,
+  symbolPrefix: 80,
+  namePrefix: 70,
+  nameWordPrefix: 60,
+  symbolSubstring: 50,
+  nameSubstring: 40,
+  fuzzy: 20, // Minus the edit distance
+};
+
+// Edit distance allowed for fuzzy matches, by query length
+const fuzzyDistanceFor = (length) => (length >= 8 ? 2 : (length >= 4 ? 1 : 0));
+
+// Suffixes ignored when comparing company names ("Tata Steel" matches "Tata Steel Limited")
+const NAME_SUFFIXES = /\s+(LIMITED|LTD)$/;
+
+/**
+ * Normalizes text for matching: uppercase, punctuation removed, whitespace collapsed.
+ * @param {string} text - The text to normalize.
+ * @returns {string} The normalized text.
+ */
+const normalize = (text) => String(text || '')
+  .toUpperCase()
+  .replace(/&/g, ' AND ')
+  .replace(/[^A-Z0-9 ]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Normalizes a company name and drops its "Limited"/"Ltd" suffix.
+ * @param {string} name - The company name.
+ * @returns {string} The normalized name.
+ */
+const normalizeName = (name) => normalize(name).replace(NAME_SUFFIXES, '');
+
+/**
+ * Computes the Levenshtein edit distance between two strings, giving up once it exceeds `max`.
+ * @param {string} a - First string.
+ * @param {string} b - Second string.
+ * @param {number} max - The largest distance of interest.
+ * @returns {number} The distance, or `max + 1` if it is larger than `max`.
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Splits a CSV line into fields, honouring double-quoted fields that contain commas.
+ * @param {string} line - The CSV line.
+ * @returns {Array<string>} The trimmed fields.
+ */
+const splitCsvLine = (line) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') {
+      if (quoted && line[i + 1] === '"') {
+        field += '"'; // Escaped quote inside a quoted field
+        i++;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (char === ',' && !quoted) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+};
+
+const MONTHS = { JAN: '01', FEB: '02', MAR: '03', APR: '04', MAY: '05', JUN: '06', JUL: '07', AUG: '08', SEP: '09', OCT: '10', NOV: '11', DEC: '12' };
+
+/**
+ * Converts an NSE listing date (e.g., "06-OCT-2008") to ISO format (e.g., "2008-10-06").
+ * @param {string} value - The date as written in EQUITY_L.csv.
+ * @returns {string|null} The ISO date, or null if it cannot be parsed.
+ */
+const parseListingDate = (value) => {
+  const match = /^(\d{1,2})-([A-Z]{3})-(\d{4})$/i.exec(value || '');
+  if (!match || !MONTHS[match[2].toUpperCase()]) return null;
+  return `${match[3]}-${MONTHS[match[2].toUpperCase()]}-${match[1].padStart(2, '0')}`;
+};
+
+/**
+ * Parses the content of EQUITY_L.csv into equity records.
+ * @param {string} csvText - The CSV content, with a header row.
+ * @returns {Array<object>} Records: `{ symbol, name, series, listingDate, isin, faceValue }`.
+ * @throws {Error} If the SYMBOL or NAME OF COMPANY column is missing.
+ */
+const parseEquityCsv = (csvText) => {
+  const lines = csvText.split(/\r?\n/).filter(line => line.trim() !== '');
+  const headers = splitCsvLine(lines[0] || '').map(header => header.toUpperCase());
+  const column = (name) => headers.indexOf(name);
+  if (column('SYMBOL') === -1 || column('NAME OF COMPANY') === -1) {
+    throw new Error('Equity master is missing the SYMBOL or NAME OF COMPANY column');
+  }
+  return lines.slice(1).map(line => {
+    const values = splitCsvLine(line);
+    const faceValue = values[column('FACE VALUE')] ? Number(values[column('FACE VALUE')]) : NaN; // Number('') is 0
+    return {
+      symbol: (values[column('SYMBOL')] || '').toUpperCase(),
+      name: values[column('NAME OF COMPANY')] || '',
+      series: values[column('SERIES')] || null,
+      listingDate: parseListingDate(values[column('DATE OF LISTING')]),
+      isin: values[column('ISIN NUMBER')] || null,
+      faceValue: Number.isFinite(faceValue) ? faceValue : null,
+    };
+  }).filter(record => record.symbol && record.name);
+};
+
+/**
+ * Creates the symbol master. The CSV file is read on first use.
+ * If it cannot be read, the master reports itself unavailable instead of failing requests.
+ * @param {string} filePath - Path to EQUITY_L.csv.
+ * @returns {object} The master API: `load` (to load it ahead of the first request), `search`, `resolve`, `status`.
+ */
+const createSymbolMaster = (filePath) => {
+  let loading = null; // Promise of the indexed records, shared by concurrent first callers
+  let loadError = null;
+  let symbolCount = null; // Set once loaded
+
+  /**
+   * Reads and indexes the CSV file once.
+   * @async
+   * @returns {Promise<Array<object>|null>} The indexed records, or null if the file could not be read.
+   */
+  const load = () => {
+    if (!loading) {
+      loading = fs.readFile(filePath, 'utf8')
+        .then(csvText => {
+          const records = parseEquityCsv(csvText).map(record => ({
+            record,
+            symbol: normalize(record.symbol).replace(/ /g, ''), // Compared with compact queries (M&M -> MANDM)
+            name: normalizeName(record.name),
+            nameWords: normalizeName(record.name).split(' '),
+          }));
+          symbolCount = records.length;
+          logger.info('Loaded symbol master', { filePath, symbols: symbolCount });
+          return records;
+        })
+        .catch(error => {
+          loadError = error.message;
+          logger.error('Failed to load symbol master; symbol search and validation are disabled', { filePath, error: error.message });
+          return null;
+        });
+    }
+    return loading;
+  };
+
+  /**
+   * Scores how well an indexed record matches a normalized query.
+   * @param {object} entry - An indexed record.
+   * @param {string} query - The normalized query.
+   * @returns {number} The score (0 for no match).
+   */
+  const score = (entry, query) => {
+    const compactQuery = query.replace(/ /g, '');
+    if (entry.symbol === compactQuery) return MATCH_SCORES.exactSymbol;
+    if (entry.name === query) return MATCH_SCORES.exactName;
+    if (entry.symbol.startsWith(compactQuery)) return MATCH_SCORES.symbolPrefix;
+    if (entry.name.startsWith(query)) return MATCH_SCORES.namePrefix;
+    if (entry.nameWords.some(word => word.startsWith(query))) return MATCH_SCORES.nameWordPrefix;
+    if (entry.symbol.includes(compactQuery)) return MATCH_SCORES.symbolSubstring;
+    if (entry.name.includes(query)) return MATCH_SCORES.nameSubstring;
+
+    const maxDistance = fuzzyDistanceFor(compactQuery.length);
+    if (maxDistance === 0) return 0;
+    const distance = Math.min(
+      editDistance(entry.symbol, compactQuery, maxDistance),
+      ...entry.nameWords.map(word => editDistance(word, query, maxDistance)),
+    );
+    return distance <= maxDistance ? MATCH_SCORES.fuzzy - distance : 0;
+  };
+
+  /**
+   * Ranks the records matching a query.
+   * @async
+   * @param {string} query - What the user typed (symbol or company name).
+   * @returns {Promise<Array<object>|null>} `{ record, score }` pairs, best first, or null if the master is unavailable.
+   */
+  const rank = async (query) => {
+    const records = await load();
+    if (!records) return null;
+    const normalizedQuery = normalize(query);
+    if (!normalizedQuery) return [];
+    return records
+      .map(entry => ({ record: entry.record, score: score(entry, normalizedQuery) }))
+      .filter(match => match.score > 0)
+      .sort((a, b) => b.score - a.score
+        || a.record.symbol.length - b.record.symbol.length
+        || a.record.symbol.localeCompare(b.record.symbol));
+  };
+
+  /**
+   * Searches the master.
+   * @async
+   * @param {string} query - What the user typed (symbol or company name).
+   * @param {number} limit - The maximum number of results.
+   * @returns {Promise<Array<object>|null>} Matching records with their `score`, best first,
+   *                                        or null if the master is unavailable.
+   */
+  const search = async (query, limit) => {
+    const matches = await rank(query);
+    if (!matches) return null;
+    return matches.slice(0, limit).map(({ record, score: matchScore }) => ({ ...record, score: matchScore }));
+  };
+
+  /**
+   * Resolves what a user typed to a listed symbol.
+   * A symbol resolves to itself; a company name resolves if it matches one company exactly
+   * or is the prefix of exactly one company name (e.g., "tata steel" -> TATASTEEL).
+   * @async
+   * @param {string} query - The symbol or company name.
+   * @returns {Promise<object>} `{ available, symbol, record, suggestions }`. `symbol` is null when the
+   *                            query is unknown or ambiguous; `suggestions` then lists the closest matches.
+   *                            `available` is false (and nothing is resolved) if the master could not be loaded.
+   */
+  const resolve = async (query) => {
+    const matches = await rank(query);
+    if (!matches) return { available: false, symbol: null, record: null, suggestions: [] };
+    const best = matches[0];
+    const namePrefixMatches = matches.filter(match => match.score === MATCH_SCORES.namePrefix);
+    const resolved = best && (best.score >= MATCH_SCORES.exactName
+      || (best.score === MATCH_SCORES.namePrefix && namePrefixMatches.length === 1))
+      ? best.record
+      : null;
+    return {
+      available: true,
+      symbol: resolved ? resolved.symbol : null,
+      record: resolved,
+      suggestions: resolved ? [] : matches.slice(0, 5).map(match => ({ symbol: match.record.symbol, name: match.record.name })),
+    };
+  };
+
+  /**
+   * Returns the master's status, for health reporting.
+   * @returns {object} Whether it has been loaded, the number of symbols and any load error.
+   */
+  const status = () => ({ filePath, loaded: symbolCount !== null, symbols: symbolCount, error: loadError });
+
+  return { search, resolve, status, load };
+};
+
+/**
+ * Checks the `symbol` query parameter of a route before it is resolved.
+ * @param {*} symbol - The raw query value (an array when the parameter is repeated).
+ * @returns {string|null} The message for a 400 response, or null if the value can be resolved.
+ */
+const symbolParamError = (symbol) => {
+  if (!symbol) return 'Stock symbol (name) is required';
+  if (typeof symbol !== 'string') return 'Stock symbol (name) must be given once';
+  return null;
+};
+
+/**
+ * Creates the route helper resolving a requested symbol (or company name) against a symbol master.
+ * It responds with a 404 listing the closest matches if the symbol is unknown or ambiguous.
+ * When a company name was resolved, the X-Resolved-Symbol header reports the symbol used.
+ * If the symbol master could not be loaded, the symbol is passed through unchecked.
+ * @param {object} symbolMaster - The symbol master (see createSymbolMaster).
+ * @returns {Function} Async `(res, query) => symbol|null`; null means a response was sent.
+ */
+const createSymbolResolver = (symbolMaster) => async (res, query) => {
+  const text = String(query);
+  const resolution = await symbolMaster.resolve(text);
+  if (!resolution.available) return text.trim().toUpperCase();
+  if (!resolution.symbol) {
+    res.status(404).json({ message: `Unknown stock symbol or company name '${text}'`, suggestions: resolution.suggestions });
+    return null;
+  }
+  if (resolution.symbol !== text.trim().toUpperCase()) {
+    res.set('X-Resolved-Symbol', resolution.symbol);
+  }
+  return resolution.symbol;
+};
+
+module.exports = { createSymbolMaster, createSymbolResolver, symbolParamError, parseEquityCsv };
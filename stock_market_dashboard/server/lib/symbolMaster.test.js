@@ -0,0 +1,191 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSymbolMaster, createSymbolResolver, symbolParamError, parseEquityCsv } = require('./symbolMaster');
+const { logger } = require('./logger');
+
+// Excerpt of EQUITY_L.csv, with its spaces after the commas of the header row
+const EQUITY_CSV = [
+  'SYMBOL,NAME OF COMPANY, SERIES, DATE OF LISTING, PAID UP VALUE, MARKET LOT, ISIN NUMBER, FACE VALUE',
+  'TATASTEEL,Tata Steel Limited,EQ,17-NOV-1998,1,1,INE081A01020,1',
+  'TATAMOTORS,Tata Motors Limited,EQ,22-JUL-1998,2,1,INE155A01022,2',
+  'TATAPOWER,The Tata Power Company Limited,EQ,18-FEB-1998,1,1,INE245A01021,1',
+  'TCS,Tata Consultancy Services Limited,EQ,25-AUG-2004,1,1,INE467B01029,1',
+  'INFY,Infosys Limited,EQ,08-FEB-1995,5,1,INE009A01021,5',
+  'M&M,Mahindra & Mahindra Limited,EQ,18-NOV-1995,5,1,INE101A01026,5',
+  'ABCO,"Alpha, Beta & Co Ltd",BE,6-OCT-2008,10,1,INE000X01010,',
+  '',
+].join('\r\n');
+
+describe('parseEquityCsv', () => {
+  test('parses the records with ISO listing dates and numeric face values', () => {
+    const records = parseEquityCsv(EQUITY_CSV);
+    expect(records).toHaveLength(7);
+    expect(records[0]).toEqual({
+      symbol: 'TATASTEEL',
+      name: 'Tata Steel Limited',
+      series: 'EQ',
+      listingDate: '1998-11-17',
+      isin: 'INE081A01020',
+      faceValue: 1,
+    });
+  });
+
+  test('keeps commas inside quoted fields', () => {
+    const abco = parseEquityCsv(EQUITY_CSV).find(record => record.symbol === 'ABCO');
+    expect(abco).toMatchObject({ name: 'Alpha, Beta & Co Ltd', series: 'BE', listingDate: '2008-10-06', faceValue: null });
+  });
+
+  test('rejects a file without the symbol or company name column', () => {
+    expect(() => parseEquityCsv('TICKER,NAME\nINFY,Infosys')).toThrow(/SYMBOL or NAME OF COMPANY/);
+  });
+});
+
+describe('createSymbolMaster', () => {
+  let directory;
+  let master;
+
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'symbol-master-'));
+    fs.writeFileSync(path.join(directory, 'EQUITY_L.csv'), EQUITY_CSV);
+  });
+
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+    master = createSymbolMaster(path.join(directory, 'EQUITY_L.csv'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const searchSymbols = async (query, limit = 10) => (await master.search(query, limit)).map(result => result.symbol);
+
+  describe('search', () => {
+    test('ranks symbol prefixes before company name prefixes, shorter symbols first', async () => {
+      expect(await searchSymbols('tata')).toEqual(['TATAPOWER', 'TATASTEEL', 'TATAMOTORS', 'TCS']);
+    });
+
+    test('ranks an exact symbol first', async () => {
+      const results = await master.search('TCS', 10);
+      expect(results[0]).toMatchObject({ symbol: 'TCS', score: 100 });
+    });
+
+    test('matches a word of the company name', async () => {
+      expect(await searchSymbols('power')).toEqual(['TATAPOWER']);
+    });
+
+    test('matches small typos in a word of the company name', async () => {
+      const results = await master.search('infosis', 10);
+      expect(results).toHaveLength(1);
+      expect(results[0]).toMatchObject({ symbol: 'INFY', score: 19 });
+    });
+
+    test('does not match typos in short queries', async () => {
+      expect(await searchSymbols('tcz')).toEqual([]);
+    });
+
+    test('ignores punctuation and "&"', async () => {
+      expect(await searchSymbols('mahindra and mahindra')).toEqual(['M&M']);
+      expect(await searchSymbols('m&m')).toEqual(['M&M']);
+    });
+
+    test('returns at most `limit` results', async () => {
+      expect(await searchSymbols('tata', 2)).toEqual(['TATAPOWER', 'TATASTEEL']);
+    });
+  });
+
+  describe('resolve', () => {
+    test('resolves a symbol to itself', async () => {
+      expect(await master.resolve('infy')).toMatchObject({ available: true, symbol: 'INFY', suggestions: [] });
+    });
+
+    test('resolves an exact company name without its "Limited" suffix', async () => {
+      expect((await master.resolve('Infosys')).symbol).toBe('INFY');
+      expect((await master.resolve('tata steel')).symbol).toBe('TATASTEEL');
+    });
+
+    test('resolves the prefix of exactly one company name', async () => {
+      expect((await master.resolve('tata consul')).symbol).toBe('TCS');
+    });
+
+    test('suggests the closest matches for an ambiguous query', async () => {
+      const resolution = await master.resolve('tata');
+      expect(resolution.symbol).toBeNull();
+      expect(resolution.suggestions.map(suggestion => suggestion.symbol)).toEqual(['TATAPOWER', 'TATASTEEL', 'TATAMOTORS', 'TCS']);
+    });
+
+    test('resolves nothing for an unknown query', async () => {
+      expect(await master.resolve('zzzz')).toEqual({ available: true, symbol: null, record: null, suggestions: [] });
+    });
+  });
+
+  test('reports itself unavailable when the file cannot be read', async () => {
+    const missing = createSymbolMaster(path.join(directory, 'missing.csv'));
+    expect(await missing.search('tata', 10)).toBeNull();
+    expect(await missing.resolve('TCS')).toMatchObject({ available: false, symbol: null });
+    expect(missing.status()).toMatchObject({ loaded: false, symbols: null });
+    expect(missing.status().error).toMatch(/ENOENT/);
+  });
+
+  test('reports the number of symbols once loaded', async () => {
+    expect(master.status().loaded).toBe(false);
+    await master.load();
+    expect(master.status()).toMatchObject({ loaded: true, symbols: 7, error: null });
+  });
+});
+
+describe('symbolParamError', () => {
+  test('requires a symbol given once', () => {
+    expect(symbolParamError(undefined)).toBe('Stock symbol (name) is required');
+    expect(symbolParamError('')).toBe('Stock symbol (name) is required');
+    expect(symbolParamError(['TCS', ''])).toBe('Stock symbol (name) must be given once');
+    expect(symbolParamError({ name: 'TCS' })).toBe('Stock symbol (name) must be given once');
+    expect(symbolParamError('TCS')).toBeNull();
+  });
+});
+
+describe('createSymbolResolver', () => {
+  const createResponse = () => {
+    const res = { headers: {} };
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    res.set = jest.fn((name, value) => { res.headers[name] = value; return res; });
+    return res;
+  };
+
+  const resolverFor = resolution => createSymbolResolver({ resolve: jest.fn(async () => resolution) });
+
+  test('returns the resolved symbol and reports a resolved company name', async () => {
+    const res = createResponse();
+    const resolveSymbolOrReject = resolverFor({ available: true, symbol: 'TATASTEEL', suggestions: [] });
+
+    expect(await resolveSymbolOrReject(res, 'tata steel')).toBe('TATASTEEL');
+    expect(res.headers['X-Resolved-Symbol']).toBe('TATASTEEL');
+  });
+
+  test('responds with a 404 and suggestions for an unknown symbol', async () => {
+    const res = createResponse();
+    const suggestions = [{ symbol: 'TCS', name: 'Tata Consultancy Services Limited' }];
+
+    expect(await resolverFor({ available: true, symbol: null, suggestions })(res, 'tata')).toBeNull();
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.json).toHaveBeenCalledWith({ message: "Unknown stock symbol or company name 'tata'", suggestions });
+  });
+
+  test('passes the symbol through when the master is unavailable', async () => {
+    const resolveSymbolOrReject = resolverFor({ available: false, symbol: null, suggestions: [] });
+    expect(await resolveSymbolOrReject(createResponse(), ' tcs ')).toBe('TCS');
+  });
+
+  test('does not throw on an array-valued symbol (a repeated query parameter)', async () => {
+    const res = createResponse();
+    expect(await resolverFor({ available: true, symbol: 'TCS', suggestions: [] })(res, ['TCS', ''])).toBe('TCS');
+    expect(await resolverFor({ available: false, symbol: null, suggestions: [] })(res, ['tcs'])).toBe('TCS');
+  });
+});
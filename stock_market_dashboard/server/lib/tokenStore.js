@@ -0,0 +1,174 @@
+/**
+ * @file tokenStore.js
+ * @description File-backed store of issued API tokens.
+ * Only a SHA-256 hash of each token is stored; the token itself is shown once, when it is issued.
+ * Tokens are identified by an id and a name (e.g., "dashboard", "alerts-bot") and can carry their
+ * own rate limit. Revoked tokens are kept so their ids and names stay visible.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// Prefix of issued tokens, so they are easy to recognise (e.g., in leaked-secret scans)
+const TOKEN_PREFIX = 'smd_';
+
+/**
+ * Hashes a token for storage and lookup.
+ * @param {string} token - The token.
+ * @returns {string} The hex SHA-256 hash.
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Returns the public view of a token record (without its hash).
+ * @param {object} record - The stored record.
+ * @returns {object} `{ id, name, hint, rateLimit, createdAt, revokedAt }`.
+ */
+const describe = ({ hash, ...record }) => record;
+
+/**
+ * Creates the token store.
+ * @param {string} filePath - The JSON file holding the token records.
+ * @returns {object} The store API: `load`, `list`, `issue`, `revoke`, `verify`, `flush`.
+ */
+const createTokenStore = (filePath) => {
+  let records = [];
+  let byHash = new Map(); // token hash -> record, for active tokens
+  let loading = null;
+  let writing = Promise.resolve(); // Serializes writes so they land in order
+
+  const reindex = () => {
+    byHash = new Map(records.filter(record => !record.revokedAt).map(record => [record.hash, record]));
+  };
+
+  /**
+   * Reads the file once. A missing file means no tokens issued yet.
+   * @async
+   * @throws {Error} If the file exists but cannot be read or parsed.
+   */
+  const load = () => {
+    if (!loading) {
+      loading = fs.readFile(filePath, 'utf8')
+        .then(text => {
+          const data = JSON.parse(text);
+          records = Array.isArray(data.tokens) ? data.tokens : [];
+          reindex();
+          logger.info('Loaded API tokens', { filePath, active: byHash.size });
+        })
+        .catch(error => {
+          if (error.code === 'ENOENT') return;
+          loading = null; // Let a later call try again
+          throw error;
+        });
+    }
+    return loading;
+  };
+
+  /**
+   * Writes the records to the file (via a temporary file, so a crash never leaves a half-written file).
+   * @async
+   * @throws {Error} If the file cannot be written, so the caller does not report an unsaved change.
+   */
+  const persist = () => {
+    const content = JSON.stringify({ tokens: records }, null, 2);
+    const write = writing.then(async () => {
+      const tempPath = `${filePath}.tmp`;
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(tempPath, content, { mode: 0o600 });
+      await fs.rename(tempPath, filePath);
+    });
+    writing = write.catch(() => {}); // A failed write must not block the next one
+    return write;
+  };
+
+  /**
+   * Lists every token, active and revoked.
+   * @async
+   * @returns {Promise<Array<object>>} Token descriptions, oldest first.
+   */
+  const list = async () => {
+    await load();
+    return records.map(describe);
+  };
+
+  /**
+   * Issues a new token.
+   * @async
+   * @param {object} options
+   * @param {string} options.name - A name for the client using the token.
+   * @param {number|null} [options.rateLimit=null] - Requests per rate limit window, or null for the default.
+   * @returns {Promise<object>} The token description plus `token`, the only time the token is revealed.
+   * @throws {Error} If the file cannot be written; the token is then not issued.
+   */
+  const issue = async ({ name, rateLimit = null }) => {
+    await load();
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+      id: crypto.randomUUID(),
+      name,
+      hint: `${token.slice(0, TOKEN_PREFIX.length + 4)}…`, // Enough to tell tokens apart, not to use them
+      rateLimit,
+      createdAt: new Date().toISOString(),
+      revokedAt: null,
+      hash: hashToken(token),
+    };
+    records.push(record);
+    try {
+      await persist();
+    } catch (error) {
+      // The token is never revealed, so it must not stay in memory to be written by a later change
+      records = records.filter(candidate => candidate !== record);
+      throw error;
+    }
+    reindex();
+    return { ...describe(record), token };
+  };
+
+  /**
+   * Revokes a token. Requests using it are rejected from now on.
+   * @async
+   * @param {string} id - The token id.
+   * @returns {Promise<object|null>} The token description, or null if there is no such token.
+   * @throws {Error} If the file cannot be written; the token then stays active.
+   */
+  const revoke = async (id) => {
+    await load();
+    const record = records.find(candidate => candidate.id === id);
+    if (!record) return null;
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      reindex();
+      try {
+        await persist();
+      } catch (error) {
+        // Still active in the file, so keep it active here too and let a retry write it again
+        record.revokedAt = null;
+        reindex();
+        throw error;
+      }
+    }
+    return describe(record);
+  };
+
+  /**
+   * Looks up an active token.
+   * @param {string} token - The token presented by a client.
+   * @returns {object|null} The token description, or null if the token is unknown or revoked.
+   */
+  const verify = (token) => {
+    const record = byHash.get(hashToken(token));
+    return record ? describe(record) : null;
+  };
+
+  /**
+   * Waits for the queued writes to land (e.g., on shutdown).
+   * @async
+   */
+  const flush = () => writing;
+
+  return { load, list, issue, revoke, verify, flush };
+};
+
+module.exports = { createTokenStore };
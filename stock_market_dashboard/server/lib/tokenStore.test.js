@@ -0,0 +1,78 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTokenStore } = require('./tokenStore');
+const { logger } = require('./logger');
+
+describe('createTokenStore', () => {
+  let directory;
+  let filePath;
+
+  beforeEach(() => {
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'token-store-'));
+    filePath = path.join(directory, 'tokens.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('issues a token that verifies, and stores only its hash', async () => {
+    const store = createTokenStore(filePath);
+    const issued = await store.issue({ name: 'dashboard' });
+
+    expect(issued.token).toMatch(/^smd_/);
+    expect(store.verify(issued.token)).toMatchObject({ id: issued.id, name: 'dashboard', revokedAt: null });
+    expect(store.verify('smd_unknown')).toBeNull();
+    expect(fs.readFileSync(filePath, 'utf8')).not.toContain(issued.token);
+  });
+
+  test('reads the issued tokens back after a restart', async () => {
+    const issued = await createTokenStore(filePath).issue({ name: 'dashboard', rateLimit: 50 });
+
+    const restarted = createTokenStore(filePath);
+    await restarted.load();
+    expect(restarted.verify(issued.token)).toMatchObject({ name: 'dashboard', rateLimit: 50 });
+  });
+
+  test('rejects a revoked token but keeps listing it', async () => {
+    const store = createTokenStore(filePath);
+    const issued = await store.issue({ name: 'alerts-bot' });
+
+    expect((await store.revoke(issued.id)).revokedAt).not.toBeNull();
+    expect(store.verify(issued.token)).toBeNull();
+    expect(await store.list()).toHaveLength(1);
+    expect(await store.revoke('missing')).toBeNull();
+  });
+
+  test('does not issue a token that could not be saved', async () => {
+    const store = createTokenStore(filePath);
+    await store.issue({ name: 'dashboard' });
+    fs.mkdirSync(`${filePath}.tmp`); // The temporary file cannot be written over a directory
+
+    await expect(store.issue({ name: 'lost' })).rejects.toThrow();
+    expect((await store.list()).map(token => token.name)).toEqual(['dashboard']);
+
+    fs.rmdirSync(`${filePath}.tmp`);
+    await store.issue({ name: 'alerts-bot' });
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf8')).tokens;
+    expect(saved.map(token => token.name)).toEqual(['dashboard', 'alerts-bot']);
+  });
+
+  test('keeps a token active when its revocation could not be saved', async () => {
+    const store = createTokenStore(filePath);
+    const issued = await store.issue({ name: 'dashboard' });
+    fs.mkdirSync(`${filePath}.tmp`);
+
+    await expect(store.revoke(issued.id)).rejects.toThrow();
+    expect(store.verify(issued.token)).toMatchObject({ revokedAt: null });
+
+    fs.rmdirSync(`${filePath}.tmp`);
+    await store.revoke(issued.id);
+    const restarted = createTokenStore(filePath);
+    await restarted.load();
+    expect(restarted.verify(issued.token)).toBeNull();
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * @file upstream.js
+ * @description Client for the external stock API ("upstream"), with three modes:
+ * - 'live': calls the external API over HTTP.
+ * - 'fixtures': serves recorded responses from the fixture store; no network and no API keys needed.
+ * - 'record': calls the external API and saves every successful response into the fixture store.
+ * Errors in every mode have the shape of Axios errors (`error.response.status`/`data`),
+ * so the failover logic in server.js treats them the same way.
+ */
+
+const axios = require('axios'); // HTTP client for making API requests
+const { logger } = require('./logger');
+
+/**
+ * Creates the upstream client.
+ * @param {object} options
+ * @param {string} options.mode - 'live', 'fixtures' or 'record'.
+ * @param {string} options.baseUrl - Base URL of the external API.
+ * @param {number} options.timeoutMs - Timeout for each HTTP request.
+ * @param {object} options.fixtureStore - The fixture store (see lib/fixtureStore.js).
+ * @returns {object} The client API: `mode`, `usesApiKeys`, `get`.
+ */
+const createUpstreamClient = ({ mode, baseUrl, timeoutMs, fixtureStore }) => {
+  /**
+   * Serves a recorded response, or fails with a 404 shaped like an Axios error.
+   * @async
+   * @param {string} endpointPath - The external endpoint path.
+   * @param {object} params - Query parameters of the request.
+   * @returns {Promise<object>} An Axios-like response (`{ status, data }`).
+   */
+  const getFixture = async (endpointPath, params) => {
+    const data = await fixtureStore.read(endpointPath, params);
+    if (data === null) {
+      const error = new Error(`No fixture recorded for ${endpointPath}`);
+      error.response = {
+        status: 404,
+        data: { message: `No fixture recorded for ${endpointPath} at ${fixtureStore.locate(endpointPath, params)}` },
+      };
+      throw error;
+    }
+    return { status: 200, data };
+  };
+
+  /**
+   * Makes a single GET request to the external API (or the fixture store).
+   * @async
+   * @param {string} endpointPath - The external endpoint path (e.g., "/stock").
+   * @param {object} params - Query parameters of the request.
+   * @param {string|null} apiKey - The API key to send (unused in 'fixtures' mode).
+   * @returns {Promise<object>} The Axios response (or an Axios-like response in 'fixtures' mode).
+   * @throws {Error} An Axios error (or Axios-like error) if the request fails.
+   */
+  const get = async (endpointPath, params, apiKey) => {
+    if (mode === 'fixtures') {
+      return getFixture(endpointPath, params);
+    }
+    const response = await axios.get(`${baseUrl}${endpointPath}`, {
+      params,
+      timeout: timeoutMs, // A hung request fails with ECONNABORTED, which is retried as transient
+      headers: {
+        'X-API-Key': apiKey // Pass the API key in the X-API-Key header
+      }
+    });
+    if (mode === 'record') {
+      try {
+        const filePath = await fixtureStore.write(endpointPath, params, response.data);
+        logger.info('Recorded fixture', { endpoint: endpointPath, filePath });
+      } catch (error) {
+        logger.error('Failed to record fixture', { endpoint: endpointPath, error: error.message });
+      }
+    }
+    return response;
+  };
+
+  return { mode, usesApiKeys: mode !== 'fixtures', get };
+};
+
+module.exports = { createUpstreamClient };
@@ -0,0 +1,203 @@
+/**
+ * @file upstreamSchemas.js
+ * @description Expected shape of the external API responses, checked by lib/schemaDrift.js.
+ * Sections the adapter (shared/stockAdapter.js), snapshots and alerts read are declared field by field,
+ * so a renamed or removed field shows up in the drift report. Sections nothing reads are declared
+ * `open`: only their presence and type are checked.
+ * Required fields are the ones whose absence blanks out a whole part of the dashboard.
+ */
+
+const { schema } = require('./schemaDrift');
+
+const { string, number, numeric, anything, object, arrayOf } = schema;
+
+// A line of a financial statement or a key metric: { displayName, key, value }
+const lineItem = object({
+  displayName: string(),
+  key: string({ required: true }),
+  value: numeric(),
+  yqoQComp: anything(),
+  qoQComp: anything(),
+});
+
+// One reporting period of financial statements (annual or interim)
+const financialStatement = object({
+  stockFinancialMap: object({
+    INC: arrayOf(lineItem), // Income statement
+    BAL: arrayOf(lineItem), // Balance sheet
+    CAS: arrayOf(lineItem), // Cash flow statement
+  }, { required: true }),
+  FiscalYear: numeric({ required: true }),
+  EndDate: string(),
+  Type: string({ required: true }), // "Annual" or "Interim"
+  StatementDate: string(),
+  fiscalPeriodNumber: number(),
+});
+
+// A company in a peer comparison list (the company itself is in its own list)
+const peerCompany = object({
+  tickerId: string({ required: true }),
+  companyName: string({ required: true }),
+  priceToBookValueRatio: numeric(),
+  priceToEarningsValueRatio: numeric(),
+  marketCap: numeric(),
+  price: numeric(),
+  percentChange: numeric(),
+  netChange: numeric(),
+  returnOnAverageEquity5YearAverage: numeric(),
+  returnOnAverageEquityTrailing12Month: numeric(),
+  ltDebtPerEquityMostRecentFiscalYear: numeric(),
+  netProfitMargin5YearAverage: numeric(),
+  netProfitMarginPercentTrailing12Month: numeric(),
+  dividendYieldIndicatedAnnualDividend: numeric(),
+  totalSharesOutstanding: numeric(),
+  languageSupport: string(),
+  imageUrl: string(),
+  overallRating: string(),
+  yhigh: numeric(),
+  ylow: numeric(),
+});
+
+// Analyst ratings by category (Strong Buy ... Strong Sell)
+const analystRating = object({
+  colorCode: string(),
+  ratingName: string(),
+  ratingValue: number({ required: true }),
+  numberOfAnalystsLatest: numeric({ required: true }),
+  numberOfAnalysts1WeekAgo: numeric(),
+  numberOfAnalysts1MonthAgo: numeric(),
+  numberOfAnalysts2MonthAgo: numeric(),
+  numberOfAnalysts3MonthAgo: numeric(),
+});
+
+const holding = object({
+  holdingDate: string({ required: true }),
+  percentage: numeric({ required: true }),
+});
+
+/**
+ * GET /stock?name=SYMBOL
+ */
+const stockSchema = object({
+  companyName: string({ required: true }),
+  industry: string(),
+  companyProfile: object({
+    companyDescription: string(),
+    mgIndustry: string(),
+    isInId: string(),
+    industry: string(),
+    website: string(),
+    incorporationDate: string(),
+    listingDateNse: string(),
+    listingDateBse: string(),
+    officers: object({
+      officer: arrayOf(object({
+        rank: number(),
+        since: string(),
+        firstName: string(),
+        mI: string(),
+        lastName: string(),
+        age: string(),
+        title: object({
+          Value: string(),
+          abbr1: string(),
+          abbr2: string(),
+        }, { open: true }), // Also startYear/startMonth/startDay and ids, unused
+      })),
+    }),
+    exchangeCodeBse: string(),
+    exchangeCodeNse: string(),
+    peerCompanyList: arrayOf(peerCompany, { required: true }),
+  }, { required: true }),
+  currentPrice: object({
+    BSE: numeric(),
+    NSE: numeric(),
+    dayHigh: numeric(),
+    dayLow: numeric(),
+  }, { required: true }),
+  stockTechnicalData: arrayOf(object({
+    days: number({ required: true }),
+    bsePrice: numeric(),
+    nsePrice: numeric(),
+  })),
+  percentChange: numeric({ required: true }),
+  yearHigh: numeric(),
+  yearLow: numeric(),
+  financials: arrayOf(financialStatement, { required: true }),
+  keyMetrics: object({
+    mgmtEffectiveness: arrayOf(lineItem),
+    margins: arrayOf(lineItem),
+    financialstrength: arrayOf(lineItem),
+    valuation: arrayOf(lineItem),
+    incomeStatement: arrayOf(lineItem),
+    growth: arrayOf(lineItem),
+    persharedata: arrayOf(lineItem),
+    priceandVolume: arrayOf(lineItem),
+  }, { required: true }),
+  futureExpiryDates: anything(),
+  futureOverviewData: anything(),
+  initialStockFinancialData: object({}, { open: true }),
+  analystView: arrayOf(analystRating),
+  recosBar: object({}, { open: true }),
+  riskMeter: object({}, { open: true }),
+  shareholding: arrayOf(object({
+    categoryName: string(),
+    displayName: string({ required: true }),
+    categories: arrayOf(holding, { required: true }),
+  }), { required: true }),
+  stockCorporateActionData: object({}, { open: true }),
+  stockDetailsReusableData: object({
+    close: numeric(),
+    date: string(),
+    time: string(),
+    price: numeric(),
+    percentChange: numeric(),
+    marketCap: numeric(),
+    yhigh: numeric(),
+    ylow: numeric(),
+    high: numeric(),
+    low: numeric(),
+    pPerEBasicExcludingExtraordinaryItemsTTM: numeric(),
+    currentDividendYieldCommonStockPrimaryIssueLTM: numeric(),
+    totalDebtPerTotalEquityMostRecentQuarter: numeric(),
+    priceYTDPricePercentChange: numeric(),
+    price5DayPercentChange: numeric(),
+    NetIncome: numeric(),
+    FiscalYear: numeric(),
+    interimNetIncome: numeric(),
+    stockAnalyst: arrayOf(analystRating),
+    peerCompanyList: arrayOf(peerCompany),
+    sectorPriceToEarningsValueRatio: numeric(),
+    averageRating: string(),
+    promoterShareHolding: holding,
+    mutualFundShareHolding: holding,
+  }),
+  stockFinancialData: arrayOf(financialStatement),
+  recentNews: arrayOf(object({
+    id: anything(),
+    headline: string({ required: true }),
+    intro: string(),
+    date: string(),
+    url: string(),
+  }, { open: true })), // Articles carry many image and layout fields the dashboard ignores
+});
+
+/**
+ * GET /historical_data?stock_name=SYMBOL&period=...&filter=...
+ */
+const historicalSchema = object({
+  datasets: arrayOf(object({
+    metric: string({ required: true }),
+    label: string(),
+    values: arrayOf(arrayOf(numeric()), { required: true }), // [date, value, ...] rows
+    meta: object({}, { open: true }),
+  }), { required: true }),
+});
+
+// Schemas by external endpoint path
+const UPSTREAM_SCHEMAS = {
+  '/stock': stockSchema,
+  '/historical_data': historicalSchema,
+};
+
+module.exports = { UPSTREAM_SCHEMAS };
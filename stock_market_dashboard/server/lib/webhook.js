@@ -0,0 +1,52 @@
+/**
+ * @file webhook.js
+ * @description Delivers JSON events to a configured webhook URL with an HTTP POST.
+ * Transient failures (timeouts, connection errors, 502/503/504) are retried with backoff;
+ * any other non-2xx response counts as a failed delivery.
+ */
+
+const axios = require('axios');
+const { retryWithBackoff } = require('./retry');
+const { logger } = require('./logger');
+
+/**
+ * Creates a webhook sender.
+ * @param {object} options
+ * @param {string} options.url - The webhook URL. Without one, deliveries are skipped.
+ * @param {number} options.timeoutMs - Timeout for each POST.
+ * @param {object} options.retry - `{ retries, baseDelayMs, maxDelayMs }` (see lib/retry.js).
+ * @returns {object} The sender API: `configured`, `send`.
+ */
+const createWebhookSender = ({ url, timeoutMs, retry }) => {
+  /**
+   * Posts an event to the webhook. Never throws: the outcome is returned instead.
+   * @async
+   * @param {object} payload - The JSON-serialisable event.
+   * @returns {Promise<object>} `{ status: 'delivered', statusCode, attempts }`,
+   *                            `{ status: 'failed', error, statusCode, attempts }`, or `{ status: 'skipped' }` without a URL.
+   */
+  const send = async (payload) => {
+    if (!url) return { status: 'skipped' };
+    let attempts = 0;
+    try {
+      const response = await retryWithBackoff(() => {
+        attempts++;
+        return axios.post(url, payload, { timeout: timeoutMs, headers: { 'Content-Type': 'application/json' } });
+      }, {
+        ...retry,
+        onRetry: (error, attempt, delayMs) => {
+          logger.warn('Webhook delivery failed, retrying', { cause: error.response?.status || error.code, attempt, delayMs });
+        },
+      });
+      return { status: 'delivered', statusCode: response.status, attempts };
+    } catch (error) {
+      const statusCode = error.response ? error.response.status : null;
+      logger.error('Webhook delivery failed', { statusCode, error: error.message, attempts });
+      return { status: 'failed', error: error.message, statusCode, attempts };
+    }
+  };
+
+  return { configured: !!url, send };
+};
+
+module.exports = { createWebhookSender };
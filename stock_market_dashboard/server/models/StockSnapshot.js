@@ -0,0 +1,25 @@
+/**
+ * @file StockSnapshot.js
+ * @description Mongoose model for daily stock snapshots: the parts of a /stock payload that change
+ * over time, stored once per symbol per trading day. The external API only returns the latest values,
+ * so these documents are what the history of prices, valuations, analyst coverage and shareholding is built from.
+ */
+
+const mongoose = require('mongoose');
+
+const stockSnapshotSchema = new mongoose.Schema({
+  symbol: { type: String, required: true }, // Uppercase NSE symbol (e.g., "TATASTEEL")
+  day: { type: String, required: true }, // Trading day in India (YYYY-MM-DD)
+  capturedAt: { type: Date, required: true }, // When the payload was fetched; the last fetch of the day wins
+  companyName: { type: String },
+  // Sections of the /stock payload, stored as returned by the external API
+  currentPrice: { type: mongoose.Schema.Types.Mixed },
+  percentChange: { type: mongoose.Schema.Types.Mixed },
+  stockDetailsReusableData: { type: mongoose.Schema.Types.Mixed },
+  shareholding: { type: mongoose.Schema.Types.Mixed },
+  keyMetrics: { type: mongoose.Schema.Types.Mixed },
+}, { versionKey: false });
+
+stockSnapshotSchema.index({ symbol: 1, day: 1 }, { unique: true }); // One snapshot per symbol per day
+
+module.exports = mongoose.model('StockSnapshot', stockSnapshotSchema);
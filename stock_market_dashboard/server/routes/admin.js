@@ -0,0 +1,189 @@
+/**
+ * @file admin.js
+ * @description Admin routes (mounted at /api/admin) for inspecting and managing server state,
+ * for issuing and revoking API tokens, for reviewing upstream schema drift, for running the
+ * end-of-day job and for checking the configuration. All routes require the X-Admin-Token header
+ * (see lib/adminAuth.js).
+ */
+
+const express = require('express');
+const { createRequireAdmin } = require('../lib/adminAuth');
+const { logger } = require('../lib/logger');
+
+// Token names: short labels for the client using the token (e.g., "dashboard", "alerts-bot")
+const VALID_TOKEN_NAME = /^[A-Za-z0-9 ._-]{1,64}$/;
+
+/**
+ * Creates the admin router.
+ * @param {object} deps
+ * @param {string} deps.adminToken - The configured admin token.
+ * @param {object} deps.responseCache - The response cache (see lib/cache.js).
+ * @param {object} deps.keyPool - The API key pool (see lib/keyPool.js).
+ * @param {object} deps.tokenStore - The API token store (see lib/tokenStore.js).
+ * @param {object} deps.driftMonitor - The upstream schema drift monitor (see lib/schemaDrift.js).
+ * @param {object} deps.eodJob - The end-of-day job (see lib/eodJob.js).
+ * @param {object} deps.eodStore - The end-of-day store holding the job's reports (see lib/eodStore.js).
+ * @param {object} deps.configReport - `{ config, warnings }`: the configuration without secrets and its startup
+ *                                     warnings (see lib/configCheck.js).
+ * @returns {express.Router} The admin router.
+ */
+const createAdminRouter = ({ adminToken, responseCache, keyPool, tokenStore, driftMonitor, eodJob, eodStore, configReport }) => {
+  const router = express.Router();
+  router.use(createRequireAdmin(adminToken));
+
+  /**
+   * GET /api/admin/cache
+   * Returns response cache statistics.
+   */
+  router.get('/cache', (req, res) => {
+    res.json(responseCache.stats());
+  });
+
+  /**
+   * DELETE /api/admin/cache/:symbol
+   * Purges every cached response (stock and historical) for a symbol.
+   */
+  router.delete('/cache/:symbol', async (req, res) => {
+    const symbol = req.params.symbol.toUpperCase();
+    const removed = await responseCache.purgeSymbol(symbol);
+    logger.info('Admin purged cache', { symbol, removed });
+    res.json({ symbol, removed });
+  });
+
+  /**
+   * GET /api/admin/config
+   * Returns the effective configuration (defaults applied, API keys, tokens and credentials redacted)
+   * and the warnings found at startup.
+   */
+  router.get('/config', (req, res) => {
+    res.json(configReport);
+  });
+
+  /**
+   * GET /api/admin/keys
+   * Returns the state of every API key (masked), including cooldowns and today's usage.
+   */
+  router.get('/keys', (req, res) => {
+    res.json(keyPool.status());
+  });
+
+  /**
+   * GET /api/admin/schema-drift
+   * Reports how external API payloads differed from their expected schema since startup (or the last
+   * reset): missing fields, fields with an unexpected type and unknown fields, with example requests.
+   */
+  router.get('/schema-drift', (req, res) => {
+    res.json(driftMonitor.report());
+  });
+
+  /**
+   * DELETE /api/admin/schema-drift
+   * Clears the drift report, e.g., after the adapter was updated for a changed payload.
+   */
+  router.delete('/schema-drift', (req, res) => {
+    driftMonitor.reset();
+    logger.info('Admin reset the schema drift report');
+    res.status(204).end();
+  });
+
+  /**
+   * GET /api/admin/eod
+   * Returns the end-of-day job's state and the summary of its latest run.
+   */
+  router.get('/eod', (req, res) => {
+    res.json(eodJob.stats());
+  });
+
+  /**
+   * GET /api/admin/eod/reports?limit=10
+   * Lists recent end-of-day run reports (most recent first), each with the outcome of every symbol.
+   */
+  router.get('/eod/reports', async (req, res) => {
+    const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return res.status(400).json({ message: 'limit must be a positive whole number.' });
+    }
+    try {
+      const reports = await eodStore.reports(limit);
+      res.json({ count: reports.length, reports });
+    } catch (error) {
+      logger.error('Failed to read end-of-day reports', { error: error.message });
+      res.status(500).json({ message: 'Failed to read end-of-day reports.', details: { originalMessage: error.message } });
+    }
+  });
+
+  /**
+   * POST /api/admin/eod/run
+   * Runs the end-of-day job now, whatever the time, and responds with its report once it finishes.
+   * Quota limits still apply. Responds with 409 if a run is already in progress.
+   */
+  router.post('/eod/run', async (req, res) => {
+    try {
+      logger.info('Admin started the end-of-day job');
+      const report = await eodJob.runOnce({ force: true });
+      if (report.skipped) return res.status(409).json({ message: 'The end-of-day job is already running.' });
+      res.json(report);
+    } catch (error) {
+      logger.error('End-of-day job failed', { error: error.message });
+      res.status(500).json({ message: 'End-of-day job failed.', details: { originalMessage: error.message } });
+    }
+  });
+
+  /**
+   * GET /api/admin/tokens
+   * Lists the issued API tokens (active and revoked). Tokens themselves are never shown again.
+   */
+  router.get('/tokens', async (req, res) => {
+    try {
+      const tokens = await tokenStore.list();
+      res.json({ count: tokens.length, tokens });
+    } catch (error) {
+      logger.error('Failed to list API tokens', { error: error.message });
+      res.status(500).json({ message: 'Failed to list API tokens.', details: { originalMessage: error.message } });
+    }
+  });
+
+  /**
+   * POST /api/admin/tokens
+   * Issues an API token: `{ "name": "dashboard", "rateLimit": 1000 }`. `rateLimit` (requests per
+   * rate limit window) is optional and defaults to RATE_LIMIT_PER_TOKEN. The response is the only
+   * place the token appears.
+   */
+  router.post('/tokens', async (req, res) => {
+    const { name, rateLimit = null } = req.body || {};
+    if (typeof name !== 'string' || !VALID_TOKEN_NAME.test(name.trim())) {
+      return res.status(400).json({ message: 'name is required: up to 64 letters, digits, spaces, dots, dashes or underscores.' });
+    }
+    if (rateLimit !== null && (!Number.isInteger(rateLimit) || rateLimit < 1)) {
+      return res.status(400).json({ message: 'rateLimit must be a positive whole number (requests per window), or null for the default.' });
+    }
+    try {
+      const issued = await tokenStore.issue({ name: name.trim(), rateLimit });
+      logger.info('Admin issued API token', { tokenId: issued.id, name: issued.name });
+      res.status(201).json(issued);
+    } catch (error) {
+      logger.error('Failed to issue API token', { error: error.message });
+      res.status(500).json({ message: 'Failed to issue API token.', details: { originalMessage: error.message } });
+    }
+  });
+
+  /**
+   * DELETE /api/admin/tokens/:id
+   * Revokes an API token. Requests using it are rejected immediately.
+   */
+  router.delete('/tokens/:id', async (req, res) => {
+    try {
+      const revoked = await tokenStore.revoke(req.params.id);
+      if (!revoked) return res.status(404).json({ message: `API token '${req.params.id}' not found` });
+      logger.info('Admin revoked API token', { tokenId: revoked.id, name: revoked.name });
+      res.json(revoked);
+    } catch (error) {
+      logger.error('Failed to revoke API token', { error: error.message });
+      res.status(500).json({ message: 'Failed to revoke API token.', details: { originalMessage: error.message } });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,167 @@
+/**
+ * @file alerts.js
+ * @description Alert routes (mounted at /api/alerts): create, list, change and delete alert rules,
+ * read recent firings, and trigger an evaluation on demand. Rules are evaluated on a schedule by
+ * the alert engine (see lib/alertEngine.js), which posts firings to ALERT_WEBHOOK_URL.
+ */
+
+const express = require('express');
+const { ALERT_TYPE_DESCRIPTIONS, validateRuleInput } = require('../lib/alerts');
+const { MAX_FIRINGS } = require('../lib/alertStore');
+const { logger } = require('../lib/logger');
+
+const DEFAULT_FIRINGS_LIMIT = 50;
+
+/**
+ * Creates the alert router.
+ * @param {object} deps
+ * @param {object} deps.alertStore - The alert store (see lib/alertStore.js).
+ * @param {object} deps.alertEngine - The alert engine (see lib/alertEngine.js).
+ * @param {Function} deps.resolveSymbolOrReject - Async `(res, query) => symbol|null`; responds with a 404 for unknown symbols.
+ * @param {number} deps.maxRules - Maximum number of rules.
+ * @returns {express.Router} The alert router.
+ */
+const createAlertRouter = ({ alertStore, alertEngine, resolveSymbolOrReject, maxRules }) => {
+  const router = express.Router();
+
+  /**
+   * Validates a request body and resolves its symbol.
+   * @async
+   * @param {object} req - The Express request.
+   * @param {object} res - The Express response.
+   * @param {object} [existing] - The rule being changed, if any.
+   * @returns {Promise<object|null>} The validated fields, or null if a response was sent.
+   */
+  const validatedFields = async (req, res, existing) => {
+    const { fields, error } = validateRuleInput(req.body, existing);
+    if (error) {
+      res.status(400).json({ message: error, types: ALERT_TYPE_DESCRIPTIONS });
+      return null;
+    }
+    const symbol = await resolveSymbolOrReject(res, fields.symbol);
+    if (!symbol) return null;
+    return { ...fields, symbol };
+  };
+
+  /**
+   * GET /api/alerts
+   * Lists the rules with their current state, plus the available rule types.
+   */
+  router.get('/', async (req, res, next) => {
+    try {
+      const rules = await alertStore.list();
+      res.json({ count: rules.length, rules, types: ALERT_TYPE_DESCRIPTIONS, engine: alertEngine.stats() });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * POST /api/alerts
+   * Creates a rule, e.g. `{ "symbol": "TATASTEEL", "type": "rsiAbove", "threshold": 70 }` or
+   * `{ "symbol": "INFY", "type": "crossBelowMa", "period": 200 }`.
+   */
+  router.post('/', async (req, res, next) => {
+    try {
+      const fields = await validatedFields(req, res, null);
+      if (!fields) return;
+      if ((await alertStore.list()).length >= maxRules) {
+        return res.status(400).json({ message: `Too many alert rules. The maximum is ${maxRules}.` });
+      }
+      const rule = await alertStore.create(fields);
+      logger.info('Alert rule created', { ruleId: rule.id, symbol: rule.symbol, type: rule.type });
+      res.status(201).json(rule);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * GET /api/alerts/firings?limit=50&ruleId=...
+   * Returns the most recent firings with their webhook delivery outcome, most recent first.
+   */
+  router.get('/firings', async (req, res, next) => {
+    const limit = req.query.limit === undefined ? DEFAULT_FIRINGS_LIMIT : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_FIRINGS) {
+      return res.status(400).json({ message: `Invalid limit '${req.query.limit}'. Use a whole number from 1 to ${MAX_FIRINGS}.` });
+    }
+    try {
+      const firings = await alertStore.firings({ limit, ruleId: req.query.ruleId });
+      res.json({ count: firings.length, firings });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * POST /api/alerts/evaluate
+   * Evaluates every enabled rule now, even while the market is closed, and returns the firings.
+   */
+  router.post('/evaluate', async (req, res, next) => {
+    try {
+      const result = await alertEngine.runOnce({ force: true });
+      if (result.skipped) {
+        return res.status(409).json({ message: 'An evaluation is already running. Try again shortly.' });
+      }
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * GET /api/alerts/:id
+   * Returns one rule.
+   */
+  router.get('/:id', async (req, res, next) => {
+    try {
+      const rule = await alertStore.get(req.params.id);
+      if (!rule) return res.status(404).json({ message: `Alert rule '${req.params.id}' not found` });
+      res.json(rule);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * PATCH /api/alerts/:id
+   * Changes a rule (e.g., `{ "threshold": 75 }` or `{ "enabled": false }`). Changing the symbol, type,
+   * threshold or period resets the rule's state, so it fires again if its condition holds.
+   */
+  router.patch('/:id', async (req, res, next) => {
+    try {
+      const existing = await alertStore.get(req.params.id);
+      if (!existing) return res.status(404).json({ message: `Alert rule '${req.params.id}' not found` });
+      const fields = await validatedFields(req, res, existing);
+      if (!fields) return;
+      res.json(await alertStore.update(req.params.id, fields));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * DELETE /api/alerts/:id
+   * Deletes a rule. Its past firings stay in the firing log.
+   */
+  router.delete('/:id', async (req, res, next) => {
+    try {
+      const removed = await alertStore.remove(req.params.id);
+      if (!removed) return res.status(404).json({ message: `Alert rule '${req.params.id}' not found` });
+      logger.info('Alert rule deleted', { ruleId: req.params.id });
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Store errors (e.g., an unreadable alerts file). Express recognises error handlers by their four parameters.
+  router.use((error, req, res, next) => {
+    logger.error('Alert request failed', { path: req.originalUrl, error: error.message });
+    res.status(500).json({ message: 'Alert request failed.', details: { originalMessage: error.message } });
+  });
+
+  return router;
+};
+
+module.exports = { createAlertRouter };
@@ -0,0 +1,120 @@
+/**
+ * @file snapshots.js
+ * @description Snapshot routes (mounted at /api/snapshots) for reading the daily history
+ * built from fetched /stock payloads (see lib/snapshots.js). All routes answer 503 while
+ * MongoDB is not configured or not connected.
+ */
+
+const express = require('express');
+const { SNAPSHOT_SERIES_NAMES, SNAPSHOT_SERIES_DESCRIPTIONS, KEY_METRIC_PREFIX } = require('../lib/snapshots');
+const { logger } = require('../lib/logger');
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_SNAPSHOT_LIMIT = 30;
+const MAX_SNAPSHOT_LIMIT = 366;
+
+/**
+ * Validates the optional `from`/`to` query parameters.
+ * @param {object} query - The request query.
+ * @returns {string|null} An error message, or null if the range is valid.
+ */
+const rangeError = ({ from, to }) => {
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value !== undefined && !DAY_PATTERN.test(String(value))) {
+      return `Invalid ${name} '${value}'. Use a date in YYYY-MM-DD format.`;
+    }
+  }
+  if (from && to && from > to) return `'from' (${from}) must not be after 'to' (${to}).`;
+  return null;
+};
+
+/**
+ * Creates the snapshot router.
+ * @param {object} deps
+ * @param {object} deps.snapshotStore - The snapshot store (see lib/snapshots.js).
+ * @returns {express.Router} The snapshot router.
+ */
+const createSnapshotRouter = ({ snapshotStore }) => {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    if (!snapshotStore.isAvailable()) {
+      return res.status(503).json({ message: 'Snapshots are unavailable: MongoDB is not configured (MONGO_URI) or not connected.' });
+    }
+    next();
+  });
+
+  /**
+   * GET /api/snapshots
+   * Lists the symbols with snapshots, with their number of snapshots and first/last day.
+   */
+  router.get('/', async (req, res, next) => {
+    try {
+      res.json({ symbols: await snapshotStore.symbols() });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * GET /api/snapshots/:symbol/series?metric=pe&from=2025-01-01&to=2025-06-30
+   * Returns the daily values of one metric, oldest first. `metric` is one of SNAPSHOT_SERIES_NAMES
+   * (e.g., pe, analystCount, promoterHolding) or `keyMetrics:<key>` for any key metric.
+   */
+  router.get('/:symbol/series', async (req, res, next) => {
+    const symbol = req.params.symbol.toUpperCase();
+    const { metric } = req.query;
+    if (!metric) {
+      return res.status(400).json({
+        message: `Metric is required. Allowed values: ${SNAPSHOT_SERIES_NAMES.join(', ')}, or ${KEY_METRIC_PREFIX}<key>`,
+        metrics: SNAPSHOT_SERIES_DESCRIPTIONS,
+      });
+    }
+    const invalidRange = rangeError(req.query);
+    if (invalidRange) return res.status(400).json({ message: invalidRange });
+
+    try {
+      const points = await snapshotStore.series(symbol, String(metric), { from: req.query.from, to: req.query.to });
+      if (!points) {
+        return res.status(400).json({
+          message: `Unknown metric '${metric}'. Allowed values: ${SNAPSHOT_SERIES_NAMES.join(', ')}, or ${KEY_METRIC_PREFIX}<key>`,
+          metrics: SNAPSHOT_SERIES_DESCRIPTIONS,
+        });
+      }
+      res.json({ symbol, metric, count: points.length, points });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * GET /api/snapshots/:symbol?from=2025-01-01&to=2025-06-30&limit=30
+   * Returns the stored snapshots of a symbol, oldest first (the most recent `limit` days, at most 366).
+   */
+  router.get('/:symbol', async (req, res, next) => {
+    const symbol = req.params.symbol.toUpperCase();
+    const invalidRange = rangeError(req.query);
+    if (invalidRange) return res.status(400).json({ message: invalidRange });
+    const limit = req.query.limit === undefined ? DEFAULT_SNAPSHOT_LIMIT : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SNAPSHOT_LIMIT) {
+      return res.status(400).json({ message: `Invalid limit '${req.query.limit}'. Use a whole number from 1 to ${MAX_SNAPSHOT_LIMIT}.` });
+    }
+
+    try {
+      const snapshots = await snapshotStore.list(symbol, { from: req.query.from, to: req.query.to, limit });
+      res.json({ symbol, count: snapshots.length, snapshots });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Database errors (e.g., the connection dropped mid-query). Express recognises error handlers by their four parameters.
+  router.use((error, req, res, next) => {
+    logger.error('Snapshot query failed', { path: req.originalUrl, error: error.message });
+    res.status(503).json({ message: 'Snapshot query failed.', details: { originalMessage: error.message } });
+  });
+
+  return router;
+};
+
+module.exports = { createSnapshotRouter };
@@ -0,0 +1,73 @@
+/**
+ * @file upstream.js
+ * @description Passthrough routes (mounted at /api/upstream) for the external API endpoints declared
+ * in upstreamRoutes.js. Requests are validated against the route's allowed parameters before any
+ * external call is made; symbols are checked and resolved like /api/stock.
+ */
+
+const express = require('express');
+const { parseQuery, toUpstreamParams, describeRoute } = require('../lib/passthrough');
+
+/**
+ * Creates the passthrough router.
+ * @param {object} deps
+ * @param {Map<string, object>} deps.routes - The exposed routes, compiled by lib/passthrough.js.
+ * @param {Function} deps.fetchRoute - Async `(route, params, symbol) => { data, cacheStatus, ageSeconds, storedAt }`
+ *                                     fetching a route with caching and key failover.
+ * @param {Function} deps.resolveSymbolOrReject - Resolves a symbol or sends a 404 with suggestions (see server.js).
+ * @param {Function} deps.rejectIfNoApiKeys - Sends a 500 if no API keys are configured (see server.js).
+ * @param {Function} deps.setCacheHeaders - Sets the cache status and validator headers (see server.js).
+ * @param {Function} deps.sendUpstreamError - Sends the error response of a failed external call (see server.js).
+ * @returns {express.Router} The passthrough router.
+ */
+const createUpstreamRouter = ({ routes, fetchRoute, resolveSymbolOrReject, rejectIfNoApiKeys, setCacheHeaders, sendUpstreamError }) => {
+  const router = express.Router();
+
+  /**
+   * GET /api/upstream
+   * Lists the exposed routes with their parameters and cache TTL.
+   */
+  router.get('/', (req, res) => {
+    res.json({ routes: [...routes.values()].map(describeRoute) });
+  });
+
+  /**
+   * GET /api/upstream/:name
+   * Calls the external endpoint of a route (e.g., /api/upstream/corporate-actions?symbol=TATASTEEL).
+   * Unknown routes get a 404, and undeclared or invalid parameters a 400.
+   * Responses are cached for the route's TTL; the X-Cache and Age headers report cache status.
+   */
+  router.get('/:name', async (req, res) => {
+    const route = routes.get(req.params.name);
+    if (!route) {
+      return res.status(404).json({ message: `Unknown upstream route '${req.params.name}'`, routes: [...routes.keys()] });
+    }
+
+    const { values, error } = parseQuery(route, req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const symbolParam = route.params.find(param => param.type === 'symbol' && values[param.name] !== undefined);
+    let symbol = null;
+    if (symbolParam) {
+      symbol = await resolveSymbolOrReject(res, values[symbolParam.name]);
+      if (!symbol) return;
+      values[symbolParam.name] = symbol;
+    }
+
+    if (rejectIfNoApiKeys(res)) return;
+
+    try {
+      const result = await fetchRoute(route, toUpstreamParams(route, values), symbol);
+      setCacheHeaders(res, result);
+      res.json(result.data);
+    } catch (fetchError) {
+      sendUpstreamError(res, fetchError, `/api/upstream/${route.name}`, symbol);
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createUpstreamRouter };
@@ -0,0 +1,38 @@
+/**
+ * @file fixtureUpstream.js
+ * @description Local stand-in for the external stock API, serving recorded fixtures over HTTP.
+ * Point the backend at it with UPSTREAM_BASE_URL=http://localhost:5002 to exercise the full
+ * live code path (API key failover, caching, etc.) without network access.
+ * Like the real API, it rejects requests without an X-API-Key header (any value is accepted).
+ *
+ * Usage: npm run upstream:fixtures  (port: FIXTURE_UPSTREAM_PORT, default 5002)
+ */
+
+const config = require('../config');
+const express = require('express');
+const { createFixtureStore } = require('../lib/fixtureStore');
+
+const app = express();
+const PORT = Number(process.env.FIXTURE_UPSTREAM_PORT) || 5002;
+const fixtureStore = createFixtureStore(config.upstream.fixturesDir);
+
+app.get('*', async (req, res) => {
+  if (!req.get('X-API-Key')) {
+    return res.status(401).json({ message: 'Missing X-API-Key header' });
+  }
+  try {
+    const data = await fixtureStore.read(req.path, req.query);
+    if (data === null) {
+      console.log(`No fixture for ${req.originalUrl} (expected ${fixtureStore.locate(req.path, req.query)})`);
+      return res.status(404).json({ message: `No fixture recorded for ${req.path}` });
+    }
+    res.json(data);
+  } catch (error) {
+    console.error(`Failed to read fixture for ${req.originalUrl}: ${error.message}`);
+    res.status(500).json({ message: 'Failed to read fixture', details: { originalMessage: error.message } });
+  }
+});
+
+app.listen(PORT, () => {
+  console.log(`Fixture upstream serving ${config.upstream.fixturesDir} on port ${PORT}`);
+});
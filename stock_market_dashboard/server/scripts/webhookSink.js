@@ -0,0 +1,42 @@
+/**
+ * @file webhookSink.js
+ * @description Local stand-in for an alert webhook receiver. Prints every JSON payload it receives
+ * and keeps the most recent ones, so alert firings can be checked without a real receiver.
+ * Point the backend at it with ALERT_WEBHOOK_URL=http://localhost:5003/alerts.
+ * Set WEBHOOK_SINK_STATUS (e.g., 503) to answer every delivery with that status and exercise
+ * the backend's retries and failed deliveries.
+ *
+ * Usage: npm run webhook:sink  (port: WEBHOOK_SINK_PORT, default 5003)
+ *   GET /     lists the payloads received so far, most recent first
+ *   DELETE /  forgets them
+ */
+
+const express = require('express');
+
+const app = express();
+const PORT = Number(process.env.WEBHOOK_SINK_PORT) || 5003;
+const RESPONSE_STATUS = Number(process.env.WEBHOOK_SINK_STATUS) || 200;
+const MAX_KEPT = 100;
+
+let received = [];
+
+app.use(express.json());
+
+app.get('/', (req, res) => {
+  res.json({ count: received.length, received });
+});
+
+app.delete('/', (req, res) => {
+  received = [];
+  res.status(204).end();
+});
+
+app.post('*', (req, res) => {
+  received = [{ path: req.path, receivedAt: new Date().toISOString(), body: req.body }, ...received].slice(0, MAX_KEPT);
+  console.log(`${req.method} ${req.path} -> ${RESPONSE_STATUS}: ${req.body.message || JSON.stringify(req.body)}`);
+  res.status(RESPONSE_STATUS).json({ received: RESPONSE_STATUS < 400 });
+});
+
+app.listen(PORT, () => {
+  console.log(`Webhook sink listening on port ${PORT} (answering ${RESPONSE_STATUS})`);
+});
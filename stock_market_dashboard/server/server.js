@@ -3,40 +3,311 @@
  * @description Backend server for the Indian Stock Market Dashboard.
  * This server acts as a proxy to an external stock API to protect API keys 
  * and implement a failover mechanism for multiple API keys.
- * It uses Express.js and supports fetching stock data for a given symbol.
+ * It uses Express.js and supports fetching stock data and historical data for a given symbol.
+ * The client never talks to the external API directly, so no API key ships in the browser bundle.
  */
 
-require('dotenv').config(); // Load environment variables from .env file into process.env
+const config = require('./config'); // Loads .env and exposes server configuration
 const express = require('express');
 const cors = require('cors');
-// const mongoose = require('mongoose'); // MongoDB ODM, commented out as not currently in use.
-const axios = require('axios'); // HTTP client for making API requests
+const compression = require('compression'); // gzip/brotli response compression
+const mongoose = require('mongoose'); // MongoDB ODM, used for daily snapshots when MONGO_URI is set
+const { createResponseCache } = require('./lib/cache');
+const { createKeyPool } = require('./lib/keyPool');
+const { createFixtureStore } = require('./lib/fixtureStore');
+const { createUpstreamClient } = require('./lib/upstream');
+const { mapWithConcurrency } = require('./lib/concurrency');
+const { createInflightRegistry } = require('./lib/inflight');
+const { isTransientError, retryWithBackoff } = require('./lib/retry');
+const { createCircuitBreaker } = require('./lib/circuitBreaker');
+const { logger } = require('./lib/logger');
+const { createMetricsRegistry } = require('./lib/metrics');
+const { createRequestContext } = require('./lib/requestContext');
+const { createSymbolMaster, createSymbolResolver, symbolParamError } = require('./lib/symbolMaster');
+const { createMarketClock } = require('./lib/marketHours');
+const { createPriceStream } = require('./lib/priceStream');
+const { createAlertStore } = require('./lib/alertStore');
+const { createAlertEngine } = require('./lib/alertEngine');
+const { createWebhookSender } = require('./lib/webhook');
+const { marketInputs } = require('./lib/alerts');
+const { createTokenStore } = require('./lib/tokenStore');
+const { createRequireApiToken } = require('./lib/apiAuth');
+const { createRateLimiter, createRateLimitMiddleware } = require('./lib/rateLimit');
+const { createDriftMonitor } = require('./lib/schemaDrift');
+const { UPSTREAM_SCHEMAS } = require('./lib/upstreamSchemas');
+const { compileRoutes } = require('./lib/passthrough');
+const { checkConfig, redactConfig } = require('./lib/configCheck');
+const { createShutdown } = require('./lib/shutdown');
+const { UPSTREAM_ROUTES } = require('./upstreamRoutes');
+const { createEodStore } = require('./lib/eodStore');
+const { createEodJob, readSymbolsFile } = require('./lib/eodJob');
+const { transformStockDataApiResponse, HISTORICAL_PERIODS, HISTORICAL_FILTERS } = require('../shared'); // Shared with the client
+const { createAdminRouter } = require('./routes/admin');
+const { createSnapshotRouter } = require('./routes/snapshots');
+const { createAlertRouter } = require('./routes/alerts');
+const { createUpstreamRouter } = require('./routes/upstream');
+const { createSnapshotStore } = require('./lib/snapshots');
+const StockSnapshot = require('./models/StockSnapshot');
+
+// === Configuration Check ===
+// Bad environment values stop the server here, named by variable, instead of failing requests later
+const configCheck = checkConfig(config, { upstreamRouteNames: UPSTREAM_ROUTES.map(route => route.name) });
+if (configCheck.errors.length > 0) {
+  configCheck.errors.forEach(({ setting, message }) => logger.error('Invalid configuration', { setting, message }));
+  logger.error('Server not started: fix the settings above (see README, Environment Variables Overview)');
+  process.exit(1);
+}
+logger.setLevel(config.logLevel);
+configCheck.warnings.forEach(({ setting, message }) => logger.warn('Configuration warning', { setting, message }));
 
 const app = express(); // Initialize Express application
-const PORT = process.env.PORT || 5001; // Define the port for the server, fallback to 5001
+let shutdown = null; // Graceful shutdown handlers, installed once the server listens (see "Graceful Shutdown" below)
+const PORT = config.port;
+
+// === Metrics ===
+// Exposed at GET /metrics in the Prometheus text format (see lib/metrics.js).
+const metrics = createMetricsRegistry();
+const httpRequests = metrics.counter('http_requests_total', 'HTTP requests handled, by route and status.', ['method', 'route', 'status']);
+const httpRequestDuration = metrics.histogram('http_request_duration_seconds', 'HTTP request duration in seconds.', ['method', 'route', 'status']);
+const upstreamRequestDuration = metrics.histogram('upstream_request_duration_seconds',
+  'External API call duration in seconds, by endpoint, API key and outcome (HTTP status or error code).', ['endpoint', 'key', 'outcome']);
+const upstreamRetries = metrics.counter('upstream_retries_total', 'External API calls retried after a transient failure.', ['endpoint', 'key']);
+const keyFailovers = metrics.counter('upstream_key_failovers_total',
+  'Times an API key was rejected (401/403/429) and the next key was tried, by key and status.', ['key', 'status']);
+const apiErrors = metrics.counter('api_errors_total',
+  'Failed external data requests returned to clients (including per-symbol failures in batches), by route and status.', ['route', 'status']);
+const schemaDrift = metrics.counter('upstream_schema_drift_total',
+  'Differences between external API payloads and their expected schema, by endpoint and kind (missing, type, unknown).', ['endpoint', 'kind']);
+const snapshotWrites = metrics.counter('snapshot_writes_total', 'Daily stock snapshot writes, by outcome (saved, failed, skipped).', ['outcome']);
 
 // === Middleware ===
-app.use(cors()); // Enable Cross-Origin Resource Sharing for all routes
+// Request ids, access logs and request metrics. Successful probes are only logged at debug level.
+app.use(createRequestContext({ requestCounter: httpRequests, requestDuration: httpRequestDuration, quietPaths: ['/healthz', '/readyz'] }));
+app.use((req, res, next) => {
+  // While shutting down, ask keep-alive clients to reconnect (to another instance) after this response
+  if (shutdown && shutdown.isShuttingDown()) res.set('Connection', 'close');
+  next();
+});
+if (config.trustProxy) {
+  // Behind a reverse proxy, take the client IP (used for rate limiting) from X-Forwarded-For
+  app.set('trust proxy', /^\d+$/.test(config.trustProxy) ? Number(config.trustProxy) : config.trustProxy);
+}
+app.use(cors({
+  origin: config.corsOrigins.includes('*') ? true : config.corsOrigins, // Only the configured browser origins may call the API
+  exposedHeaders: [
+    'X-Request-Id', 'X-Cache', 'Age', 'X-Resolved-Symbol', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset',
+    'ETag', 'Last-Modified', // Validators the client sends back to revalidate (see client/src/utils/apiUtils.js)
+  ],
+}));
+if (config.compression) {
+  // Compress responses with brotli or gzip, whichever the client accepts. The live price stream is left
+  // uncompressed: the compressor buffers output, which would hold back the events.
+  app.use(compression({
+    filter: (req, res) => !String(res.getHeader('Content-Type') || '').startsWith('text/event-stream') && compression.filter(req, res),
+  }));
+}
 app.use(express.json()); // Parse incoming JSON requests
 
+// === Access Control ===
+// Every /api/* request is rate limited per IP address, then checked for an API token (required when
+// REQUIRE_API_TOKEN is on) and rate limited per token, per day and per window. /api/health stays open
+// for monitors, and /api/admin/* is protected by ADMIN_TOKEN instead (it is where API tokens are issued).
+// A token built into the client bundle is readable by anyone who loads the page, so the daily cap is
+// what bounds the quota a stranger can spend with it from many IP addresses.
+const tokenStore = createTokenStore(config.auth.tokensFile);
+const rateLimiter = createRateLimiter({ windowSeconds: config.rateLimit.windowSeconds });
+const dailyRateLimiter = createRateLimiter({ windowSeconds: 24 * 60 * 60 });
+const rateLimited = metrics.counter('rate_limited_requests_total', 'Requests rejected with 429, by rate limit scope (ip, token, token_daily).', ['scope']);
+const authFailures = metrics.counter('api_auth_failures_total', 'Requests rejected for a missing or invalid API token.', ['reason']);
+metrics.gauge('rate_limit_clients', 'Clients (IP addresses and tokens) with a rate limit window open.', () => rateLimiter.size());
+
+const isOpenPath = (req) => req.path === '/health';
+const isAdminPath = (req) => req.path.startsWith('/admin');
+
+app.use('/api', createRateLimitMiddleware({
+  limiter: rateLimiter,
+  scope: 'ip',
+  keyFor: req => (isOpenPath(req) ? null : req.ip),
+  limitFor: () => config.rateLimit.perIp,
+  onLimited: () => rateLimited.inc({ scope: 'ip' }),
+}));
+
+const requireApiToken = createRequireApiToken({
+  tokenStore,
+  required: config.auth.requireToken,
+  onFailure: (req, reason) => authFailures.inc({ reason }),
+});
+app.use('/api', (req, res, next) => (isOpenPath(req) || isAdminPath(req) ? next() : requireApiToken(req, res, next)));
+
+// Daily cap first, so the RateLimit-* headers of most responses report the (tighter) per-window budget
+app.use('/api', createRateLimitMiddleware({
+  limiter: dailyRateLimiter,
+  scope: 'token_daily',
+  keyFor: req => (req.apiToken ? req.apiToken.id : null),
+  limitFor: () => config.rateLimit.perTokenDaily,
+  onLimited: () => rateLimited.inc({ scope: 'token_daily' }),
+}));
+app.use('/api', createRateLimitMiddleware({
+  limiter: rateLimiter,
+  scope: 'token',
+  keyFor: req => (req.apiToken ? req.apiToken.id : null),
+  limitFor: req => req.apiToken.rateLimit ?? config.rateLimit.perToken,
+  onLimited: () => rateLimited.inc({ scope: 'token' }),
+}));
+
 // === MongoDB Connection (Optional) ===
-// This section is commented out. If MongoDB is to be used in the future for caching
-// or storing user data, uncomment and configure this section.
-// const MONGO_URI = process.env.MONGO_URI;
-// mongoose.connect(MONGO_URI, { useNewUrlParser: true, useUnifiedTopology: true })
-//   .then(() => console.log('MongoDB connected'))
-//   .catch(err => console.error('MongoDB connection error:', err));
+// Used to store daily snapshots of /stock payloads (see lib/snapshots.js). Without MONGO_URI,
+// or while the database is unreachable, snapshots are skipped and /api/snapshots answers 503.
+mongoose.set('bufferCommands', false); // Fail fast instead of queueing queries while disconnected
+if (config.mongoUri) {
+  mongoose.connect(config.mongoUri)
+    .then(() => logger.info('MongoDB connected'))
+    .catch(err => logger.error('MongoDB connection error', { error: err.message }));
+  mongoose.connection.on('disconnected', () => logger.warn('MongoDB disconnected'));
+}
+
+// Daily snapshots of /stock payloads, queried through /api/snapshots
+const snapshotStore = createSnapshotStore({
+  model: StockSnapshot,
+  isConnected: () => mongoose.connection.readyState === 1,
+});
 
 // === API Configuration ===
-// Load API keys from environment variables. Supports a primary and a backup key.
-// Filters out any keys that are not defined in the .env file.
-const API_KEYS = [
-  process.env.PRIMARY_API_KEY, 
-  process.env.BACKUP_API_KEY   
-].filter(key => !!key); // Ensures only defined keys are in the array
+// Pool of API keys loaded from API_KEYS (and the legacy PRIMARY_API_KEY/BACKUP_API_KEY).
+// Handles key selection, cooldowns after 429/401/403 responses and daily usage accounting.
+const keyPool = createKeyPool({ keys: config.apiKeys, ...config.keyPool });
 
-// Base URL for the external stock API
-const BASE_URL = 'https://stock.indianapi.in';
+// Client for the external stock API. UPSTREAM_MODE selects live calls, recorded fixtures,
+// or live calls that are recorded into the fixtures directory.
+const upstream = createUpstreamClient({
+  mode: config.upstream.mode,
+  baseUrl: config.upstream.baseUrl,
+  timeoutMs: config.upstream.timeoutMs,
+  fixtureStore: createFixtureStore(config.upstream.fixturesDir),
+});
+
+// Response cache shared by all routes. See lib/cache.js for the retention/max-age model.
+const responseCache = createResponseCache(config.cache);
+
+// NSE equity master (EQUITY_L.csv), used by /api/symbols/search and to check or resolve
+// requested symbols before any external call is spent on them.
+const symbolMaster = createSymbolMaster(config.symbolMasterFile);
+
+/**
+ * Checks whether an error means the external API itself is failing (network errors, timeouts, 5xx),
+ * as opposed to rejecting a particular request (404 unknown symbol, 401/403/429 key issues).
+ * @param {Error} error - An error thrown while calling the external API.
+ * @returns {boolean} True for upstream failures.
+ */
+const isUpstreamFailure = (error) => {
+  if (error.circuitOpen) return true;
+  if (isTransientError(error)) return true;
+  return !!error.response && error.response.status >= 500;
+};
+
+// Circuit breaker around all external calls. After repeated upstream failures, calls fail fast
+// (and routes fall back to stale cached data) until a trial call succeeds. Errors raised before any
+// external call (marked `local`, e.g., no API key available) neither open nor close it.
+const upstreamBreaker = createCircuitBreaker({
+  ...config.upstream.circuit,
+  isFailure: isUpstreamFailure,
+  isNeutral: error => !!error.local,
+});
+
+// Registry of in-flight external calls. Concurrent requests for the same endpoint and
+// parameters (e.g., several tabs opening the same symbol) share a single external call.
+const upstreamInflight = createInflightRegistry();
+
+// Checks every external API payload against the schema the adapter relies on, so renamed or
+// removed fields are reported (GET /api/admin/schema-drift) before users see "N/A" everywhere.
+const driftMonitor = createDriftMonitor({
+  schemas: UPSTREAM_SCHEMAS,
+  onDrift: (endpoint, issue) => schemaDrift.inc({ endpoint, kind: issue.kind }),
+});
+
+// Metrics read from the state the components above already keep
+metrics.collectedCounter('cache_lookups_total', 'Response cache lookups, by result (stale: served while the external API was down).', () => {
+  const stats = responseCache.stats();
+  return [
+    { labels: { result: 'hit' }, value: stats.hits },
+    { labels: { result: 'miss' }, value: stats.misses },
+    { labels: { result: 'stale' }, value: stats.staleHits },
+  ];
+});
+metrics.gauge('cache_hit_ratio', 'Share of fresh cache lookups served from the cache (0 before the first lookup).', () => {
+  const { hits, misses } = responseCache.stats();
+  return hits + misses > 0 ? hits / (hits + misses) : 0;
+});
+metrics.gauge('cache_entries', 'Entries held in the in-memory response cache.', () => responseCache.stats().entries);
+metrics.gauge('upstream_circuit_state', 'External API circuit breaker state (1 for the current state).', () => {
+  const { state } = upstreamBreaker.status();
+  return ['closed', 'open', 'half-open'].map(name => ({ labels: { state: name }, value: name === state ? 1 : 0 }));
+});
+metrics.gauge('upstream_inflight_calls', 'External API calls currently in flight.', () => upstreamInflight.stats().inFlight);
+metrics.collectedCounter('upstream_coalesced_calls_total', 'Requests that joined an in-flight external API call instead of making their own.',
+  () => upstreamInflight.stats().coalesced);
+metrics.gauge('api_key_available', 'Whether an API key can currently be used (0 while cooling down or exhausted).',
+  () => keyPool.status().keys.map(key => ({ labels: { key: key.name }, value: key.available ? 1 : 0 })));
+metrics.gauge('api_key_used_today', 'External API calls made with each key today (UTC).',
+  () => keyPool.status().keys.map(key => ({ labels: { key: key.name }, value: key.usedToday })));
+
+// NSE trading hours. Live prices are polled only while the market is open, and while it is closed,
+// cached responses fetched since the close are served as fresh (see `maxAgeFor`).
+const marketClock = createMarketClock(config.market);
+
+// Cache policies per endpoint.
+// maxAgeSeconds: the oldest cached response served to clients of the route.
+// retainSeconds: how long the response is kept. /stock payloads are retained for the profile TTL
+// because their profile and financial sections stay valid long after the price has gone stale.
+// Every response is also retained for CACHE_STALE_IF_ERROR_SECONDS, to be served stale while the upstream is down.
+const CACHE_POLICIES = {
+  stock: {
+    maxAgeSeconds: config.cache.ttlSeconds.quote,
+    retainSeconds: Math.max(config.cache.ttlSeconds.quote, config.cache.ttlSeconds.profile, config.cache.staleIfErrorSeconds),
+  },
+  // Same cached /stock payload, read by /api/v2/stock when only slow-changing fields are requested
+  stockProfile: {
+    maxAgeSeconds: Math.max(config.cache.ttlSeconds.quote, config.cache.ttlSeconds.profile),
+    retainSeconds: Math.max(config.cache.ttlSeconds.quote, config.cache.ttlSeconds.profile, config.cache.staleIfErrorSeconds),
+  },
+  // Same cached /stock payload, polled for live prices: refreshed on every poll interval (at most the quote TTL)
+  livePrice: {
+    maxAgeSeconds: Math.max(Math.min(config.livePrices.intervalSeconds, config.cache.ttlSeconds.quote) - 1, 0),
+    retainSeconds: Math.max(config.cache.ttlSeconds.quote, config.cache.ttlSeconds.profile, config.cache.staleIfErrorSeconds),
+  },
+  historical: {
+    maxAgeSeconds: config.cache.ttlSeconds.historical,
+    retainSeconds: Math.max(config.cache.ttlSeconds.historical, config.cache.staleIfErrorSeconds),
+  },
+  // /stock and /historical_data payloads fetched by the end-of-day job: kept until the next
+  // session opens, even after a long weekend
+  endOfDay: {
+    maxAgeSeconds: config.cache.ttlSeconds.quote,
+    retainSeconds: Math.max(4 * 24 * 3600, config.cache.staleIfErrorSeconds),
+  },
+};
+
+// Passthrough routes of the upstreamRoutes.js table exposed at /api/upstream (all of them unless UPSTREAM_ROUTES is set)
+const allUpstreamRoutes = compileRoutes(UPSTREAM_ROUTES);
+const upstreamRoutes = new Map([...allUpstreamRoutes].filter(([name]) => config.upstreamRoutes.length === 0 || config.upstreamRoutes.includes(name)));
+// Cache policy of each passthrough route, built from its TTL like CACHE_POLICIES
+const upstreamRoutePolicies = new Map([...upstreamRoutes.values()].map(route => [route.name, {
+  maxAgeSeconds: route.cacheTtlSeconds,
+  retainSeconds: Math.max(route.cacheTtlSeconds, config.cache.staleIfErrorSeconds),
+  changesAfterClose: route.changesAfterClose,
+}]));
+
+// Top-level fields of the normalized stock data (see shared/stockAdapter.js) that /api/v2/stock can select.
+const NORMALIZED_STOCK_FIELDS = [
+  'id', 'companyName', 'companyProfile', 'currentPrice', 'financialStatements', 'keyMetrics', 'technicalIndicators',
+  'analystSentiment', 'primaryCompanyPeerData', 'actualPeers', 'news', 'shareHoldingPattern',
+];
+// Fields that do not depend on the live price. Requests selecting only these accept older cached payloads.
+const SLOW_CHANGING_STOCK_FIELDS = ['id', 'companyName', 'financialStatements', 'shareHoldingPattern'];
+
+// Number of results returned by /api/symbols/search by default, and at most
+const SYMBOL_SEARCH_DEFAULT_LIMIT = 10;
+const SYMBOL_SEARCH_MAX_LIMIT = 50;
 
 // === Routes ===
 
@@ -49,73 +320,195 @@ app.get('/', (req, res) => {
 });
 
 /**
- * Makes a single API call to the external stock service using a provided symbol and API key.
- * @async
- * @param {string} symbol - The stock symbol (e.g., "RELIANCE").
- * @param {string} apiKey - The API key to use for the request.
- * @returns {Promise<object>} A promise that resolves with the Axios response object on success.
- * @throws {Error} Throws an error if the API call fails (Axios error object).
- */
-const makeApiCall = async (symbol, apiKey) => {
-  return axios.get(`${BASE_URL}/stock`, {
-    params: {
-      name: symbol.toUpperCase(), // Ensure symbol is uppercase as expected by external API
+ * GET /healthz
+ * Liveness probe: answers 200 as long as the process can serve requests. It checks nothing else,
+ * so an orchestrator restarts the process only when it is stuck, not when a dependency is down.
+ */
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok', uptimeSeconds: Math.floor(process.uptime()) });
+});
+
+/**
+ * GET /readyz
+ * Readiness probe: reports whether the server can answer data requests.
+ * - apiKeys: keys are configured (not needed in fixtures mode), and how many are usable right now.
+ * - upstream: the circuit state and when the external API last answered successfully.
+ * - cache: the response cache store is usable (the disk store's directory is writable).
+ * - database: MongoDB is connected, when MONGO_URI is set.
+ * Status is 'ready', 'degraded' when an optional check fails (the upstream, whose outages are covered by
+ * stale cached data, or the database, which only holds snapshots), or 'not_ready' with a 503 when
+ * API keys or the cache are unusable. During a graceful shutdown it answers 503 'shutting_down'.
+ */
+app.get('/readyz', async (req, res) => {
+  if (shutdown && shutdown.isShuttingDown()) {
+    return res.status(503).json({ status: 'shutting_down' });
+  }
+  const circuit = upstreamBreaker.status();
+  const keys = keyPool.status().keys;
+  const databaseConnected = mongoose.connection.readyState === 1;
+  const checks = {
+    apiKeys: {
+      ok: !upstream.usesApiKeys || keys.length > 0,
+      required: true,
+      configured: keys.length,
+      available: keys.filter(key => key.available).length,
     },
-    headers: {
-      'X-API-Key': apiKey // Pass the API key in the X-API-Key header
-    }
+    cache: { ...(await responseCache.checkStore()), required: true, store: responseCache.stats().store },
+    upstream: {
+      ok: circuit.state !== 'open',
+      required: false,
+      mode: upstream.mode,
+      circuit: circuit.state,
+      lastSuccessAt: circuit.lastSuccessAt,
+      lastFailure: circuit.lastFailure,
+    },
+    database: { ok: !config.mongoUri || databaseConnected, required: false, configured: !!config.mongoUri, connected: databaseConnected },
+  };
+  const failing = Object.values(checks).filter(check => !check.ok);
+  let status = 'ready';
+  if (failing.some(check => check.required)) status = 'not_ready';
+  else if (failing.length > 0) status = 'degraded';
+  res.status(status === 'not_ready' ? 503 : 200).json({ status, checks });
+});
+
+/**
+ * GET /api/health
+ * Reports the state of the external API circuit breaker, the response cache and in-flight calls.
+ * Status is 'degraded' while the circuit is not closed.
+ */
+app.get('/api/health', (req, res) => {
+  const circuit = upstreamBreaker.status();
+  res.json({
+    status: circuit.state === 'closed' ? 'ok' : 'degraded',
+    upstream: { mode: upstream.mode, circuit },
+    cache: responseCache.stats(),
+    inflight: upstreamInflight.stats(),
+    symbols: symbolMaster.status(),
+    snapshots: { configured: !!config.mongoUri, connected: snapshotStore.isAvailable() },
+    livePrices: priceStream.stats(),
+    alerts: alertEngine.stats(),
+    schemaDrift: driftMonitor.report().counts,
+    endOfDay: { enabled: config.eod.enabled, ...eodJob.stats() },
   });
+});
+
+/**
+ * GET /metrics
+ * Exposes request, external API, API key and cache metrics in the Prometheus text format.
+ */
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', metrics.contentType);
+  res.send(metrics.render());
+});
+
+/**
+ * Makes one call to the external API, recording its duration and outcome in the latency histogram.
+ * @async
+ * @param {string} endpointPath - The path of the external endpoint (e.g., "/stock").
+ * @param {object} params - Query parameters to send with the request.
+ * @param {object|null} keyEntry - The key pool entry to use, or null in fixtures mode.
+ * @returns {Promise<object>} The upstream response.
+ * @throws {Error} The upstream client's error.
+ */
+const timedUpstreamGet = async (endpointPath, params, keyEntry) => {
+  const endTimer = upstreamRequestDuration.startTimer({ endpoint: endpointPath, key: keyEntry ? keyEntry.name : 'none' });
+  try {
+    const response = await upstream.get(endpointPath, params, keyEntry ? keyEntry.value : null);
+    endTimer({ outcome: response.status });
+    return response;
+  } catch (error) {
+    endTimer({ outcome: error.response ? error.response.status : (error.code || 'error') });
+    throw error;
+  }
 };
 
 /**
- * Fetches stock data from the external API with an API key failover mechanism.
- * It iterates through the configured API_KEYS (primary, then backup if available).
- * If a call fails with an auth/rate-limit error (401, 403, 429), it tries the next key.
+ * Calls an endpoint of the external API with an API key failover mechanism.
+ * It iterates through the keys offered by the key pool (ordered by the configured strategy,
+ * skipping keys in cooldown or exhausted for the day).
+ * If a call fails with an auth/rate-limit error (401, 403, 429), the key is put in cooldown and the next key is tried.
  * For other errors, or if all keys fail, it throws an error.
  * @async
- * @param {string} symbol - The stock symbol to fetch data for.
- * @returns {Promise<object>} A promise that resolves with the stock data from the API on success.
+ * @param {string} endpointPath - The path of the external endpoint (e.g., "/stock").
+ * @param {object} params - Query parameters to send with the request.
+ * @param {string} description - A short description of the request, used in log messages (e.g., "RELIANCE").
+ * @returns {Promise<object>} A promise that resolves with the data from the API on success.
  * @throws {Error} Throws a custom error if all API keys fail or a non-retryable error occurs.
  *                 The error object will have `status` and `details` properties for HTTP errors.
  */
-const fetchStockDataWithFailover = async (symbol) => {
+const fetchWithFailoverUncoalesced = async (endpointPath, params, description) => {
   let lastError = null; // Store the last encountered error for final error reporting
 
+  if (!upstream.usesApiKeys) {
+    // Fixtures mode: no keys involved, serve the recorded response directly
+    const response = await retryWithBackoff(() => timedUpstreamGet(endpointPath, params, null), config.upstream.retry);
+    return response.data;
+  }
+
+  const candidateKeys = keyPool.candidates();
+  if (candidateKeys.length === 0) {
+    // Every key is cooling down or has used up its daily quota
+    logger.error('No API key available: all keys are cooling down or exhausted', { endpoint: endpointPath, description });
+    const error = new Error('All API keys are temporarily rate-limited or exhausted. Please try again later.');
+    error.status = 429;
+    error.local = true; // No external call was made
+    error.details = { message: 'No API key available', keys: keyPool.status().keys.map(key => ({ name: key.name, state: key.state, cooldownUntil: key.cooldownUntil })) };
+    throw error;
+  }
+
   // Iterate through the available API keys
-  for (let i = 0; i < API_KEYS.length; i++) {
-    const currentApiKey = API_KEYS[i];
-    const keyName = i === 0 ? 'PRIMARY' : 'BACKUP'; // For logging purposes
+  for (const keyEntry of candidateKeys) {
+    const keyName = keyEntry.name; // Non-secret name for logging purposes
 
     try {
-      console.log(`Attempting API call for ${symbol} with ${keyName} key (index ${i})`);
-      const response = await makeApiCall(symbol, currentApiKey);
+      logger.debug('Calling external API', { endpoint: endpointPath, description, key: keyName });
+      // Transient failures (timeouts, connection resets, 502/503/504) are retried with the same key
+      const response = await retryWithBackoff(() => timedUpstreamGet(endpointPath, params, keyEntry), {
+        ...config.upstream.retry,
+        onRetry: (retryError, attempt, delayMs) => {
+          keyPool.recordFailure(keyEntry, retryError.response ? retryError.response.status : null);
+          upstreamRetries.inc({ endpoint: endpointPath, key: keyName });
+          logger.warn('Transient external API failure, retrying', {
+            endpoint: endpointPath, description, key: keyName, cause: retryError.code || retryError.response?.status, attempt, delayMs,
+          });
+        },
+      });
+      keyPool.recordSuccess(keyEntry, response.status);
       return response.data; // Success: return the data from the API response
     } catch (error) {
       lastError = error; // Store the error
+      keyPool.recordFailure(keyEntry, error.response ? error.response.status : null);
       if (error.response) {
         // The request was made and the server responded with a status code
         // that falls out of the range of 2xx
-        console.error(`API call with ${keyName} key failed. Status: ${error.response.status}, Data: ${JSON.stringify(error.response.data)}`);
+        const status = error.response.status;
         // Check for specific error statuses that warrant trying the next key (auth issues, rate limits)
-        if (error.response.status === 401 || error.response.status === 403 || error.response.status === 429) {
-          console.log(`${keyName} key likely invalid or rate-limited. Trying next key if available.`);
+        if (status === 401 || status === 403 || status === 429) {
+          keyFailovers.inc({ key: keyName, status });
+          logger.warn('API key rejected and cooling down, trying next key if available', {
+            endpoint: endpointPath, description, key: keyName, status, upstreamData: error.response.data,
+          });
           // Continue to the next iteration of the loop to try the next key
         } else {
           // For other HTTP errors (e.g., 500 from external API, 404 not found), these are not key-related issues.
           // Re-throw the error immediately to be caught by the route handler. No need to try other keys.
-          console.log(`${keyName} key failed with non-retryable HTTP error ${error.response.status}. Failing fast.`);
+          logger.warn('External API call failed with a non-retryable status, failing fast', {
+            endpoint: endpointPath, description, key: keyName, status, upstreamData: error.response.data,
+          });
           throw error; 
         }
       } else {
         // Something happened in setting up the request that triggered an Error (e.g., network error, DNS issue)
-        console.error(`${keyName} key failed without a response object (e.g., network error): ${error.message}. Failing fast.`);
+        logger.error('External API call failed without a response (e.g., network error), failing fast', {
+          endpoint: endpointPath, description, key: keyName, error: error.message, code: error.code,
+        });
         throw error; // Re-throw for the main route handler to catch
       }
     }
   }
 
   // If the loop completes, it means all API keys were tried and failed with retryable errors (401/403/429)
-  console.error('All API keys failed or were exhausted for symbol:', symbol);
+  logger.error('All API keys failed or were exhausted', { endpoint: endpointPath, description });
   let finalError;
   if (lastError && lastError.response) {
     // This should be a 401, 403, or 429 error from the last attempt
@@ -128,8 +521,7 @@ const fetchStockDataWithFailover = async (symbol) => {
     finalError.status = lastError.status || 500; 
     finalError.details = lastError.data || { message: lastError.message };
   } else {
-    // This case should ideally not be reached if API_KEYS array has items.
-    // It might occur if API_KEYS was empty initially and the loop never ran.
+    // This case should ideally not be reached, since an empty candidate list is handled above.
     finalError = new Error('Failed to fetch data: No API keys were attempted or an unknown error occurred.');
     finalError.status = 500;
     finalError.details = { message: 'No API keys available or unknown issue.' };
@@ -137,49 +529,662 @@ const fetchStockDataWithFailover = async (symbol) => {
   throw finalError; // Throw the consolidated error
 };
 
+/**
+ * Calls an endpoint of the external API with key failover, sharing the call between concurrent
+ * identical requests. Callers that join an in-flight call receive its result or its error.
+ * The call goes through the circuit breaker, so it fails fast with a 503 while the upstream is down.
+ * Successful payloads are checked for schema drift.
+ * @async
+ * @param {string} endpointPath - The path of the external endpoint (e.g., "/stock").
+ * @param {object} params - Query parameters to send with the request.
+ * @param {string} description - A short description of the request, used in log messages.
+ * @returns {Promise<object>} A promise that resolves with the data from the API on success.
+ * @throws {Error} See `fetchWithFailoverUncoalesced`; also a 503 error with `circuitOpen` while the circuit is open.
+ */
+const fetchWithFailover = (endpointPath, params, description) => {
+  const paramString = Object.keys(params).sort().map(name => `${name}=${params[name]}`).join('&');
+  return upstreamInflight.run(`${endpointPath}?${paramString}`, async () => {
+    const data = await upstreamBreaker.execute(() => fetchWithFailoverUncoalesced(endpointPath, params, description));
+    driftMonitor.check(endpointPath, data, description); // Once per external call, not per coalesced request
+    return data;
+  });
+};
+
+/**
+ * Fetches stock data for a symbol from the external `/stock` endpoint, with API key failover.
+ * Every fetched payload is also saved as the symbol's snapshot for the day (when MongoDB is connected).
+ * @async
+ * @param {string} symbol - The stock symbol to fetch data for.
+ * @returns {Promise<object>} A promise that resolves with the stock data from the API on success.
+ * @throws {Error} See `fetchWithFailover`.
+ */
+const fetchStockDataWithFailover = async (symbol) => {
+  const data = await fetchWithFailover('/stock', {
+    name: symbol.toUpperCase(), // Ensure symbol is uppercase as expected by external API
+  }, symbol);
+  // Keep today's snapshot for the history routes, without delaying the response
+  // (`record` logs failed writes itself; the catch is for anything it did not expect, e.g., an odd payload)
+  snapshotStore.record(symbol.toUpperCase(), data)
+    .then(outcome => snapshotWrites.inc({ outcome }))
+    .catch(error => {
+      snapshotWrites.inc({ outcome: 'failed' });
+      logger.error('Failed to record stock snapshot', { symbol, error: error.message });
+    });
+  return data;
+};
+
+/**
+ * Fetches historical data for a symbol from the external `/historical_data` endpoint, with API key failover.
+ * @async
+ * @param {string} symbol - The stock symbol to fetch data for.
+ * @param {string} period - One of HISTORICAL_PERIODS (e.g., "1yr").
+ * @param {string} filter - One of HISTORICAL_FILTERS (e.g., "price").
+ * @returns {Promise<object>} A promise that resolves with the historical data from the API on success.
+ * @throws {Error} See `fetchWithFailover`.
+ */
+const fetchHistoricalDataWithFailover = async (symbol, period, filter) => {
+  return fetchWithFailover('/historical_data', {
+    stock_name: symbol.toUpperCase(),
+    period,
+    filter,
+  }, `${symbol} (${period}, ${filter})`);
+};
+
+/**
+ * Returns the oldest cached response a cache policy accepts right now. While the market is closed,
+ * prices cannot change, so anything fetched since the last close is as good as a new external call.
+ * This is what lets the end-of-day job's payloads serve the next morning's first loads.
+ * Policies with `changesAfterClose` (e.g., news) keep their maximum age around the clock.
+ * @param {object} policy - The cache policy (see CACHE_POLICIES).
+ * @returns {number} The maximum age in seconds.
+ */
+const maxAgeFor = (policy) => {
+  if (policy.changesAfterClose || marketClock.isOpen()) return policy.maxAgeSeconds;
+  const lastClose = marketClock.lastClose();
+  if (!lastClose) return policy.maxAgeSeconds;
+  return Math.max(policy.maxAgeSeconds, Math.floor((Date.now() - lastClose.getTime()) / 1000));
+};
+
+/**
+ * Returns cached data if a fresh enough entry exists, otherwise calls `fetcher` and caches its result.
+ * If the external API is down (upstream failure or open circuit), any retained entry is served stale instead.
+ * @async
+ * @param {string} cacheKey - The cache key (e.g., "stock:RELIANCE").
+ * @param {string} symbol - The symbol the data belongs to (used for purging).
+ * @param {object} policy - `{ maxAgeSeconds, retainSeconds, changesAfterClose }`; see CACHE_POLICIES.
+ * @param {Function} fetcher - Async function fetching the data from the external API.
+ * @returns {Promise<object>} `{ data, cacheStatus, ageSeconds, storedAt }` where cacheStatus is 'HIT', 'MISS' or 'STALE'
+ *                            and storedAt is when the data was fetched (ms since epoch).
+ * @throws {Error} The fetcher's error, if no stale entry can stand in for it.
+ */
+const fetchWithCache = async (cacheKey, symbol, policy, fetcher) => {
+  const cached = await responseCache.get(cacheKey, { symbol, maxAgeSeconds: maxAgeFor(policy) });
+  if (cached) {
+    return { data: cached.value, cacheStatus: 'HIT', ageSeconds: cached.ageSeconds, storedAt: cached.storedAt };
+  }
+  let data;
+  try {
+    data = await fetcher();
+  } catch (error) {
+    if (!isUpstreamFailure(error)) throw error;
+    const stale = await responseCache.get(cacheKey, { symbol, stale: true });
+    if (!stale) throw error;
+    logger.warn('Serving stale cached data because the external API failed', { cacheKey, ageSeconds: stale.ageSeconds, error: error.message });
+    return { data: stale.value, cacheStatus: 'STALE', ageSeconds: stale.ageSeconds, storedAt: stale.storedAt };
+  }
+  const storedAt = Date.now();
+  await responseCache.set(cacheKey, data, { symbol, ttlSeconds: policy.retainSeconds, storedAt });
+  return { data, cacheStatus: 'MISS', ageSeconds: 0, storedAt };
+};
+
+/**
+ * Sets the cache status and validator headers on a response.
+ * `X-Cache` is 'HIT', 'MISS' or 'STALE'; `Age` is the age of the cached data in seconds, and
+ * `Last-Modified` when it was fetched. `Cache-Control: no-cache` lets browsers keep the response but
+ * makes them revalidate it (If-None-Match / If-Modified-Since) every time, which costs a 304 when unchanged.
+ * The ETag is Express's default weak one (a hash of the JSON body); weak, because compressed and
+ * uncompressed bodies differ byte for byte.
+ * @param {object} res - The Express response object.
+ * @param {object} result - The result of `fetchWithCache`.
+ */
+const setCacheHeaders = (res, result) => {
+  res.set('X-Cache', result.cacheStatus);
+  res.set('Age', String(result.ageSeconds));
+  res.set('Last-Modified', new Date(result.storedAt).toUTCString());
+  res.set('Cache-Control', 'private, no-cache');
+};
+
+/**
+ * Sends an error response for a failed external API request.
+ * Determines the HTTP status, message and details from errors thrown by `fetchWithFailover`
+ * (or raw Axios errors) and logs them.
+ * @param {object} res - The Express response object.
+ * @param {Error} error - The error thrown while fetching data.
+ * @param {string} routeName - The route that failed (e.g., "/api/stock"), for logging.
+ * @param {string} symbol - The requested symbol, for logging.
+ */
+const sendUpstreamError = (res, error, routeName, symbol) => {
+  const status = error.status || (error.response ? error.response.status : 500); // Determine HTTP status code
+  const message = error.message || 'Error fetching data from external API after failover';
+  // error.details should come from our custom error in fetchWithFailover,
+  // error.response.data would be from an Axios error not caught and refined by failover logic (should be rare).
+  const details = error.details || (error.response ? error.response.data : { originalMessage: error.message });
+
+  apiErrors.inc({ route: routeName, status });
+  logger.error('Failed to fetch external data', {
+    route: routeName,
+    symbol,
+    status,
+    message,
+    details: details && Object.keys(details).length > 0 ? details : undefined, // Only log details if they are not empty
+  });
+
+  if (error.circuitOpen) {
+    res.set('Retry-After', String(details.retryAfterSeconds)); // Tell clients when the next trial call happens
+  }
+
+  // Send error response to the client
+  res.status(status).json({ message, details });
+};
+
+/**
+ * Extracts the quote fields of a /stock payload, for views that only need prices (e.g., watchlists).
+ * @param {object} data - The raw /stock payload from the external API.
+ * @returns {object} The quote summary.
+ */
+const summarizeQuote = (data) => ({
+  companyName: data.companyName || null,
+  nse: data.currentPrice?.NSE ?? null,
+  bse: data.currentPrice?.BSE ?? null,
+  percentChange: data.percentChange ?? null,
+  yearHigh: data.yearHigh ?? null,
+  yearLow: data.yearLow ?? null,
+});
+
+/**
+ * Responds with a 500 error if no API keys are configured on the server
+ * (unless the upstream runs in fixtures mode, which needs no keys).
+ * @param {object} res - The Express response object.
+ * @returns {boolean} True if a response was sent (i.e., no keys are configured).
+ */
+const rejectIfNoApiKeys = (res) => {
+  if (keyPool.size() > 0 || !upstream.usesApiKeys) return false;
+  logger.error('No API keys configured. Ensure API_KEYS (or PRIMARY_API_KEY/BACKUP_API_KEY) is set in .env');
+  res.status(500).json({ message: 'Server configuration error: No API keys available.' });
+  return true;
+};
+
+// Resolves the requested symbol (or company name), or responds with a 404 listing the closest matches
+const resolveSymbolOrReject = createSymbolResolver(symbolMaster);
+
+/**
+ * GET /api/symbols/search
+ * Searches the NSE equity master by symbol or company name, with ranked prefix and fuzzy matching
+ * (e.g., /api/symbols/search?q=tata%20st&limit=5). `limit` defaults to 10 (at most 50).
+ * Each result has the symbol, company name, series, listing date, ISIN, face value and match score.
+ */
+app.get('/api/symbols/search', async (req, res) => {
+  const query = String(req.query.q || '').trim();
+  if (!query) {
+    return res.status(400).json({ message: 'Search query (q) is required' });
+  }
+  const limit = req.query.limit === undefined ? SYMBOL_SEARCH_DEFAULT_LIMIT : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > SYMBOL_SEARCH_MAX_LIMIT) {
+    return res.status(400).json({ message: `Invalid limit '${req.query.limit}'. Use a whole number from 1 to ${SYMBOL_SEARCH_MAX_LIMIT}.` });
+  }
+
+  const results = await symbolMaster.search(query, limit);
+  if (!results) {
+    return res.status(503).json({ message: 'Symbol search is unavailable: the equity master could not be loaded.' });
+  }
+  res.json({ query, count: results.length, results });
+});
+
 /**
  * GET /api/stock
  * Route to fetch stock data for a given symbol.
- * Expects a 'symbol' query parameter (e.g., /api/stock?symbol=RELIANCE).
+ * Expects a 'symbol' query parameter (e.g., /api/stock?symbol=RELIANCE). A company name
+ * (e.g., symbol=Tata%20Steel) is resolved to its symbol; unknown symbols get a 404 with suggestions.
+ * Responses are cached (see CACHE_POLICIES.stock); the X-Cache and Age headers report cache status.
  * Uses `fetchStockDataWithFailover` to handle API calls and key rotation.
  */
 app.get('/api/stock', async (req, res) => {
   const { symbol } = req.query; // Extract stock symbol from query parameters
 
-  // Validate that the symbol parameter is provided
-  if (!symbol) {
-    return res.status(400).json({ message: 'Stock symbol (name) is required' });
+  // Validate that the symbol parameter is provided, once
+  const symbolError = symbolParamError(symbol);
+  if (symbolError) {
+    return res.status(400).json({ message: symbolError });
   }
 
+  // Check the symbol against the equity master; company names are resolved to their symbol
+  const normalizedSymbol = await resolveSymbolOrReject(res, symbol);
+  if (!normalizedSymbol) return;
+
   // Check if any API keys are configured on the server
-  if (API_KEYS.length === 0) {
-    console.error('Server Error: No API keys configured. Ensure PRIMARY_API_KEY and/or BACKUP_API_KEY are set in .env');
-    return res.status(500).json({ message: 'Server configuration error: No API keys available.' });
+  if (rejectIfNoApiKeys(res)) return;
+
+  try {
+    // Serve from cache if possible, otherwise fetch stock data using the failover logic
+    const result = await fetchWithCache(`stock:${normalizedSymbol}`, normalizedSymbol, CACHE_POLICIES.stock,
+      () => fetchStockDataWithFailover(normalizedSymbol));
+    setCacheHeaders(res, result);
+    res.json(result.data); // Send successful data response to the client
+  } catch (error) {
+    sendUpstreamError(res, error, '/api/stock', symbol);
+  }
+});
+
+/**
+ * GET /api/v2/stock
+ * Route to fetch stock data for a given symbol, normalized by the shared adapter
+ * (the same structure the client used to build in the browser).
+ * Expects a 'symbol' query parameter and accepts an optional comma-separated 'fields' parameter
+ * selecting top-level fields (e.g., /api/v2/stock?symbol=RELIANCE&fields=companyProfile,currentPrice).
+ * When only slow-changing fields are selected, cached payloads up to CACHE_TTL_PROFILE_SECONDS old are used.
+ * Symbols are checked and resolved like /api/stock.
+ */
+app.get('/api/v2/stock', async (req, res) => {
+  const { symbol } = req.query;
+
+  const symbolError = symbolParamError(symbol);
+  if (symbolError) {
+    return res.status(400).json({ message: symbolError });
   }
 
+  const fields = req.query.fields
+    ? [...new Set(String(req.query.fields).split(',').map(field => field.trim()).filter(field => !!field))]
+    : null;
+  const unknownFields = (fields || []).filter(field => !NORMALIZED_STOCK_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    return res.status(400).json({ message: `Unknown field(s): ${unknownFields.join(', ')}. Allowed values: ${NORMALIZED_STOCK_FIELDS.join(', ')}` });
+  }
+
+  const normalizedSymbol = await resolveSymbolOrReject(res, symbol);
+  if (!normalizedSymbol) return;
+
+  if (rejectIfNoApiKeys(res)) return;
+
+  const onlySlowFields = !!fields && fields.length > 0 && fields.every(field => SLOW_CHANGING_STOCK_FIELDS.includes(field));
+
+  try {
+    const result = await fetchWithCache(`stock:${normalizedSymbol}`, normalizedSymbol,
+      onlySlowFields ? CACHE_POLICIES.stockProfile : CACHE_POLICIES.stock,
+      () => fetchStockDataWithFailover(normalizedSymbol));
+    const normalized = transformStockDataApiResponse(result.data);
+    setCacheHeaders(res, result);
+    if (!fields || fields.length === 0) {
+      return res.json(normalized);
+    }
+    res.json(Object.fromEntries(fields.map(field => [field, normalized[field]])));
+  } catch (error) {
+    sendUpstreamError(res, error, '/api/v2/stock', symbol);
+  }
+});
+
+/**
+ * GET /api/historical
+ * Route to fetch historical data (price, P/E, volume, etc.) for a given symbol.
+ * Expects 'symbol', 'period' and 'filter' query parameters
+ * (e.g., /api/historical?symbol=RELIANCE&period=1yr&filter=price).
+ * 'period' and 'filter' are validated against HISTORICAL_PERIODS and HISTORICAL_FILTERS,
+ * and the symbol is checked and resolved like /api/stock.
+ * Responses are cached (see CACHE_POLICIES.historical).
+ * Uses `fetchHistoricalDataWithFailover` to handle API calls and key rotation.
+ */
+app.get('/api/historical', async (req, res) => {
+  const { symbol, period = '1yr', filter = 'price' } = req.query;
+
+  const symbolError = symbolParamError(symbol);
+  if (symbolError) {
+    return res.status(400).json({ message: symbolError });
+  }
+  if (!HISTORICAL_PERIODS.includes(period)) {
+    return res.status(400).json({ message: `Invalid period '${period}'. Allowed values: ${HISTORICAL_PERIODS.join(', ')}` });
+  }
+  if (!HISTORICAL_FILTERS.includes(filter)) {
+    return res.status(400).json({ message: `Invalid filter '${filter}'. Allowed values: ${HISTORICAL_FILTERS.join(', ')}` });
+  }
+
+  const normalizedSymbol = await resolveSymbolOrReject(res, symbol);
+  if (!normalizedSymbol) return;
+
+  if (rejectIfNoApiKeys(res)) return;
+
   try {
-    // Attempt to fetch stock data using the failover logic
-    const data = await fetchStockDataWithFailover(symbol);
-    res.json(data); // Send successful data response to the client
+    const result = await fetchWithCache(`historical:${normalizedSymbol}:${period}:${filter}`, normalizedSymbol, CACHE_POLICIES.historical,
+      () => fetchHistoricalDataWithFailover(normalizedSymbol, period, filter));
+    setCacheHeaders(res, result);
+    res.json(result.data);
   } catch (error) {
-    // Handle errors thrown by fetchStockDataWithFailover or other unexpected errors
-    const status = error.status || (error.response ? error.response.status : 500); // Determine HTTP status code
-    const message = error.message || 'Error fetching stock data from external API after failover';
-    // error.details should come from our custom error in fetchStockDataWithFailover,
-    // error.response.data would be from an Axios error not caught and refined by failover logic (should be rare).
-    const details = error.details || (error.response ? error.response.data : { originalMessage: error.message });
-
-    console.error(`Error in /api/stock for symbol '${symbol}' - Status: ${status}, Message: ${message}`);
-    if (details && Object.keys(details).length > 0) { // Log details if they exist and are not empty
-        console.error(`Error in /api/stock for symbol '${symbol}' - Details: ${JSON.stringify(details, null, 2)}`);
+    sendUpstreamError(res, error, '/api/historical', symbol);
+  }
+});
+
+/**
+ * Fetches a passthrough route (see upstreamRoutes.js) from its external endpoint, with caching
+ * (the route's TTL) and API key failover.
+ * @async
+ * @param {object} route - The compiled route.
+ * @param {object} params - Validated query parameters, by upstream name.
+ * @param {string|null} symbol - The resolved symbol, if the route takes one (used for purging).
+ * @returns {Promise<object>} See `fetchWithCache`.
+ * @throws {Error} See `fetchWithFailover`.
+ */
+const fetchUpstreamRoute = (route, params, symbol) => {
+  const paramString = Object.keys(params).sort().map(name => `${name}=${params[name]}`).join('&');
+  return fetchWithCache(`upstream:${route.name}?${paramString}`, symbol, upstreamRoutePolicies.get(route.name),
+    () => fetchWithFailover(route.upstreamPath, params, symbol ? `${route.name} ${symbol}` : route.name));
+};
+
+/**
+ * GET /api/stocks
+ * Route to fetch quotes for several symbols at once (e.g., /api/stocks?symbols=TATASTEEL,INFY).
+ * Symbols are fetched with at most BATCH_CONCURRENCY concurrent external calls, using the same
+ * cache and key failover as /api/stock. Each symbol gets its own success or error entry, so one
+ * failing symbol does not fail the whole batch. Symbols are checked and resolved like /api/stock;
+ * a company name resolved to a different symbol is reported in `resolvedSymbol`.
+ */
+app.get('/api/stocks', async (req, res) => {
+  const symbols = [...new Set(String(req.query.symbols || '')
+    .split(',')
+    .map(symbol => symbol.trim().toUpperCase())
+    .filter(symbol => !!symbol))];
+
+  if (symbols.length === 0) {
+    return res.status(400).json({ message: 'At least one stock symbol is required (symbols=A,B,C)' });
+  }
+  if (symbols.length > config.batch.maxSymbols) {
+    return res.status(400).json({ message: `Too many symbols: ${symbols.length}. The maximum per request is ${config.batch.maxSymbols}.` });
+  }
+
+  if (rejectIfNoApiKeys(res)) return;
+
+  const results = await mapWithConcurrency(symbols, config.batch.concurrency, async (symbol) => {
+    const resolution = await symbolMaster.resolve(symbol);
+    if (resolution.available && !resolution.symbol) {
+      apiErrors.inc({ route: '/api/stocks', status: 404 });
+      return { symbol, ok: false, error: { status: 404, message: `Unknown stock symbol or company name '${symbol}'`, suggestions: resolution.suggestions } };
+    }
+    const resolvedSymbol = resolution.symbol || symbol;
+    try {
+      const result = await fetchWithCache(`stock:${resolvedSymbol}`, resolvedSymbol, CACHE_POLICIES.stock,
+        () => fetchStockDataWithFailover(resolvedSymbol));
+      return {
+        symbol,
+        ...(resolvedSymbol !== symbol ? { resolvedSymbol } : {}),
+        ok: true,
+        cache: result.cacheStatus,
+        quote: summarizeQuote(result.data),
+      };
+    } catch (error) {
+      const status = error.status || (error.response ? error.response.status : 500);
+      apiErrors.inc({ route: '/api/stocks', status });
+      logger.error('Failed to fetch external data', { route: '/api/stocks', symbol, status, message: error.message });
+      return { symbol, ok: false, error: { status, message: error.message } };
+    }
+  });
+
+  const failed = results.filter(result => !result.ok).length;
+  res.json({ count: results.length, succeeded: results.length - failed, failed, results });
+});
+
+/**
+ * Reports the daily API key quota left, for the background work that must leave part of it to the dashboard.
+ * @returns {object} `{ remaining, used }`: calls left today across the available keys (null if unlimited) and calls made.
+ */
+const keyPoolQuota = () => {
+  const { dailyLimit, keys } = keyPool.status();
+  return {
+    // Without a daily limit (or API keys, in fixtures mode) the quota is unlimited
+    remaining: dailyLimit && upstream.usesApiKeys
+      ? keys.filter(key => key.available).reduce((sum, key) => sum + key.remainingToday, 0)
+      : null,
+    used: keys.reduce((sum, key) => sum + key.usedToday, 0),
+  };
+};
+
+// Live price stream. Quotes come from the cached /stock payload (refreshed every poll interval),
+// so many clients watching the same symbol cost one external call per interval.
+const priceStream = createPriceStream({
+  ...config.livePrices,
+  concurrency: config.batch.concurrency,
+  marketClock,
+  fetchQuote: async (symbol) => {
+    const result = await fetchWithCache(`stock:${symbol}`, symbol, CACHE_POLICIES.livePrice,
+      () => fetchStockDataWithFailover(symbol));
+    return summarizeQuote(result.data);
+  },
+  quota: keyPoolQuota,
+});
+metrics.gauge('live_price_clients', 'Clients connected to the live price stream.', () => priceStream.stats().clients);
+metrics.gauge('live_price_symbols', 'Symbols currently polled for live prices.', () => priceStream.stats().symbols);
+metrics.collectedCounter('live_price_updates_total', 'Changed quotes pushed to live price subscribers.', () => priceStream.stats().updatesPushed);
+metrics.collectedCounter('live_price_polls_skipped_total', 'Live price polls skipped to leave the daily API key quota to the dashboard.', () => priceStream.stats().pollsSkippedForQuota);
+
+/**
+ * GET /api/stream/prices
+ * Server-Sent Events stream of live prices (e.g., /api/stream/prices?symbols=TATASTEEL,INFY).
+ * While the market is open, subscribed symbols are polled every LIVE_PRICE_INTERVAL_SECONDS and a
+ * `price` event is sent only when a quote changes; `status` events report whether the market is open.
+ * Symbols are checked and resolved like /api/stock (all must be known).
+ */
+app.get('/api/stream/prices', async (req, res) => {
+  const requested = [...new Set(String(req.query.symbols || '')
+    .split(',')
+    .map(symbol => symbol.trim().toUpperCase())
+    .filter(symbol => !!symbol))];
+
+  if (requested.length === 0) {
+    return res.status(400).json({ message: 'At least one stock symbol is required (symbols=A,B,C)' });
+  }
+  if (requested.length > config.livePrices.maxSymbols) {
+    return res.status(400).json({ message: `Too many symbols: ${requested.length}. The maximum per stream is ${config.livePrices.maxSymbols}.` });
+  }
+
+  const resolutions = await Promise.all(requested.map(symbol => symbolMaster.resolve(symbol)));
+  const unknown = requested.filter((symbol, index) => resolutions[index].available && !resolutions[index].symbol);
+  if (unknown.length > 0) {
+    return res.status(404).json({ message: `Unknown stock symbol(s): ${unknown.join(', ')}` });
+  }
+
+  if (rejectIfNoApiKeys(res)) return;
+
+  const symbols = [...new Set(requested.map((symbol, index) => resolutions[index].symbol || symbol))];
+  // Streams are capped per IP address: a token may be shared by every dashboard user (see the README)
+  const refusal = priceStream.refusal(req.ip, symbols);
+  if (refusal) return res.status(refusal.status).json({ message: refusal.message });
+  priceStream.subscribe(req, res, symbols, req.ip);
+});
+
+// Price and indicator alerts. Quotes and the one-year price history come through the response cache,
+// so rules on a symbol someone is viewing cost no extra external calls.
+const alertStore = createAlertStore(config.alerts.file);
+const alertEngine = createAlertEngine({
+  store: alertStore,
+  intervalSeconds: config.alerts.intervalSeconds,
+  concurrency: config.batch.concurrency,
+  marketClock,
+  webhook: createWebhookSender(config.alerts.webhook),
+  fetchInputs: async (symbol, withHistory) => {
+    const [stock, historical] = await Promise.all([
+      fetchWithCache(`stock:${symbol}`, symbol, CACHE_POLICIES.stock, () => fetchStockDataWithFailover(symbol)),
+      withHistory
+        ? fetchWithCache(`historical:${symbol}:1yr:price`, symbol, CACHE_POLICIES.historical,
+          () => fetchHistoricalDataWithFailover(symbol, '1yr', 'price'))
+        : null,
+    ]);
+    return marketInputs(stock.data, historical ? historical.data : null);
+  },
+});
+metrics.collectedCounter('alert_evaluations_total', 'Scheduled or on-demand alert evaluation runs.', () => alertEngine.stats().runs);
+metrics.collectedCounter('alert_webhook_deliveries_total', 'Alert firings by webhook delivery outcome (delivered, failed, skipped).',
+  () => Object.entries(alertEngine.stats().deliveries).map(([outcome, value]) => ({ labels: { outcome }, value })));
+
+app.use('/api/alerts', createAlertRouter({ alertStore, alertEngine, resolveSymbolOrReject, maxRules: config.alerts.maxRules }));
+
+// Daily snapshot history (price, valuation, analyst and shareholding trends)
+app.use('/api/snapshots', createSnapshotRouter({ snapshotStore }));
+
+// Passthrough routes for the additional external endpoints of upstreamRoutes.js
+app.use('/api/upstream', createUpstreamRouter({
+  routes: upstreamRoutes, fetchRoute: fetchUpstreamRoute, resolveSymbolOrReject, rejectIfNoApiKeys, setCacheHeaders, sendUpstreamError,
+}));
+
+// End-of-day job. After the close, the configured universe is fetched once through the response cache
+// (a symbol someone already opened after the close costs nothing) and kept until the next session.
+const eodStore = createEodStore(config.eod.dir);
+
+/**
+ * Fetches a payload for the end-of-day job and keeps it in the response cache until the next session.
+ * @async
+ * @param {string} cacheKey - The cache key (e.g., "stock:RELIANCE").
+ * @param {string} symbol - The symbol.
+ * @param {Function} fetcher - Async function fetching the data from the external API.
+ * @returns {Promise<object>} The result of `fetchWithCache` ('HIT' or 'MISS').
+ * @throws {Error} If the external call failed, including when only stale data could be served.
+ */
+const fetchForEndOfDay = async (cacheKey, symbol, fetcher) => {
+  const result = await fetchWithCache(cacheKey, symbol, CACHE_POLICIES.endOfDay, fetcher);
+  if (result.cacheStatus === 'STALE') {
+    const error = new Error(`External API unavailable; only data from ${result.ageSeconds} seconds ago is cached`);
+    error.status = 503;
+    throw error;
+  }
+  if (result.cacheStatus === 'HIT') {
+    // Already fetched since the close: keep it as long as the job's own payloads
+    await responseCache.set(cacheKey, result.data, {
+      symbol, ttlSeconds: CACHE_POLICIES.endOfDay.retainSeconds, storedAt: result.storedAt,
+    });
+  }
+  return result;
+};
+
+const eodJob = createEodJob({
+  store: eodStore,
+  marketClock,
+  delayMinutes: config.eod.delayMinutes,
+  concurrency: config.eod.concurrency,
+  callsPerSymbol: config.eod.historical ? 2 : 1,
+  reserveCalls: config.eod.reserveCalls,
+  maxCalls: config.eod.maxCalls,
+  loadUniverse: async () => {
+    const requested = config.eod.symbols.map(symbol => symbol.toUpperCase());
+    if (config.eod.symbolsFile) requested.push(...await readSymbolsFile(config.eod.symbolsFile));
+    const symbols = new Set();
+    const rejected = [];
+    for (const query of new Set(requested)) {
+      const resolution = await symbolMaster.resolve(query);
+      if (!resolution.available) symbols.add(query); // No symbol master: pass symbols through unchecked
+      else if (resolution.symbol) symbols.add(resolution.symbol);
+      else rejected.push({ symbol: query, error: `Unknown stock symbol or company name '${query}'` });
     }
+    return { symbols: [...symbols], rejected };
+  },
+  fetchSymbol: async (symbol) => {
+    const stock = await fetchForEndOfDay(`stock:${symbol}`, symbol, () => fetchStockDataWithFailover(symbol));
+    const historical = config.eod.historical
+      ? await fetchForEndOfDay(`historical:${symbol}:1yr:price`, symbol, () => fetchHistoricalDataWithFailover(symbol, '1yr', 'price'))
+      : null;
+    return {
+      stock: stock.data,
+      historical: historical ? historical.data : null,
+      cached: stock.cacheStatus === 'HIT' && (!historical || historical.cacheStatus === 'HIT'),
+    };
+  },
+  quota: keyPoolQuota,
+});
 
-    // Send error response to the client
-    res.status(status).json({ message, details });
+/**
+ * Puts the payloads of the latest end-of-day runs back into the response cache after a restart,
+ * with the time they were fetched, so they are served exactly as fresh as they are.
+ * @async
+ * @returns {Promise<number>} The number of symbols restored.
+ */
+const restoreEndOfDayPayloads = async () => {
+  const entries = await eodStore.list();
+  let restored = 0;
+  for (const entry of entries) {
+    const storedAt = Date.parse(entry.fetchedAt);
+    if (!(Date.now() - storedAt < CACHE_POLICIES.endOfDay.retainSeconds * 1000)) continue; // Too old to be useful
+    const options = { symbol: entry.symbol, ttlSeconds: CACHE_POLICIES.endOfDay.retainSeconds, storedAt };
+    await responseCache.set(`stock:${entry.symbol}`, entry.stock, options);
+    if (entry.historical) await responseCache.set(`historical:${entry.symbol}:1yr:price`, entry.historical, options);
+    restored++;
   }
+  return restored;
+};
+
+metrics.gauge('eod_last_run_symbols', 'Symbols of the latest end-of-day run, by outcome (ok, failed, skipped).', () => {
+  const { lastRun } = eodJob.stats();
+  if (!lastRun) return [];
+  return [
+    { labels: { outcome: 'ok' }, value: lastRun.succeeded },
+    { labels: { outcome: 'failed' }, value: lastRun.failed },
+    { labels: { outcome: 'skipped' }, value: lastRun.skipped },
+  ];
+});
+metrics.gauge('eod_last_run_timestamp_seconds', 'When the latest end-of-day run finished (Unix time).', () => {
+  const { lastRun } = eodJob.stats();
+  return lastRun ? Math.floor(Date.parse(lastRun.finishedAt) / 1000) : [];
 });
 
+// Admin routes (cache, API key status, API tokens, schema drift, the end-of-day job and configuration),
+// protected by ADMIN_TOKEN
+app.use('/api/admin', createAdminRouter({
+  adminToken: config.adminToken, responseCache, keyPool, tokenStore, driftMonitor, eodJob, eodStore,
+  configReport: { config: redactConfig(config), warnings: configCheck.warnings },
+}));
+
+// Load the symbol master now rather than on the first request
+symbolMaster.load();
+
+// Delete the disk cache files of expired entries
+if (config.cache.store === 'disk') {
+  responseCache.sweepDisk()
+    .then(({ checked, removed }) => logger.info('Swept expired disk cache entries', { checked, removed }))
+    .catch(error => logger.error('Failed to sweep the disk cache', { dir: config.cache.dir, error: error.message }));
+}
+
+// Load the alert rules and start evaluating them
+alertStore.load()
+  .catch(error => logger.error('Failed to load alert rules', { filePath: config.alerts.file, error: error.message }));
+alertEngine.start();
+
+// Restore the latest end-of-day payloads and start the end-of-day schedule
+if (config.eod.enabled) {
+  restoreEndOfDayPayloads()
+    .then(restored => logger.info('Restored end-of-day payloads', { symbols: restored }))
+    .catch(error => logger.error('Failed to restore end-of-day payloads', { dir: config.eod.dir, error: error.message }));
+  eodJob.start();
+}
+
+// Load the issued API tokens
+tokenStore.load()
+  .catch(error => logger.error('Failed to load API tokens', { filePath: config.auth.tokensFile, error: error.message }));
+if (!config.auth.requireToken) {
+  logger.warn('API tokens are not required (REQUIRE_API_TOKEN is off); /api/* is open to any client within the IP rate limit');
+}
+
 // Start the server and listen on the defined PORT
-app.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
+const server = app.listen(PORT, () => {
+  logger.info('Server is running', { port: PORT, upstreamMode: upstream.mode });
+});
+
+// === Graceful Shutdown ===
+// On SIGTERM/SIGINT: stop accepting connections, end live price streams and schedules, let in-flight
+// requests finish, then flush pending writes and disconnect from MongoDB (see lib/shutdown.js).
+shutdown = createShutdown({
+  server,
+  timeoutSeconds: config.shutdownTimeoutSeconds,
+  stopWork: () => {
+    priceStream.close(); // Ends the SSE responses, which would otherwise keep the server open
+    rateLimiter.stop();
+    dailyRateLimiter.stop();
+    return Promise.all([alertEngine.stop(), eodJob.stop()]); // An end-of-day run stops after the symbols in flight
+  },
+  flush: async () => {
+    await Promise.all([snapshotStore.flush(), alertStore.flush(), tokenStore.flush(), eodStore.flush()]);
+    if (config.mongoUri) await mongoose.disconnect();
+  },
 }); 
\ No newline at end of file
@@ -0,0 +1,112 @@
+/**
+ * @file upstreamRoutes.js
+ * @description Table of additional external API endpoints exposed at /api/upstream/:name
+ * (see routes/upstream.js). Exposing a new endpoint means adding an entry here; the route gets
+ * query parameter validation, caching, API key failover, the circuit breaker and call coalescing
+ * like /api/stock. Only declared parameters are forwarded, and UPSTREAM_ROUTES can limit the
+ * exposed routes to a subset of this table.
+ *
+ * Route fields:
+ * - name: the route's name in /api/upstream/:name (lowercase letters, digits and dashes).
+ * - upstreamPath: the external endpoint path.
+ * - description: shown by GET /api/upstream.
+ * - params: allowed query parameters by name; see lib/passthrough.js for the types and options.
+ * - cacheTtlSeconds: the oldest cached response served.
+ * - changesAfterClose: false for market data (prices, movers), whose cached responses stay fresh
+ *   from the close until the next session like /api/stock; true (default) for news, IPOs, filings...
+ */
+
+// Statements of /historical_stats
+const HISTORICAL_STATS = [
+  'quarter_results', 'yoy_results', 'balancesheet', 'cashflow', 'ratios',
+  'shareholding_pattern_quarterly', 'shareholding_pattern_yearly',
+];
+
+const UPSTREAM_ROUTES = [
+  {
+    name: 'trending',
+    upstreamPath: '/trending',
+    description: 'Top gainers and losers of the day',
+    cacheTtlSeconds: 300,
+    changesAfterClose: false,
+  },
+  {
+    name: 'most-active-nse',
+    upstreamPath: '/NSE_most_active',
+    description: 'Most actively traded stocks on the NSE',
+    cacheTtlSeconds: 300,
+    changesAfterClose: false,
+  },
+  {
+    name: 'most-active-bse',
+    upstreamPath: '/BSE_most_active',
+    description: 'Most actively traded stocks on the BSE',
+    cacheTtlSeconds: 300,
+    changesAfterClose: false,
+  },
+  {
+    name: 'price-shockers',
+    upstreamPath: '/price_shockers',
+    description: 'Stocks with sudden price moves',
+    cacheTtlSeconds: 300,
+    changesAfterClose: false,
+  },
+  {
+    name: '52-week-high-low',
+    upstreamPath: '/fetch_52_week_high_low_data',
+    description: 'Stocks at their 52-week high or low',
+    cacheTtlSeconds: 900,
+    changesAfterClose: false,
+  },
+  {
+    name: 'news',
+    upstreamPath: '/news',
+    description: 'Latest market news',
+    cacheTtlSeconds: 900,
+  },
+  {
+    name: 'ipo',
+    upstreamPath: '/ipo',
+    description: 'Upcoming, active and recently listed IPOs',
+    cacheTtlSeconds: 3600,
+  },
+  {
+    name: 'industry-search',
+    upstreamPath: '/industry_search',
+    description: 'Companies of an industry',
+    params: {
+      query: { type: 'string', required: true, maxLength: 50, pattern: /^[A-Za-z0-9 &.,-]+$/ },
+    },
+    cacheTtlSeconds: 24 * 60 * 60,
+  },
+  {
+    name: 'corporate-actions',
+    upstreamPath: '/corporate_actions',
+    description: 'Dividends, splits, bonuses and board meetings of a company',
+    params: {
+      symbol: { type: 'symbol', required: true, upstreamName: 'stock_name' },
+    },
+    cacheTtlSeconds: 6 * 60 * 60,
+  },
+  {
+    name: 'recent-announcements',
+    upstreamPath: '/recent_announcements',
+    description: 'Recent exchange announcements of a company',
+    params: {
+      symbol: { type: 'symbol', required: true, upstreamName: 'stock_name' },
+    },
+    cacheTtlSeconds: 30 * 60,
+  },
+  {
+    name: 'historical-stats',
+    upstreamPath: '/historical_stats',
+    description: 'Quarterly and yearly statements, ratios and shareholding history of a company',
+    params: {
+      symbol: { type: 'symbol', required: true, upstreamName: 'stock_name' },
+      stats: { type: 'enum', values: HISTORICAL_STATS, default: 'quarter_results' },
+    },
+    cacheTtlSeconds: 6 * 60 * 60,
+  },
+];
+
+module.exports = { UPSTREAM_ROUTES };
@@ -0,0 +1,58 @@
+// dataUtils.js
+// Data access helpers shared by the server and the client:
+// - The default N/A string used wherever a value is missing.
+// - A safe accessor for deeply nested, possibly incomplete API payloads.
+// - Extraction of the primary company's entry from its own peer list.
+// The client's utils.js re-exports these, so both sides treat missing data the same way.
+
+// Default string for N/A (Not Available) values
+const DEFAULT_NA_STRING = 'N/A';
+
+/**
+ * Safely retrieves a value from a nested object structure using a function.
+ * @param {function} fn - A function that, when called, returns the desired value.
+ * @param {*} [defaultValue=DEFAULT_NA_STRING] - The value to return if retrieval fails or value is null/undefined.
+ * @returns {*} The retrieved value or the default value.
+ */
+const getSafe = (fn, defaultValue = DEFAULT_NA_STRING) => {
+  try {
+    const value = fn();
+    // Check for undefined, null, or empty string
+    if (value === undefined || value === null || value === '') {
+      return defaultValue;
+    }
+    // Handle cases where API might return a single hyphen for N/A
+    if (typeof value === 'string' && value.trim() === '-') {
+      return defaultValue;
+    }
+    return value;
+  } catch (e) {
+    // Catch any errors during function execution (e.g., accessing property of undefined)
+    return defaultValue;
+  }
+};
+
+/**
+ * Extracts primary company data from a list of peer companies.
+ * Tries to match based on NSE exchange code first, then by company name.
+ * @param {object} stockJSON - The raw stock data object (pre-adapter, it contains the peer list structure directly).
+ * @param {function} getSafeFnRef - Reference to the getSafe function.
+ * @returns {object} The primary company's data object from the peer list, or an empty object if not found.
+ */
+const getPrimaryCompanyDataFromPeerList = (stockJSON, getSafeFnRef) => {
+  const peers = getSafeFnRef(() => stockJSON.companyProfile.peerCompanyList, []);
+  const nseCode = getSafeFnRef(() => stockJSON.companyProfile.exchangeCodeNse, '').toUpperCase();
+  let companyData = peers.find(p => getSafeFnRef(() => p.tickerId, '').toUpperCase() === nseCode);
+  if (companyData) return companyData;
+  const currentCompanyName = getSafeFnRef(() => stockJSON.companyName, '').toLowerCase();
+  if (currentCompanyName) {
+    companyData = peers.find(p => getSafeFnRef(() => p.companyName, '').toLowerCase().includes(currentCompanyName.split(' ')[0]));
+  }
+  return companyData || {};
+};
+
+module.exports = {
+  DEFAULT_NA_STRING,
+  getSafe,
+  getPrimaryCompanyDataFromPeerList,
+};
@@ -0,0 +1,11 @@
+// historical.js
+// Options of the external historical data endpoint, shared by the server (which validates
+// /api/historical requests against them) and the client (which offers them in the Historical Data tab).
+
+// Periods the price history can cover
+const HISTORICAL_PERIODS = ['1m', '6m', '1yr', '3yr', '5yr', '10yr', 'max'];
+
+// Series the endpoint can return (price and volume, or valuation ratios such as P/E)
+const HISTORICAL_FILTERS = ['default', 'price', 'pe', 'sm', 'evebitda', 'ptb', 'mcs'];
+
+module.exports = { HISTORICAL_PERIODS, HISTORICAL_FILTERS };
@@ -0,0 +1,12 @@
+/**
+ * @file index.js
+ * @description Entry point of the shared package, used by both the server (CommonJS `require`)
+ * and the client (imported as `stock-dashboard-shared`).
+ */
+
+module.exports = {
+  ...require('./dataUtils'),
+  ...require('./historical'),
+  ...require('./indicators'),
+  ...require('./stockAdapter'),
+};
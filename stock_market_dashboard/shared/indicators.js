@@ -0,0 +1,77 @@
+// indicators.js
+// Technical indicator math shared by the server and the client:
+// - Simple Moving Average (SMA).
+// - Relative Strength Index (RSI).
+// The client's Analysis tab and the server's alert engine both use these, so an alert on
+// "RSI over 70" or "price crossing the 200-day MA" fires on the same values the dashboard shows.
+// The client's utils.js re-exports them.
+
+/**
+ * Calculates Simple Moving Average (SMA).
+ * The SMA is the unweighted mean of the previous `period` data points.
+ * @param {Array<number>} data - Array of numerical data (e.g., closing prices).
+ * @param {number} period - The lookback period for the SMA calculation.
+ * @returns {Array<number|null>} Array of SMA values. The length of this array will be `data.length - period + 1`.
+ *                               Returns an empty array if `data` length is less than `period`.
+ */
+const calculateSMA = (data, period) => {
+  if (!data || data.length < period) return [];
+  const sma = [];
+  for (let i = period - 1; i < data.length; i++) {
+    const sum = data.slice(i - period + 1, i + 1).reduce((acc, val) => acc + val, 0);
+    sma.push(sum / period);
+  }
+  return sma;
+};
+
+/**
+ * Calculates Relative Strength Index (RSI).
+ * @param {Array<number>} data - Array of price data.
+ * @param {number} [period=14] - The period for RSI calculation.
+ * @returns {Array<number|null>} Array of RSI values.
+ */
+const calculateRSI = (data, period = 14) => {
+  if (!data || data.length < period + 1) return []; // Need at least period + 1 data points for the first change
+
+  let gains = 0;
+  let losses = 0;
+
+  // Calculate initial average gains and losses
+  for (let i = 1; i <= period; i++) {
+    const change = data[i] - data[i - 1];
+    if (change > 0) {
+      gains += change;
+    } else {
+      losses += Math.abs(change);
+    }
+  }
+
+  let avgGain = gains / period;
+  let avgLoss = losses / period;
+  const rsiValues = [];
+
+  for (let i = period + 1; i < data.length; i++) {
+    const change = data[i] - data[i - 1];
+    let currentGain = 0;
+    let currentLoss = 0;
+
+    if (change > 0) {
+      currentGain = change;
+    } else {
+      currentLoss = Math.abs(change);
+    }
+
+    avgGain = (avgGain * (period - 1) + currentGain) / period;
+    avgLoss = (avgLoss * (period - 1) + currentLoss) / period;
+
+    const rs = avgLoss === 0 ? Infinity : avgGain / avgLoss; // Handle division by zero for avgLoss
+    const rsi = 100 - (100 / (1 + rs));
+    rsiValues.push(rsi);
+  }
+  return rsiValues; // Returns an array of RSI values, last one is the most current
+};
+
+module.exports = {
+  calculateSMA,
+  calculateRSI,
+};
@@ -1,63 +1,266 @@
-// apiAdapter.js
+// stockAdapter.js
 // This module is responsible for transforming raw API responses from various stock market data sources
 // into a consistent, predictable, and application-friendly structure.
 // It decouples the main application logic from the specifics of the API response formats,
 // making it easier to adapt to API changes or integrate new data sources.
+// It lives in the shared package so the server can serve the normalized shape (/api/v2/stock)
+// instead of shipping the raw payload to every browser.
 
-import {
+const {
   DEFAULT_NA_STRING,
   getSafe,
-  // Import financial key constants that will be used for mapping/known keys if needed
-  // STMT_INC, STMT_BAL, STMT_CAS, (and specific FIN_KEY_... if directly used in adapter)
   getPrimaryCompanyDataFromPeerList, // Util to find primary company's data within peer list
-} from './utils';
+} = require('./dataUtils');
+
+// Month (1-12) in which a fiscal year ends when the payload has no annual period to infer it from.
+// Indian companies report on an April-March fiscal year.
+const DEFAULT_FISCAL_YEAR_END_MONTH = 3;
+
+/**
+ * Parses an ISO date string ("2024-12-31") into its year and month.
+ * @param {string} dateString - The date.
+ * @returns {Object|null} `{ year, month }` (month 1-12), or null if the date cannot be parsed.
+ */
+const parseYearMonth = (dateString) => {
+  const match = /^(\d{4})-(\d{2})/.exec(typeof dateString === 'string' ? dateString : '');
+  return match ? { year: Number(match[1]), month: Number(match[2]) } : null;
+};
+
+/**
+ * Works out the fiscal quarter (1-4) an interim period falls in, from how many months before the
+ * end of its fiscal year it ends. A period ending 9 months before the year end is Q1.
+ * @param {number} fiscalYear - The period's fiscal year (the calendar year in which that fiscal year ends).
+ * @param {string} endDate - The period's end date.
+ * @param {number} fiscalYearEndMonth - Month (1-12) in which the fiscal year ends.
+ * @returns {number|null} The quarter, or null if it cannot be worked out.
+ */
+const fiscalQuarterOf = (fiscalYear, endDate, fiscalYearEndMonth) => {
+  const end = parseYearMonth(endDate);
+  if (!end || !Number.isFinite(fiscalYear)) return null;
+  const monthsBeforeYearEnd = (fiscalYear * 12 + fiscalYearEndMonth) - (end.year * 12 + end.month);
+  const quarter = 4 - Math.floor(monthsBeforeYearEnd / 3);
+  return quarter >= 1 && quarter <= 4 ? quarter : null;
+};
+
+/**
+ * Maps the line items of one statement (`[{ key, value, ... }]`) to a `{ key: value }` object.
+ * Statements missing from a period (interim periods often have no balance sheet or cash flow) map to `{}`.
+ * @param {Array<Object>|null} items - The raw line items.
+ * @returns {Object} The statement as a key-value object.
+ */
+const transformStatementItems = (items) => {
+  const statement = {};
+  (Array.isArray(items) ? items : []).forEach(item => {
+    statement[getSafe(() => item.key, 'unknownKey')] = getSafe(() => item.value, DEFAULT_NA_STRING);
+  });
+  return statement;
+};
+
+/**
+ * Collects the growth figures the API sends on some line items (`yqoQComp`: vs the same period a year
+ * earlier, `qoQComp`: vs the previous period). Only items with at least one figure are included.
+ * @param {Array<Object>|null} items - The raw line items.
+ * @returns {Object} `{ key: { yoy, qoq } }`, each a number or null.
+ */
+const transformStatementComparisons = (items) => {
+  const comparisons = {};
+  (Array.isArray(items) ? items : []).forEach(item => {
+    const yoy = Number(getSafe(() => item.yqoQComp, NaN));
+    const qoq = Number(getSafe(() => item.qoQComp, NaN));
+    if (Number.isFinite(yoy) || Number.isFinite(qoq)) {
+      comparisons[getSafe(() => item.key, 'unknownKey')] = {
+        yoy: Number.isFinite(yoy) ? yoy : null,
+        qoq: Number.isFinite(qoq) ? qoq : null,
+      };
+    }
+  });
+  return comparisons;
+};
+
+/**
+ * Transforms one raw financial period, restructuring its data into separate objects for the
+ * income statement, balance sheet and cash flow statement.
+ * @param {Object} rawPeriod - One entry of the API's `financials` array.
+ * @param {number} fiscalYearEndMonth - Month (1-12) in which the company's fiscal year ends.
+ * @returns {Object} The period: `fiscalYear`, `fiscalQuarter` (null for annual periods), `label`
+ *                   (e.g., "FY2025" or "Q3 FY2025"), `periodEndDate`, the three statements, and the
+ *                   API's growth figures for the income statement (`comparisons.incomeStatement`).
+ */
+const transformFinancialPeriod = (rawPeriod, fiscalYearEndMonth) => {
+  const isInterim = getSafe(() => rawPeriod.Type, '') === 'Interim';
+  const fiscalYear = Number(getSafe(() => rawPeriod.FiscalYear, NaN));
+  const periodEndDate = getSafe(() => rawPeriod.EndDate, DEFAULT_NA_STRING);
+  const fiscalQuarter = isInterim ? fiscalQuarterOf(fiscalYear, periodEndDate, fiscalYearEndMonth) : null;
+
+  let label = Number.isFinite(fiscalYear) ? `FY${fiscalYear}` : DEFAULT_NA_STRING;
+  if (isInterim && fiscalQuarter !== null && Number.isFinite(fiscalYear)) label = `Q${fiscalQuarter} ${label}`;
+
+  const financialMap = getSafe(() => rawPeriod.stockFinancialMap, {});
+  return {
+    fiscalYear: Number.isFinite(fiscalYear) ? fiscalYear : null,
+    fiscalQuarter,
+    label,
+    periodEndDate,
+    incomeStatement: transformStatementItems(financialMap.INC), // Income Statement (INC)
+    balanceSheet: transformStatementItems(financialMap.BAL), // Balance Sheet (BAL)
+    cashFlowStatement: transformStatementItems(financialMap.CAS), // Cash Flow Statement (CAS)
+    comparisons: {
+      incomeStatement: transformStatementComparisons(financialMap.INC),
+    },
+  };
+};
 
 /**
- * Transforms the raw financial statements data (annual or quarterly).
- * It restructures the financial data into separate objects for income statement,
- * balance sheet, and cash flow statement for each financial year/period.
+ * Transforms the raw financial statements data.
+ * The API mixes annual (`Type: "Annual"`) and quarterly (`Type: "Interim"`) periods in one array,
+ * so they are split into two series; comparing a quarter against a year would be meaningless.
+ * Each series is sorted newest first, so index 0 is always the latest period and index 1 the one before it.
  * @param {Array<Object>} rawFinancials - Array of raw financial period data from the API.
- * @returns {Array<Object>} An array of transformed financial data, structured by year/period.
+ * @returns {Object} `{ yearly, quarterly }`, each an array of transformed periods (see `transformFinancialPeriod`).
  */
 const transformFinancialStatements = (rawFinancials) => {
   if (!rawFinancials || !Array.isArray(rawFinancials)) {
-    return [];
+    return { yearly: [], quarterly: [] };
   }
-  return rawFinancials.map(yearlyFinancial => {
-    const transformedYearly = {
-      year: getSafe(() => yearlyFinancial.yearName, DEFAULT_NA_STRING),
-      // other top-level year data if any, like periodEndDate
-      periodEndDate: getSafe(() => yearlyFinancial.periodEndDate, DEFAULT_NA_STRING),
-      incomeStatement: {},
-      balanceSheet: {},
-      cashFlowStatement: {},
-    };
 
-    const financialMap = getSafe(() => yearlyFinancial.stockFinancialMap, {});
+  // The fiscal year end is read from the annual periods (e.g., March for "2025-03-31").
+  const annualPeriods = rawFinancials.filter(period => getSafe(() => period.Type, '') === 'Annual');
+  const annualEnd = annualPeriods.length > 0 ? parseYearMonth(getSafe(() => annualPeriods[0].EndDate, '')) : null;
+  const fiscalYearEndMonth = annualEnd ? annualEnd.month : DEFAULT_FISCAL_YEAR_END_MONTH;
 
-    // Transform Income Statement (INC)
-    // Maps each item from the API's income statement array to a key-value pair.
-    const incomeItems = getSafe(() => financialMap.INC, []);
-    incomeItems.forEach(item => {
-      transformedYearly.incomeStatement[getSafe(() => item.key, 'unknownKey')] = getSafe(() => item.value, DEFAULT_NA_STRING);
-    });
+  const sortKey = period => (parseYearMonth(period.periodEndDate) ? period.periodEndDate : ''); // Undated periods last
+  const newestFirst = (a, b) => sortKey(b).localeCompare(sortKey(a));
+  const series = (type) => rawFinancials
+    .filter(period => getSafe(() => period.Type, '') === type)
+    .map(period => transformFinancialPeriod(period, fiscalYearEndMonth))
+    .sort(newestFirst);
+
+  return {
+    yearly: series('Annual'),
+    quarterly: series('Interim'),
+  };
+};
+
+// Period a keyMetrics figure covers, read from its display name (e.g., "Operating margin - trailing 12 month").
+// Checked in order; figures matching none (e.g., "Price - 13 week price percent change") have no period.
+const KEY_METRIC_PERIOD_RULES = [
+  { period: '5Y', pattern: /5 year|5 yr/i },
+  { period: '3Y', pattern: /3 year/i },
+  { period: 'TTM', pattern: /trailing 12|\bTTM\b|\bLTM\b/i },
+  { period: 'MRQ', pattern: /most recent quarter|\bLFI\b/i },
+  { period: 'FY', pattern: /fiscal year|\bLFY\b/i },
+];
+
+// Unit of a keyMetrics figure, read from its display name. Checked in order, so "Payout ratio" is a
+// percentage and "Price to Free Cash Flow per Share" a ratio. Figures matching none are plain numbers.
+const KEY_METRIC_UNIT_RULES = [
+  { unit: 'percent', pattern: /%|margin|growth|return on|yield|change|cagr|payout|\/revenue/i },
+  { unit: 'ratio', pattern: /p\/e|price to|ratio|turnover|coverage|debt\/|\bEV\/|beta/i },
+  { unit: 'currency', pattern: /per share|\/share|\bEPS\b|52 week (high|low)$/i },
+  { unit: 'amount', pattern: /revenue|ebitd|earnings|net income|free cash flow|net debt|market cap/i },
+];
+
+// keyMetrics keys the API gets wrong, by raw key. The tangible book value per share of the latest fiscal year
+// comes as "bookValuePerShareMostRecentFiscalYear", which is also what the plain book value's key
+// ("bookValuePerShare MostRecentFiscalYear") becomes once its stray space is removed.
+const KEY_METRIC_KEY_FIXES = new Map([
+  ['bookValuePerShareMostRecentFiscalYear', 'bookValueTangiblePerShareMostRecentFiscalYear'],
+]);
+
+// keyMetrics amounts are in millions of rupees, except the market cap, which is already in crores.
+const MILLIONS_PER_CRORE = 10;
+const KEY_METRIC_AMOUNTS_IN_CRORES = ['marketCap'];
+
+/**
+ * Transforms the raw `keyMetrics` block: ratios, margins, growth rates and per-share figures the API
+ * reports under its own groups (`mgmtEffectiveness`, `margins`, `financialstrength`, `valuation`,
+ * `incomeStatement`, `growth`, `persharedata`, `priceandVolume`).
+ * Keys are cleaned of the stray characters some of them carry (e.g., "inventoryTurnoverTrailing12Month)" or
+ * "dividendPerShare MostRecentFiscalYear"), so they can be matched on as stable ids (see KEY_METRIC_KEY_FIXES),
+ * amounts are converted to crores like the rest of the app, and items without a value are dropped.
+ * @param {Object} rawKeyMetrics - The raw keyMetrics object from the API.
+ * @returns {Object} `{ group: [{ key, displayName, value, unit, period }] }`. `value` is a number, or an
+ *                   ISO date string for `unit: 'date'`; `unit` is 'percent', 'ratio', 'currency', 'amount'
+ *                   (crores), 'date' or 'number'; `period` is 'TTM', 'FY', 'MRQ', '5Y', '3Y' or null.
+ */
+const transformKeyMetrics = (rawKeyMetrics) => {
+  const keyMetrics = {};
+  Object.entries(rawKeyMetrics && typeof rawKeyMetrics === 'object' ? rawKeyMetrics : {}).forEach(([group, items]) => {
+    if (!Array.isArray(items)) return;
+    const seenKeys = new Set();
+    keyMetrics[group] = items.reduce((metrics, item) => {
+      const rawKey = getSafe(() => item.key.replace(/\s+/g, ''), '');
+      // Drop a closing parenthesis without an opening one ("revenuePerShare(5yrGrowth)" keeps its own)
+      const cleanKey = rawKey.endsWith(')') && !rawKey.includes('(') ? rawKey.slice(0, -1) : rawKey;
+      const key = KEY_METRIC_KEY_FIXES.get(getSafe(() => item.key.trim(), '')) || cleanKey;
+      const displayName = getSafe(() => item.displayName.replace(/\s+/g, ' ').trim(), key);
+      const rawValue = getSafe(() => String(item.value).trim(), DEFAULT_NA_STRING);
+      if (!key || seenKeys.has(key) || rawValue === DEFAULT_NA_STRING || rawValue === 'null') return metrics;
+
+      const periodRule = KEY_METRIC_PERIOD_RULES.find(rule => rule.pattern.test(displayName));
+      let value;
+      let unit;
+      if (/^\d{4}-\d{2}-\d{2}/.test(rawValue)) {
+        value = rawValue.slice(0, 10);
+        unit = 'date';
+      } else {
+        value = Number(rawValue);
+        if (!Number.isFinite(value)) return metrics;
+        const unitRule = KEY_METRIC_UNIT_RULES.find(rule => rule.pattern.test(displayName));
+        unit = unitRule ? unitRule.unit : 'number';
+        if (unit === 'amount' && !KEY_METRIC_AMOUNTS_IN_CRORES.includes(key)) value = Number((value / MILLIONS_PER_CRORE).toFixed(3));
+      }
 
-    // Transform Balance Sheet (BAL)
-    // Maps each item from the API's balance sheet array to a key-value pair.
-    const balanceItems = getSafe(() => financialMap.BAL, []);
-    balanceItems.forEach(item => {
-      transformedYearly.balanceSheet[getSafe(() => item.key, 'unknownKey')] = getSafe(() => item.value, DEFAULT_NA_STRING);
+      seenKeys.add(key);
+      metrics.push({ key, displayName, value, unit, period: periodRule ? periodRule.period : null });
+      return metrics;
+    }, []);
+  });
+  return keyMetrics;
+};
+
+/**
+ * Transforms the raw shareholding pattern (`shareholding`): one entry per holder category (Promoter, FII,
+ * MF, Other), each with its percentage of the shares per `holdingDate`. It is regrouped by quarter, so
+ * that each quarter holds the percentages of every category.
+ * @param {Array<Object>} rawShareholding - The raw shareholding array from the API.
+ * @returns {Object} `{ categories, quarters }`: `categories` lists `{ key, name }` (key: the API's short
+ *                   display name, e.g., "FII"; name: its full category name); `quarters` lists
+ *                   `{ holdingDate, holdings }`, oldest first, with `holdings` mapping each category key to
+ *                   its percentage (null if not reported for that quarter).
+ */
+const transformShareholding = (rawShareholding) => {
+  if (!Array.isArray(rawShareholding)) {
+    return { categories: [], quarters: [] };
+  }
+
+  const categories = [];
+  const holdingsByDate = new Map(); // holdingDate -> { categoryKey: percentage }
+  rawShareholding.forEach(rawCategory => {
+    const key = getSafe(() => rawCategory.displayName.trim(), '');
+    if (!key || categories.some(category => category.key === key)) return;
+    categories.push({ key, name: getSafe(() => rawCategory.categoryName.trim(), key) });
+    getSafe(() => rawCategory.categories, []).forEach(holding => {
+      const holdingDate = getSafe(() => holding.holdingDate, '');
+      const percentage = Number(getSafe(() => holding.percentage, NaN));
+      if (!parseYearMonth(holdingDate) || !Number.isFinite(percentage)) return;
+      if (!holdingsByDate.has(holdingDate)) holdingsByDate.set(holdingDate, {});
+      holdingsByDate.get(holdingDate)[key] = percentage;
     });
+  });
 
-    // Transform Cash Flow Statement (CAS)
-    // Maps each item from the API's cash flow statement array to a key-value pair.
-    const cashFlowItems = getSafe(() => financialMap.CAS, []);
-    cashFlowItems.forEach(item => {
-      transformedYearly.cashFlowStatement[getSafe(() => item.key, 'unknownKey')] = getSafe(() => item.value, DEFAULT_NA_STRING);
+  const quarters = [...holdingsByDate.keys()]
+    .sort((a, b) => a.localeCompare(b))
+    .map(holdingDate => {
+      const holdings = {};
+      categories.forEach(category => {
+        const percentage = holdingsByDate.get(holdingDate)[category.key];
+        holdings[category.key] = percentage === undefined ? null : percentage;
+      });
+      return { holdingDate, holdings };
     });
 
-    return transformedYearly;
-  });
+  return { categories, quarters };
 };
 
 /**
@@ -232,7 +435,7 @@ const transformAnalystSentiment = (primaryCompanyPeerData) => {
  * @param {Object} rawApiData - The complete raw response object from the stock data API.
  * @returns {Object|null} A structured object containing all relevant stock data, or null if input is invalid.
  */
-export const transformStockDataApiResponse = (rawApiData) => {
+const transformStockDataApiResponse = (rawApiData) => {
   if (!rawApiData) {
     return null; // Or some default empty structure
   }
@@ -266,10 +469,8 @@ export const transformStockDataApiResponse = (rawApiData) => {
     // Transformed parts using dedicated helper functions
     companyProfile: transformCompanyProfile(rawApiData.companyProfile, rawApiData, primaryCompanyPeerData),
     currentPrice: transformCurrentPriceData(rawApiData),
-    financialStatements: {
-        yearly: transformFinancialStatements(rawApiData.financials), 
-        // quarterly: transformFinancialStatements(rawApiData.quarterlyFinancials) // Placeholder if quarterly data is added
-    },
+    financialStatements: transformFinancialStatements(rawApiData.financials), // { yearly, quarterly }
+    keyMetrics: transformKeyMetrics(rawApiData.keyMetrics), // The API's own ratios and growth rates, by group
     technicalIndicators: transformTechnicalIndicators(rawApiData.stockTechnicalData),
     analystSentiment: transformAnalystSentiment(primaryCompanyPeerData), // Uses the extracted primary company data
 
@@ -277,12 +478,16 @@ export const transformStockDataApiResponse = (rawApiData) => {
     primaryCompanyPeerData, // This is the specific object for the main company found in its peer list (contains its own metrics like PE, PB, etc.)
     actualPeers, // This is the filtered list of *other* companies for averaging (market cap, PE, etc. of peers)
 
+    // Shareholding by holder category and quarter (the payload's `shareholding` array)
+    shareHoldingPattern: transformShareholding(rawApiData.shareholding), // { categories, quarters }
+
     // Retain any other direct fields from rawApiData if they are simple, don't need transformation,
     // and their structure is stable and directly usable by the application.
-    // For example, if rawApiData.recentNews or rawApiData.shareHoldingPattern are used directly:
+    // For example, rawApiData.recentNews is used directly:
     news: getSafe(() => rawApiData.recentNews, []), // Assuming recentNews is an array
-    shareHoldingPattern: getSafe(() => rawApiData.shareHoldingPattern, []), // Assuming shareHoldingPattern is structured as needed
   };
 
   return transformed;
-}; 
\ No newline at end of file
+};
+
+module.exports = { transformStockDataApiResponse };
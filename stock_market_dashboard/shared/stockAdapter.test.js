@@ -0,0 +1,181 @@
+const { transformStockDataApiResponse } = require('./stockAdapter');
+
+// Builds one entry of the API's `financials` array
+const rawPeriod = (Type, FiscalYear, EndDate, INC = [{ key: 'Revenue', value: '100' }], BAL = null) => ({
+  Type,
+  FiscalYear,
+  EndDate,
+  stockFinancialMap: { INC, BAL, CAS: null },
+});
+
+const financialStatementsOf = financials => transformStockDataApiResponse({ financials }).financialStatements;
+const labels = periods => periods.map(period => period.label);
+
+describe('transformStockDataApiResponse: financialStatements', () => {
+  test('splits annual and interim periods into yearly and quarterly series, newest first', () => {
+    const { yearly, quarterly } = financialStatementsOf([
+      rawPeriod('Annual', '2024', '2024-03-31'),
+      rawPeriod('Interim', '2025', '2024-06-30'),
+      rawPeriod('Annual', '2025', '2025-03-31'),
+      rawPeriod('Interim', '2025', '2024-12-31'),
+      rawPeriod('Interim', '2025', '2024-09-30'),
+    ]);
+
+    expect(labels(yearly)).toEqual(['FY2025', 'FY2024']);
+    expect(labels(quarterly)).toEqual(['Q3 FY2025', 'Q2 FY2025', 'Q1 FY2025']);
+    expect(yearly[0]).toMatchObject({ fiscalYear: 2025, fiscalQuarter: null, periodEndDate: '2025-03-31' });
+    expect(quarterly[0]).toMatchObject({ fiscalYear: 2025, fiscalQuarter: 3, periodEndDate: '2024-12-31' });
+  });
+
+  test('labels the quarter ending with the fiscal year Q4', () => {
+    const { quarterly } = financialStatementsOf([
+      rawPeriod('Annual', '2025', '2025-03-31'),
+      rawPeriod('Interim', '2025', '2025-03-31'),
+      rawPeriod('Interim', '2024', '2024-03-31'),
+    ]);
+
+    expect(labels(quarterly)).toEqual(['Q4 FY2025', 'Q4 FY2024']);
+  });
+
+  test('reads the fiscal year end from the annual periods', () => {
+    // A calendar fiscal year: FY2024 ends in December 2024
+    const { quarterly } = financialStatementsOf([
+      rawPeriod('Annual', '2024', '2024-12-31'),
+      rawPeriod('Interim', '2024', '2024-09-30'),
+      rawPeriod('Interim', '2024', '2024-03-31'),
+    ]);
+
+    expect(labels(quarterly)).toEqual(['Q3 FY2024', 'Q1 FY2024']);
+  });
+
+  test('assumes an April-March fiscal year without annual periods', () => {
+    const { yearly, quarterly } = financialStatementsOf([rawPeriod('Interim', '2026', '2025-09-30')]);
+
+    expect(yearly).toEqual([]);
+    expect(labels(quarterly)).toEqual(['Q2 FY2026']);
+  });
+
+  test('labels an interim period whose quarter cannot be worked out with its fiscal year only', () => {
+    const { quarterly } = financialStatementsOf([
+      rawPeriod('Interim', '2025', '2024-12-31'),
+      rawPeriod('Interim', '2025', 'not a date'),
+      rawPeriod('Interim', '2025', '2023-12-31'), // More than a year before the fiscal year end
+    ]);
+
+    expect(labels(quarterly)).toEqual(['Q3 FY2025', 'FY2025', 'FY2025']);
+    expect(quarterly.map(period => period.fiscalQuarter)).toEqual([3, null, null]);
+  });
+
+  test('maps line items to statements, with missing statements empty', () => {
+    const [period] = financialStatementsOf([
+      rawPeriod('Annual', '2025', '2025-03-31', [{ key: 'Revenue', value: '100' }, { key: 'NetIncome', value: '10' }], [{ key: 'TotalEquity', value: '50' }]),
+    ]).yearly;
+
+    expect(period.incomeStatement).toEqual({ Revenue: '100', NetIncome: '10' });
+    expect(period.balanceSheet).toEqual({ TotalEquity: '50' });
+    expect(period.cashFlowStatement).toEqual({});
+  });
+
+  test('collects the growth figures of the income statement', () => {
+    const [period] = financialStatementsOf([
+      rawPeriod('Interim', '2025', '2024-12-31', [
+        { key: 'Revenue', value: '100', yqoQComp: '12.5', qoQComp: '-3' },
+        { key: 'NetIncome', value: '10', yqoQComp: null, qoQComp: '4' },
+        { key: 'OtherNet', value: '1' },
+      ]),
+    ]).quarterly;
+
+    expect(period.comparisons.incomeStatement).toEqual({
+      Revenue: { yoy: 12.5, qoq: -3 },
+      NetIncome: { yoy: null, qoq: 4 },
+    });
+  });
+
+  test('returns empty series without financials', () => {
+    expect(financialStatementsOf(undefined)).toEqual({ yearly: [], quarterly: [] });
+    expect(financialStatementsOf({})).toEqual({ yearly: [], quarterly: [] });
+  });
+});
+
+describe('transformStockDataApiResponse: keyMetrics', () => {
+  const keyMetricsOf = keyMetrics => transformStockDataApiResponse({ keyMetrics }).keyMetrics;
+  const item = (key, displayName, value) => ({ key, displayName, value });
+
+  test('reads the unit and period of each figure from its display name', () => {
+    const { margins, valuation, persharedata } = keyMetricsOf({
+      margins: [item('operatingMarginTrailing12Month', 'Operating margin - trailing 12 month', '6.38')],
+      valuation: [item('priceToBookMostRecentQuarter', 'Price to Book - most recent quarter', '2.23')],
+      persharedata: [item('dividendperShare5YearAverage', 'Dividend Per Share - 5 year average', '3.68')],
+    });
+
+    expect(margins).toEqual([
+      { key: 'operatingMarginTrailing12Month', displayName: 'Operating margin - trailing 12 month', value: 6.38, unit: 'percent', period: 'TTM' },
+    ]);
+    expect(valuation[0]).toMatchObject({ value: 2.23, unit: 'ratio', period: 'MRQ' });
+    expect(persharedata[0]).toMatchObject({ value: 3.68, unit: 'currency', period: '5Y' });
+  });
+
+  test('converts amounts from millions to crores, except the market cap', () => {
+    const { incomeStatement, valuation } = keyMetricsOf({
+      incomeStatement: [item('revenueMostRecentFiscalYear', 'Revenue - most recent fiscal year', '2185425.00')],
+      valuation: [
+        item('netDebtLFI', 'Net Debt, LFI', '832973.05'),
+        item('marketCap', 'Market Cap', '182034.5'),
+      ],
+    });
+
+    expect(incomeStatement[0]).toMatchObject({ value: 218542.5, unit: 'amount', period: 'FY' });
+    expect(valuation[0]).toMatchObject({ value: 83297.305, unit: 'amount', period: 'MRQ' });
+    expect(valuation[1]).toMatchObject({ value: 182034.5, unit: 'amount' });
+  });
+
+  test('cleans stray spaces and parentheses out of the keys', () => {
+    const { persharedata, growth } = keyMetricsOf({
+      persharedata: [
+        item(' dividendPerShare MostRecentFiscalYear', 'Dividend per share - most recent fiscal year', '3.60'),
+        item('cashFlowPerShareTrailing12Month)', 'Cash Flow per share  - trailing 12 month', '10.88'),
+      ],
+      growth: [item('revenuePerShare(5yrGrowth)', 'Revenue/share (5 yr growth)', '6.11')],
+    });
+
+    expect(persharedata.map(metric => metric.key)).toEqual(['dividendPerShareMostRecentFiscalYear', 'cashFlowPerShareTrailing12Month']);
+    expect(persharedata[1].displayName).toBe('Cash Flow per share - trailing 12 month');
+    expect(growth[0].key).toBe('revenuePerShare(5yrGrowth)');
+  });
+
+  test('keeps the plain and tangible book values per share apart', () => {
+    const { persharedata } = keyMetricsOf({
+      persharedata: [
+        item('bookValuePerShare MostRecentFiscalYear', 'Book value per share - most recent fiscal year', '73.10'),
+        item('bookValuePerShareMostRecentFiscalYear', 'Book value (tangible) per share - most recent fiscal year', '58.16'),
+      ],
+    });
+
+    expect(persharedata.map(metric => [metric.key, metric.value])).toEqual([
+      ['bookValuePerShareMostRecentFiscalYear', 73.1],
+      ['bookValueTangiblePerShareMostRecentFiscalYear', 58.16],
+    ]);
+  });
+
+  test('keeps dates, and drops figures without a value and repeated keys', () => {
+    const { priceandVolume } = keyMetricsOf({
+      priceandVolume: [
+        item('PDATE', 'Price Date', '2025-06-13T00:00:00'),
+        item('beta', 'Beta', null),
+        item('revenuePerEmployeeTrailing12Month', 'Revenue/employee - trailing 12 month', 'NaN'),
+        item('price1DayPercentChange', 'Price - 1 Day % Change', '1.5'),
+        item('price1DayPercentChange', 'Price - 1 Day % Change', '1.6'),
+      ],
+    });
+
+    expect(priceandVolume).toEqual([
+      { key: 'PDATE', displayName: 'Price Date', value: '2025-06-13', unit: 'date', period: null },
+      { key: 'price1DayPercentChange', displayName: 'Price - 1 Day % Change', value: 1.5, unit: 'percent', period: null },
+    ]);
+  });
+
+  test('returns no groups without keyMetrics', () => {
+    expect(keyMetricsOf(undefined)).toEqual({});
+    expect(keyMetricsOf({ margins: null })).toEqual({});
+  });
+});